@@ -0,0 +1,450 @@
+/**
+ * 动图逐帧处理测试：GIF 多帧解析、LZW 编码、GIF/WebP 动图封装和处理流程
+ */
+
+import fc from 'fast-check';
+import { AnimationCodec, FallbackDecoder, ImageAnalyzer, ImageProcessor, MetadataHandler, CONFIG } from '../app.js';
+
+const le16 = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+const le32 = (value) => [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, (value >>> 24) & 0xFF];
+const bytes = (...parts) => Uint8Array.from(parts.flatMap(part =>
+  typeof part === 'string' ? Array.from(part, c => c.charCodeAt(0)) : Array.from(part)
+));
+
+// 4 色全局调色板：红、绿、蓝、白
+const PALETTE = [255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255];
+const RED = [255, 0, 0, 255];
+const GREEN = [0, 255, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const CLEAR = [0, 0, 0, 0];
+
+// 构造多帧 GIF，每帧 { indices, left, top, width, height, delay(1/100 秒), disposal, transparent }
+const createGif = ({ width, height, loopCount, frames }) => {
+  const parts = ['GIF89a', le16(width), le16(height), [0x81, 0, 0], PALETTE];
+  if (loopCount !== undefined) {
+    parts.push([0x21, 0xFF, 11], 'NETSCAPE2.0', [3, 1], le16(loopCount), [0]);
+  }
+  frames.forEach(frame => {
+    const transparent = frame.transparent !== undefined;
+    parts.push([0x21, 0xF9, 4, ((frame.disposal || 0) << 2) | (transparent ? 1 : 0)],
+      le16(frame.delay || 0), [transparent ? frame.transparent : 0, 0]);
+    const data = AnimationCodec.lzwEncode(Uint8Array.from(frame.indices), 2);
+    parts.push([0x2C], le16(frame.left || 0), le16(frame.top || 0),
+      le16(frame.width || width), le16(frame.height || height), [0], [2], AnimationCodec.toSubBlocks(data));
+  });
+  parts.push([0x3B]);
+  return bytes(...parts);
+};
+
+// 依次返回给定像素的 getImageData，用于模拟每帧画布的内容
+const withFramePixels = async (pixelList, fn) => {
+  const ctx = document.createElement('canvas').getContext('2d');
+  const original = ctx.getImageData;
+  const queue = [...pixelList];
+  ctx.getImageData = (x, y, width, height) => ({ width, height, data: Uint8ClampedArray.from(queue.shift().flat()) });
+  try {
+    return await fn();
+  } finally {
+    ctx.getImageData = original;
+  }
+};
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// 解析 RIFF 块：[{ type, payload }]
+const readRiffChunks = (data, start = 12) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const chunks = [];
+  for (let offset = start; offset + 8 <= data.length;) {
+    const size = view.getUint32(offset + 4, true);
+    chunks.push({ type: MetadataHandler.readAscii(data, offset, 4), payload: data.subarray(offset + 8, offset + 8 + size) });
+    offset += 8 + size + (size & 1);
+  }
+  return chunks;
+};
+
+describe('AnimationCodec', () => {
+  describe('GIF 多帧解析', () => {
+    test('应读取每帧延迟和循环次数，并在上一帧基础上合成', () => {
+      const gif = createGif({
+        width: 2, height: 1, loopCount: 3,
+        frames: [
+          { indices: [0, 1], delay: 5 },
+          { indices: [2], left: 1, width: 1, delay: 20 }
+        ]
+      });
+
+      const result = FallbackDecoder.decodeGifFrames(gif.buffer);
+
+      expect(result.loopCount).toBe(3);
+      expect(result.frames.map(frame => frame.delay)).toEqual([50, 200]);
+      expect(Array.from(result.frames[0].data)).toEqual([...RED, ...GREEN]);
+      expect(Array.from(result.frames[1].data)).toEqual([...RED, ...BLUE]);
+    });
+
+    test('处置方式 2 在下一帧前清除该帧区域', () => {
+      const gif = createGif({
+        width: 2, height: 1,
+        frames: [
+          { indices: [0, 1], disposal: 2 },
+          { indices: [2], left: 1, width: 1 }
+        ]
+      });
+
+      const result = FallbackDecoder.decodeGifFrames(gif.buffer);
+
+      expect(result.loopCount).toBe(1);
+      expect(Array.from(result.frames[1].data)).toEqual([...CLEAR, ...BLUE]);
+    });
+
+    test('处置方式 3 恢复到绘制该帧之前的画面', () => {
+      const gif = createGif({
+        width: 2, height: 1,
+        frames: [
+          { indices: [0, 1] },
+          { indices: [2], width: 1, disposal: 3 },
+          { indices: [3], left: 1, width: 1 }
+        ]
+      });
+
+      const result = FallbackDecoder.decodeGifFrames(gif.buffer);
+
+      expect(Array.from(result.frames[1].data)).toEqual([...BLUE, ...GREEN]);
+      expect(Array.from(result.frames[2].data)).toEqual([...RED, 255, 255, 255, 255]);
+    });
+
+    test('decodeGif 只返回第一帧', () => {
+      const gif = createGif({ width: 1, height: 1, frames: [{ indices: [1] }, { indices: [2] }] });
+
+      expect(Array.from(FallbackDecoder.decodeGif(gif.buffer).data)).toEqual(GREEN);
+    });
+  });
+
+  describe('isAnimated', () => {
+    test('GIF 有两帧以上时为动图', () => {
+      expect(AnimationCodec.isAnimated(createGif({ width: 1, height: 1, frames: [{ indices: [0] }, { indices: [1] }] }))).toBe(true);
+      expect(AnimationCodec.isAnimated(createGif({ width: 1, height: 1, frames: [{ indices: [0] }] }))).toBe(false);
+    });
+
+    test('WebP 根据 VP8X 的动画标志判断', () => {
+      const webp = (flags) => bytes('RIFF', le32(22), 'WEBP', 'VP8X', le32(10), [flags], new Array(9).fill(0));
+
+      expect(AnimationCodec.isAnimated(webp(0x02))).toBe(true);
+      expect(AnimationCodec.isAnimated(webp(0x10))).toBe(false);
+      expect(AnimationCodec.isAnimated(bytes([0xFF, 0xD8, 0xFF]))).toBe(false);
+    });
+  });
+
+  describe('isAnimatedGif', () => {
+    const original = CONFIG.gifScanChunkBytes;
+    afterEach(() => { CONFIG.gifScanChunkBytes = original; });
+
+    test('分段读取时与 isAnimated 的结果一致', async () => {
+      CONFIG.gifScanChunkBytes = 5;
+      for (const count of [0, 1, 2, 3]) {
+        const gif = createGif({ width: 2, height: 2, loopCount: 0, frames: Array.from({ length: count }, () => ({ indices: [0, 1, 2, 3] })) });
+        expect(await AnimationCodec.isAnimatedGif(new Blob([gif]))).toBe(AnimationCodec.isAnimated(gif));
+      }
+    });
+
+    test('读到第二帧即停止，不读取之后的数据', async () => {
+      const gif = createGif({ width: 1, height: 1, frames: [{ indices: [0] }, { indices: [1] }] });
+      const blob = new Blob([gif, new Uint8Array(1 << 20)]);
+      const ranges = [];
+      const file = { size: blob.size, slice: (start, end) => { ranges.push([start, end]); return blob.slice(start, end); } };
+
+      expect(await AnimationCodec.isAnimatedGif(file)).toBe(true);
+      expect(Math.max(...ranges.map(([, end]) => end))).toBeLessThanOrEqual(CONFIG.gifScanChunkBytes * 2);
+    });
+
+    test('截断的 GIF 按实际读到的帧数判断', async () => {
+      const gif = createGif({ width: 1, height: 1, frames: [{ indices: [0] }, { indices: [1] }] });
+      expect(await AnimationCodec.isAnimatedGif(new Blob([gif.slice(0, 40)]))).toBe(false);
+    });
+  });
+
+  describe('lzwEncode', () => {
+    test('属性: 编码后可由 lzwDecode 还原', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 2, max: 8 }).chain(bits => fc.tuple(
+            fc.constant(bits),
+            fc.array(fc.integer({ min: 0, max: (1 << bits) - 1 }), { minLength: 1, maxLength: 2000 })
+          )),
+          ([bits, values]) => {
+            const indices = Uint8Array.from(values);
+            const decoded = FallbackDecoder.lzwDecode(AnimationCodec.lzwEncode(indices, bits), bits, indices.length);
+            return decoded.every((value, i) => value === indices[i]);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    test('字典写满 4096 项后重新开始仍可还原', () => {
+      // 伪随机的 8 位数据会很快写满字典
+      let seed = 1;
+      const indices = Uint8Array.from({ length: 30000 }, () => {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        return seed >>> 24;
+      });
+
+      const decoded = FallbackDecoder.lzwDecode(AnimationCodec.lzwEncode(indices, 8), 8, indices.length);
+
+      expect(decoded).toEqual(indices);
+    });
+  });
+
+  describe('encodeGif', () => {
+    test('编码结果应能还原每帧像素、延迟和循环次数', async () => {
+      const frames = [
+        { canvas: createCanvas(2, 1), delay: 80 },
+        { canvas: createCanvas(2, 1), delay: 120 }
+      ];
+
+      const blob = await withFramePixels([[RED, GREEN], [[0, 0, 255, 40], [255, 255, 255, 255]]], () =>
+        AnimationCodec.encodeGif(frames, 0, { colors: 256, dither: false })
+      );
+      const result = FallbackDecoder.decodeGifFrames(await MetadataHandler.readBuffer(blob));
+
+      expect(blob.type).toBe('image/gif');
+      expect(result.loopCount).toBe(0);
+      expect(result.frames.map(frame => frame.delay)).toEqual([80, 120]);
+      expect(Array.from(result.frames[0].data)).toEqual([...RED, ...GREEN]);
+      // alpha < 128 的像素变为全透明，且不透出上一帧
+      expect(Array.from(result.frames[1].data)).toEqual([...CLEAR, 255, 255, 255, 255]);
+    });
+  });
+
+  describe('WebP 动图封装', () => {
+    test('webpImageChunks 只保留图像数据块', () => {
+      const still = bytes(
+        'RIFF', le32(0), 'WEBP',
+        'VP8X', le32(10), [0x18], new Array(9).fill(0),
+        'ALPH', le32(3), [1, 2, 3, 0],
+        'VP8 ', le32(2), [9, 9],
+        'EXIF', le32(2), [0, 0]
+      );
+
+      const { chunks, hasAlpha } = AnimationCodec.webpImageChunks(still);
+
+      expect(chunks.map(chunk => MetadataHandler.readAscii(chunk, 0, 4))).toEqual(['ALPH', 'VP8 ']);
+      // 奇数长度的块带填充字节
+      expect(chunks[0].length).toBe(12);
+      expect(hasAlpha).toBe(true);
+    });
+
+    test('muxWebp 生成 VP8X、ANIM 和每帧的 ANMF', () => {
+      const vp8 = bytes('VP8 ', le32(2), [9, 9]);
+      const data = AnimationCodec.muxWebp([
+        { chunks: [vp8], hasAlpha: false, delay: 0, width: 300, height: 200 },
+        { chunks: [vp8], hasAlpha: true, delay: 250, width: 300, height: 200 }
+      ], 2);
+
+      const view = new DataView(data.buffer);
+      expect(MetadataHandler.readAscii(data, 0, 4)).toBe('RIFF');
+      expect(view.getUint32(4, true)).toBe(data.length - 8);
+
+      const chunks = readRiffChunks(data);
+      expect(chunks.map(chunk => chunk.type)).toEqual(['VP8X', 'ANIM', 'ANMF', 'ANMF']);
+      // 动画 + 透明标志，画布宽高减 1
+      expect(chunks[0].payload[0]).toBe(0x12);
+      expect(chunks[0].payload[4] | (chunks[0].payload[5] << 8)).toBe(299);
+      expect(Array.from(chunks[1].payload.subarray(4, 6))).toEqual([2, 0]);
+
+      const duration = (anmf) => anmf.payload[12] | (anmf.payload[13] << 8) | (anmf.payload[14] << 16);
+      expect(duration(chunks[2])).toBe(100);
+      expect(duration(chunks[3])).toBe(250);
+      expect(readRiffChunks(chunks[2].payload, 16).map(chunk => chunk.type)).toEqual(['VP8 ']);
+    });
+
+    test('浏览器无法编码 WebP 时报错', async () => {
+      // 模拟浏览器不支持编码 WebP、退回 PNG 的情况
+      const canvas = createCanvas(2, 2);
+      const original = canvas.toBlob;
+      canvas.toBlob = (callback) => callback(new Blob(['x'], { type: 'image/png' }));
+      try {
+        await expect(AnimationCodec.encodeWebp([{ canvas, delay: 100 }], 0, 0.8)).rejects.toThrow('WebP');
+      } finally {
+        canvas.toBlob = original;
+      }
+    });
+  });
+
+  describe('decodeFrames', () => {
+    afterEach(() => {
+      delete globalThis.ImageDecoder;
+    });
+
+    test('支持 WebCodecs 时逐帧解码并换算延迟', async () => {
+      const closed = [];
+      globalThis.ImageDecoder = class {
+        static async isTypeSupported(type) {
+          return type === 'image/webp';
+        }
+
+        constructor() {
+          this.tracks = { ready: Promise.resolve(), selectedTrack: { frameCount: 3, repetitionCount: Infinity } };
+        }
+
+        async decode({ frameIndex }) {
+          return { image: { displayWidth: 40, displayHeight: 30, duration: (frameIndex + 1) * 50000, close: () => closed.push(frameIndex) } };
+        }
+
+        close() {}
+      };
+
+      const result = await AnimationCodec.decodeFrames(new File(['x'], 'a.webp', { type: 'image/webp' }));
+
+      expect(result.loopCount).toBe(0);
+      expect(result.width).toBe(40);
+      expect(result.frames.map(frame => frame.delay)).toEqual([50, 100, 150]);
+      expect(result.frameCount).toBe(3);
+      expect(closed).toEqual([0, 1, 2]);
+    });
+
+    test('没有 WebCodecs 时 GIF 使用内置解析，WebP 返回 null', async () => {
+      const gif = createGif({ width: 2, height: 1, loopCount: 0, frames: [{ indices: [0, 1] }, { indices: [2, 3] }] });
+
+      const result = await AnimationCodec.decodeFrames(new File([gif], 'a.gif', { type: 'image/gif' }));
+
+      expect(result.frames).toHaveLength(2);
+      expect(result.frames[0].canvas.width).toBe(2);
+      expect(await AnimationCodec.decodeFrames(new File(['x'], 'a.webp', { type: 'image/webp' }))).toBeNull();
+    });
+
+    test('每解码一帧立即交给 mapFrame，只保存其返回的画布', async () => {
+      const gif = createGif({ width: 2, height: 1, loopCount: 0, frames: [{ indices: [0, 1] }, { indices: [2, 3] }] });
+      const mapped = [];
+
+      const result = await AnimationCodec.decodeFrames(new File([gif], 'a.gif', { type: 'image/gif' }), async (canvas) => {
+        const small = createCanvas(1, 1);
+        mapped.push(canvas.width);
+        return small;
+      });
+
+      expect(mapped).toEqual([2, 2]);
+      expect(result.frames.map(frame => frame.canvas.width)).toEqual([1, 1]);
+      expect(result.width).toBe(2);
+    });
+
+    test('超过 CONFIG.maxAnimationFrames 时只解码前面的帧，frameCount 为总帧数', async () => {
+      const original = CONFIG.maxAnimationFrames;
+      CONFIG.maxAnimationFrames = 2;
+      try {
+        const gif = createGif({ width: 2, height: 1, loopCount: 0, frames: [0, 1, 2].map(() => ({ indices: [0, 1] })) });
+        const result = await AnimationCodec.decodeFrames(new File([gif], 'a.gif', { type: 'image/gif' }));
+
+        expect(result.frames).toHaveLength(2);
+        expect(result.frameCount).toBe(3);
+      } finally {
+        CONFIG.maxAnimationFrames = original;
+      }
+    });
+  });
+
+  describe('ImageProcessor', () => {
+    const createInfo = (type = 'image/gif') => ({
+      file: new File(['x'], type === 'image/gif' ? 'sticker.gif' : 'sticker.webp', { type }),
+      width: 100,
+      height: 80,
+      size: 500 * 1024,
+      previewUrl: 'blob:test',
+      animated: true,
+      needsProcessing: true
+    });
+
+    test('保留动画时输出 GIF/WebP', () => {
+      const jpeg = { format: 'image/jpeg', extension: '.jpg' };
+
+      expect(ImageProcessor.resolveOutputFormat(createInfo('image/gif'), jpeg))
+        .toEqual({ format: 'image/gif', extension: '.gif' });
+      expect(ImageProcessor.resolveOutputFormat(createInfo('image/gif'), { format: 'image/webp', extension: '.webp' }))
+        .toEqual({ format: 'image/webp', extension: '.webp' });
+      expect(ImageProcessor.resolveOutputFormat(createInfo('image/gif'), { ...jpeg, animationMode: 'first-frame' }))
+        .toEqual({ format: 'image/jpeg', extension: '.jpg' });
+    });
+
+    test('只导出第一帧时动图总是需要处理', () => {
+      const info = { ...createInfo(), size: 1024 };
+      const userConfig = { width: 100, height: 80, maxSizeKB: 800 };
+
+      expect(ImageAnalyzer.needsProcessing(info, userConfig)).toBe(false);
+      expect(ImageAnalyzer.needsProcessing(info, { ...userConfig, animationMode: 'first-frame' })).toBe(true);
+    });
+
+    test('process 逐帧缩放并重新编码为动图', async () => {
+      const original = AnimationCodec.decodeFrames;
+      AnimationCodec.decodeFrames = async (file, mapFrame) => {
+        const frames = [];
+        for (const i of [1, 2, 3]) {
+          frames.push({ canvas: await mapFrame(createCanvas(100, 80)), delay: i * 100 });
+        }
+        return { width: 100, height: 80, loopCount: 0, frameCount: 3, frames };
+      };
+
+      try {
+        const result = await ImageProcessor.process(createInfo(), { format: 'image/jpeg', extension: '.jpg', width: 50 });
+
+        expect(result.outputFileName).toBe('sticker.gif');
+        expect(result.frameCount).toBe(3);
+        expect(result.sourceFrameCount).toBe(3);
+        expect(result.finalWidth).toBe(50);
+        expect(result.finalHeight).toBe(40);
+        expect(result.processedBlob.type).toBe('image/gif');
+
+        const decoded = FallbackDecoder.decodeGifFrames(await MetadataHandler.readBuffer(result.processedBlob));
+        expect(decoded.frames.map(frame => frame.delay)).toEqual([100, 200, 300]);
+        expect(decoded.width).toBe(50);
+      } finally {
+        AnimationCodec.decodeFrames = original;
+      }
+    });
+
+    test('帧数超过上限时结果记录总帧数，供卡片提示', async () => {
+      const original = AnimationCodec.decodeFrames;
+      AnimationCodec.decodeFrames = async (file, mapFrame) => ({
+        width: 100,
+        height: 80,
+        loopCount: 0,
+        frameCount: 800,
+        frames: [{ canvas: await mapFrame(createCanvas(100, 80)), delay: 100 }]
+      });
+
+      try {
+        const result = await ImageProcessor.process(createInfo(), { format: 'image/gif', extension: '.gif', width: 50 });
+
+        expect(result.frameCount).toBe(1);
+        expect(result.sourceFrameCount).toBe(800);
+      } finally {
+        AnimationCodec.decodeFrames = original;
+      }
+    });
+
+    test('无法逐帧解码时按静态图处理第一帧', async () => {
+      const result = await ImageProcessor.process(createInfo('image/webp'), { format: 'image/jpeg', extension: '.jpg', width: 50 });
+
+      expect(result.frameCount).toBeUndefined();
+      expect(result.outputFileName).toBe('sticker.webp');
+    });
+
+    test('first-frame 模式输出配置的静态格式', async () => {
+      const result = await ImageProcessor.process(createInfo(), {
+        format: 'image/jpeg', extension: '.jpg', width: 50, animationMode: 'first-frame'
+      });
+
+      expect(result.outputFileName).toBe('sticker.jpg');
+      expect(result.frameCount).toBeUndefined();
+    });
+
+    test('CONFIG 默认保留动画', () => {
+      expect(CONFIG.animationMode).toBe('preserve');
+      expect(ImageProcessor.getAnimationMode({ animationMode: 'unknown' })).toBe('preserve');
+    });
+  });
+});
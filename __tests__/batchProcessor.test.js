@@ -188,4 +188,268 @@ describe('BatchProcessor', () => {
       );
     }, 30000);
   });
+
+  describe('Concurrency', () => {
+    const userConfig = { format: 'image/jpeg', maxSizeKB: 800, extension: '.jpg' };
+
+    // 模拟线程池：按相反顺序完成任务
+    const createReversePool = (size) => {
+      const pending = [];
+      return {
+        size,
+        run(imageInfo) {
+          return new Promise(resolve => {
+            pending.push(() => resolve({
+              originalFile: imageInfo.file,
+              processedBlob: new Blob(['processed']),
+              finalSize: 1,
+              wasProcessed: true
+            }));
+            if (pending.length === size) {
+              pending.splice(0).reverse().forEach(done => done());
+            }
+          });
+        }
+      };
+    };
+
+    test('使用线程池时结果顺序应与输入顺序一致', async () => {
+      const images = Array.from({ length: 4 }, (_, i) => createMockImageInfo(i));
+      const results = await BatchProcessor.processAll(images, userConfig, () => {}, {
+        pool: createReversePool(2)
+      });
+
+      expect(results.map(r => r.originalFile.name)).toEqual(images.map(i => i.file.name));
+    });
+
+    test('完成回调中的 index 和 result 应对应同一张图片', async () => {
+      const images = Array.from({ length: 4 }, (_, i) => createMockImageInfo(i));
+      const mismatches = [];
+
+      await BatchProcessor.processAll(images, userConfig, (progress) => {
+        if (progress.result && progress.result.originalFile !== images[progress.index].file) {
+          mismatches.push(progress.index);
+        }
+      }, { pool: createReversePool(2) });
+
+      expect(mismatches).toEqual([]);
+    });
+
+    test('线程池任务失败时应记录错误并继续处理', async () => {
+      const images = Array.from({ length: 3 }, (_, i) => createMockImageInfo(i));
+      const pool = {
+        size: 2,
+        run: async (imageInfo) => {
+          if (imageInfo.file.name === 'image1.jpg') {
+            throw new Error('decode failed');
+          }
+          return { originalFile: imageInfo.file, processedBlob: new Blob(['x']), wasProcessed: true };
+        }
+      };
+
+      const results = await BatchProcessor.processAll(images, userConfig, () => {}, { pool });
+
+      expect(results[1].error).toBe('decode failed');
+      expect(results[0].processedBlob).not.toBeNull();
+      expect(results[2].processedBlob).not.toBeNull();
+    });
+  });
+
+  describe('Pause / Resume / Cancel', () => {
+    const userConfig = { format: 'image/jpeg', maxSizeKB: 800, extension: '.jpg' };
+
+    test('取消后不再开始新的图片，已完成的结果保留', async () => {
+      const images = Array.from({ length: 5 }, (_, i) => createMockImageInfo(i));
+      const controller = BatchProcessor.createController();
+
+      const results = await BatchProcessor.processAll(images, userConfig, (progress) => {
+        if (progress.result && progress.completed === 2) {
+          controller.cancel();
+        }
+      }, { controller });
+
+      expect(results.filter(Boolean)).toHaveLength(2);
+      expect(results[0].processedBlob).not.toBeNull();
+      expect(results[2]).toBeUndefined();
+    });
+
+    test('支持标准 AbortSignal', async () => {
+      const images = Array.from({ length: 3 }, (_, i) => createMockImageInfo(i));
+      const abortController = new AbortController();
+      abortController.abort();
+
+      const results = await BatchProcessor.processAll(images, userConfig, () => {}, {
+        signal: abortController.signal
+      });
+
+      expect(results.filter(Boolean)).toHaveLength(0);
+    });
+
+    test('暂停时应等待继续后再处理下一张', async () => {
+      const images = Array.from({ length: 3 }, (_, i) => createMockImageInfo(i));
+      const controller = BatchProcessor.createController();
+      let completed = 0;
+
+      const promise = BatchProcessor.processAll(images, userConfig, (progress) => {
+        completed = progress.completed;
+        if (progress.result && progress.completed === 1) {
+          controller.pause();
+        }
+      }, { controller });
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(controller.paused).toBe(true);
+      expect(completed).toBe(1);
+
+      controller.resume();
+      const results = await promise;
+
+      expect(completed).toBe(3);
+      expect(results).toHaveLength(3);
+    });
+
+    test('暂停中取消应立即结束', async () => {
+      const images = Array.from({ length: 3 }, (_, i) => createMockImageInfo(i));
+      const controller = BatchProcessor.createController();
+      controller.pause();
+
+      const promise = BatchProcessor.processAll(images, userConfig, () => {}, { controller });
+      controller.cancel();
+      const results = await promise;
+
+      expect(results.filter(Boolean)).toHaveLength(0);
+      expect(controller.paused).toBe(false);
+    });
+  });
+
+  describe('Per-image overrides', () => {
+    const userConfig = { format: 'image/jpeg', maxSizeKB: 800, extension: '.jpg', width: 750, height: 750 };
+
+    test('没有覆盖设置时应返回原配置', () => {
+      const info = createMockImageInfo(0);
+      expect(BatchProcessor.applyOverrides(info, userConfig)).toBe(userConfig);
+    });
+
+    test('覆盖格式时应同时更新扩展名', () => {
+      const info = { ...createMockImageInfo(0), overrides: { format: 'image/png', maxSizeKB: 200 } };
+      const config = BatchProcessor.applyOverrides(info, userConfig);
+
+      expect(config.format).toBe('image/png');
+      expect(config.extension).toBe('.png');
+      expect(config.maxSizeKB).toBe(200);
+      expect(config.width).toBe(750);
+    });
+
+    test('配置了变体时应按覆盖后的格式重新生成', () => {
+      const info = { ...createMockImageInfo(0), overrides: { format: 'image/webp' } };
+      const config = BatchProcessor.applyOverrides(info, {
+        ...userConfig,
+        variantWidths: [375],
+        variants: [{ width: 375, format: 'image/jpeg', extension: '.jpg' }]
+      });
+
+      expect(config.variants).toEqual([{ width: 375, format: 'image/webp', extension: '.webp' }]);
+    });
+
+    test('processAll 应使用每张图片的覆盖设置', async () => {
+      const received = [];
+      const mockProcess = ImageProcessor.process;
+      ImageProcessor.process = async (imageInfo, config) => {
+        received.push({ name: imageInfo.file.name, format: config.format, needsProcessing: imageInfo.needsProcessing });
+        return mockProcess(imageInfo, config);
+      };
+
+      try {
+        const images = [
+          createMockImageInfo(0),
+          { ...createMockImageInfo(1, false), overrides: { format: 'image/png', width: 500 } }
+        ];
+        await BatchProcessor.processAll(images, userConfig, () => {});
+      } finally {
+        ImageProcessor.process = mockProcess;
+      }
+
+      expect(received).toEqual([
+        { name: 'image0.jpg', format: 'image/jpeg', needsProcessing: true },
+        { name: 'image1.jpg', format: 'image/png', needsProcessing: false }
+      ]);
+    });
+  });
+
+  describe('Retry / Reprocess', () => {
+    const userConfig = { format: 'image/jpeg', maxSizeKB: 800, extension: '.jpg' };
+    const createImages = () => ['completed', 'error', 'skipped', 'error'].map((status, index) => ({
+      ...createMockImageInfo(index),
+      id: `id-${index}`,
+      folderPath: 'photos',
+      status
+    }));
+
+    test('storeResult 替换同一图片之前的结果而不是追加', () => {
+      const resultsByFolder = new Map();
+      const [first, second] = createImages();
+
+      BatchProcessor.storeResult(resultsByFolder, first, { outputFileName: 'a.jpg', finalSize: 300 });
+      BatchProcessor.storeResult(resultsByFolder, second, { error: '图片加载失败' });
+      const folderResults = BatchProcessor.storeResult(resultsByFolder, second, { outputFileName: 'b.jpg', finalSize: 200 });
+
+      expect(folderResults).toBe(resultsByFolder.get('photos'));
+      expect(folderResults).toHaveLength(2);
+      expect(folderResults.map(r => r.imageId)).toEqual(['id-0', 'id-1']);
+      expect(folderResults[1]).toMatchObject({ outputFileName: 'b.jpg', folderPath: 'photos' });
+      expect(folderResults[1].error).toBeUndefined();
+    });
+
+    test('没有文件夹路径的结果归入“未分类”', () => {
+      const resultsByFolder = new Map();
+      BatchProcessor.storeResult(resultsByFolder, { id: 'x' }, {});
+
+      expect([...resultsByFolder.keys()]).toEqual(['未分类']);
+    });
+
+    test('resolveCollisions 按图片顺序为重名文件加后缀，与完成顺序无关', () => {
+      const images = createImages();
+      const resultsByFolder = new Map();
+      // 后面的图片先完成
+      [images[2], images[0], images[3]].forEach(info => BatchProcessor.storeResult(resultsByFolder, info, {
+        outputFileName: 'same.jpg',
+        processedBlob: new Blob(['x'])
+      }));
+      BatchProcessor.storeResult(resultsByFolder, { id: 'other', folderPath: 'misc' }, {
+        outputFileName: 'same.jpg',
+        processedBlob: new Blob(['x'])
+      });
+
+      const renamed = BatchProcessor.resolveCollisions(resultsByFolder, images);
+
+      expect(renamed).toBe(2);
+      expect(resultsByFolder.get('photos').map(r => [r.imageId, r.outputFileName])).toEqual([
+        ['id-0', 'same.jpg'],
+        ['id-2', 'same-1.jpg'],
+        ['id-3', 'same-2.jpg']
+      ]);
+      expect(resultsByFolder.get('misc')[0].outputFileName).toBe('same.jpg');
+    });
+
+    test('重试只重新处理状态为 error 的图片', async () => {
+      const images = createImages();
+      const resultsByFolder = new Map();
+      images.forEach(info => BatchProcessor.storeResult(resultsByFolder, info, { previous: true }));
+
+      const failed = BatchProcessor.getFailedImages(images);
+      const processed = [];
+      await BatchProcessor.processAll(failed, userConfig, (progress) => {
+        if (progress.result) {
+          processed.push(failed[progress.index].id);
+          BatchProcessor.storeResult(resultsByFolder, failed[progress.index], progress.result);
+        }
+      });
+
+      expect(failed.map(info => info.id)).toEqual(['id-1', 'id-3']);
+      expect(processed).toEqual(['id-1', 'id-3']);
+      const folderResults = resultsByFolder.get('photos');
+      expect(folderResults).toHaveLength(4);
+      expect(folderResults.map(r => !!r.previous)).toEqual([true, false, true, false]);
+    });
+  });
 });
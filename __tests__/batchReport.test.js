@@ -0,0 +1,110 @@
+/**
+ * BatchReport 单元测试
+ */
+
+import { BatchReport, ZipExporter, ImageProcessor } from '../app.js';
+
+const createResult = (name, extra = {}) => ({
+  originalFile: new File(['x'], name),
+  processedBlob: new Blob(['x']),
+  outputFileName: name.replace(/\.\w+$/, '.jpg'),
+  folderPath: 'shop',
+  originalWidth: 2000,
+  originalHeight: 1000,
+  originalSize: 1000 * 1024,
+  finalWidth: 750,
+  finalHeight: 375,
+  finalSize: 250 * 1024,
+  quality: 0.8125,
+  targetSizeKB: 300,
+  wasProcessed: true,
+  ...extra
+});
+
+const results = () => [
+  createResult('a.png'),
+  createResult('b.jpg', { wasProcessed: false, originalSize: 100 * 1024, finalSize: 100 * 1024, quality: null }),
+  createResult('c.jpg', { finalSize: 400 * 1024, quality: 0.1 }),
+  { originalFile: new File(['x'], 'd.jpg'), processedBlob: null, error: '图片加载失败', wasProcessed: false, folderPath: 'shop' }
+];
+
+describe('BatchReport', () => {
+  test('buildRows 应该包含尺寸、大小、质量和错误信息', () => {
+    const [a, , c, d] = BatchReport.buildRows(results());
+
+    expect(a).toMatchObject({
+      file: 'a.png',
+      folder: 'shop',
+      status: 'processed',
+      originalWidth: 2000,
+      finalWidth: 750,
+      savedPercent: 75,
+      quality: 0.81,
+      targetMet: true,
+      outputs: ['a.jpg']
+    });
+    expect(c.targetMet).toBe(false);
+    expect(d).toMatchObject({ status: 'failed', finalSize: null, targetMet: null, error: '图片加载失败' });
+  });
+
+  test('summarize 应该统计数量和节省比例，失败的图片不计入大小', () => {
+    const summary = BatchReport.summarize(results());
+
+    expect(summary).toMatchObject({
+      total: 4,
+      processed: 2,
+      skipped: 1,
+      failed: 1,
+      inputSize: 2100 * 1024,
+      outputSize: 750 * 1024,
+      overTarget: ['c.jpg']
+    });
+    expect(summary.savedPercent).toBeCloseTo(64.3, 1);
+  });
+
+  test('多变体结果只要有一个变体超出目标就算未达标', () => {
+    const variants = [createResult('a.png'), createResult('a.png', { finalSize: 301 * 1024 })];
+    const [row] = BatchReport.buildRows([{ ...createResult('a.png'), variants }]);
+    expect(row.targetMet).toBe(false);
+    expect(row.outputs).toHaveLength(2);
+  });
+
+  test('toCSV 应该带 BOM 并转义逗号和引号', () => {
+    const csv = BatchReport.toCSV([createResult('a,"b".png', { error: '' })]);
+    const lines = csv.split('\r\n');
+
+    expect(csv.charCodeAt(0)).toBe(0xFEFF);
+    expect(lines[0]).toContain('原文件名,文件夹,状态');
+    expect(lines[1].startsWith('"a,""b"".png",shop,processed,2000,1000,750,375')).toBe(true);
+  });
+
+  test('toJSON 应该包含汇总和明细', () => {
+    const report = JSON.parse(BatchReport.toJSON(results(), new Date('2024-01-02T03:04:05Z')));
+    expect(report.generatedAt).toBe('2024-01-02T03:04:05.000Z');
+    expect(report.summary.total).toBe(4);
+    expect(report.items).toHaveLength(4);
+  });
+
+  test('ZIP 中应该在根目录附带报告', () => {
+    const entries = ZipExporter.planEntries(new Map([['shop', results()]]), { report: true, rootFolder: 'out' });
+    const reports = entries.filter(e => e.fileName.startsWith('report.'));
+
+    expect(reports.map(e => `${e.dir}/${e.fileName}`)).toEqual(['out/report.csv', 'out/report.json']);
+  });
+
+  test('处理结果应该记录原图信息、压缩质量和目标大小', async () => {
+    const info = {
+      file: new File(['x'], 'a.png', { type: 'image/png' }),
+      width: 1000,
+      height: 800,
+      size: 900 * 1024,
+      previewUrl: 'blob:a',
+      needsProcessing: true
+    };
+    const result = await ImageProcessor.process(info, { maxSizeKB: 300, format: 'image/jpeg', extension: '.jpg' });
+
+    expect(result).toMatchObject({ originalWidth: 1000, originalHeight: 800, originalSize: 900 * 1024, targetSizeKB: 300 });
+    expect(result.quality).toBeGreaterThan(0.1);
+    expect(result.quality).toBeLessThan(1);
+  });
+});
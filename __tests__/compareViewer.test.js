@@ -0,0 +1,186 @@
+/**
+ * CompareViewer 单元测试和属性测试
+ */
+
+import fc from 'fast-check';
+import { CompareViewer, ImageProcessor } from '../app.js';
+
+const createPixels = (values) => ({ data: Uint8ClampedArray.from(values) });
+
+describe('CompareViewer', () => {
+  describe('heatColor', () => {
+    test('无差异为黑色，最大差异为白色', () => {
+      expect(CompareViewer.heatColor(0)).toEqual([0, 0, 0]);
+      expect(CompareViewer.heatColor(1)).toEqual([255, 255, 255]);
+      expect(CompareViewer.heatColor(2)).toEqual([255, 255, 255]);
+    });
+
+    test('中间差异依次经过红色和黄色', () => {
+      expect(CompareViewer.heatColor(1 / 3)).toEqual([255, 0, 0]);
+      expect(CompareViewer.heatColor(2 / 3)).toEqual([255, 255, 0]);
+    });
+  });
+
+  describe('computeDiff', () => {
+    test('相同像素的差异为 0', () => {
+      const pixels = createPixels([10, 20, 30, 255, 40, 50, 60, 255]);
+      const diff = CompareViewer.computeDiff(pixels, pixels);
+
+      expect(diff.mean).toBe(0);
+      expect(diff.max).toBe(0);
+      expect(Array.from(diff.data)).toEqual([0, 0, 0, 255, 0, 0, 0, 255]);
+    });
+
+    test('每个像素取各通道中最大的差值', () => {
+      const before = createPixels([10, 20, 30, 255, 0, 0, 0, 255]);
+      const after = createPixels([12, 20, 25, 255, 0, 0, 0, 200]);
+      const diff = CompareViewer.computeDiff(before, after, 1);
+
+      expect(diff.max).toBe(55);
+      expect(diff.mean).toBe((5 + 55) / 2);
+    });
+
+    test('差异按放大倍数映射到热力图', () => {
+      const before = createPixels([0, 0, 0, 255]);
+      const after = createPixels([32, 0, 0, 255]);
+
+      // 32 × 8 / 255 ≈ 1，接近白色
+      expect(Array.from(CompareViewer.computeDiff(before, after, 8).data.slice(0, 3))).toEqual([255, 255, 255]);
+      expect(CompareViewer.computeDiff(before, after, 1).data[1]).toBe(0);
+    });
+  });
+
+  describe('zoomAt / clampView', () => {
+    test('缩放后鼠标下的图片内容保持不动', () => {
+      const view = CompareViewer.zoomAt({ scale: 1, x: 0, y: 0 }, 2, { x: 100, y: 50 }, 400, 300);
+
+      expect(view).toEqual({ scale: 2, x: -100, y: -50 });
+    });
+
+    test('缩放倍数限制在 1 到 maxZoom 之间', () => {
+      const zoomedOut = CompareViewer.zoomAt({ scale: 1, x: 0, y: 0 }, 0.5, { x: 10, y: 10 }, 400, 300);
+      const zoomedIn = CompareViewer.zoomAt({ scale: 10, x: 0, y: 0 }, 4, { x: 0, y: 0 }, 400, 300);
+
+      expect(zoomedOut).toEqual({ scale: 1, x: 0, y: 0 });
+      expect(zoomedIn.scale).toBe(CompareViewer.maxZoom);
+    });
+
+    test('属性: 平移后图片始终铺满舞台', () => {
+      fc.assert(
+        fc.property(
+          fc.double({ min: 1, max: 16, noNaN: true }),
+          fc.double({ min: -10000, max: 10000, noNaN: true }),
+          fc.double({ min: -10000, max: 10000, noNaN: true }),
+          (scale, x, y) => {
+            const view = CompareViewer.clampView({ scale, x, y }, 400, 300);
+            return view.x <= 0 && view.y <= 0 &&
+              view.x + 400 * scale >= 400 - 1e-9 &&
+              view.y + 300 * scale >= 300 - 1e-9;
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('ImageProcessor.renderCanvas', () => {
+    test('应按配置输出未编码的画布', async () => {
+      // setup.js 中的 Image mock 尺寸为 1000 × 800
+      const canvas = await ImageProcessor.renderCanvas({
+        file: new File(['test'], 'photo.jpg', { type: 'image/jpeg' }),
+        width: 1000,
+        height: 800,
+        previewUrl: 'blob:test'
+      }, { width: 500 });
+
+      expect(canvas.width).toBe(500);
+      expect(canvas.height).toBe(400);
+    });
+  });
+
+  describe('ImageProcessor.renderReference', () => {
+    const createInfo = (hasAlpha) => ({
+      file: new File(['test'], 'logo.png', { type: 'image/png' }),
+      width: 1000,
+      height: 800,
+      previewUrl: 'blob:test',
+      hasAlpha
+    });
+
+    const record = async (fn) => {
+      const calls = [];
+      const originalFlatten = ImageProcessor.flattenCanvas;
+      const originalWatermark = ImageProcessor.applyWatermark;
+      ImageProcessor.flattenCanvas = function(canvas, color) {
+        calls.push(['flatten', color]);
+        return originalFlatten.call(this, canvas, color);
+      };
+      ImageProcessor.applyWatermark = async (canvas, options) => {
+        calls.push(['watermark', options.text]);
+        return canvas;
+      };
+      try {
+        await fn();
+      } finally {
+        ImageProcessor.flattenCanvas = originalFlatten;
+        ImageProcessor.applyWatermark = originalWatermark;
+      }
+      return calls;
+    };
+
+    test('透明原图输出为不支持透明的格式时铺背景色，并在之前绘制水印', async () => {
+      const config = { width: 500, backgroundColor: '#ff0000', watermarkType: 'text', watermarkText: 'SHOP' };
+      const calls = await record(() => ImageProcessor.renderReference(createInfo(true), config, 'image/jpeg'));
+
+      expect(calls).toEqual([['watermark', 'SHOP'], ['flatten', '#ff0000']]);
+    });
+
+    test('输出支持透明或原图不透明时不铺背景色', async () => {
+      const calls = await record(async () => {
+        await ImageProcessor.renderReference(createInfo(true), { width: 500 }, 'image/png');
+        await ImageProcessor.renderReference(createInfo(false), { width: 500 }, 'image/jpeg');
+      });
+
+      expect(calls).toEqual([]);
+    });
+  });
+
+  describe('open', () => {
+    test('响应式变体按生成该变体的配置重绘原图', async () => {
+      CompareViewer.modal = document.createElement('div');
+      CompareViewer.canvas = document.createElement('canvas');
+      CompareViewer.caption = document.createElement('div');
+      CompareViewer.heatmapInput = document.createElement('input');
+      const info = {
+        file: new File(['test'], 'photo.jpg', { type: 'image/jpeg' }),
+        width: 1000,
+        height: 800,
+        previewUrl: 'blob:test',
+        needsProcessing: true
+      };
+      const userConfig = { width: 1000, height: 800, format: 'image/webp', extension: '.webp', watermarkType: 'text', watermarkText: 'SHOP' };
+      userConfig.variants = ImageProcessor.buildVariants({ ...userConfig, variantWidths: [400, 800] });
+      const result = await ImageProcessor.processVariants(info, userConfig);
+
+      const configs = [];
+      const original = ImageProcessor.renderReference;
+      const originalRender = CompareViewer.render;
+      CompareViewer.render = () => {};
+      ImageProcessor.renderReference = async (imageInfo, config, format) => {
+        configs.push(config);
+        return original.call(ImageProcessor, imageInfo, config, format);
+      };
+      try {
+        await CompareViewer.open(info, result, userConfig, '');
+      } finally {
+        ImageProcessor.renderReference = original;
+        CompareViewer.render = originalRender;
+        CompareViewer.close();
+      }
+
+      expect(result.variant.width).toBe(400);
+      expect(configs).toHaveLength(1);
+      expect(configs[0]).toMatchObject({ width: 400, height: 320, format: 'image/webp', watermarkText: 'SHOP' });
+    });
+  });
+});
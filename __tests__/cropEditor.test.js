@@ -0,0 +1,79 @@
+/**
+ * CropEditor 几何计算单元测试
+ */
+
+import fc from 'fast-check';
+import { CropEditor } from '../app.js';
+
+describe('CropEditor', () => {
+  describe('constrainRect', () => {
+    test('自由比例时应返回拖拽范围', () => {
+      const rect = CropEditor.constrainRect({ x: 100, y: 50 }, { x: 300, y: 250 }, null, 1000, 800);
+      expect(rect).toEqual({ x: 100, y: 50, width: 200, height: 200 });
+    });
+
+    test('反向拖拽应得到正确的左上角', () => {
+      const rect = CropEditor.constrainRect({ x: 300, y: 250 }, { x: 100, y: 50 }, null, 1000, 800);
+      expect(rect).toEqual({ x: 100, y: 50, width: 200, height: 200 });
+    });
+
+    test('锁定 16:9 时应保持比例', () => {
+      const rect = CropEditor.constrainRect({ x: 0, y: 0 }, { x: 320, y: 10 }, 16 / 9, 1000, 800);
+      expect(rect).toEqual({ x: 0, y: 0, width: 320, height: 180 });
+    });
+
+    test('属性: 锁定比例的裁剪框不超出图片', () => {
+      const coordArb = fc.integer({ min: -200, max: 1200 });
+      const ratioArb = fc.constantFrom(1, 4 / 3, 3 / 4, 16 / 9, 9 / 16);
+      fc.assert(
+        fc.property(coordArb, coordArb, coordArb, coordArb, ratioArb, (x0, y0, x1, y1, ratio) => {
+          const rect = CropEditor.constrainRect({ x: x0, y: y0 }, { x: x1, y: y1 }, ratio, 1000, 800);
+          return rect.x >= 0 && rect.y >= 0 &&
+                 rect.x + rect.width <= 1000 && rect.y + rect.height <= 800;
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('centeredRect', () => {
+    test('应返回居中的最大 1:1 区域', () => {
+      expect(CropEditor.centeredRect(1, 1000, 800)).toEqual({ x: 100, y: 0, width: 800, height: 800 });
+    });
+  });
+
+  describe('rotateEdits / flipEdits', () => {
+    const edits = {
+      rotation: 0,
+      flipH: false,
+      flipV: false,
+      crop: { x: 100, y: 50, width: 200, height: 300 },
+      focalPoint: { x: 0.2, y: 0.3 }
+    };
+
+    test('顺时针旋转应同步旋转裁剪框和焦点', () => {
+      const rotated = CropEditor.rotateEdits(edits, 90, 1000, 800);
+      expect(rotated.rotation).toBe(90);
+      expect(rotated.crop).toEqual({ x: 450, y: 100, width: 300, height: 200 });
+      expect(rotated.focalPoint.x).toBeCloseTo(0.7);
+      expect(rotated.focalPoint.y).toBeCloseTo(0.2);
+    });
+
+    test('左转再右转应还原', () => {
+      const left = CropEditor.rotateEdits(edits, -90, 1000, 800);
+      const back = CropEditor.rotateEdits(left, 90, 800, 1000);
+      expect(back.rotation).toBe(0);
+      expect(back.crop).toEqual(edits.crop);
+      expect(back.focalPoint.x).toBeCloseTo(0.2);
+      expect(back.focalPoint.y).toBeCloseTo(0.3);
+    });
+
+    test('旋转 90° 后水平翻转应翻转原图的垂直方向', () => {
+      const flipped = CropEditor.flipEdits({ ...edits, rotation: 90 }, 'horizontal', 800, 1000);
+      expect(flipped.flipV).toBe(true);
+      expect(flipped.flipH).toBe(false);
+      expect(flipped.crop.x).toBe(500);
+      expect(flipped.focalPoint.x).toBeCloseTo(0.8);
+    });
+  });
+});
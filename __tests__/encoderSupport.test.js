@@ -0,0 +1,222 @@
+/**
+ * 编码能力检测与格式兜底测试
+ */
+
+import { EncoderSupport, ImageProcessor, AnimationCodec, CONFIG } from '../app.js';
+
+// 模拟浏览器的 toBlob：unsupported 中的格式改为输出 PNG，nullFormats 中的格式返回 null
+const withEncoder = async ({ unsupported = [], nullFormats = [] }, fn) => {
+  const original = HTMLCanvasElement.prototype.toBlob;
+  HTMLCanvasElement.prototype.toBlob = function(callback, format, quality) {
+    if (nullFormats.includes(format)) {
+      callback(null);
+      return;
+    }
+    const type = unsupported.includes(format) ? 'image/png' : format;
+    const size = quality ? Math.floor(500000 * quality) : 300000;
+    callback(new Blob(['x'.repeat(size)], { type }));
+  };
+  try {
+    return await fn();
+  } finally {
+    HTMLCanvasElement.prototype.toBlob = original;
+  }
+};
+
+// setup.js 中的 Image mock 尺寸为 1000 × 800
+const createImageInfo = () => ({
+  file: new File(['test'], 'photo.jpg', { type: 'image/jpeg' }),
+  width: 1000,
+  height: 800,
+  size: 900 * 1024,
+  previewUrl: 'blob:test',
+  hasAlpha: false,
+  needsProcessing: true
+});
+
+describe('EncoderSupport', () => {
+  let originalSupport;
+
+  beforeEach(() => {
+    originalSupport = { ...EncoderSupport.support };
+  });
+
+  afterEach(() => {
+    EncoderSupport.support = originalSupport;
+  });
+
+  describe('probe', () => {
+    test('输出了其他格式或返回 null 的格式为不支持', async () => {
+      const support = await withEncoder({ unsupported: ['image/avif'], nullFormats: ['image/webp'] }, () =>
+        EncoderSupport.probe()
+      );
+
+      expect(support).toMatchObject({
+        'image/jpeg': true,
+        'image/png': true,
+        'image/webp': false,
+        'image/avif': false
+      });
+      expect(EncoderSupport.isSupported('image/avif')).toBe(false);
+    });
+
+    test('未检测的格式视为可用，GIF 总是可用', () => {
+      expect(EncoderSupport.isSupported('image/avif')).toBe(true);
+      expect(EncoderSupport.isSupported('image/gif')).toBe(true);
+    });
+  });
+
+  describe('resolve', () => {
+    test('按 CONFIG.formatFallbackOrder 换用第一个可编码的格式', () => {
+      EncoderSupport.support['image/avif'] = false;
+      expect(EncoderSupport.resolve('image/avif')).toBe(CONFIG.formatFallbackOrder[0]);
+
+      EncoderSupport.support['image/webp'] = false;
+      expect(EncoderSupport.resolve('image/avif')).toBe('image/jpeg');
+      expect(EncoderSupport.resolve('image/jpeg')).toBe('image/jpeg');
+    });
+
+    test('可指定候选格式，都不可用时使用 PNG', () => {
+      EncoderSupport.support['image/webp'] = false;
+      expect(EncoderSupport.resolve('image/webp', ['image/gif'])).toBe('image/gif');
+      expect(EncoderSupport.resolve('image/webp', ['image/avif', 'image/webp'])).toBe('image/avif');
+
+      EncoderSupport.support['image/avif'] = false;
+      expect(EncoderSupport.resolve('image/webp', ['image/avif'])).toBe('image/png');
+    });
+
+    test('actualFormat 以 Blob 的实际类型为准', () => {
+      expect(EncoderSupport.actualFormat(new Blob(['x'], { type: 'image/png' }), 'image/avif')).toBe('image/png');
+      expect(EncoderSupport.actualFormat(new Blob(['x']), 'image/avif')).toBe('image/avif');
+    });
+  });
+
+  describe('ImageProcessor', () => {
+    test('resolveOutputFormat 换用可编码的格式和对应扩展名', () => {
+      EncoderSupport.support['image/avif'] = false;
+      const info = createImageInfo();
+
+      expect(ImageProcessor.resolveOutputFormat(info, { format: 'image/avif', extension: '.avif' }))
+        .toEqual({ format: 'image/webp', extension: '.webp' });
+      expect(ImageProcessor.resolveOutputFormat(info, { format: 'image/jpeg', extension: '.jpeg' }))
+        .toEqual({ format: 'image/jpeg', extension: '.jpeg' });
+    });
+
+    test('保留动画时 WebP 无法编码改用 GIF', () => {
+      EncoderSupport.support['image/webp'] = false;
+      const info = { ...createImageInfo(), file: new File(['x'], 'a.webp', { type: 'image/webp' }), animated: true };
+
+      expect(ImageProcessor.resolveOutputFormat(info, { format: 'image/jpeg' }))
+        .toEqual({ format: 'image/gif', extension: '.gif' });
+    });
+
+    test('未检测时浏览器静默输出 PNG，文件名按实际格式', async () => {
+      const result = await withEncoder({ unsupported: ['image/avif'] }, () =>
+        ImageProcessor.process(createImageInfo(), { format: 'image/avif', extension: '.avif', maxSizeKB: 800 })
+      );
+
+      expect(result.processedBlob.type).toBe('image/png');
+      expect(result.outputFileName).toBe('photo.png');
+    });
+
+    test('检测到不支持时直接使用兜底格式编码', async () => {
+      EncoderSupport.support['image/avif'] = false;
+      const requested = [];
+      const result = await withEncoder({}, async () => {
+        const original = HTMLCanvasElement.prototype.toBlob;
+        HTMLCanvasElement.prototype.toBlob = function(callback, format, quality) {
+          requested.push(format);
+          return original.call(this, callback, format, quality);
+        };
+        return ImageProcessor.process(createImageInfo(), { format: 'image/avif', extension: '.avif', maxSizeKB: 800 });
+      });
+
+      expect(requested).not.toContain('image/avif');
+      expect(result.outputFileName).toBe('photo.webp');
+    });
+
+    test('toBlob 返回 null 时报错而不是返回空结果', async () => {
+      const canvas = document.createElement('canvas');
+
+      await withEncoder({ nullFormats: ['image/avif'] }, async () => {
+        await expect(ImageProcessor.canvasToBlob(canvas, 'image/avif', 0.8)).rejects.toThrow('image/avif');
+      });
+    });
+
+    describe('Worker 中使用配置传入的检测结果', () => {
+      // Worker 中的 EncoderSupport 未检测过，所有格式都视为可用
+      beforeEach(() => {
+        EncoderSupport.support = { 'image/gif': true };
+      });
+
+      test('process 按传入的结果换用兜底格式', async () => {
+        const requested = [];
+        const result = await withEncoder({ unsupported: ['image/avif'] }, async () => {
+          const original = HTMLCanvasElement.prototype.toBlob;
+          HTMLCanvasElement.prototype.toBlob = function(callback, format, quality) {
+            requested.push(format);
+            return original.call(this, callback, format, quality);
+          };
+          return ImageProcessor.process(createImageInfo(), {
+            format: 'image/avif', extension: '.avif', maxSizeKB: 800,
+            encoderSupport: { 'image/avif': false }
+          });
+        });
+
+        expect(requested).not.toContain('image/avif');
+        expect(result.outputFileName).toBe('photo.webp');
+      });
+
+      test('保留动画的 WebP 在无法编码 WebP 时输出 GIF，而不是编码失败', async () => {
+        const original = AnimationCodec.decodeFrames;
+        AnimationCodec.decodeFrames = async (file, mapFrame) => {
+          const canvas = document.createElement('canvas');
+          canvas.width = 4;
+          canvas.height = 4;
+          return { width: 4, height: 4, loopCount: 0, frameCount: 1, frames: [{ canvas: await mapFrame(canvas), delay: 100 }] };
+        };
+        const info = { ...createImageInfo(), file: new File(['x'], 'sticker.webp', { type: 'image/webp' }), animated: true };
+
+        try {
+          const result = await withEncoder({ unsupported: ['image/webp'] }, () => ImageProcessor.process(info, {
+            format: 'image/webp', extension: '.webp', maxSizeKB: 800, width: 4,
+            encoderSupport: { 'image/webp': false }
+          }));
+
+          expect(result.processedBlob.type).toBe('image/gif');
+          expect(result.outputFileName).toBe('sticker.gif');
+        } finally {
+          AnimationCodec.decodeFrames = original;
+        }
+      });
+    });
+
+    test('超限换格式时跳过无法编码的格式', async () => {
+      EncoderSupport.support['image/webp'] = false;
+      const canvas = document.createElement('canvas');
+      canvas.width = 100;
+      canvas.height = 100;
+      const encode = async (target, format) => ({
+        blob: new Blob([new Uint8Array(format === 'image/png' ? 40000 : 1000)]),
+        quality: null,
+        canvas: target,
+        format
+      });
+
+      const { sizeFallback } = await ImageProcessor.reduceToLimit(
+        await encode(canvas, 'image/png'), encode, 10, { oversizeFallback: 'format' }
+      );
+
+      expect(sizeFallback.attempts.map(attempt => attempt.format)).toEqual(['image/jpeg']);
+      expect(sizeFallback.format).toBe('image/jpeg');
+
+      // Worker 中未检测，以配置中的结果为准
+      EncoderSupport.support = { 'image/gif': true };
+      const { sizeFallback: inWorker } = await ImageProcessor.reduceToLimit(
+        await encode(canvas, 'image/png'), encode, 10,
+        { oversizeFallback: 'format', encoderSupport: { 'image/webp': false } }
+      );
+      expect(inWorker.attempts.map(attempt => attempt.format)).toEqual(['image/jpeg']);
+    });
+  });
+});
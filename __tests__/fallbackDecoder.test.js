@@ -0,0 +1,307 @@
+/**
+ * FallbackDecoder 单元测试：BMP/GIF 解析、解码器注册和无法原生解码时的回退
+ */
+
+import { readFileSync } from 'fs';
+import { FallbackDecoder, ImageAnalyzer, ImageProcessor, CONFIG } from '../app.js';
+
+const le16 = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+const le32 = (value) => [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, (value >>> 24) & 0xFF];
+const bytes = (...parts) => Uint8Array.from(parts.flatMap(part =>
+  typeof part === 'string' ? Array.from(part, c => c.charCodeAt(0)) : part
+));
+
+// 构造 BMP：14 字节文件头 + 40 字节信息头（+ 额外数据，如调色板或掩码）+ 像素行
+const createBmp = ({ width, height, bpp, compression = 0, extra = [], rows }) => {
+  const dataOffset = 54 + extra.length;
+  const pixels = rows.flat();
+  return bytes(
+    'BM', le32(dataOffset + pixels.length), le32(0), le32(dataOffset),
+    le32(40), le32(width), le32(height), le16(1), le16(bpp), le32(compression),
+    le32(pixels.length), le32(2835), le32(2835), le32(0), le32(0),
+    extra, pixels
+  ).buffer;
+};
+
+// 按 LSB 优先打包 LZW 编码，codes 为 [code, bitLength]
+const packCodes = (codes) => {
+  const out = [];
+  let buffer = 0;
+  let bits = 0;
+  codes.forEach(([code, size]) => {
+    buffer |= code << bits;
+    bits += size;
+    while (bits >= 8) {
+      out.push(buffer & 0xFF);
+      buffer >>>= 8;
+      bits -= 8;
+    }
+  });
+  if (bits > 0) out.push(buffer & 0xFF);
+  return out;
+};
+
+// 构造 4 色 GIF：每两个索引后插入清除码，使编码长度保持 3 位
+const createGif = ({ width, height, indices, transparent, interlaced = false }) => {
+  const codes = [];
+  indices.forEach((index, i) => {
+    if (i % 2 === 0) codes.push([4, 3]);
+    codes.push([index, 3]);
+  });
+  codes.push([5, 3]);
+  const data = packCodes(codes);
+  const gce = transparent === undefined ? [] : [0x21, 0xF9, 4, 0x01, 0, 0, transparent, 0];
+  return bytes(
+    'GIF89a', le16(width), le16(height), [0x81, 0, 0],
+    [255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255],
+    gce,
+    [0x2C], le16(0), le16(0), le16(width), le16(height), [interlaced ? 0x40 : 0],
+    [2, data.length], data, [0, 0x3B]
+  ).buffer;
+};
+
+const pixelsOf = (result) => Array.from(result.data);
+
+// 临时清空外部解码器地址，模拟未附带 HEIC/TIFF 解码器
+const withoutDecoderUrls = async (fn) => {
+  const original = CONFIG.decoderUrls;
+  CONFIG.decoderUrls = { 'image/heic': '', 'image/tiff': '' };
+  try {
+    return await fn();
+  } finally {
+    CONFIG.decoderUrls = original;
+  }
+};
+
+describe('FallbackDecoder', () => {
+  describe('decodeBmp', () => {
+    test('24 位 BMP 自下而上存储，每行按 4 字节对齐', () => {
+      // 2 × 2：下行 红、绿，上行 蓝、白；每行 6 字节补齐到 8 字节
+      const buffer = createBmp({
+        width: 2, height: 2, bpp: 24,
+        rows: [[0, 0, 255, 0, 255, 0, 0, 0], [255, 0, 0, 255, 255, 255, 0, 0]]
+      });
+
+      const result = FallbackDecoder.decodeBmp(buffer);
+
+      expect(result.width).toBe(2);
+      expect(result.height).toBe(2);
+      expect(pixelsOf(result)).toEqual([
+        0, 0, 255, 255, 255, 255, 255, 255,
+        255, 0, 0, 255, 0, 255, 0, 255
+      ]);
+    });
+
+    test('高度为负数时自上而下存储', () => {
+      const buffer = createBmp({
+        width: 1, height: -2, bpp: 24,
+        rows: [[0, 0, 255, 0], [255, 0, 0, 0]]
+      });
+
+      expect(pixelsOf(FallbackDecoder.decodeBmp(buffer))).toEqual([255, 0, 0, 255, 0, 0, 255, 255]);
+    });
+
+    test('1 位调色板 BMP 按位读取索引', () => {
+      // 调色板：0 黑、1 白；一行 0b10100000 → 白 黑 白
+      const buffer = createBmp({
+        width: 3, height: 1, bpp: 1,
+        extra: [0, 0, 0, 0, 255, 255, 255, 0],
+        rows: [[0b10100000, 0, 0, 0]]
+      });
+
+      expect(pixelsOf(FallbackDecoder.decodeBmp(buffer))).toEqual([
+        255, 255, 255, 255, 0, 0, 0, 255, 255, 255, 255, 255
+      ]);
+    });
+
+    test('32 位 BI_BITFIELDS 按掩码读取通道和透明度', () => {
+      // BI_ALPHABITFIELDS（6）的掩码依次为 R、G、B、A
+      const masks = [...le32(0x000000FF), ...le32(0x0000FF00), ...le32(0x00FF0000), ...le32(0xFF000000)];
+      const buffer = createBmp({
+        width: 1, height: 1, bpp: 32, compression: 6,
+        extra: masks,
+        rows: [[10, 20, 30, 128]]
+      });
+
+      expect(pixelsOf(FallbackDecoder.decodeBmp(buffer))).toEqual([10, 20, 30, 128]);
+    });
+
+    test('16 位默认 5-5-5 掩码扩展到 0~255', () => {
+      const buffer = createBmp({ width: 1, height: 1, bpp: 16, rows: [[...le16(0x7C00), 0, 0]] });
+
+      expect(pixelsOf(FallbackDecoder.decodeBmp(buffer))).toEqual([255, 0, 0, 255]);
+    });
+
+    test('RLE 压缩的 BMP 应报错', () => {
+      const buffer = createBmp({ width: 1, height: 1, bpp: 8, compression: 1, rows: [[0, 0, 0, 0]] });
+
+      expect(() => FallbackDecoder.decodeBmp(buffer)).toThrow();
+    });
+  });
+
+  describe('decodeGif', () => {
+    test('应解码第一帧的调色板索引', () => {
+      const result = FallbackDecoder.decodeGif(createGif({ width: 2, height: 2, indices: [0, 1, 2, 3] }));
+
+      expect(result.width).toBe(2);
+      expect(pixelsOf(result)).toEqual([
+        255, 0, 0, 255, 0, 255, 0, 255,
+        0, 0, 255, 255, 255, 255, 255, 255
+      ]);
+    });
+
+    test('透明色索引的像素为全透明', () => {
+      const result = FallbackDecoder.decodeGif(createGif({ width: 2, height: 1, indices: [1, 3], transparent: 1 }));
+
+      expect(pixelsOf(result)).toEqual([0, 0, 0, 0, 255, 255, 255, 255]);
+    });
+
+    test('隔行扫描的行按 0、4、2、1 遍的顺序还原', () => {
+      expect(FallbackDecoder.interlacedRows(8)).toEqual([0, 4, 2, 6, 1, 3, 5, 7]);
+
+      // 高度 3：存储顺序为第 0、2、1 行
+      const result = FallbackDecoder.decodeGif(createGif({ width: 1, height: 3, indices: [0, 1, 2], interlaced: true }));
+      expect(pixelsOf(result)).toEqual([255, 0, 0, 255, 0, 0, 255, 255, 0, 255, 0, 255]);
+    });
+
+    test('LZW 应处理引用尚未加入字典的编码（KwKwK）', () => {
+      // 清除码 4，索引 1，然后编码 6（= "1" + "1"），结束码 5
+      const data = Uint8Array.from(packCodes([[4, 3], [1, 3], [6, 3], [5, 3]]));
+
+      expect(Array.from(FallbackDecoder.lzwDecode(data, 2, 3))).toEqual([1, 1, 1]);
+    });
+
+    test('字典填满当前位宽后编码长度加 1', () => {
+      // 编码 6 加入 "1,1"，编码 6 之后加入 7，下一个编码改为 4 位
+      const data = Uint8Array.from(packCodes([[4, 3], [1, 3], [1, 3], [6, 3], [1, 4], [5, 4]]));
+
+      expect(Array.from(FallbackDecoder.lzwDecode(data, 2, 5))).toEqual([1, 1, 1, 1, 1]);
+    });
+  });
+
+  describe('register / canDecode', () => {
+    afterEach(() => {
+      FallbackDecoder.register('image/tiff', null);
+    });
+
+    test('BMP、GIF 内置解码器，HEIC/TIFF 使用附带的解码器模块，未配置地址时不可用', async () => {
+      expect(FallbackDecoder.canDecode('image/bmp')).toBe(true);
+      expect(FallbackDecoder.canDecode('image/gif')).toBe(true);
+      expect(FallbackDecoder.canDecode('image/tiff')).toBe(true);
+      expect(FallbackDecoder.canDecode('image/heic')).toBe(true);
+
+      await withoutDecoderUrls(() => {
+        expect(FallbackDecoder.canDecode('image/tiff')).toBe(false);
+        expect(FallbackDecoder.canDecode('image/heic')).toBe(false);
+      });
+    });
+
+    test('注册后使用注册的解码器', async () => {
+      let received = null;
+      FallbackDecoder.register('image/tiff', async (buffer) => {
+        received = buffer.byteLength;
+        return { width: 3, height: 2, data: new Uint8ClampedArray(24) };
+      });
+
+      const canvas = await FallbackDecoder.decode(new File([new Uint8Array(10)], 'scan.tif', { type: 'image/tiff' }));
+
+      expect(FallbackDecoder.canDecode('image/tiff')).toBe(true);
+      expect(received).toBe(10);
+      expect(canvas.width).toBe(3);
+      expect(canvas.height).toBe(2);
+    });
+
+    test('没有解码器时错误码为 no-decoder', async () => {
+      const file = new File(['x'], 'photo.heic', { type: 'image/heic' });
+
+      await withoutDecoderUrls(() => expect(FallbackDecoder.decode(file)).rejects.toMatchObject({ code: 'no-decoder' }));
+    });
+  });
+
+  describe('附带的 HEIC/TIFF 解码器', () => {
+    // 由 ffmpeg 从同一张 64 × 48 的图片编码（TIFF 为 Deflate 压缩，HEIC 为 libx265 单帧）：左上红、右上绿、左下蓝、右下白
+    const fixture = (name, type) => new File([readFileSync(new URL(`./fixtures/${name}`, import.meta.url))], name, { type });
+
+    // 记录解码结果写入画布的像素
+    const decodePixels = async (file) => {
+      const ctx = document.createElement('canvas').getContext('2d');
+      const original = ctx.putImageData;
+      let written = null;
+      ctx.putImageData = (imageData) => { written = imageData; };
+      try {
+        const canvas = await FallbackDecoder.decode(file);
+        return { canvas, written };
+      } finally {
+        ctx.putImageData = original;
+      }
+    };
+    const pixelAt = ({ width, data }, x, y) => Array.from(data.slice((y * width + x) * 4, (y * width + x) * 4 + 4));
+
+    test.each([
+      ['sample.tif', 'image/tiff', 0],
+      ['sample.heic', 'image/heic', 8]
+    ])('%s 通过 FallbackDecoder.decode 解码', async (name, type, tolerance) => {
+      const { canvas, written } = await decodePixels(fixture(name, type));
+
+      expect(canvas.width).toBe(64);
+      expect(canvas.height).toBe(48);
+      [[8, 8, [255, 0, 0, 255]], [56, 8, [0, 255, 0, 255]], [8, 40, [0, 0, 255, 255]], [56, 40, [255, 255, 255, 255]]]
+        .forEach(([x, y, expected]) => {
+          pixelAt(written, x, y).forEach((value, i) => {
+            expect(Math.abs(value - expected[i])).toBeLessThanOrEqual(tolerance);
+          });
+        });
+    });
+
+    test('无法解析的文件应该返回解码错误', async () => {
+      await expect(FallbackDecoder.decode(new File([new Uint8Array(16)], 'broken.heic', { type: 'image/heic' }))).rejects.toThrow();
+    });
+  });
+
+  describe('浏览器无法原生解码时的回退', () => {
+    let OriginalImage;
+
+    beforeEach(() => {
+      OriginalImage = global.Image;
+      global.Image = class {
+        set src(value) {
+          setTimeout(() => this.onerror && this.onerror(new Error('unsupported')), 0);
+        }
+      };
+    });
+
+    afterEach(() => {
+      global.Image = OriginalImage;
+    });
+
+    const bmpFile = () => new File([createBmp({
+      width: 2, height: 1, bpp: 24, rows: [[0, 0, 255, 0, 255, 0, 0, 0]]
+    })], 'scan.bmp', { type: 'image/bmp' });
+
+    test('analyze 使用解码器并保存无损 PNG', async () => {
+      const info = await ImageAnalyzer.analyze(bmpFile(), { width: 750, maxSizeKB: 800 });
+
+      expect(info.width).toBe(2);
+      expect(info.height).toBe(1);
+      expect(info.orientation).toBe(1);
+      expect(info.decodedBlob.type).toBe('image/png');
+      // 原始格式无法直接使用，总是需要转换
+      expect(info.needsProcessing).toBe(true);
+    });
+
+    test('analyze 没有解码器时拒绝并带上原因码', async () => {
+      const heic = new File(['x'], 'photo.heic', { type: 'image/heic' });
+      const jpeg = new File(['x'], 'broken.jpg', { type: 'image/jpeg' });
+
+      await withoutDecoderUrls(() => expect(ImageAnalyzer.analyze(heic)).rejects.toMatchObject({ code: 'no-decoder' }));
+      await expect(ImageAnalyzer.analyze(jpeg)).rejects.toMatchObject({ code: 'decode-failed' });
+    });
+
+    test('loadImage 原生加载失败时改用解码器', async () => {
+      const img = await ImageProcessor.loadImage({ file: bmpFile(), previewUrl: 'blob:test' });
+
+      expect(img.width).toBe(2);
+      expect(img.height).toBe(1);
+    });
+  });
+});
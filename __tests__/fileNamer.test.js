@@ -0,0 +1,147 @@
+/**
+ * FileNamer 单元测试和属性测试
+ */
+
+import fc from 'fast-check';
+import { FileNamer, BatchProcessor } from '../app.js';
+
+const createResult = (name, extra = {}) => ({
+  originalFile: new File(['x'], name, { type: 'image/png' }),
+  processedBlob: new Blob(['x'], { type: 'image/jpeg' }),
+  outputFileName: name.replace(/\.\w+$/, '.jpg'),
+  finalWidth: 750,
+  finalHeight: 500,
+  wasProcessed: true,
+  ...extra
+});
+
+describe('FileNamer', () => {
+  describe('format', () => {
+    const context = {
+      name: '产品图',
+      index: 7,
+      width: 750,
+      height: 500,
+      folder: '春季',
+      date: new Date(2024, 2, 5),
+      format: 'webp'
+    };
+
+    test('应该替换所有变量', () => {
+      expect(FileNamer.format('{folder}_{name}_{width}x{height}_{date}.{format}', context))
+        .toBe('春季_产品图_750x500_20240305.webp');
+    });
+
+    test('{index:03} 应该补零到 3 位', () => {
+      expect(FileNamer.format('img-{index:03}', context)).toBe('img-007');
+      expect(FileNamer.format('img-{index}', context)).toBe('img-7');
+    });
+
+    test('未知变量应该原样保留', () => {
+      expect(FileNamer.format('{name}-{unknown}', context)).toBe('产品图-{unknown}');
+    });
+  });
+
+  describe('transform', () => {
+    afterEach(() => {
+      delete global.pinyinPro;
+    });
+
+    test('slugify 应该把空格和符号替换为 -', () => {
+      expect(FileNamer.transform('My Photo (1) #final', { slugify: true })).toBe('My-Photo-1-final');
+      expect(FileNamer.transform('Café Crème', { slugify: true, lowercase: true })).toBe('cafe-creme');
+    });
+
+    test('应该替换文件名中的非法字符', () => {
+      expect(FileNamer.transform('a/b:c*d')).toBe('a_b_c_d');
+      expect(FileNamer.transform('   ')).toBe('image');
+    });
+
+    test('中文应该转写为拼音', () => {
+      const table = { 产: 'chan', 品: 'pin', 图: 'tu' };
+      global.pinyinPro = { pinyin: (text) => [...text].map(ch => table[ch]) };
+
+      expect(FileNamer.transform('产品图1', { pinyin: true })).toBe('chan-pin-tu-1');
+      expect(FileNamer.transform('IMG产品图', { pinyin: true, lowercase: true })).toBe('img-chan-pin-tu');
+    });
+
+    test('未加载拼音库时应该保留中文', () => {
+      expect(FileNamer.transform('产品图', { pinyin: true, slugify: true })).toBe('产品图');
+    });
+  });
+
+  describe('applyToResult', () => {
+    test('默认模板不应该改变文件名', () => {
+      const result = createResult('a.png');
+      FileNamer.applyToResult(result, { file: result.originalFile }, {});
+      expect(result.outputFileName).toBe('a.jpg');
+    });
+
+    test('应该保留输出扩展名并使用输出尺寸', () => {
+      const result = createResult('Summer Sale.png');
+      FileNamer.applyToResult(result, { file: result.originalFile, index: 2, folderPath: 'shop/banners' }, {
+        namingTemplate: '{folder}-{index:02}-{name}-{width}x{height}',
+        namingSlugify: true,
+        namingLowercase: true
+      });
+      expect(result.outputFileName).toBe('banners-02-summer-sale-750x500.jpg');
+    });
+
+    test('变体应该保留宽度后缀', () => {
+      const variants = [
+        { ...createResult('a.png'), outputFileName: 'a-375w.webp', finalWidth: 375 },
+        { ...createResult('a.png'), outputFileName: 'a-750w.webp', finalWidth: 750 }
+      ];
+      const result = { ...createResult('a.png'), variants };
+      FileNamer.applyToResult(result, { file: result.originalFile, index: 1 }, { namingTemplate: 'p{index:03}' });
+
+      expect(variants.map(v => v.outputFileName)).toEqual(['p001-375w.webp', 'p001-750w.webp']);
+      expect(result.outputFileName).toBe('p001-375w.webp');
+    });
+
+    test('BatchProcessor 应该对结果应用命名模板', async () => {
+      const file = new File(['x'], 'photo.jpg', { type: 'image/jpeg' });
+      const images = [{ file, index: 3, width: 750, height: 600, size: 1, previewUrl: 'blob:a', needsProcessing: false }];
+      const [result] = await BatchProcessor.processAll(images, { namingTemplate: 'shop-{index:03}' }, () => {});
+
+      expect(result.outputFileName).toBe('shop-003.jpg');
+    });
+  });
+
+  describe('resolveCollisions', () => {
+    test('a.png 和 a.jpg 都输出为 a.jpg 时应该追加后缀', () => {
+      const results = [createResult('a.png'), createResult('a.jpg'), createResult('A.jpeg')];
+      const renamed = FileNamer.resolveCollisions(results);
+
+      expect(renamed).toBe(2);
+      expect(results.map(r => r.outputFileName)).toEqual(['a.jpg', 'a-1.jpg', 'A-2.jpg']);
+      expect(results[1].renamedFrom).toBe('a.jpg');
+    });
+
+    test('重复调用应该得到相同结果，移除冲突后恢复原名', () => {
+      const results = [createResult('a.png'), createResult('a.jpg')];
+      FileNamer.resolveCollisions(results);
+      FileNamer.resolveCollisions(results);
+      expect(results[1].outputFileName).toBe('a-1.jpg');
+
+      FileNamer.resolveCollisions([results[1]]);
+      expect(results[1].outputFileName).toBe('a.jpg');
+      expect(results[1].renamedFrom).toBeUndefined();
+    });
+
+    test('属性: 去重后文件名互不相同（不区分大小写）', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.constantFrom('a.jpg', 'A.jpg', 'a-1.jpg', 'b.png', 'a'), { maxLength: 20 }),
+          (names) => {
+            const results = names.map(name => ({ ...createResult(name), outputFileName: name }));
+            FileNamer.resolveCollisions(results);
+            const lower = results.map(r => r.outputFileName.toLowerCase());
+            return new Set(lower).size === lower.length;
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -8,34 +8,6 @@ import fc from 'fast-check';
 import { FileValidator, CONFIG } from '../app.js';
 
 describe('FileValidator', () => {
-  describe('isValidImageFile', () => {
-    // 基本单元测试
-    test('应该接受 PNG 文件', () => {
-      const file = new File([''], 'test.png', { type: 'image/png' });
-      expect(FileValidator.isValidImageFile(file)).toBe(true);
-    });
-
-    test('应该接受 JPEG 文件', () => {
-      const file = new File([''], 'test.jpg', { type: 'image/jpeg' });
-      expect(FileValidator.isValidImageFile(file)).toBe(true);
-    });
-
-    test('应该拒绝 GIF 文件', () => {
-      const file = new File([''], 'test.gif', { type: 'image/gif' });
-      expect(FileValidator.isValidImageFile(file)).toBe(false);
-    });
-
-    test('应该拒绝非图片文件', () => {
-      const file = new File([''], 'test.txt', { type: 'text/plain' });
-      expect(FileValidator.isValidImageFile(file)).toBe(false);
-    });
-
-    test('应该拒绝 null 或 undefined', () => {
-      expect(FileValidator.isValidImageFile(null)).toBe(false);
-      expect(FileValidator.isValidImageFile(undefined)).toBe(false);
-    });
-  });
-
   describe('getSupportedTypes', () => {
     test('应该返回支持的类型列表', () => {
       const types = FileValidator.getSupportedTypes();
@@ -47,73 +19,199 @@ describe('FileValidator', () => {
     });
   });
 
-  /**
-   * 属性测试
-   * **Feature: image-batch-processor, Property 1: 文件格式验证**
-   * **验证: 需求 1.2**
-   * 
-   * 对于任意文件，当且仅当其 MIME 类型为 image/png、image/jpeg、image/webp、image/avif 时，
-   * 文件验证器应返回 true
-   */
-  describe('Property Tests', () => {
-    // 支持的 MIME 类型
-    const supportedTypes = ['image/png', 'image/jpeg', 'image/webp', 'image/avif'];
-    
-    // 不支持的 MIME 类型生成器
-    const unsupportedMimeTypes = [
-      'image/gif',
-      'image/bmp',
-      'image/svg+xml',
-      'text/plain',
-      'text/html',
-      'application/pdf',
-      'application/json',
-      'video/mp4',
-      'audio/mpeg'
-    ];
-
-    test('属性1: 支持的图片格式应该返回 true', () => {
-      fc.assert(
-        fc.property(
-          fc.constantFrom(...supportedTypes),
-          fc.string({ minLength: 1, maxLength: 50 }),
-          (mimeType, fileName) => {
-            const file = new File(['test content'], fileName, { type: mimeType });
-            return FileValidator.isValidImageFile(file) === true;
-          }
-        ),
-        { numRuns: 100 }
-      );
+  describe('validate', () => {
+    const bytes = (...parts) => Uint8Array.from(parts.flatMap(part =>
+      typeof part === 'string' ? Array.from(part, c => c.charCodeAt(0)) : part
+    ));
+    const le32 = (value) => [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, (value >>> 24) & 0xFF];
+    const be32 = (value) => [value >>> 24, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+
+    const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+    const png = () => bytes(PNG_SIGNATURE, new Array(25).fill(0), be32(0), 'IEND', [0xAE, 0x42, 0x60, 0x82]);
+    // SOI、APP0（长度 22）、SOS（长度 8）和两字节扫描数据、EOI
+    const jpeg = () => bytes([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x16], new Array(20).fill(1),
+      [0xFF, 0xDA, 0x00, 0x08], new Array(6).fill(0), [0x12, 0x34, 0xFF, 0xD9]);
+    const webp = (declared) => bytes('RIFF', le32(declared), 'WEBP', 'VP8 ', new Array(12).fill(0));
+    const avif = (mdatSize) => bytes(be32(24), 'ftyp', 'mif1', be32(0), 'avif', 'miaf', be32(mdatSize), 'mdat', new Array(8).fill(0));
+
+    const createFile = (data, name, type = '') => new File([data], name, { type });
+
+    test('应该接受 PNG、JPEG 以及由解码器支持的 GIF', async () => {
+      const gif = bytes('GIF89a', new Array(7).fill(0), [0x3B]);
+
+      expect((await FileValidator.validate(createFile(png(), 'test.png', 'image/png'))).valid).toBe(true);
+      expect((await FileValidator.validate(createFile(jpeg(), 'test.jpg', 'image/jpeg'))).valid).toBe(true);
+      expect((await FileValidator.validate(createFile(gif, 'test.gif', 'image/gif'))).valid).toBe(true);
+    });
+
+    test('应该拒绝非图片文件、null 或 undefined', async () => {
+      expect((await FileValidator.validate(createFile(bytes('plain text'), 'test.txt', 'text/plain'))).valid).toBe(false);
+      expect((await FileValidator.validate(null)).valid).toBe(false);
+      expect((await FileValidator.validate(undefined)).valid).toBe(false);
     });
 
-    test('属性1: 不支持的文件格式应该返回 false', () => {
-      fc.assert(
-        fc.property(
-          fc.constantFrom(...unsupportedMimeTypes),
+    /**
+     * 属性测试
+     * **Feature: image-batch-processor, Property 1: 文件格式验证**
+     * **验证: 需求 1.2**
+     *
+     * 对于任意文件，验证结果只取决于文件内容，与声明的 MIME 类型和文件名无关
+     */
+    test('属性1: 支持的图片内容在任意 MIME 类型和文件名下都应通过', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom(['image/png', png], ['image/jpeg', jpeg]),
+          fc.string({ maxLength: 100 }),
           fc.string({ minLength: 1, maxLength: 50 }),
-          (mimeType, fileName) => {
-            const file = new File(['test content'], fileName, { type: mimeType });
-            return FileValidator.isValidImageFile(file) === false;
+          async ([type, build], mimeType, fileName) => {
+            const result = await FileValidator.validate(createFile(build(), fileName, mimeType));
+            return result.valid && result.detectedType === type && result.file.type === type;
           }
         ),
         { numRuns: 100 }
       );
     });
 
-    test('属性1: 任意 MIME 类型验证一致性', () => {
-      fc.assert(
-        fc.property(
-          fc.string({ minLength: 0, maxLength: 100 }),
+    test('属性1: 无法识别的内容在任意 MIME 类型下都应被拒绝', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom('image/png', 'image/jpeg', 'image/webp', 'image/avif', 'text/plain', 'application/pdf', ''),
           fc.string({ minLength: 1, maxLength: 50 }),
-          (mimeType, fileName) => {
-            const file = new File(['test content'], fileName, { type: mimeType });
-            const result = FileValidator.isValidImageFile(file);
-            const expected = supportedTypes.includes(mimeType);
-            return result === expected;
+          async (mimeType, fileName) => {
+            const result = await FileValidator.validate(createFile(bytes('test content'), fileName, mimeType));
+            return !result.valid && result.code === 'unknown-format';
           }
         ),
         { numRuns: 100 }
       );
     });
+
+    test('应根据内容识别格式，而不是 MIME 类型', async () => {
+      const result = await FileValidator.validate(createFile(png(), 'photo.jpg', 'image/jpeg'));
+
+      expect(result.valid).toBe(true);
+      expect(result.code).toBe('ok');
+      expect(result.detectedType).toBe('image/png');
+      expect(result.mismatch).toBe(true);
+      expect(result.file.type).toBe('image/png');
+      expect(result.file.name).toBe('photo.jpg');
+    });
+
+    test('MIME 为空的文件（如 .jfif）也应通过', async () => {
+      const file = createFile(jpeg(), 'IMG_0001.JFIF');
+      const result = await FileValidator.validate(file);
+
+      expect(result.valid).toBe(true);
+      expect(result.declaredType).toBe('');
+      expect(result.file.type).toBe('image/jpeg');
+    });
+
+    test('MIME 与内容一致时返回原文件', async () => {
+      const file = createFile(jpeg(), 'photo.JPG', 'image/jpeg');
+      const result = await FileValidator.validate(file);
+
+      expect(result.mismatch).toBe(false);
+      expect(result.file).toBe(file);
+    });
+
+    test('空文件和无法识别的内容应被拒绝', async () => {
+      expect((await FileValidator.validate(createFile(new Uint8Array(0), 'empty.png', 'image/png'))).code).toBe('empty');
+      expect((await FileValidator.validate(createFile(bytes('hello world'), 'fake.png', 'image/png'))).code).toBe('unknown-format');
+      expect((await FileValidator.validate(null)).code).toBe('empty');
+    });
+
+    test('GIF、BMP 由解码器支持，改了扩展名时按实际格式标注', async () => {
+      const gif = await FileValidator.validate(createFile(bytes('GIF89a', new Array(10).fill(0), [0x3B]), 'a.png', 'image/png'));
+      const bmp = await FileValidator.validate(createFile(bytes('BM', le32(20), new Array(14).fill(0)), 'b.bmp'));
+
+      expect(gif.valid).toBe(true);
+      expect(gif.file.type).toBe('image/gif');
+      expect(bmp.valid).toBe(true);
+      expect(bmp.detectedType).toBe('image/bmp');
+    });
+
+    test('识别出但不在支持和解码列表中的格式应返回 unsupported-format', async () => {
+      const original = CONFIG.decodedTypes;
+      CONFIG.decodedTypes = [];
+      try {
+        const gif = await FileValidator.validate(createFile(bytes('GIF89a', new Array(10).fill(0), [0x3B]), 'a.png', 'image/png'));
+        const tiff = await FileValidator.validate(createFile(bytes([0x49, 0x49, 0x2A, 0x00], new Array(12).fill(0)), 'c.tif'));
+
+        expect(gif.code).toBe('unsupported-format');
+        expect(gif.detectedType).toBe('image/gif');
+        expect(tiff.detectedType).toBe('image/tiff');
+        expect(tiff.message).toBe(FileValidator.reasons['unsupported-format']);
+      } finally {
+        CONFIG.decodedTypes = original;
+      }
+    });
+
+    test('截断的 JPEG 和 PNG 应返回 truncated', async () => {
+      const jpegData = jpeg();
+      const pngData = png();
+
+      expect((await FileValidator.validate(createFile(jpegData.slice(0, -2), 'a.jpg'))).code).toBe('truncated');
+      expect((await FileValidator.validate(createFile(pngData.slice(0, -12), 'a.png'))).code).toBe('truncated');
+    });
+
+    test('JPEG 的最后一段扫描数据之后必须有 EOI，之后可以有附加数据', async () => {
+      const validate = async (data) => (await FileValidator.validate(createFile(data, 'a.jpg'))).code;
+      const motionPhoto = bytes([...jpeg()], [0, 0, 0x18], 'ftypmp42', new Array(100).fill(0x55), [0xFF, 0xDA, 1, 2]);
+
+      expect(await validate(bytes([...jpeg()], [0, 0, 0xFF]))).toBe('ok');
+      // 动态照片、三星设备在 EOI 之后附加的视频等数据
+      expect(await validate(motionPhoto)).toBe('ok');
+      // APP1 中缩略图的 EOI 不能说明文件完整
+      const thumbnail = bytes([0xFF, 0xD8, 0xFF, 0xE1, 0x00, 0x08, 0xFF, 0xD8, 0xFF, 0xD9, 0xFF, 0xDA, 0x00, 0x08], new Array(6).fill(0), [1, 2, 3]);
+      expect(await validate(thumbnail)).toBe('truncated');
+      // 扫描数据中转义的 FF 00 和 RST 标记不会结束扫描
+      expect(await validate(bytes([...jpeg()].slice(0, -2), [0xFF, 0x00, 0xFF, 0xD0, 5, 0xFF, 0xD9]))).toBe('ok');
+      expect(await validate(bytes([...jpeg()].slice(0, -2), [0xFF, 0x00, 0xFF, 0xD0, 5]))).toBe('truncated');
+      expect(await validate(bytes([0xFF, 0xD8, 0xFF, 0xE0], new Array(20).fill(0)))).toBe('truncated');
+    });
+
+    test('JPEG 分段读取时跨越读取边界的标记也能识别', async () => {
+      const original = FileValidator.scanChunkBytes;
+      FileValidator.scanChunkBytes = 3;
+      try {
+        expect((await FileValidator.validate(createFile(jpeg(), 'a.jpg'))).code).toBe('ok');
+        expect((await FileValidator.validate(createFile(jpeg().slice(0, -1), 'a.jpg'))).code).toBe('truncated');
+      } finally {
+        FileValidator.scanChunkBytes = original;
+      }
+    });
+
+    test('GIF 的结束符之后可以有任意数据，帧数据未结束时为截断', async () => {
+      const gif = (...tail) => bytes('GIF89a', new Array(7).fill(0), tail.flat());
+      const validate = async (data) => (await FileValidator.validate(createFile(data, 'a.gif'))).code;
+      const frame = [0x2C, 0, 0, 0, 0, 1, 0, 1, 0, 0, 2, 2, 0x44, 0x01];
+
+      expect(await validate(gif(frame, [0], [0x3B]))).toBe('ok');
+      expect(await validate(gif(frame, [0], [0x3B, 0, 0]))).toBe('ok');
+      expect(await validate(gif(frame, [0], [0x3B, 5, 6, 0x2C, 0xFF]))).toBe('ok');
+      expect(await validate(gif(frame))).toBe('truncated');
+      expect(await validate(gif(frame, [0]))).toBe('truncated');
+      expect(await validate(gif(0x21, 0xF9))).toBe('truncated');
+    });
+
+    test('WebP 声明的大小超过文件大小时为截断', async () => {
+      const complete = webp(20);
+      expect((await FileValidator.validate(createFile(complete, 'a.webp'))).valid).toBe(true);
+      expect((await FileValidator.validate(createFile(webp(1000), 'a.webp'))).code).toBe('truncated');
+    });
+
+    test('AVIF 通过兼容品牌识别，mdat 超出文件时为截断', async () => {
+      const complete = await FileValidator.validate(createFile(avif(16), 'a.avif'));
+      const truncated = await FileValidator.validate(createFile(avif(5000), 'a.avif'));
+
+      expect(complete.valid).toBe(true);
+      expect(complete.detectedType).toBe('image/avif');
+      expect(truncated.code).toBe('truncated');
+    });
+
+    test('HEIC 品牌应识别为 image/heic', () => {
+      const heic = bytes(be32(16), 'ftyp', 'heic', be32(0));
+      expect(FileValidator.detectType(heic)).toBe('image/heic');
+    });
   });
 });
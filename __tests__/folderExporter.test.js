@@ -0,0 +1,127 @@
+/**
+ * FolderExporter 单元测试
+ */
+
+import { FolderExporter } from '../app.js';
+
+const domError = (name) => Object.assign(new Error(name), { name });
+
+// 内存中的文件夹句柄，files 为 路径 -> 内容
+class MockDirectoryHandle {
+  constructor(files = new Map(), path = '') {
+    this.files = files;
+    this.path = path;
+  }
+
+  join(name) {
+    return this.path ? `${this.path}/${name}` : name;
+  }
+
+  async getDirectoryHandle(name, { create } = {}) {
+    const path = this.join(name);
+    if (!create && ![...this.files.keys()].some(key => key.startsWith(path + '/'))) {
+      throw domError('NotFoundError');
+    }
+    return new MockDirectoryHandle(this.files, path);
+  }
+
+  async getFileHandle(name, { create } = {}) {
+    const path = this.join(name);
+    if (!this.files.has(path) && !create) {
+      throw domError('NotFoundError');
+    }
+    return {
+      createWritable: async () => {
+        let content = null;
+        return {
+          write: async (data) => { content = data; },
+          close: async () => { this.files.set(path, content); },
+          abort: async () => {}
+        };
+      }
+    };
+  }
+}
+
+const createResult = (name, content = name) => ({
+  originalFile: new File(['x'], name),
+  processedBlob: content,
+  outputFileName: name,
+  finalWidth: 750,
+  wasProcessed: true
+});
+
+const resultsByFolder = () => new Map([
+  ['shop/banners', [createResult('a.jpg', 'new-a')]],
+  ['未分类', [createResult('b.jpg', 'new-b')]]
+]);
+
+describe('FolderExporter', () => {
+  test('应该按文件夹结构写入文件', async () => {
+    const root = new MockDirectoryHandle();
+    const progress = [];
+    const summary = await FolderExporter.exportToDirectory(root, resultsByFolder(), {}, (done, total) => {
+      progress.push(`${done}/${total}`);
+    });
+
+    expect(summary).toEqual({ written: 2, skipped: 0, overwritten: 0, renamed: 0, failed: [] });
+    expect([...root.files.entries()]).toEqual([['shop/banners/a.jpg', 'new-a'], ['b.jpg', 'new-b']]);
+    expect(progress).toEqual(['1/2', '2/2']);
+  });
+
+  describe('已存在同名文件', () => {
+    const existing = () => new MockDirectoryHandle(new Map([
+      ['shop/banners/a.jpg', 'old-a'],
+      ['shop/banners/a-1.jpg', 'old-a1']
+    ]));
+
+    test('skip 应该保留已有文件', async () => {
+      const root = existing();
+      const summary = await FolderExporter.exportToDirectory(root, resultsByFolder(), { conflict: 'skip' });
+
+      expect(summary.skipped).toBe(1);
+      expect(root.files.get('shop/banners/a.jpg')).toBe('old-a');
+    });
+
+    test('overwrite 应该覆盖已有文件', async () => {
+      const root = existing();
+      const summary = await FolderExporter.exportToDirectory(root, resultsByFolder(), { conflict: 'overwrite' });
+
+      expect(summary.overwritten).toBe(1);
+      expect(root.files.get('shop/banners/a.jpg')).toBe('new-a');
+    });
+
+    test('rename 应该另存为未占用的名称', async () => {
+      const root = existing();
+      const summary = await FolderExporter.exportToDirectory(root, resultsByFolder(), { conflict: 'rename' });
+
+      expect(summary.renamed).toBe(1);
+      expect(root.files.get('shop/banners/a.jpg')).toBe('old-a');
+      expect(root.files.get('shop/banners/a-2.jpg')).toBe('new-a');
+    });
+  });
+
+  test('单个文件写入失败不应影响其他文件', async () => {
+    const root = new MockDirectoryHandle();
+    const original = root.getDirectoryHandle.bind(root);
+    root.getDirectoryHandle = async (name, options) => {
+      if (name === 'shop') throw domError('NotAllowedError');
+      return original(name, options);
+    };
+    const summary = await FolderExporter.exportToDirectory(root, resultsByFolder());
+
+    expect(summary.written).toBe(1);
+    expect(summary.failed).toEqual([{ path: 'shop/banners/a.jpg', error: 'NotAllowedError' }]);
+  });
+
+  test('用户取消选择文件夹时应该返回 null', async () => {
+    window.showDirectoryPicker = async () => { throw domError('AbortError'); };
+    try {
+      expect(FolderExporter.isSupported()).toBe(true);
+      expect(await FolderExporter.pickDirectory()).toBeNull();
+    } finally {
+      delete window.showDirectoryPicker;
+    }
+    expect(FolderExporter.isSupported()).toBe(false);
+  });
+});
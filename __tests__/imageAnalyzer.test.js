@@ -56,6 +56,48 @@ describe('ImageAnalyzer', () => {
     });
   });
 
+  describe('needsProcessing with userConfig', () => {
+    test('宽度等于用户指定宽度时应该不需要处理', () => {
+      const info = { width: 1080, height: 600, size: 400 * 1024 };
+      expect(ImageAnalyzer.needsProcessing(info, { width: 1080 })).toBe(false);
+    });
+
+    test('宽度不等于用户指定宽度时应该需要处理', () => {
+      const info = { width: 750, height: 600, size: 400 * 1024 };
+      expect(ImageAnalyzer.needsProcessing(info, { width: 1080 })).toBe(true);
+    });
+
+    test('应该使用用户指定的大小上限', () => {
+      const info = { width: 750, height: 600, size: 400 * 1024 };
+      expect(ImageAnalyzer.needsProcessing(info, { maxSizeKB: 300 })).toBe(true);
+      expect(ImageAnalyzer.needsProcessing(info, { maxSizeKB: 500 })).toBe(false);
+    });
+
+    test('fit 模式下位于目标框内的小图在不放大时不需要处理', () => {
+      const info = { width: 400, height: 300, size: 100 * 1024 };
+      const userConfig = { width: 750, height: 750, resizeMode: 'fit', noUpscale: true };
+      expect(ImageAnalyzer.needsProcessing(info, userConfig)).toBe(false);
+    });
+
+    test('cover 模式下宽高比不同的图片需要裁剪', () => {
+      const info = { width: 750, height: 1000, size: 100 * 1024 };
+      const userConfig = { width: 750, height: 750, resizeMode: 'cover' };
+      expect(ImageAnalyzer.needsProcessing(info, userConfig)).toBe(true);
+    });
+
+    test('裁剪或旋转过的图片总是需要处理', () => {
+      const info = { width: 750, height: 600, size: 100 * 1024, edits: { rotation: 180 } };
+      expect(ImageAnalyzer.needsProcessing(info)).toBe(true);
+    });
+
+    test('percent 模式为 100% 时不需要处理', () => {
+      const info = { width: 1234, height: 567, size: 100 * 1024 };
+      const userConfig = { resizeMode: 'percent', scalePercent: 100 };
+      expect(ImageAnalyzer.needsProcessing(info, userConfig)).toBe(false);
+      expect(ImageAnalyzer.needsProcessing(info, { ...userConfig, scalePercent: 50 })).toBe(true);
+    });
+  });
+
   /**
    * 属性测试
    * **Feature: image-batch-processor, Property 2: 处理判断正确性**
@@ -21,6 +21,10 @@ const createMockCanvas = () => {
     height: 0,
     getContext: () => ({
       drawImage: () => {},
+      fillRect: () => {},
+      translate: () => {},
+      rotate: () => {},
+      scale: () => {},
       imageSmoothingEnabled: true,
       imageSmoothingQuality: 'high'
     }),
@@ -114,6 +118,129 @@ describe('ImageProcessor', () => {
     });
   });
 
+  describe('resize modes', () => {
+    test('height 模式应固定高度，宽度等比例缩放', () => {
+      const canvas = ImageProcessor.resize(createMockImage(1000, 2000), 750, 750, { mode: 'height' });
+      expect(canvas.width).toBe(375);
+      expect(canvas.height).toBe(750);
+    });
+
+    test('fit 模式应缩放到目标框以内', () => {
+      const canvas = ImageProcessor.resize(createMockImage(750, 5000), 750, 750, { mode: 'fit' });
+      expect(canvas.width).toBe(113);
+      expect(canvas.height).toBe(750);
+    });
+
+    test('cover 模式应输出目标尺寸并居中裁剪', () => {
+      const layout = ImageProcessor.computeLayout(2000, 1000, 750, 750, { mode: 'cover' });
+      expect(layout.width).toBe(750);
+      expect(layout.height).toBe(750);
+      expect(layout.sw).toBe(1000);
+      expect(layout.sh).toBe(1000);
+      expect(layout.sx).toBe(500);
+      expect(layout.sy).toBe(0);
+    });
+
+    test('pad 模式应输出目标尺寸并居中绘制', () => {
+      const layout = ImageProcessor.computeLayout(1500, 750, 750, 750, { mode: 'pad' });
+      expect(layout.width).toBe(750);
+      expect(layout.height).toBe(750);
+      expect(layout.dw).toBe(750);
+      expect(layout.dh).toBe(375);
+      expect(layout.dy).toBe(188);
+    });
+
+    test('exact 模式应拉伸到目标尺寸', () => {
+      const canvas = ImageProcessor.resize(createMockImage(300, 900), 750, 500, { mode: 'exact' });
+      expect(canvas.width).toBe(750);
+      expect(canvas.height).toBe(500);
+    });
+
+    test('noUpscale 时小图应保持原尺寸', () => {
+      const canvas = ImageProcessor.resize(createMockImage(500, 400), 750, 750, { noUpscale: true });
+      expect(canvas.width).toBe(500);
+      expect(canvas.height).toBe(400);
+    });
+
+    test('noUpscale 的 cover 模式应按目标宽高比裁剪而不放大', () => {
+      const layout = ImageProcessor.computeLayout(600, 300, 750, 750, { mode: 'cover', noUpscale: true });
+      expect(layout.width).toBe(300);
+      expect(layout.height).toBe(300);
+      expect(layout.sw).toBe(300);
+      expect(layout.sx).toBe(150);
+    });
+
+    test('属性: fit 模式输出不超过目标框', () => {
+      const dimensionArb = fc.integer({ min: 1, max: 5000 });
+      fc.assert(
+        fc.property(dimensionArb, dimensionArb, (width, height) => {
+          const layout = ImageProcessor.computeLayout(width, height, 750, 750, { mode: 'fit' });
+          return layout.width <= 750 && layout.height <= 750 &&
+                 (layout.width === 750 || layout.height === 750);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('edits', () => {
+    test('没有编辑或只有焦点时 hasEdits 应为 false', () => {
+      expect(ImageProcessor.hasEdits(undefined)).toBe(false);
+      expect(ImageProcessor.hasEdits({ rotation: 360 })).toBe(false);
+      expect(ImageProcessor.hasEdits({ focalPoint: { x: 0.2, y: 0.2 } })).toBe(false);
+      expect(ImageProcessor.hasEdits({ rotation: 90 })).toBe(true);
+      expect(ImageProcessor.hasEdits({ flipH: true })).toBe(true);
+    });
+
+    test('旋转 90° 应交换宽高', () => {
+      const geometry = ImageProcessor.computeEditGeometry(1000, 600, { rotation: -270 });
+      expect(geometry.rotation).toBe(90);
+      expect(geometry.width).toBe(600);
+      expect(geometry.height).toBe(1000);
+      expect(geometry.crop).toEqual({ x: 0, y: 0, width: 600, height: 1000 });
+    });
+
+    test('裁剪框应被限制在图片范围内', () => {
+      const geometry = ImageProcessor.computeEditGeometry(1000, 600, {
+        crop: { x: 900, y: -20, width: 400, height: 300 }
+      });
+      expect(geometry.crop).toEqual({ x: 900, y: 0, width: 100, height: 300 });
+    });
+
+    test('焦点应换算到裁剪区域内的相对坐标', () => {
+      const geometry = ImageProcessor.computeEditGeometry(1000, 1000, {
+        crop: { x: 500, y: 0, width: 500, height: 500 },
+        focalPoint: { x: 0.75, y: 0.1 }
+      });
+      expect(geometry.focalPoint.x).toBeCloseTo(0.5);
+      expect(geometry.focalPoint.y).toBeCloseTo(0.2);
+    });
+
+    test('应用编辑后的画布尺寸等于裁剪区域', () => {
+      const geometry = ImageProcessor.computeEditGeometry(1000, 600, {
+        rotation: 90,
+        crop: { x: 100, y: 100, width: 300, height: 400 }
+      });
+      const canvas = ImageProcessor.applyEdits(createMockImage(1000, 600), geometry);
+      expect(canvas.width).toBe(300);
+      expect(canvas.height).toBe(400);
+    });
+
+    test('cover 模式应以焦点为中心裁剪并保持在原图内', () => {
+      const left = ImageProcessor.computeLayout(2000, 1000, 750, 750, {
+        mode: 'cover',
+        focalPoint: { x: 0.1, y: 0.5 }
+      });
+      expect(left.sx).toBe(0);
+
+      const right = ImageProcessor.computeLayout(2000, 1000, 750, 750, {
+        mode: 'cover',
+        focalPoint: { x: 0.7, y: 0.5 }
+      });
+      expect(right.sx).toBe(900);
+    });
+  });
+
   /**
    * 属性测试
    * **Feature: image-batch-processor, Property 3: 尺寸调整约束**
@@ -330,9 +457,9 @@ describe('ImageProcessor', () => {
       );
     });
 
-    test('属性4: 文件大小约束 - PNG 格式直接返回（不支持质量压缩）', async () => {
-      // PNG 格式不支持质量参数，compress 函数应直接返回
-      const anySizeArb = fc.integer({ min: 100 * 1024, max: 2000 * 1024 });
+    test('属性4: 文件大小约束 - 未超出大小的 PNG 直接返回', async () => {
+      // PNG 格式不支持质量参数，未超出大小时 compress 函数应直接返回（超出时的量化见 pngQuantizer.test.js）
+      const anySizeArb = fc.integer({ min: 100 * 1024, max: MAX_SIZE_BYTES });
 
       await fc.assert(
         fc.asyncProperty(
@@ -0,0 +1,82 @@
+/**
+ * 导入报告与强制导入测试
+ */
+
+import { ImportReport, FileValidator, ImageAnalyzer, ImageProcessor, CONFIG } from '../app.js';
+
+describe('ImportReport', () => {
+  const createFile = (name, content = 'data') => new File([content], name, { type: '' });
+
+  describe('createEntry', () => {
+    test('应记录文件名、文件夹和原因', () => {
+      const file = createFile('a.gif');
+      const entry = ImportReport.createEntry(file, 'photos/2024', 'unsupported-format');
+
+      expect(entry).toEqual({
+        name: 'a.gif',
+        folderPath: 'photos/2024',
+        code: 'unsupported-format',
+        message: FileValidator.reasons['unsupported-format'],
+        file
+      });
+    });
+
+    test('没有文件夹时归入未分类', () => {
+      expect(ImportReport.createEntry(createFile('a.jpg'), '', 'decode-failed').folderPath).toBe('未分类');
+    });
+  });
+
+  describe('toText', () => {
+    test('每行为路径和原因，未分类只显示文件名', () => {
+      const entries = [
+        ImportReport.createEntry(createFile('a.gif'), 'photos', 'unsupported-format'),
+        ImportReport.createEntry(createFile('b.jpg'), '未分类', 'decode-failed')
+      ];
+
+      expect(ImportReport.toText(entries)).toBe(
+        `photos/a.gif\t${FileValidator.reasons['unsupported-format']}\nb.jpg\t图片解码失败`
+      );
+    });
+  });
+
+  describe('canInclude', () => {
+    test('空文件不能强制导入', () => {
+      expect(ImportReport.canInclude(ImportReport.createEntry(createFile('a.jpg', ''), '', 'empty'))).toBe(false);
+      expect(ImportReport.canInclude(ImportReport.createEntry(createFile('a.gif'), '', 'unsupported-format'))).toBe(true);
+    });
+  });
+
+  describe('FileValidator.validate', () => {
+    test('超过大小上限的文件返回 too-large', async () => {
+      const original = CONFIG.maxInputSizeMB;
+      CONFIG.maxInputSizeMB = 1 / 1024; // 1KB
+      try {
+        const result = await FileValidator.validate(createFile('big.jpg', 'x'.repeat(2048)));
+        expect(result.code).toBe('too-large');
+        expect(result.valid).toBe(false);
+      } finally {
+        CONFIG.maxInputSizeMB = original;
+      }
+    });
+  });
+
+  describe('passthrough', () => {
+    test('强制导入的文件不需要处理', () => {
+      const info = ImageAnalyzer.createPassthrough(createFile('broken.jpg'));
+
+      expect(info.passthrough).toBe(true);
+      expect(ImageAnalyzer.needsProcessing(info, { width: 100, maxSizeKB: 1 })).toBe(false);
+    });
+
+    test('处理时原样导出，不尝试解码或转换格式', async () => {
+      const file = createFile('broken.gif');
+      const info = ImageAnalyzer.createPassthrough(file);
+
+      const result = await ImageProcessor.process(info, { format: 'image/jpeg', extension: '.jpg' });
+
+      expect(result.wasProcessed).toBe(false);
+      expect(result.processedBlob).toBe(file);
+      expect(result.outputFileName).toBe('broken.gif');
+    });
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * MetadataHandler 单元测试
+ */
+
+import { MetadataHandler, ImageAnalyzer, ImageProcessor, CONFIG } from '../app.js';
+
+const ascii = text => [...text].map(c => c.charCodeAt(0));
+
+// 构造大端 TIFF：方向、作者、版权和一个 GPS IFD 指针
+function buildTiff({ orientation = 6, artist = 'Alice', copyright = '(c) 2024 Alice' } = {}) {
+  const artistBytes = [...ascii(artist), 0];
+  const copyrightBytes = [...ascii(copyright), 0];
+  const entries = 4;
+  const dataStart = 8 + 2 + entries * 12 + 4;
+  const bytes = new Uint8Array(dataStart + artistBytes.length + copyrightBytes.length);
+  const view = new DataView(bytes.buffer);
+  bytes.set(ascii('MM'), 0);
+  view.setUint16(2, 42);
+  view.setUint32(4, 8);
+  view.setUint16(8, entries);
+  const entry = (i, tag, type, count, value) => {
+    const at = 10 + i * 12;
+    view.setUint16(at, tag);
+    view.setUint16(at + 2, type);
+    view.setUint32(at + 4, count);
+    if (type === 3) view.setUint16(at + 8, value);
+    else view.setUint32(at + 8, value);
+  };
+  entry(0, 0x0112, 3, 1, orientation);
+  entry(1, 0x013B, 2, artistBytes.length, dataStart);
+  entry(2, 0x8298, 2, copyrightBytes.length, dataStart + artistBytes.length);
+  entry(3, 0x8825, 4, 1, 0); // GPS IFD
+  bytes.set(artistBytes, dataStart);
+  bytes.set(copyrightBytes, dataStart + artistBytes.length);
+  return bytes;
+}
+
+function segment(marker, payload) {
+  const length = payload.length + 2;
+  return [0xFF, marker, length >> 8, length & 0xFF, ...payload];
+}
+
+function buildJpeg(tiff, icc) {
+  const bytes = [0xFF, 0xD8];
+  bytes.push(...segment(0xE0, ascii('JFIF\0')));
+  if (tiff) bytes.push(...segment(0xE1, [...ascii('Exif\0\0'), ...tiff]));
+  if (icc) bytes.push(...segment(0xE2, [...ascii('ICC_PROFILE\0'), 1, 1, ...icc]));
+  bytes.push(0xFF, 0xDA, 0x00, 0x02, 0x11, 0x22, 0xFF, 0xD9);
+  return new Uint8Array(bytes);
+}
+
+function chunk(type, data) {
+  const size = data.length;
+  const bytes = [...ascii(type), size & 0xFF, (size >> 8) & 0xFF, (size >> 16) & 0xFF, size >>> 24, ...data];
+  if (size % 2) bytes.push(0);
+  return bytes;
+}
+
+function box(type, data) {
+  const size = data.length + 8;
+  return [size >>> 24, (size >> 16) & 0xFF, (size >> 8) & 0xFF, size & 0xFF, ...ascii(type), ...data];
+}
+
+function buildAvif(tiff, icc) {
+  const u16 = n => [n >> 8, n & 0xFF];
+  const u32 = n => [n >>> 24, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF];
+  const exifItem = [...u32(0), ...tiff];
+  const ftyp = box('ftyp', ascii('avifmif1'));
+  const build = exifOffset => {
+    const iinf = box('iinf', [0, 0, 0, 0, ...u16(2),
+      ...box('infe', [2, 0, 0, 0, ...u16(1), ...u16(0), ...ascii('av01'), 0]),
+      ...box('infe', [2, 0, 0, 0, ...u16(2), ...u16(0), ...ascii('Exif'), 0])
+    ]);
+    const iloc = box('iloc', [0, 0, 0, 0, 0x44, 0x00, ...u16(1),
+      ...u16(2), ...u16(0), ...u16(1), ...u32(exifOffset), ...u32(exifItem.length)
+    ]);
+    const iprp = box('iprp', box('ipco', box('colr', [...ascii('prof'), ...icc])));
+    return box('meta', [0, 0, 0, 0, ...iinf, ...iloc, ...iprp]);
+  };
+  const metaLength = build(0).length;
+  const mdat = box('mdat', exifItem);
+  return new Uint8Array([...ftyp, ...build(ftyp.length + metaLength + 8), ...mdat]);
+}
+
+describe('MetadataHandler', () => {
+  const tiff = buildTiff();
+  const icc = [1, 2, 3, 4, 5];
+
+  describe('extract / parseTiff', () => {
+    test('应该从 JPEG 中读取 EXIF 和 ICC', () => {
+      const { exif, icc: profile } = MetadataHandler.extract(buildJpeg(tiff, icc));
+      expect(MetadataHandler.parseTiff(exif)).toEqual({
+        orientation: 6,
+        artist: 'Alice',
+        copyright: '(c) 2024 Alice'
+      });
+      expect([...profile]).toEqual(icc);
+    });
+
+    test('应该从 WebP 中读取 EXIF 和 ICC', () => {
+      const body = [...ascii('WEBP'), ...chunk('ICCP', icc), ...chunk('EXIF', [...tiff]), ...chunk('VP8 ', [0, 0])];
+      const size = body.length;
+      const webp = new Uint8Array([...ascii('RIFF'), size & 0xFF, (size >> 8) & 0xFF, 0, 0, ...body]);
+      const { exif, icc: profile } = MetadataHandler.extract(webp);
+
+      expect(MetadataHandler.parseTiff(exif).orientation).toBe(6);
+      expect([...profile]).toEqual(icc);
+    });
+
+    test('应该从 AVIF 中读取 EXIF 和 ICC', () => {
+      const { exif, icc: profile } = MetadataHandler.extract(buildAvif(tiff, icc));
+      expect(MetadataHandler.parseTiff(exif).copyright).toBe('(c) 2024 Alice');
+      expect([...profile]).toEqual(icc);
+    });
+
+    describe('read', () => {
+      const original = CONFIG.metadataHeaderBytes;
+      afterEach(() => { CONFIG.metadataHeaderBytes = original; });
+
+      // 记录读取过的范围
+      const tracked = (blob, ranges) => ({
+        size: blob.size,
+        type: blob.type,
+        slice: (start, end) => { ranges.push([start, end]); return blob.slice(start, end); },
+        arrayBuffer: () => { ranges.push([0, blob.size]); return blob.arrayBuffer(); }
+      });
+
+      test('JPEG 只读取文件头', async () => {
+        const jpeg = buildJpeg(tiff, icc);
+        CONFIG.metadataHeaderBytes = jpeg.length - 8;
+        const ranges = [];
+        const metadata = await MetadataHandler.read(tracked(new Blob([jpeg, new Uint8Array(4096)]), ranges));
+
+        expect(ranges).toEqual([[0, jpeg.length - 8]]);
+        expect(metadata.copyright).toBe('(c) 2024 Alice');
+        expect([...metadata.icc]).toEqual(icc);
+      });
+
+      test('文件头截断的标记段不应该被解析', async () => {
+        const jpeg = buildJpeg(tiff, icc);
+        CONFIG.metadataHeaderBytes = jpeg.length - 20;
+        const metadata = await MetadataHandler.read(new Blob([jpeg]));
+
+        expect(metadata.copyright).toBe('(c) 2024 Alice');
+        expect(metadata.icc).toBeNull();
+      });
+
+      test('WebP 的元数据位于文件头之外时读取整个文件', async () => {
+        const body = [...ascii('WEBP'), ...chunk('VP8 ', new Array(64).fill(0)), ...chunk('EXIF', [...tiff])];
+        const size = body.length;
+        CONFIG.metadataHeaderBytes = 32;
+        const metadata = await MetadataHandler.read(new Blob([new Uint8Array([...ascii('RIFF'), size & 0xFF, (size >> 8) & 0xFF, 0, 0, ...body])]));
+
+        expect(metadata.orientation).toBe(6);
+      });
+    });
+
+    test('无法识别的数据应该返回空元数据', async () => {
+      const metadata = await MetadataHandler.read(new Blob(['not an image']));
+      expect(metadata).toEqual({ orientation: 1, exif: null, icc: null, artist: '', copyright: '' });
+    });
+  });
+
+  describe('orientationToEdits', () => {
+    test.each([
+      [1, 0, false, false],
+      [3, 180, false, false],
+      [5, 270, true, false],
+      [6, 90, false, false],
+      [8, 270, false, false]
+    ])('方向 %i 应该转换为旋转 %i 度', (orientation, rotation, flipH, flipV) => {
+      expect(MetadataHandler.orientationToEdits(orientation)).toEqual({ rotation, flipH, flipV });
+    });
+  });
+
+  describe('buildSegments', () => {
+    const metadata = { orientation: 6, exif: tiff, icc: new Uint8Array(icc), artist: 'Alice', copyright: '(c) 2024 Alice' };
+
+    test('strip 策略不应该写入任何元数据', () => {
+      expect(MetadataHandler.buildSegments(metadata, 'strip')).toEqual([]);
+    });
+
+    test('keep-copyright 策略只保留作者和版权', () => {
+      const segments = MetadataHandler.buildSegments(metadata, 'keep-copyright');
+      const { exif, icc: profile } = MetadataHandler.extract(MetadataHandler.concat([new Uint8Array([0xFF, 0xD8]), ...segments]));
+      const parsed = MetadataHandler.parseTiff(exif);
+
+      expect(segments).toHaveLength(1);
+      expect(parsed).toEqual({ orientation: 1, artist: 'Alice', copyright: '(c) 2024 Alice' });
+      expect(profile).toBeNull();
+    });
+
+    test('只含 ICC 的原图在 keep-copyright 下需要重新编码，且不写入 ICC', () => {
+      const iccOnly = { exif: null, icc: new Uint8Array(icc), artist: null, copyright: null };
+
+      expect(MetadataHandler.needsStripping(iccOnly, 'keep-copyright')).toBe(true);
+      expect(MetadataHandler.needsStripping(iccOnly, 'strip')).toBe(true);
+      expect(MetadataHandler.needsStripping(iccOnly, 'keep')).toBe(false);
+      expect(MetadataHandler.buildSegments(iccOnly, 'keep-copyright')).toEqual([]);
+    });
+
+    test('keep 策略应该保留 EXIF 和 ICC，并把方向重置为 1', () => {
+      const segments = MetadataHandler.buildSegments(metadata, 'keep');
+      const { exif, icc: profile } = MetadataHandler.extract(MetadataHandler.concat([new Uint8Array([0xFF, 0xD8]), ...segments]));
+
+      expect(exif.length).toBe(tiff.length);
+      expect(MetadataHandler.parseTiff(exif).orientation).toBe(1);
+      expect([...profile]).toEqual(icc);
+      // 原始数据不应被修改
+      expect(MetadataHandler.parseTiff(tiff).orientation).toBe(6);
+    });
+  });
+
+  describe('injectIntoJpeg', () => {
+    test('应该把标记段写在 JFIF APP0 之后', async () => {
+      const jpeg = new Blob([buildJpeg()], { type: 'image/jpeg' });
+      const segments = MetadataHandler.buildSegments({ artist: 'Bob', copyright: '' }, 'keep-copyright');
+      const result = new Uint8Array(await MetadataHandler.readBuffer(await MetadataHandler.injectIntoJpeg(jpeg, segments)));
+
+      expect([result[0], result[1], result[2], result[3]]).toEqual([0xFF, 0xD8, 0xFF, 0xE0]);
+      const app0Length = (result[4] << 8) | result[5];
+      expect(result[4 + app0Length + 1]).toBe(0xE1);
+      expect(MetadataHandler.parseTiff(MetadataHandler.extract(result).exif).artist).toBe('Bob');
+    });
+
+    test('非 JPEG 数据应该原样返回', async () => {
+      const blob = new Blob(['xxxx']);
+      expect(await MetadataHandler.injectIntoJpeg(blob, [new Uint8Array([1])])).toBe(blob);
+    });
+  });
+
+  describe('与分析、处理流程集成', () => {
+    const file = new File([buildJpeg(tiff)], 'phone.jpg', { type: 'image/jpeg' });
+
+    test('浏览器不支持自动旋转时，方向 6 应该交换宽高', async () => {
+      const info = await ImageAnalyzer.analyze(file);
+      expect(info.orientation).toBe(6);
+      expect(info.width).toBe(800);
+      expect(info.height).toBe(1000);
+    });
+
+    test('浏览器支持自动旋转时应该保持原始宽高', async () => {
+      global.CSS = { supports: () => true };
+      try {
+        const info = await ImageAnalyzer.analyze(file);
+        expect(info.width).toBe(1000);
+        expect(info.height).toBe(800);
+      } finally {
+        delete global.CSS;
+      }
+    });
+
+    test('带 EXIF 的图片在 strip 策略下应该需要处理', () => {
+      global.CSS = { supports: () => true };
+      try {
+        const info = { width: 750, height: 500, size: 1024, orientation: 6, metadata: { exif: tiff, icc: null } };
+        expect(ImageAnalyzer.needsProcessing(info, { metadataPolicy: 'strip' })).toBe(true);
+        expect(ImageAnalyzer.needsProcessing(info, { metadataPolicy: 'keep' })).toBe(false);
+      } finally {
+        delete global.CSS;
+      }
+    });
+
+    test('手动校正方向后输出尺寸应该按旋转后的图片计算', async () => {
+      const info = await ImageAnalyzer.analyze(file);
+      const result = await ImageProcessor.process(info, { width: 400, format: 'image/jpeg', extension: '.jpg' });
+
+      expect(result.finalWidth).toBe(400);
+      expect(result.finalHeight).toBe(500);
+    });
+  });
+});
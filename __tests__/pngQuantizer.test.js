@@ -0,0 +1,249 @@
+/**
+ * PNG 调色板量化测试
+ */
+
+import { CompressionStream } from 'stream/web';
+import { inflateSync } from 'zlib';
+import { PngQuantizer, ImageProcessor, MetadataHandler, CONFIG } from '../app.js';
+
+// 生成 RGBA 像素，fill(x, y) 返回 [r, g, b, a]
+const createImageData = (width, height, fill) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(fill(x, y), (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+// 解析 PNG 数据块
+const readChunks = async (blob) => {
+  const bytes = new Uint8Array(await MetadataHandler.readBuffer(blob));
+  const view = new DataView(bytes.buffer);
+  const chunks = {};
+  for (let offset = 8; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    chunks[type] = bytes.slice(offset + 8, offset + 8 + length);
+    offset += length + 12;
+  }
+  return { signature: Array.from(bytes.subarray(0, 8)), chunks };
+};
+
+describe('PngQuantizer', () => {
+  describe('buildPalette', () => {
+    test('颜色数不超过上限时应保留原色', () => {
+      const colors = [[255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 255]];
+      const imageData = createImageData(6, 6, (x) => colors[x % 3]);
+
+      const palette = PngQuantizer.buildPalette(imageData.data, 16);
+
+      expect(palette).toHaveLength(3);
+      expect(palette).toEqual(expect.arrayContaining(colors));
+    });
+
+    test('调色板颜色数不超过上限', () => {
+      const imageData = createImageData(32, 32, (x, y) => [x * 8, y * 8, (x + y) * 4, 255]);
+
+      expect(PngQuantizer.buildPalette(imageData.data, 16).length).toBeLessThanOrEqual(16);
+      expect(PngQuantizer.buildPalette(imageData.data, 2).length).toBeLessThanOrEqual(2);
+    });
+
+    test('存在全透明像素时第 0 项为透明色，且总数不超过上限', () => {
+      const imageData = createImageData(16, 16, (x, y) => (x < 8 ? [0, 0, 0, 0] : [x * 16, y * 16, 0, 255]));
+
+      const palette = PngQuantizer.buildPalette(imageData.data, 8);
+
+      expect(palette[0]).toEqual([0, 0, 0, 0]);
+      expect(palette.length).toBeLessThanOrEqual(8);
+    });
+  });
+
+  describe('mapPixels', () => {
+    test('全透明像素应映射到透明色', () => {
+      const imageData = createImageData(4, 1, (x) => (x % 2 ? [255, 255, 255, 0] : [255, 255, 255, 255]));
+      const palette = [[0, 0, 0, 0], [255, 255, 255, 255]];
+
+      expect(Array.from(PngQuantizer.mapPixels(imageData, palette, true))).toEqual([1, 0, 1, 0]);
+    });
+
+    test('抖动时中间色应交替使用相邻颜色', () => {
+      const imageData = createImageData(8, 8, () => [128, 128, 128, 255]);
+      const palette = [[0, 0, 0, 255], [255, 255, 255, 255]];
+
+      const plain = PngQuantizer.mapPixels(imageData, palette, false);
+      const dithered = PngQuantizer.mapPixels(imageData, palette, true);
+
+      expect(new Set(plain).size).toBe(1);
+      const white = dithered.filter(index => index === 1).length;
+      expect(white).toBeGreaterThan(16);
+      expect(white).toBeLessThan(48);
+    });
+  });
+
+  describe('encode', () => {
+    beforeAll(() => {
+      global.CompressionStream = CompressionStream;
+    });
+
+    afterAll(() => {
+      delete global.CompressionStream;
+    });
+
+    test('应生成带 PLTE 和 tRNS 的索引色 PNG', async () => {
+      const palette = [[0, 0, 0, 0], [255, 0, 0, 128], [0, 0, 255, 255]];
+      const indices = Uint8Array.from([0, 1, 2, 2, 1, 0]);
+
+      const blob = await PngQuantizer.encode(3, 2, palette, indices);
+      const { signature, chunks } = await readChunks(blob);
+
+      expect(blob.type).toBe('image/png');
+      expect(signature).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+      // 3 色使用 2 位深度，颜色类型 3
+      expect(Array.from(chunks.IHDR.subarray(8, 10))).toEqual([2, 3]);
+      expect(Array.from(chunks.PLTE)).toEqual([0, 0, 0, 255, 0, 0, 0, 0, 255]);
+      expect(Array.from(chunks.tRNS)).toEqual([0, 128]);
+      // 每行: 过滤字节 + 3 个 2 位索引打包为 1 字节
+      expect(Array.from(inflateSync(chunks.IDAT))).toEqual([0, 0b00011000, 0, 0b10010000]);
+      expect(chunks.IEND).toBeDefined();
+    });
+
+    test('不透明调色板不写入 tRNS', async () => {
+      const blob = await PngQuantizer.encode(2, 1, [[0, 0, 0, 255], [255, 255, 255, 255]], Uint8Array.from([0, 1]));
+      const { chunks } = await readChunks(blob);
+
+      expect(chunks.tRNS).toBeUndefined();
+    });
+
+    test('CRC 应与标准 CRC32 一致', () => {
+      expect(PngQuantizer.crc32(new TextEncoder().encode('IEND'))).toBe(0xae426082);
+    });
+
+    test('quantize 应输出不超过指定颜色数的 PNG', async () => {
+      const imageData = createImageData(16, 16, (x, y) => [x * 16, y * 16, 128, 255]);
+
+      const blob = await PngQuantizer.quantize(imageData, { colors: 4, dither: false });
+      const { chunks } = await readChunks(blob);
+
+      expect(chunks.PLTE.length / 3).toBeLessThanOrEqual(4);
+    });
+  });
+
+  describe('optimize', () => {
+    afterEach(() => {
+      PngQuantizer.setOptimizer(null);
+      PngQuantizer.optimizerUrl = '';
+      PngQuantizer.optimizerPromise = null;
+    });
+
+    test('未开启或没有优化器时返回原文件', async () => {
+      const blob = new Blob(['png-data'], { type: 'image/png' });
+
+      expect(await PngQuantizer.optimize(blob, {})).toBe(blob);
+      expect(await PngQuantizer.optimize(blob, { pngOptimize: true })).toBe(blob);
+      expect(PngQuantizer.isOptimizerAvailable()).toBe(CONFIG.pngOptimizerUrl !== '');
+    });
+
+    test('优化结果更小时使用优化结果', async () => {
+      let receivedLevel = null;
+      PngQuantizer.setOptimizer(async (buffer, options) => {
+        receivedLevel = options.level;
+        return buffer.slice(0, 4);
+      });
+
+      const result = await PngQuantizer.optimize(new Blob(['png-data'], { type: 'image/png' }), { pngOptimize: true });
+
+      expect(result.size).toBe(4);
+      expect(receivedLevel).toBe(CONFIG.pngOptimizeLevel);
+    });
+
+    test('从配置中的地址加载优化器模块（Worker 中使用）', async () => {
+      const url = 'data:text/javascript,export default async (buffer, options) => buffer.slice(0, options.level);';
+
+      const result = await PngQuantizer.optimize(new Blob(['png-data'], { type: 'image/png' }), {
+        pngOptimize: true,
+        pngOptimizerUrl: url
+      });
+
+      expect(result.size).toBe(CONFIG.pngOptimizeLevel);
+      expect(PngQuantizer.optimizerUrl).toBe(url);
+    });
+
+    test('只有当前线程注册的优化函数时需要在主线程处理', () => {
+      expect(PngQuantizer.needsMainThread({ pngOptimize: true })).toBe(false);
+
+      PngQuantizer.setOptimizer(async (buffer) => buffer);
+      expect(PngQuantizer.needsMainThread({ pngOptimize: true })).toBe(true);
+      expect(PngQuantizer.needsMainThread({ pngOptimize: false })).toBe(false);
+      expect(PngQuantizer.needsMainThread({ pngOptimize: true, pngOptimizerUrl: './oxipng.js' })).toBe(false);
+    });
+
+    test('优化器出错时返回原文件', async () => {
+      PngQuantizer.setOptimizer(async () => {
+        throw new Error('wasm failed');
+      });
+      const blob = new Blob(['png-data'], { type: 'image/png' });
+
+      expect(await PngQuantizer.optimize(blob, { pngOptimize: true })).toBe(blob);
+    });
+  });
+
+  describe('compressPng', () => {
+    const createCanvas = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 40;
+      canvas.height = 40;
+      return canvas;
+    };
+
+    test('无损 PNG 未超出大小时不量化', async () => {
+      // setup.js 中无质量参数的 toBlob 大小为 300000
+      const result = await ImageProcessor.compressWithQuality(createCanvas(), 800, 'image/png');
+
+      expect(result.colors).toBeNull();
+      expect(result.blob.size).toBe(300000);
+    });
+
+    test('超出大小时逐级减少颜色直到满足限制', async () => {
+      const original = PngQuantizer.quantize;
+      const tried = [];
+      PngQuantizer.quantize = async (imageData, options) => {
+        tried.push(options.colors);
+        return new Blob([new Uint8Array(options.colors * 1024)], { type: 'image/png' });
+      };
+
+      try {
+        const result = await ImageProcessor.compressWithQuality(createCanvas(), 40, 'image/png', { pngMaxColors: 200 });
+
+        expect(tried).toEqual([200, 100, 50, 25]);
+        expect(result.colors).toBe(25);
+        expect(result.blob.size).toBeLessThanOrEqual(40 * 1024);
+      } finally {
+        PngQuantizer.quantize = original;
+      }
+    });
+
+    test('process 输出 PNG 时应遵守大小限制', async () => {
+      const original = PngQuantizer.quantize;
+      PngQuantizer.quantize = async (imageData, options) => new Blob([new Uint8Array(options.colors * 1024)], { type: 'image/png' });
+
+      try {
+        const result = await ImageProcessor.process({
+          file: new File(['test'], 'icon.png', { type: 'image/png' }),
+          width: 1000,
+          height: 800,
+          size: 900 * 1024,
+          previewUrl: 'blob:test',
+          needsProcessing: true
+        }, { format: 'image/png', extension: '.png', maxSizeKB: 200 });
+
+        expect(result.outputFileName).toBe('icon.png');
+        expect(result.overLimit).toBe(false);
+        expect(result.finalSize).toBeLessThanOrEqual(200 * 1024);
+      } finally {
+        PngQuantizer.quantize = original;
+      }
+    });
+  });
+});
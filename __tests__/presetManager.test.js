@@ -0,0 +1,107 @@
+/**
+ * PresetManager 单元测试
+ */
+
+import { PresetManager } from '../app.js';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('PresetManager', () => {
+  const taobaoConfig = {
+    format: 'image/jpeg',
+    maxSizeKB: 500,
+    width: 800,
+    height: 800,
+    resizeMode: 'cover',
+    extension: '.jpg'
+  };
+
+  describe('save / get / list', () => {
+    test('应该保存并读取预设', () => {
+      PresetManager.save('淘宝主图', taobaoConfig);
+      const preset = PresetManager.get('淘宝主图');
+
+      expect(preset.name).toBe('淘宝主图');
+      expect(preset.config.width).toBe(800);
+      expect(preset.config.resizeMode).toBe('cover');
+    });
+
+    test('应该只保存预设支持的字段', () => {
+      PresetManager.save('淘宝主图', taobaoConfig);
+      expect(PresetManager.get('淘宝主图').config.extension).toBeUndefined();
+    });
+
+    test('同名预设应该被覆盖', () => {
+      PresetManager.save('公众号', { maxSizeKB: 300 });
+      PresetManager.save('公众号', { maxSizeKB: 200 });
+
+      expect(PresetManager.list()).toHaveLength(1);
+      expect(PresetManager.get('公众号').config.maxSizeKB).toBe(200);
+    });
+
+    test('空名称应该抛出错误', () => {
+      expect(() => PresetManager.save('  ', taobaoConfig)).toThrow('预设名称不能为空');
+    });
+
+    test('localStorage 数据损坏时应该返回空列表', () => {
+      localStorage.setItem(PresetManager.storageKey, '{not json');
+      expect(PresetManager.list()).toEqual([]);
+    });
+  });
+
+  describe('remove', () => {
+    test('应该删除指定预设', () => {
+      PresetManager.save('A', taobaoConfig);
+      PresetManager.save('B', taobaoConfig);
+      PresetManager.remove('A');
+
+      expect(PresetManager.list().map(p => p.name)).toEqual(['B']);
+    });
+  });
+
+  describe('export / import', () => {
+    test('导出后再导入应该得到相同的预设', () => {
+      PresetManager.save('淘宝主图', taobaoConfig);
+      PresetManager.save('App Banner', { width: 1125, height: 420, resizeMode: 'cover' });
+      const json = PresetManager.exportToJSON();
+
+      localStorage.clear();
+      const count = PresetManager.importFromJSON(json);
+
+      expect(count).toBe(2);
+      expect(PresetManager.get('App Banner').config.width).toBe(1125);
+    });
+
+    test('应该接受预设数组格式', () => {
+      const json = JSON.stringify([{ name: '公众号', config: { width: 900 } }]);
+      expect(PresetManager.importFromJSON(json)).toBe(1);
+    });
+
+    test('应该忽略无效的预设条目', () => {
+      const json = JSON.stringify({ presets: [{ name: '' }, { name: 'ok', config: {} }, null] });
+      expect(PresetManager.importFromJSON(json)).toBe(1);
+    });
+
+    test('导入时规范化多尺寸宽度，无法识别的值被丢弃', () => {
+      const json = JSON.stringify([
+        { name: '字符串', config: { variantWidths: '750, 1080，abc' } },
+        { name: '数字', config: { variantWidths: 640 } },
+        { name: '对象', config: { variantWidths: { a: 1 }, width: 900 } },
+        { name: '数组', config: { variantWidths: [320, -1, '480', null] } }
+      ]);
+
+      expect(PresetManager.importFromJSON(json)).toBe(4);
+      expect(PresetManager.get('字符串').config.variantWidths).toEqual([750, 1080]);
+      expect(PresetManager.get('数字').config.variantWidths).toEqual([640]);
+      expect(PresetManager.get('对象').config).toEqual({ width: 900 });
+      expect(PresetManager.get('数组').config.variantWidths).toEqual([320, 480]);
+    });
+
+    test('无效 JSON 应该抛出错误', () => {
+      expect(() => PresetManager.importFromJSON('oops')).toThrow('预设文件格式错误');
+      expect(() => PresetManager.importFromJSON('{"foo": 1}')).toThrow('预设文件格式错误');
+    });
+  });
+});
@@ -10,6 +10,15 @@ if (typeof global.URL.revokeObjectURL !== 'function') {
   global.URL.revokeObjectURL = () => {};
 }
 
+// jsdom 未提供 TextEncoder/TextDecoder，使用 Node 的实现
+import { TextEncoder, TextDecoder } from 'util';
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = TextEncoder;
+}
+if (typeof global.TextDecoder === 'undefined') {
+  global.TextDecoder = TextDecoder;
+}
+
 // Mock Image
 class MockImage {
   constructor() {
@@ -40,6 +49,20 @@ global.Image = MockImage;
 // Mock canvas context
 const mockContext = {
   drawImage: () => {},
+  fillRect: () => {},
+  translate: () => {},
+  rotate: () => {},
+  scale: () => {},
+  save: () => {},
+  restore: () => {},
+  fillText: () => {},
+  measureText: (text) => ({ width: text.length * 50 }),
+  getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+  createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+  putImageData: () => {},
+  fillStyle: '#000000',
+  globalAlpha: 1,
+  font: '10px sans-serif',
   imageSmoothingEnabled: true,
   imageSmoothingQuality: 'high'
 };
@@ -0,0 +1,139 @@
+/**
+ * 超出大小限制时的标记与兜底策略测试
+ */
+
+import { ImageProcessor, BatchReport, CONFIG } from '../app.js';
+
+// setup.js 中的 Image mock 尺寸为 1000 × 800，toBlob 大小为 500000 × quality
+const createImageInfo = (name = 'photo.png') => ({
+  file: new File(['test'], name, { type: 'image/png' }),
+  width: 1000,
+  height: 800,
+  size: 900 * 1024,
+  previewUrl: 'blob:test',
+  needsProcessing: true
+});
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// 按像素数和格式估算大小的假编码器：JPEG 每像素 1 字节，WebP 每像素 0.5 字节
+const bytesPerPixel = { 'image/jpeg': 1, 'image/webp': 0.5, 'image/png': 4 };
+const fakeEncode = async (canvas, format) => ({
+  blob: new Blob([new Uint8Array(Math.round(canvas.width * canvas.height * bytesPerPixel[format]))]),
+  quality: CONFIG.minQuality,
+  canvas,
+  format
+});
+
+describe('SizeFallback', () => {
+  describe('getSizeFallbackStrategy', () => {
+    test('未配置或配置无效时使用默认策略 none', () => {
+      expect(ImageProcessor.getSizeFallbackStrategy()).toBe('none');
+      expect(ImageProcessor.getSizeFallbackStrategy({ oversizeFallback: 'unknown' })).toBe('none');
+      expect(ImageProcessor.getSizeFallbackStrategy({ oversizeFallback: 'downscale' })).toBe('downscale');
+    });
+  });
+
+  describe('process', () => {
+    test('最低质量仍超出时应标记 overLimit，而不是静默输出', async () => {
+      const result = await ImageProcessor.process(createImageInfo(), {
+        format: 'image/jpeg', extension: '.jpg', maxSizeKB: 10
+      });
+
+      expect(result.overLimit).toBe(true);
+      expect(result.sizeFallback).toBeNull();
+      expect(result.finalSize).toBeGreaterThan(10 * 1024);
+    });
+
+    test('达到大小限制时 overLimit 为 false', async () => {
+      const result = await ImageProcessor.process(createImageInfo(), {
+        format: 'image/jpeg', extension: '.jpg', maxSizeKB: 800
+      });
+
+      expect(result.overLimit).toBe(false);
+      expect(result.sizeFallback).toBeNull();
+    });
+
+    test('兜底全部失败时仍输出并记录每次尝试', async () => {
+      const result = await ImageProcessor.process(createImageInfo(), {
+        format: 'image/png', extension: '.png', maxSizeKB: 10, oversizeFallback: 'format'
+      });
+
+      expect(result.overLimit).toBe(true);
+      expect(result.sizeFallback.action).toBe('failed');
+      expect(result.sizeFallback.attempts.map(a => a.format)).toEqual(CONFIG.fallbackFormats);
+      expect(result.processedBlob).toBeTruthy();
+    });
+  });
+
+  describe('reduceToLimit', () => {
+    test('format 策略应换用更小的格式并记录决策', async () => {
+      const initial = await fakeEncode(createCanvas(100, 100), 'image/png');
+      const { encoded, sizeFallback } = await ImageProcessor.reduceToLimit(
+        initial, fakeEncode, 10, { oversizeFallback: 'format' }
+      );
+
+      expect(encoded.format).toBe('image/webp');
+      expect(encoded.blob.size).toBeLessThanOrEqual(10 * 1024);
+      expect(sizeFallback).toMatchObject({
+        strategy: 'format', action: 'format', originalFormat: 'image/png', format: 'image/webp', scale: 1
+      });
+    });
+
+    test('downscale 策略应逐步缩小直到满足限制', async () => {
+      const initial = await fakeEncode(createCanvas(100, 100), 'image/jpeg');
+      const { encoded, sizeFallback } = await ImageProcessor.reduceToLimit(
+        initial, fakeEncode, 5, { oversizeFallback: 'downscale' }
+      );
+
+      expect(encoded.format).toBe('image/jpeg');
+      expect(encoded.blob.size).toBeLessThanOrEqual(5 * 1024);
+      expect(encoded.canvas.width).toBeLessThan(100);
+      expect(sizeFallback.action).toBe('downscale');
+      expect(sizeFallback.scale).toBeLessThan(1);
+      // 每一步都比上一步小
+      const sizes = sizeFallback.attempts.map(a => a.size);
+      expect(sizes).toEqual([...sizes].sort((a, b) => b - a));
+    });
+
+    test('downscale 不应小于 CONFIG.minDownscale', async () => {
+      const initial = await fakeEncode(createCanvas(100, 100), 'image/jpeg');
+      const { encoded, sizeFallback } = await ImageProcessor.reduceToLimit(
+        initial, fakeEncode, 0.1, { oversizeFallback: 'downscale' }
+      );
+
+      expect(sizeFallback.action).toBe('failed');
+      expect(sizeFallback.attempts.every(a => a.scale >= CONFIG.minDownscale)).toBe(true);
+      // 失败时返回尝试过的最小结果
+      expect(encoded.blob.size).toBe(Math.min(...sizeFallback.attempts.map(a => a.size)));
+    });
+
+    test('format-downscale 策略先换格式再用新格式缩小', async () => {
+      const initial = await fakeEncode(createCanvas(100, 100), 'image/png');
+      const { encoded, sizeFallback } = await ImageProcessor.reduceToLimit(
+        initial, fakeEncode, 3, { oversizeFallback: 'format-downscale' }
+      );
+
+      expect(encoded.format).toBe('image/webp');
+      expect(encoded.blob.size).toBeLessThanOrEqual(3 * 1024);
+      expect(sizeFallback.action).toBe('format-downscale');
+      expect(sizeFallback.scale).toBeLessThan(1);
+    });
+  });
+
+  describe('BatchReport', () => {
+    test('报告应包含超限处理说明', () => {
+      expect(BatchReport.describeFallback(null)).toBe('');
+      expect(BatchReport.describeFallback({
+        strategy: 'format-downscale', action: 'format-downscale',
+        originalFormat: 'image/png', format: 'image/webp', scale: 0.72
+      })).toBe('format-downscale image/webp ×0.72');
+      expect(BatchReport.describeFallback({ strategy: 'downscale', action: 'failed' })).toBe('failed (downscale)');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * 透明检测与背景填充测试
+ */
+
+import { ImageAnalyzer, ImageProcessor, CONFIG } from '../app.js';
+
+// 构造 PNG 文件头：签名 + IHDR（可选 tRNS）+ IDAT
+const createPngHeader = (colorType, withTrns = false) => {
+  const chunk = (type, length) => {
+    const bytes = new Uint8Array(length + 12);
+    new DataView(bytes.buffer).setUint32(0, length);
+    bytes.set(Array.from(type, c => c.charCodeAt(0)), 4);
+    return bytes;
+  };
+  const ihdr = chunk('IHDR', 13);
+  ihdr[8 + 9] = colorType;
+  const parts = [new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), ihdr];
+  if (withTrns) parts.push(chunk('tRNS', 1));
+  parts.push(chunk('IDAT', 4));
+  return Uint8Array.from(parts.flatMap(part => Array.from(part)));
+};
+
+// 构造 WebP 文件头，flagOffset 处写入 flagByte
+const createWebpHeader = (chunk, flagOffset, flagByte) => {
+  const bytes = new Uint8Array(32);
+  bytes.set(Array.from('RIFF', c => c.charCodeAt(0)), 0);
+  bytes.set(Array.from('WEBP', c => c.charCodeAt(0)), 8);
+  bytes.set(Array.from(chunk, c => c.charCodeAt(0)), 12);
+  if (flagOffset !== undefined) bytes[flagOffset] = flagByte;
+  return bytes;
+};
+
+const mockContext = () => document.createElement('canvas').getContext('2d');
+
+describe('Transparency', () => {
+  describe('declaresAlpha', () => {
+    test('PNG 颜色类型 4/6 声明透明', () => {
+      expect(ImageAnalyzer.declaresAlpha(createPngHeader(6), 'image/png')).toBe(true);
+      expect(ImageAnalyzer.declaresAlpha(createPngHeader(4), 'image/png')).toBe(true);
+    });
+
+    test('PNG 无 alpha 通道时根据 tRNS 判断', () => {
+      expect(ImageAnalyzer.declaresAlpha(createPngHeader(2), 'image/png')).toBe(false);
+      expect(ImageAnalyzer.declaresAlpha(createPngHeader(3, true), 'image/png')).toBe(true);
+    });
+
+    test('WebP 根据 VP8X/VP8L 标志判断，简单有损格式不透明', () => {
+      expect(ImageAnalyzer.declaresAlpha(createWebpHeader('VP8X', 20, 0x10), 'image/webp')).toBe(true);
+      expect(ImageAnalyzer.declaresAlpha(createWebpHeader('VP8X', 20, 0x00), 'image/webp')).toBe(false);
+      expect(ImageAnalyzer.declaresAlpha(createWebpHeader('VP8L', 24, 0x10), 'image/webp')).toBe(true);
+      expect(ImageAnalyzer.declaresAlpha(createWebpHeader('VP8 '), 'image/webp')).toBe(false);
+    });
+
+    test('JPEG 不透明，未知格式返回 null', () => {
+      expect(ImageAnalyzer.declaresAlpha(new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0]), 'image/jpeg')).toBe(false);
+      expect(ImageAnalyzer.declaresAlpha(new Uint8Array([1, 2, 3, 4]), 'image/avif')).toBeNull();
+    });
+  });
+
+  describe('hasTransparentPixels', () => {
+    const withPixels = (alphas, fn) => {
+      const ctx = mockContext();
+      const original = ctx.getImageData;
+      ctx.getImageData = () => ({ data: Uint8ClampedArray.from(alphas.flatMap(a => [10, 20, 30, a])) });
+      try {
+        return fn();
+      } finally {
+        ctx.getImageData = original;
+      }
+    };
+
+    test('存在 alpha < 255 的像素时为透明', () => {
+      withPixels([255, 255, 128], () => {
+        expect(ImageAnalyzer.hasTransparentPixels({ width: 3, height: 1 })).toBe(true);
+      });
+    });
+
+    test('全部不透明时为不透明', () => {
+      withPixels([255, 255, 255], () => {
+        expect(ImageAnalyzer.hasTransparentPixels({ width: 3, height: 1 })).toBe(false);
+      });
+    });
+  });
+
+  describe('analyze', () => {
+    test('应在图片信息上标记 hasAlpha', async () => {
+      const jpeg = new File([new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0])], 'photo.jpg', { type: 'image/jpeg' });
+      const png = new File([createPngHeader(2)], 'opaque.png', { type: 'image/png' });
+
+      expect((await ImageAnalyzer.analyze(jpeg)).hasAlpha).toBe(false);
+      expect((await ImageAnalyzer.analyze(png)).hasAlpha).toBe(false);
+    });
+  });
+
+  describe('resolveOutputFormat', () => {
+    const createInfo = (type, hasAlpha) => ({ file: new File(['x'], 'a', { type }), hasAlpha });
+    const jpegConfig = { format: 'image/jpeg', extension: '.jpg', keepAlphaFormat: true };
+
+    test('透明图片保持原来的 PNG/WebP 格式', () => {
+      expect(ImageProcessor.resolveOutputFormat(createInfo('image/png', true), jpegConfig))
+        .toEqual({ format: 'image/png', extension: '.png' });
+      expect(ImageProcessor.resolveOutputFormat(createInfo('image/webp', true), jpegConfig))
+        .toEqual({ format: 'image/webp', extension: '.webp' });
+    });
+
+    test('其他透明图片改用 PNG', () => {
+      expect(ImageProcessor.resolveOutputFormat(createInfo('image/avif', true), jpegConfig))
+        .toEqual({ format: 'image/png', extension: '.png' });
+    });
+
+    test('未开启、不透明或输出格式支持透明时使用配置的格式', () => {
+      expect(ImageProcessor.resolveOutputFormat(createInfo('image/png', true), { ...jpegConfig, keepAlphaFormat: false }))
+        .toEqual({ format: 'image/jpeg', extension: '.jpg' });
+      expect(ImageProcessor.resolveOutputFormat(createInfo('image/png', false), jpegConfig))
+        .toEqual({ format: 'image/jpeg', extension: '.jpg' });
+      expect(ImageProcessor.resolveOutputFormat(createInfo('image/png', true), { ...jpegConfig, format: 'image/webp', extension: '.webp' }))
+        .toEqual({ format: 'image/webp', extension: '.webp' });
+    });
+  });
+
+  describe('process', () => {
+    // setup.js 中的 Image mock 尺寸为 1000 × 800
+    const createImageInfo = (hasAlpha) => ({
+      file: new File(['test'], 'logo.png', { type: 'image/png' }),
+      width: 1000,
+      height: 800,
+      size: 500 * 1024,
+      previewUrl: 'blob:test',
+      needsProcessing: true,
+      hasAlpha
+    });
+
+    const trackFlatten = async (fn) => {
+      const original = ImageProcessor.flattenCanvas;
+      const colors = [];
+      ImageProcessor.flattenCanvas = function(canvas, color) {
+        colors.push(color);
+        return original.call(this, canvas, color);
+      };
+      try {
+        return { result: await fn(), colors };
+      } finally {
+        ImageProcessor.flattenCanvas = original;
+      }
+    };
+
+    test('透明图片转 JPEG 时铺上配置的背景色', async () => {
+      const { result, colors } = await trackFlatten(() => ImageProcessor.process(createImageInfo(true), {
+        format: 'image/jpeg', extension: '.jpg', backgroundColor: '#ff0000'
+      }));
+
+      expect(colors.length).toBeGreaterThan(0);
+      expect(colors.every(color => color === '#ff0000')).toBe(true);
+      expect(result.outputFileName).toBe('logo.jpg');
+    });
+
+    test('已知不透明或输出格式支持透明时不铺背景', async () => {
+      const opaque = await trackFlatten(() => ImageProcessor.process(createImageInfo(false), {
+        format: 'image/jpeg', extension: '.jpg'
+      }));
+      const webp = await trackFlatten(() => ImageProcessor.process(createImageInfo(true), {
+        format: 'image/webp', extension: '.webp'
+      }));
+
+      expect(opaque.colors).toEqual([]);
+      expect(webp.colors).toEqual([]);
+    });
+
+    test('flattenCanvas 先填充背景再绘制原画布', () => {
+      const ctx = mockContext();
+      const calls = [];
+      const { fillRect, drawImage } = ctx;
+      ctx.fillRect = () => calls.push(['fillRect', ctx.fillStyle]);
+      ctx.drawImage = () => calls.push(['drawImage']);
+      try {
+        const source = document.createElement('canvas');
+        source.width = 20;
+        source.height = 10;
+        const flat = ImageProcessor.flattenCanvas(source);
+
+        expect(flat.width).toBe(20);
+        expect(calls).toEqual([['fillRect', CONFIG.backgroundColor], ['drawImage']]);
+      } finally {
+        ctx.fillRect = fillRect;
+        ctx.drawImage = drawImage;
+      }
+    });
+
+    test('开启 keepAlphaFormat 时透明 PNG 保持 PNG 输出', async () => {
+      const result = await ImageProcessor.process(createImageInfo(true), {
+        format: 'image/jpeg', extension: '.jpg', keepAlphaFormat: true
+      });
+
+      expect(result.outputFileName).toBe('logo.png');
+    });
+  });
+});
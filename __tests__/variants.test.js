@@ -0,0 +1,170 @@
+/**
+ * 多输出变体（响应式 srcset）测试
+ */
+
+import { ImageProcessor, BatchProcessor, ZipExporter } from '../app.js';
+
+let lastZipFiles = null;
+
+class MockJSZip {
+  constructor() {
+    lastZipFiles = {};
+  }
+
+  folder(name) {
+    lastZipFiles[name] = lastZipFiles[name] || {};
+    return {
+      file: (fileName, content) => {
+        lastZipFiles[name][fileName] = content;
+      }
+    };
+  }
+
+  async generateAsync() {
+    return new Blob(['mock-zip-content'], { type: 'application/zip' });
+  }
+}
+
+const originalJSZip = global.JSZip;
+
+beforeAll(() => {
+  global.JSZip = MockJSZip;
+});
+
+afterAll(() => {
+  global.JSZip = originalJSZip;
+});
+
+// setup.js 中的 Image mock 尺寸为 1000 × 800
+const createImageInfo = () => ({
+  file: new File(['test'], 'banner.png', { type: 'image/png' }),
+  width: 1000,
+  height: 800,
+  size: 500 * 1024,
+  previewUrl: 'blob:test',
+  needsProcessing: true
+});
+
+describe('Variants', () => {
+  describe('buildVariants', () => {
+    test('未配置宽度时应返回空数组', () => {
+      expect(ImageProcessor.buildVariants({ format: 'image/webp' })).toEqual([]);
+    });
+
+    test('应按宽度升序去重生成变体', () => {
+      const variants = ImageProcessor.buildVariants({
+        format: 'image/webp',
+        variantWidths: [1500, 375, 750, 375]
+      });
+
+      expect(variants.map(v => v.width)).toEqual([375, 750, 1500]);
+      expect(variants.every(v => v.format === 'image/webp' && v.extension === '.webp')).toBe(true);
+    });
+
+    test('开启兜底时应额外生成 JPEG 变体', () => {
+      const variants = ImageProcessor.buildVariants({
+        format: 'image/webp',
+        width: 750,
+        variantWidths: [375, 750],
+        variantFallback: true
+      });
+
+      expect(variants).toHaveLength(3);
+      expect(variants[2]).toEqual({ width: 750, format: 'image/jpeg', extension: '.jpg' });
+    });
+
+    test('主格式已是 JPEG 时不重复生成兜底', () => {
+      const variants = ImageProcessor.buildVariants({
+        format: 'image/jpeg',
+        variantWidths: [375],
+        variantFallback: true
+      });
+
+      expect(variants).toHaveLength(1);
+    });
+  });
+
+  describe('processVariants', () => {
+    test('应为每个变体生成带宽度描述符的文件', async () => {
+      const userConfig = { format: 'image/webp', maxSizeKB: 800, width: 750, height: 750 };
+      userConfig.variants = ImageProcessor.buildVariants({
+        ...userConfig,
+        variantWidths: [375, 750],
+        variantFallback: true
+      });
+
+      const result = await ImageProcessor.processVariants(createImageInfo(), userConfig);
+
+      expect(result.variants.map(v => v.outputFileName)).toEqual([
+        'banner-375w.webp',
+        'banner-750w.webp',
+        'banner-750w.jpg'
+      ]);
+      expect(result.variants[0].finalWidth).toBe(375);
+      expect(result.variants[2].format).toBe('image/jpeg');
+      expect(result.finalSize).toBe(result.variants.reduce((sum, v) => sum + v.finalSize, 0));
+    });
+
+    test('不放大时相同尺寸的变体只保留一份', async () => {
+      const userConfig = { format: 'image/webp', maxSizeKB: 800, noUpscale: true };
+      userConfig.variants = ImageProcessor.buildVariants({ ...userConfig, variantWidths: [1200, 1500] });
+
+      const result = await ImageProcessor.processVariants(createImageInfo(), userConfig);
+
+      expect(result.variants.map(v => v.outputFileName)).toEqual(['banner-1000w.webp']);
+    });
+
+    test('BatchProcessor 配置变体时应返回带 variants 的结果', async () => {
+      const userConfig = { format: 'image/webp', maxSizeKB: 800 };
+      userConfig.variants = ImageProcessor.buildVariants({ ...userConfig, variantWidths: [375, 750] });
+
+      const results = await BatchProcessor.processAll([createImageInfo()], userConfig, () => {});
+
+      expect(results).toHaveLength(1);
+      expect(results[0].variants).toHaveLength(2);
+    });
+  });
+
+  describe('ZipExporter', () => {
+    const createVariantResult = async () => {
+      const userConfig = { format: 'image/webp', maxSizeKB: 800, width: 750, height: 750 };
+      userConfig.variants = ImageProcessor.buildVariants({
+        ...userConfig,
+        variantWidths: [375, 750],
+        variantFallback: true
+      });
+      return ImageProcessor.processVariants(createImageInfo(), userConfig);
+    };
+
+    test('ZIP 应包含所有变体文件', async () => {
+      const result = await createVariantResult();
+      await ZipExporter.createZipWithFolders(new Map([['banners', [result]]]));
+
+      expect(Object.keys(lastZipFiles.banners).sort()).toEqual([
+        'banner-375w.webp',
+        'banner-750w.jpg',
+        'banner-750w.webp'
+      ]);
+    });
+
+    test('manifest 为 both 时应附带 HTML 和 JSON 清单', async () => {
+      const result = await createVariantResult();
+      await ZipExporter.createZipWithFolders(new Map([['banners', [result]]]), { manifest: 'both' });
+
+      const html = lastZipFiles.banners['banner.html'];
+      expect(html).toContain('<source type="image/webp" srcset="banner-375w.webp 375w, banner-750w.webp 750w"');
+      expect(html).toContain('<img src="banner-750w.jpg"');
+
+      const manifest = JSON.parse(lastZipFiles.banners['banner.json']);
+      expect(manifest.source).toBe('banner.png');
+      expect(manifest.variants).toHaveLength(3);
+    });
+
+    test('单输出结果不生成清单', async () => {
+      const result = await ImageProcessor.process(createImageInfo(), { format: 'image/jpeg', extension: '.jpg' });
+      await ZipExporter.createZipWithFolders(new Map([['banners', [result]]]), { manifest: 'both' });
+
+      expect(Object.keys(lastZipFiles.banners)).toEqual(['banner.jpg']);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * 水印单元测试
+ */
+
+import { ImageProcessor, ImageAnalyzer, CONFIG } from '../app.js';
+
+// 记录绘制调用的画布
+const createRecordingCanvas = (width, height) => {
+  const calls = [];
+  const ctx = {
+    calls,
+    globalAlpha: 1,
+    save: () => calls.push(['save']),
+    restore: () => calls.push(['restore']),
+    translate: (x, y) => calls.push(['translate', x, y]),
+    rotate: (angle) => calls.push(['rotate', angle]),
+    drawImage: (...args) => calls.push(['drawImage', ...args.slice(1)]),
+    fillText: (text, x, y) => calls.push(['fillText', text, x, y, ctx.globalAlpha, ctx.font]),
+    measureText: (text) => ({ width: text.length * 50 })
+  };
+  return { width, height, getContext: () => ctx, ctx };
+};
+
+describe('Watermark', () => {
+  describe('getWatermarkOptions', () => {
+    test('未启用或缺少内容时应该返回 null', () => {
+      expect(ImageProcessor.getWatermarkOptions({})).toBeNull();
+      expect(ImageProcessor.getWatermarkOptions({ watermarkType: 'none', watermarkText: 'A' })).toBeNull();
+      expect(ImageProcessor.getWatermarkOptions({ watermarkType: 'text', watermarkText: '' })).toBeNull();
+      expect(ImageProcessor.getWatermarkOptions({ watermarkType: 'image' })).toBeNull();
+    });
+
+    test('应该使用默认值并限制取值范围', () => {
+      const options = ImageProcessor.getWatermarkOptions({
+        watermarkType: 'text',
+        watermarkText: '品牌',
+        watermarkOpacity: 1.5,
+        watermarkScale: NaN
+      });
+
+      expect(options.opacity).toBe(1);
+      expect(options.scale).toBe(CONFIG.watermark.scale);
+      expect(options.position).toBe(CONFIG.watermark.position);
+    });
+  });
+
+  describe('computeWatermarkLayout', () => {
+    const options = { position: 'bottom-right', scale: 0.2, margin: 20 };
+
+    test('水印宽度应该相对输出宽度，高度保持宽高比', () => {
+      const layout = ImageProcessor.computeWatermarkLayout(1000, 800, 400, 100, options);
+      expect(layout.width).toBe(200);
+      expect(layout.height).toBe(50);
+    });
+
+    test.each([
+      ['top-left', 120, 45],
+      ['center', 500, 400],
+      ['bottom-right', 880, 755],
+      ['bottom-center', 500, 755],
+      ['center-left', 120, 400]
+    ])('%s 位置应该按边距计算中心点', (position, x, y) => {
+      const layout = ImageProcessor.computeWatermarkLayout(1000, 800, 400, 100, { ...options, position });
+      expect(layout.positions).toEqual([{ x, y }]);
+    });
+
+    test('平铺应该覆盖整张图片', () => {
+      const layout = ImageProcessor.computeWatermarkLayout(1000, 800, 400, 100, { ...options, position: 'tile' });
+      const xs = layout.positions.map(p => p.x);
+      const ys = layout.positions.map(p => p.y);
+
+      expect(layout.positions.length).toBeGreaterThan(9);
+      expect(Math.min(...xs) - layout.width / 2).toBeLessThanOrEqual(0);
+      expect(Math.max(...xs) + layout.width / 2).toBeGreaterThanOrEqual(1000);
+      expect(Math.min(...ys) - layout.height / 2).toBeLessThanOrEqual(0);
+      expect(Math.max(...ys) + layout.height / 2).toBeGreaterThanOrEqual(800);
+    });
+  });
+
+  describe('applyWatermark', () => {
+    test('文字水印应该按不透明度和旋转角度绘制', async () => {
+      const canvas = createRecordingCanvas(1000, 800);
+      const options = ImageProcessor.getWatermarkOptions({
+        watermarkType: 'text',
+        watermarkText: 'SHOP',
+        watermarkOpacity: 0.3,
+        watermarkRotation: 90
+      });
+      await ImageProcessor.applyWatermark(canvas, options);
+
+      const fill = canvas.ctx.calls.find(call => call[0] === 'fillText');
+      const rotate = canvas.ctx.calls.find(call => call[0] === 'rotate');
+      expect(fill[1]).toBe('SHOP');
+      expect(fill[4]).toBe(0.3);
+      // 宽度 200px，测量宽度 200（4 字 × 50），字号 = 100 × 200 / 200
+      expect(fill[5]).toContain('100px');
+      expect(rotate[1]).toBeCloseTo(Math.PI / 2);
+    });
+
+    test('图片水印应该按计算的尺寸绘制', async () => {
+      const canvas = createRecordingCanvas(1000, 800);
+      ImageProcessor.watermarkCache = { src: 'data:logo', image: { naturalWidth: 100, naturalHeight: 50 } };
+      const options = ImageProcessor.getWatermarkOptions({
+        watermarkType: 'image',
+        watermarkImage: 'data:logo',
+        watermarkPosition: 'top-left',
+        watermarkMargin: 10
+      });
+      await ImageProcessor.applyWatermark(canvas, options);
+
+      const translate = canvas.ctx.calls.find(call => call[0] === 'translate');
+      const draw = canvas.ctx.calls.find(call => call[0] === 'drawImage');
+      expect(translate.slice(1)).toEqual([110, 60]);
+      expect(draw.slice(1)).toEqual([-100, -50, 200, 100]);
+    });
+  });
+
+  describe('rasterizeWatermark', () => {
+    const withRecordedSize = async (fn) => {
+      const original = HTMLCanvasElement.prototype.toBlob;
+      const sizes = [];
+      HTMLCanvasElement.prototype.toBlob = function(callback, format, quality) {
+        sizes.push([this.width, this.height, format]);
+        return original.call(this, callback, format, quality);
+      };
+      try {
+        return { result: await fn(), sizes };
+      } finally {
+        HTMLCanvasElement.prototype.toBlob = original;
+      }
+    };
+
+    test('SVG Logo 转为 PNG data URL，最长边不超过上限', async () => {
+      // setup.js 中的 Image mock 尺寸为 1000 × 800
+      const { result, sizes } = await withRecordedSize(() =>
+        ImageProcessor.rasterizeWatermark('data:image/svg+xml;base64,PHN2Zy8+')
+      );
+
+      expect(result).toMatch(/^data:image\/png/);
+      expect(sizes).toEqual([[CONFIG.watermark.maxLogoSize, CONFIG.watermark.maxLogoSize * 0.8, 'image/png']]);
+    });
+
+    test('小于上限的 Logo 保持原尺寸，没有固有尺寸时按上限绘制', async () => {
+      const { sizes } = await withRecordedSize(() => ImageProcessor.rasterizeWatermark('data:logo', 2000));
+      expect(sizes).toEqual([[1000, 800, 'image/png']]);
+
+      const OriginalImage = global.Image;
+      global.Image = class extends OriginalImage {
+        constructor() {
+          super();
+          this.naturalWidth = 0;
+          this.naturalHeight = 0;
+        }
+      };
+      try {
+        const { sizes: svgSizes } = await withRecordedSize(() => ImageProcessor.rasterizeWatermark('data:svg', 300));
+        expect(svgSizes).toEqual([[300, 300, 'image/png']]);
+      } finally {
+        global.Image = OriginalImage;
+      }
+    });
+
+    test('Logo 无法加载时报错', async () => {
+      const OriginalImage = global.Image;
+      global.Image = class {
+        set src(value) {
+          setTimeout(() => this.onerror(), 0);
+        }
+      };
+      try {
+        await expect(ImageProcessor.rasterizeWatermark('data:broken')).rejects.toThrow('水印图片加载失败');
+      } finally {
+        global.Image = OriginalImage;
+      }
+    });
+  });
+
+  describe('处理流程', () => {
+    test('启用水印时即使尺寸和大小符合也需要处理', () => {
+      const info = { width: 750, height: 500, size: 1024 };
+      expect(ImageAnalyzer.needsProcessing(info, { watermarkType: 'text', watermarkText: 'A' })).toBe(true);
+    });
+
+    test('process 应该在缩放后绘制水印', async () => {
+      const file = new File(['x'], 'a.jpg', { type: 'image/jpeg' });
+      const info = { file, width: 750, height: 600, size: 1, previewUrl: 'blob:a', needsProcessing: false };
+      const original = ImageProcessor.applyWatermark;
+      const canvases = [];
+      ImageProcessor.applyWatermark = async (canvas) => canvases.push(canvas);
+      try {
+        const result = await ImageProcessor.process(info, { watermarkType: 'text', watermarkText: 'A' });
+        expect(result.wasProcessed).toBe(true);
+        expect(canvases).toHaveLength(1);
+        expect(canvases[0].width).toBe(CONFIG.maxWidth);
+      } finally {
+        ImageProcessor.applyWatermark = original;
+      }
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * WorkerPool 单元测试
+ */
+
+import { WorkerPool, BatchProcessor } from '../app.js';
+
+// 模拟 Worker：收到消息后异步返回处理结果
+class MockWorker {
+  static instances = [];
+
+  constructor(url, options) {
+    this.url = String(url);
+    this.options = options;
+    this.terminated = false;
+    this.onmessage = null;
+    this.onerror = null;
+    MockWorker.instances.push(this);
+  }
+
+  postMessage({ imageInfo }) {
+    if (imageInfo.uncloneable) {
+      throw new DOMException('could not be cloned', 'DataCloneError');
+    }
+    setTimeout(() => {
+      if (imageInfo.crash) {
+        this.onerror({ message: 'worker crashed', preventDefault: () => {} });
+      } else if (imageInfo.fail) {
+        this.onmessage({ data: { error: '图片加载失败' } });
+      } else {
+        this.onmessage({ data: { result: { outputFileName: imageInfo.name, worker: this } } });
+      }
+    }, 0);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+beforeEach(() => {
+  MockWorker.instances = [];
+  global.Worker = MockWorker;
+  global.OffscreenCanvas = class {};
+  global.createImageBitmap = async () => ({});
+});
+
+afterEach(() => {
+  delete global.Worker;
+  delete global.OffscreenCanvas;
+  delete global.createImageBitmap;
+});
+
+describe('WorkerPool', () => {
+  test('不支持 Worker 时应返回 null', () => {
+    delete global.Worker;
+    expect(WorkerPool.isSupported()).toBe(false);
+    expect(WorkerPool.create(2)).toBeNull();
+  });
+
+  test('应创建指定数量的模块 Worker', () => {
+    const pool = WorkerPool.create(3);
+
+    expect(pool.size).toBe(3);
+    expect(MockWorker.instances).toHaveLength(3);
+    expect(MockWorker.instances[0].url).toMatch(/worker\.js$/);
+    expect(MockWorker.instances[0].options).toEqual({ type: 'module' });
+    pool.terminate();
+  });
+
+  test('应把任务分配给空闲 Worker 并返回结果', async () => {
+    const pool = WorkerPool.create(2);
+    const results = await Promise.all(
+      ['a', 'b', 'c', 'd', 'e'].map(name => pool.run({ name }, {}))
+    );
+
+    expect(results.map(r => r.outputFileName)).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(new Set(results.map(r => r.worker)).size).toBe(2);
+    pool.terminate();
+  });
+
+  test('Worker 返回错误时任务应被拒绝', async () => {
+    const pool = WorkerPool.create(1);
+
+    await expect(pool.run({ fail: true }, {})).rejects.toThrow('图片加载失败');
+    await expect(pool.run({ crash: true }, {})).rejects.toThrow('worker crashed');
+    // 出错后 Worker 仍可继续处理
+    await expect(pool.run({ name: 'ok' }, {})).resolves.toMatchObject({ outputFileName: 'ok' });
+    pool.terminate();
+  });
+
+  test('postMessage 抛错时任务被拒绝，Worker 归还后继续处理队列', async () => {
+    const pool = WorkerPool.create(1);
+    const first = pool.run({ name: 'a' }, {});
+    const broken = pool.run({ uncloneable: true }, {});
+    const last = pool.run({ name: 'b' }, {});
+
+    await expect(first).resolves.toMatchObject({ outputFileName: 'a' });
+    await expect(broken).rejects.toThrow('could not be cloned');
+    await expect(last).resolves.toMatchObject({ outputFileName: 'b' });
+    // 直接调用也不会占住唯一的 Worker
+    await expect(pool.run({ uncloneable: true }, {})).rejects.toThrow('could not be cloned');
+    await expect(pool.run({ name: 'c' }, {})).resolves.toMatchObject({ outputFileName: 'c' });
+    pool.terminate();
+  });
+
+  test('空闲 Worker 出错时停止使用，不会重复进入空闲列表', async () => {
+    const pool = WorkerPool.create(2);
+    const [broken, healthy] = MockWorker.instances;
+    broken.onerror({ message: 'module load failed', preventDefault: () => {} });
+    broken.onerror({ message: 'module load failed', preventDefault: () => {} });
+
+    const results = await Promise.all(['a', 'b', 'c'].map(name => pool.run({ name }, {})));
+
+    expect(broken.terminated).toBe(true);
+    expect(results.map(r => r.outputFileName)).toEqual(['a', 'b', 'c']);
+    expect(results.every(r => r.worker === healthy)).toBe(true);
+    pool.terminate();
+  });
+
+  test('所有 Worker 都失效后改在主线程处理', async () => {
+    const original = BatchProcessor.processOne;
+    BatchProcessor.processOne = async (imageInfo) => ({ outputFileName: imageInfo.name, mainThread: true });
+    try {
+      const pool = WorkerPool.create(1);
+      const queued = pool.run({ name: 'queued' }, {});
+      // 任务完成后才出错：不应把同一个 Worker 再次放回空闲列表
+      const worker = MockWorker.instances[0];
+      await expect(queued).resolves.toMatchObject({ outputFileName: 'queued', worker });
+      worker.onerror({ message: 'late error', preventDefault: () => {} });
+
+      await expect(pool.run({ name: 'a' }, {})).resolves.toEqual({ outputFileName: 'a', mainThread: true });
+      expect(worker.terminated).toBe(true);
+      pool.terminate();
+    } finally {
+      BatchProcessor.processOne = original;
+    }
+  });
+
+  test('terminate 应终止所有 Worker 并拒绝排队中的任务', async () => {
+    const pool = WorkerPool.create(1);
+    pool.run({ name: 'running' }, {}).catch(() => {});
+    const queued = pool.run({ name: 'queued' }, {});
+
+    pool.terminate();
+
+    await expect(queued).rejects.toThrow('Worker 线程池已关闭');
+    expect(MockWorker.instances.every(w => w.terminated)).toBe(true);
+  });
+});
@@ -289,4 +289,75 @@ describe('ZipExporter', () => {
       );
     }, 30000);
   });
+
+  describe('Layout', () => {
+    const output = (name, width, type = 'image/jpeg') => ({
+      ...createMockResult(name, type),
+      outputFileName: name,
+      finalWidth: width
+    });
+    const resultsByFolder = () => new Map([
+      ['shop/banners', [output('a.jpg', 1500), output('b.webp', 375, 'image/webp')]],
+      ['未分类', [output('a.jpg', 750)]]
+    ]);
+    const paths = (entries) => entries.map(e => [e.dir, e.fileName].filter(Boolean).join('/'));
+
+    test('preserve 应该保持文件夹结构，未分类文件放在根目录', () => {
+      expect(paths(ZipExporter.planEntries(resultsByFolder()))).toEqual([
+        'shop/banners/a.jpg',
+        'shop/banners/b.webp',
+        'a.jpg'
+      ]);
+    });
+
+    test('flatten 应该放在同一目录并以路径作为前缀', () => {
+      expect(paths(ZipExporter.planEntries(resultsByFolder(), { layout: 'flatten' }))).toEqual([
+        'shop_banners_a.jpg',
+        'shop_banners_b.webp',
+        'a.jpg'
+      ]);
+    });
+
+    test('format 应该按输出格式分组，同名文件追加后缀', () => {
+      expect(paths(ZipExporter.planEntries(resultsByFolder(), { layout: 'format' }))).toEqual([
+        'jpg/a.jpg',
+        'webp/b.webp',
+        'jpg/a-1.jpg'
+      ]);
+    });
+
+    test('size 应该按输出宽度分组', () => {
+      expect(paths(ZipExporter.planEntries(resultsByFolder(), { layout: 'size' }))).toEqual([
+        'large/a.jpg',
+        'small/b.webp',
+        'medium/a.jpg'
+      ]);
+    });
+
+    test('rootFolder 应该作为所有文件的根目录，并去掉不安全的路径', () => {
+      const entries = ZipExporter.planEntries(resultsByFolder(), { layout: 'flatten', rootFolder: '../导出' });
+      expect(entries.every(e => e.dir === '导出')).toBe(true);
+    });
+
+    test('分组后清单中的路径应该相对清单所在目录', () => {
+      const variants = [output('a-375w.webp', 375, 'image/webp'), output('a-750w.jpg', 750)]
+        .map(v => ({ ...v, format: v.processedBlob.type, descriptor: `${v.finalWidth}w`, finalHeight: 300 }));
+      const result = { ...variants[0], originalFile: new File(['x'], 'a.png'), variants };
+      const entries = ZipExporter.planEntries(new Map([['未分类', [result]]]), {
+        layout: 'format',
+        manifest: 'json',
+        rootFolder: 'out'
+      });
+      const manifestEntry = entries.find(e => e.fileName === 'a.json');
+
+      expect(manifestEntry.dir).toBe('out/webp');
+      expect(JSON.parse(manifestEntry.content).variants.map(v => v.file)).toEqual(['a-375w.webp', '../jpg/a-750w.jpg']);
+    });
+
+    test('relativePath 应该计算跨目录的相对路径', () => {
+      expect(ZipExporter.relativePath('', 'a.jpg')).toBe('a.jpg');
+      expect(ZipExporter.relativePath('x/y', 'x/z/a.jpg')).toBe('../z/a.jpg');
+      expect(ZipExporter.relativePath('x', 'a.jpg')).toBe('../a.jpg');
+    });
+  });
 });
@@ -0,0 +1,206 @@
+/**
+ * 流式 ZIP 导出和分卷导出测试
+ */
+
+import { ZipExporter } from '../app.js';
+
+const zips = [];
+
+// 模拟 JSZip 的内部流：按文件逐块输出
+class MockJSZip {
+  constructor() {
+    this.files = [];
+    zips.push(this);
+  }
+
+  folder(dir) {
+    return {
+      file: (name) => {
+        this.files.push(`${dir}/${name}`);
+      }
+    };
+  }
+
+  file(name) {
+    this.files.push(name);
+  }
+
+  generateInternalStream() {
+    const handlers = {};
+    const chunks = this.files.map(name => new TextEncoder().encode(name));
+    let index = 0;
+    let paused = true;
+    const stream = {
+      on(event, handler) {
+        handlers[event] = handler;
+        return stream;
+      },
+      pause() {
+        paused = true;
+      },
+      resume() {
+        paused = false;
+        setTimeout(() => {
+          while (!paused && index < chunks.length) {
+            const chunk = chunks[index++];
+            handlers.data(chunk, { percent: (index / chunks.length) * 100 });
+          }
+          if (!paused && index === chunks.length) {
+            index++;
+            handlers.end();
+          }
+        }, 0);
+      }
+    };
+    return stream;
+  }
+
+  async generateAsync(options, onUpdate) {
+    if (onUpdate) onUpdate({ percent: 100 });
+    return new Blob([this.files.join('\n')], { type: 'application/zip' });
+  }
+}
+
+const createResult = (name, size) => ({
+  originalFile: new File(['x'], name),
+  processedBlob: new Blob(['x'.repeat(size)]),
+  outputFileName: name,
+  finalWidth: 750,
+  wasProcessed: true
+});
+
+const originalJSZip = global.JSZip;
+
+beforeAll(() => {
+  global.JSZip = MockJSZip;
+});
+
+afterAll(() => {
+  global.JSZip = originalJSZip;
+});
+
+beforeEach(() => {
+  zips.length = 0;
+});
+
+describe('ZIP Streaming', () => {
+  describe('streamToWritable', () => {
+    test('应该在上一块写入完成后再继续生成，并在结束时关闭文件', async () => {
+      const written = [];
+      let writing = false;
+      let overlapped = false;
+      const writable = {
+        write: async (chunk) => {
+          overlapped = overlapped || writing;
+          writing = true;
+          await new Promise(resolve => setTimeout(resolve, 5));
+          written.push(new TextDecoder().decode(chunk));
+          writing = false;
+        },
+        close: async () => written.push('<closed>')
+      };
+      const zip = ZipExporter.buildZip([
+        { dir: 'a', fileName: '1.jpg', content: 'x' },
+        { dir: 'a', fileName: '2.jpg', content: 'x' },
+        { dir: '', fileName: '3.jpg', content: 'x' }
+      ]);
+      const progress = [];
+      await ZipExporter.streamToWritable(zip, writable, (percent) => progress.push(Math.round(percent)));
+
+      expect(written).toEqual(['a/1.jpg', 'a/2.jpg', '3.jpg', '<closed>']);
+      expect(overlapped).toBe(false);
+      expect(progress).toEqual([33, 67, 100]);
+    });
+
+    test('写入失败时应该返回错误', async () => {
+      const writable = {
+        write: async () => { throw new Error('磁盘已满'); },
+        close: async () => {}
+      };
+      const zip = ZipExporter.buildZip([{ dir: '', fileName: '1.jpg', content: 'x' }]);
+      await expect(ZipExporter.streamToWritable(zip, writable)).rejects.toThrow('磁盘已满');
+    });
+  });
+
+  describe('exportStreaming', () => {
+    afterEach(() => {
+      delete window.showSaveFilePicker;
+    });
+
+    test('用户取消保存对话框时应该返回 false', async () => {
+      window.showSaveFilePicker = async () => {
+        throw Object.assign(new Error('aborted'), { name: 'AbortError' });
+      };
+      expect(ZipExporter.isStreamingSupported()).toBe(true);
+      expect(await ZipExporter.exportStreaming(new Map(), {}, 'a.zip')).toBe(false);
+    });
+
+    test('应该写入用户选择的文件', async () => {
+      const written = [];
+      window.showSaveFilePicker = async ({ suggestedName }) => ({
+        createWritable: async () => ({
+          write: async (chunk) => written.push(new TextDecoder().decode(chunk)),
+          close: async () => written.push(`<closed ${suggestedName}>`),
+          abort: async () => {}
+        })
+      });
+      const saved = await ZipExporter.exportStreaming(
+        new Map([['shop', [createResult('a.jpg', 10)]]]), {}, 'out.zip'
+      );
+
+      expect(saved).toBe(true);
+      expect(written).toEqual(['shop/a.jpg', '<closed out.zip>']);
+    });
+  });
+
+  describe('splitIntoVolumes', () => {
+    const entry = (name, size) => ({ dir: '', fileName: name, content: new Blob(['x'.repeat(size)]) });
+
+    test('应该按大小上限拆分', () => {
+      const volumes = ZipExporter.splitIntoVolumes(
+        [entry('a', 40), entry('b', 40), entry('c', 40), entry('d', 10)],
+        100
+      );
+      expect(volumes.map(v => v.map(e => e.fileName))).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    test('超过上限的单个文件应该独占一个分卷', () => {
+      const volumes = ZipExporter.splitIntoVolumes([entry('a', 10), entry('big', 500), entry('c', 10)], 100);
+      expect(volumes.map(v => v.map(e => e.fileName))).toEqual([['a'], ['big'], ['c']]);
+    });
+  });
+
+  describe('planVolumes / exportVolume', () => {
+    test('多个分卷的文件名带分卷序号，规划时不生成 ZIP', () => {
+      const results = new Map([['shop', [createResult('a.jpg', 600 * 1024), createResult('b.jpg', 600 * 1024)]]]);
+      const volumes = ZipExporter.planVolumes(results, { volumeSizeMB: 1 }, 'images');
+
+      expect(volumes.map(v => v.fileName)).toEqual(['images.part1.zip', 'images.part2.zip']);
+      expect(volumes.map(v => v.entries.map(e => e.fileName))).toEqual([['a.jpg'], ['b.jpg']]);
+      expect(zips).toHaveLength(0);
+    });
+
+    test('只有一个分卷时文件名不带序号', () => {
+      const volumes = ZipExporter.planVolumes(new Map([['shop', [createResult('a.jpg', 10)]]]), {}, 'images');
+      expect(volumes.map(v => v.fileName)).toEqual(['images.zip']);
+    });
+
+    test('exportVolume 只生成并下载指定的分卷', async () => {
+      const downloads = [];
+      const originalDownload = ZipExporter.download;
+      ZipExporter.download = (blob, name) => downloads.push(name);
+      try {
+        const results = new Map([['shop', [createResult('a.jpg', 600 * 1024), createResult('b.jpg', 600 * 1024)]]]);
+        const volumes = ZipExporter.planVolumes(results, { volumeSizeMB: 1 }, 'images');
+        const progress = [];
+        await ZipExporter.exportVolume(volumes[1], (percent) => progress.push(percent));
+
+        expect(downloads).toEqual(['images.part2.zip']);
+        expect(progress).toEqual([100]);
+        expect(zips.map(zip => zip.files)).toEqual([['shop/b.jpg']]);
+      } finally {
+        ZipExporter.download = originalDownload;
+      }
+    });
+  });
+});
@@ -1,9 +1,9 @@
 /**
  * 图片批量处理工具 - 主应用文件
  * 
- * 处理配置:
- * - 最大宽度: 750px
- * - 最大高度: 750px
+ * 默认处理配置（可在控制面板中修改）:
+ * - 目标宽度: 750px
+ * - 目标高度: 750px
  * - 最大文件大小: 800KB
  * - 支持格式: PNG, JPG, JPEG
  */
@@ -15,331 +15,5267 @@ export const CONFIG = {
     maxSizeKB: 800,
     maxSizeBytes: 800 * 1024,
     supportedTypes: ['image/png', 'image/jpeg', 'image/webp', 'image/avif'],
-    supportedExtensions: ['.png', '.jpg', '.jpeg', '.webp', '.avif'],
+    // 浏览器不一定能原生解码的格式，由 FallbackDecoder 解码（BMP、GIF 内置）
+    decodedTypes: ['image/gif', 'image/bmp', 'image/tiff', 'image/heic'],
+    // 外部解码器的 ESM 模块地址（相对于 app.js），默认导出 decode(buffer) => Promise<{ width, height, data }>
+    // decoders/ 中附带封装好的 libheif 和 UTIF，地址留空时浏览器无法原生解码的文件以 no-decoder 拒绝导入
+    decoderUrls: {
+        'image/heic': './decoders/heic.js',
+        'image/tiff': './decoders/tiff.js'
+    },
+    maxInputSizeMB: 200,
     outputFormat: 'image/jpeg',
-    outputExtension: '.jpg'
+    outputExtension: '.jpg',
+    outputFormats: ['image/jpeg', 'image/png', 'image/webp', 'image/avif'],
+    // 浏览器无法编码所选格式时依次尝试的格式
+    formatFallbackOrder: ['image/webp', 'image/jpeg', 'image/png'],
+    formatExtensions: {
+        'image/jpeg': '.jpg',
+        'image/png': '.png',
+        'image/webp': '.webp',
+        'image/avif': '.avif',
+        'image/gif': '.gif'
+    },
+    variantFallbackFormat: 'image/jpeg',
+    manifestModes: ['none', 'html', 'json', 'both'],
+    resizeMode: 'width',
+    resizeModes: ['width', 'height', 'fit', 'cover', 'pad', 'exact', 'percent'],
+    scalePercent: 100,
+    padColor: '#ffffff',
+    // 透明图片转为不支持透明的格式（如 JPEG）时填充的背景色
+    backgroundColor: '#ffffff',
+    alphaFormats: ['image/png', 'image/webp', 'image/avif'],
+    // 透明检测：读取的文件头字节数和像素采样的最大边长
+    alphaHeaderBytes: 64 * 1024,
+    alphaSampleSize: 256,
+    // 读取 JPEG 元数据（APP1/APP2）时只读取的文件头字节数
+    metadataHeaderBytes: 256 * 1024,
+    // 检测 GIF 是否为动图时每次读取的字节数，读到第二帧即停止
+    gifScanChunkBytes: 64 * 1024,
+    metadataPolicy: 'strip',
+    metadataPolicies: ['strip', 'keep-copyright', 'keep'],
+    watermarkPositions: [
+        'top-left', 'top-center', 'top-right',
+        'center-left', 'center', 'center-right',
+        'bottom-left', 'bottom-center', 'bottom-right',
+        'tile'
+    ],
+    watermark: {
+        position: 'bottom-right',
+        opacity: 0.5,
+        scale: 0.2,
+        margin: 20,
+        rotation: 0,
+        color: '#ffffff',
+        fontFamily: 'sans-serif',
+        maxLogoSize: 800 // Logo 栅格化后最长边的上限（px）
+    },
+    namingTemplate: '{name}',
+    // 压缩到最低质量仍超过大小限制时的兜底策略
+    oversizeFallback: 'none',
+    oversizeFallbacks: ['none', 'downscale', 'format', 'format-downscale'],
+    fallbackFormats: ['image/webp', 'image/jpeg'],
+    downscaleStep: 0.85,
+    minDownscale: 0.25,
+    // PNG 超出大小时按颜色数逐级量化，优化器为可选的 ESM 模块地址（默认导出 optimise(buffer, { level })）
+    // 默认不附带优化器，部署时填写模块地址（相对 app.js 或绝对地址）后才显示该选项；地址随配置传给 Worker
+    pngMaxColors: 256,
+    pngDither: true,
+    pngSampleSize: 65536,
+    pngOptimizerUrl: '',
+    pngOptimizeLevel: 2,
+    // 动图：preserve 逐帧缩放并保留动画（输出 GIF/WebP），first-frame 只导出第一帧
+    animationMode: 'preserve',
+    animationModes: ['preserve', 'first-frame'],
+    animationFormats: ['image/gif', 'image/webp'],
+    maxAnimationFrames: 500,
+    zipLayout: 'preserve',
+    zipVolumeSizeMB: 500,
+    folderConflict: 'rename',
+    folderConflictModes: ['skip', 'overwrite', 'rename'],
+    zipLayouts: ['preserve', 'flatten', 'format', 'size'],
+    // 按输出宽度分组时的区间，依次匹配第一个 width <= maxWidth 的分组
+    sizeBuckets: [
+        { name: 'small', maxWidth: 640 },
+        { name: 'medium', maxWidth: 1280 },
+        { name: 'large', maxWidth: Infinity }
+    ]
 };
 
 // ============ 文件验证器 ============
 export const FileValidator = {
     /**
-     * 验证文件是否为支持的图片格式
-     * @param {File} file - 要验证的文件
-     * @returns {boolean} - 是否为有效的图片文件
+     * 获取支持的文件类型列表
+     * @returns {string[]} - 支持的 MIME 类型列表
+     */
+    getSupportedTypes() {
+        return [...CONFIG.supportedTypes];
+    },
+
+    // 校验结果及导入失败的原因码和提示
+    reasons: {
+        ok: '',
+        empty: '文件为空（0 字节）',
+        'too-large': `文件超过 ${CONFIG.maxInputSizeMB}MB`,
+        'unknown-format': '无法识别的文件格式',
+        'unsupported-format': '暂不支持该图片格式',
+        'no-decoder': '浏览器无法解码该格式，且未配置解码器',
+        truncated: '文件不完整或已损坏',
+        'read-error': '无法读取文件',
+        'decode-failed': '图片解码失败'
+    },
+
+    // 读取文件头和文件尾的字节数
+    headBytes: 64,
+    tailBytes: 4096,
+    // 扫描 JPEG、GIF 结构时每次读取的字节数
+    scanChunkBytes: 256 * 1024,
+
+    /**
+     * 根据文件内容校验图片，不依赖 file.type 和扩展名
+     * MIME 缺失或与内容不符时（如改了扩展名的文件），返回按实际格式重新标注类型的文件
+     * @param {File} file - 要验证的文件
+     * @returns {Promise<Object>} - { valid, code, message, detectedType, declaredType, mismatch, file }
+     */
+    async validate(file) {
+        const declaredType = (file && file.type) || '';
+        const result = (code, detectedType = null) => {
+            const mismatch = !!detectedType && declaredType !== detectedType;
+            return {
+                valid: code === 'ok',
+                code,
+                message: this.reasons[code],
+                detectedType,
+                declaredType,
+                mismatch,
+                file: code === 'ok' && mismatch
+                    ? new File([file], file.name, { type: detectedType, lastModified: file.lastModified })
+                    : file
+            };
+        };
+        
+        if (!file || file.size === 0) {
+            return result('empty');
+        }
+        if (file.size > CONFIG.maxInputSizeMB * 1024 * 1024) {
+            return result('too-large');
+        }
+        
+        try {
+            const head = new Uint8Array(await MetadataHandler.readBuffer(file.slice(0, this.headBytes)));
+            const detectedType = this.detectType(head);
+            if (!detectedType) {
+                return result('unknown-format');
+            }
+            if (!CONFIG.supportedTypes.includes(detectedType) && !CONFIG.decodedTypes.includes(detectedType)) {
+                return result('unsupported-format', detectedType);
+            }
+            if (await this.isTruncated(file, head, detectedType)) {
+                return result('truncated', detectedType);
+            }
+            return result('ok', detectedType);
+        } catch (error) {
+            return result('read-error');
+        }
+    },
+
+    /**
+     * 根据文件头的魔数识别图片格式
+     * @param {Uint8Array} bytes - 文件开头的字节
+     * @returns {string|null} - MIME 类型，无法识别时为 null
+     */
+    detectType(bytes) {
+        const ascii = (offset, length) => MetadataHandler.readAscii(bytes, offset, length);
+        const startsWith = (signature) => signature.every((byte, i) => bytes[i] === byte);
+        
+        if (startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+        if (startsWith([0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+        if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') return 'image/webp';
+        if (ascii(0, 2) === 'BM' && bytes.length >= 14) return 'image/bmp';
+        if (startsWith([0x49, 0x49, 0x2A, 0x00]) || startsWith([0x4D, 0x4D, 0x00, 0x2A])) return 'image/tiff';
+        if (ascii(4, 4) === 'ftyp') {
+            // 主品牌可能是通用的 mif1，再看兼容品牌列表
+            const boxSize = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0);
+            const brands = [ascii(8, 4)];
+            for (let offset = 16; offset + 4 <= Math.min(boxSize, bytes.length); offset += 4) {
+                brands.push(ascii(offset, 4));
+            }
+            if (brands.some(brand => brand === 'avif' || brand === 'avis')) return 'image/avif';
+            if (brands.some(brand => ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(brand))) {
+                return 'image/heic';
+            }
+        }
+        return null;
+    },
+
+    /**
+     * 检查文件是否被截断
+     * - JPEG: 最后一段扫描数据（SOS）之后应有 EOI 标记 FF D9，之后的附加数据（如动态照片的视频）不影响
+     * - PNG: 文件尾部应有 IEND 块
+     * - GIF: 最后一帧之后应有结束符 0x3B，之后可以有任意数据
+     * - WebP / BMP: 头部记录的文件大小不能超过实际大小
+     * - AVIF / HEIC: 顶层 box 不能超出文件末尾
+     * - TIFF: 目录可位于文件任意位置，不做检查
+     * @param {File} file - 图片文件
+     * @param {Uint8Array} head - 文件开头的字节
+     * @param {string} type - 识别出的 MIME 类型
+     * @returns {Promise<boolean>} - 是否截断
+     */
+    async isTruncated(file, head, type) {
+        const view = new DataView(head.buffer, head.byteOffset, head.byteLength);
+        
+        switch (type) {
+            case 'image/jpeg':
+                return !await this.hasJpegEnd(file);
+            case 'image/png': {
+                const tail = new Uint8Array(
+                    await MetadataHandler.readBuffer(file.slice(Math.max(0, file.size - this.tailBytes)))
+                );
+                return !MetadataHandler.readAscii(tail, 0, tail.length).includes('IEND');
+            }
+            case 'image/gif':
+                return (await AnimationCodec.scanGif(file, Infinity, this.scanChunkBytes)).truncated;
+            case 'image/webp':
+                return view.getUint32(4, true) + 8 > file.size;
+            case 'image/bmp':
+                return view.getUint32(2, true) > file.size;
+            case 'image/avif':
+            case 'image/heic':
+                return this.isBoxTruncated(file);
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * 按标记段结构扫描 JPEG，判断最后一段扫描数据之后是否有 EOI
+     * 带长度的标记段（如 APP1 中的缩略图）整段跳过，读到 EOI 即停止，不读取之后的附加数据
+     * @param {File} file - JPEG 文件
+     * @returns {Promise<boolean>} - 是否找到 EOI
+     */
+    async hasJpegEnd(file) {
+        const reader = MetadataHandler.createReader(file, this.scanChunkBytes);
+        let offset = 2;
+        for (;;) {
+            offset = await reader.indexOf(0xFF, offset);
+            if (offset < 0 || !await reader.load(offset, 2)) {
+                return false;
+            }
+            const marker = reader.at(offset + 1);
+            if (marker === 0xD9) {
+                return true;
+            }
+            // 填充的 FF、扫描数据中转义的 FF 00 以及 RST 等独立标记没有长度字段
+            if (marker === 0xFF) {
+                offset += 1;
+            } else if (marker === 0x00 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+                offset += 2;
+            } else {
+                if (!await reader.load(offset, 4)) {
+                    return false;
+                }
+                offset += 2 + ((reader.at(offset + 2) << 8) | reader.at(offset + 3));
+            }
+        }
+    },
+
+    /**
+     * 逐个读取 ISOBMFF 顶层 box 的头部，检查声明的大小是否超出文件
+     * @param {File} file - 图片文件
+     * @returns {Promise<boolean>} - 是否截断
+     */
+    async isBoxTruncated(file) {
+        let offset = 0;
+        // 顶层 box 通常只有 ftyp、meta、mdat 等几个
+        for (let i = 0; i < 64 && offset < file.size; i++) {
+            if (offset + 8 > file.size) return true;
+            
+            const header = new Uint8Array(await MetadataHandler.readBuffer(file.slice(offset, offset + 16)));
+            const view = new DataView(header.buffer);
+            let size = view.getUint32(0);
+            if (size === 0) return false; // 延伸到文件末尾
+            if (size === 1) {
+                if (header.length < 16) return true;
+                size = view.getUint32(8) * 2 ** 32 + view.getUint32(12);
+            }
+            if (size < 8 || offset + size > file.size) return true;
+            offset += size;
+        }
+        return false;
+    }
+};
+
+// ============ 图片分析器 ============
+export const ImageAnalyzer = {
+    /**
+     * 分析图片并返回图片信息
+     * @param {File} file - 图片文件
+     * @param {Object} userConfig - 用户配置，用于判断是否需要处理
+     * @returns {Promise<Object>} - 图片信息对象
+     */
+    async analyze(file, userConfig = {}) {
+        const metadata = await MetadataHandler.read(file);
+        let previewUrl = URL.createObjectURL(file);
+        let img;
+        let decodedBlob = null;
+        
+        try {
+            img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = reject;
+                image.src = previewUrl;
+            });
+        } catch (error) {
+            URL.revokeObjectURL(previewUrl);
+            // 浏览器无法原生解码时改用 FallbackDecoder，解码结果存为无损 PNG 供预览和处理使用
+            if (!FallbackDecoder.canDecode(file.type)) {
+                throw FallbackDecoder.createError(file.type);
+            }
+            img = await FallbackDecoder.decode(file);
+            decodedBlob = await ImageProcessor.canvasToBlob(img, 'image/png');
+            previewUrl = URL.createObjectURL(decodedBlob);
+        }
+        
+        // 解码器输出已是显示方向；浏览器未自动应用 EXIF 方向时，5~8 需要交换宽高
+        const orientation = decodedBlob ? 1 : metadata.orientation;
+        const swap = MetadataHandler.needsManualOrientation(orientation) && orientation >= 5;
+        const width = img.naturalWidth || img.width;
+        const height = img.naturalHeight || img.height;
+        const info = {
+            file,
+            width: swap ? height : width,
+            height: swap ? width : height,
+            size: file.size,
+            previewUrl,
+            orientation,
+            metadata: decodedBlob ? { ...metadata, orientation } : metadata,
+            hasAlpha: await this.detectAlpha(file, img),
+            animated: await this.detectAnimation(file),
+            needsProcessing: false
+        };
+        if (decodedBlob) {
+            info.decodedBlob = decodedBlob;
+        }
+        info.needsProcessing = this.needsProcessing(info, userConfig);
+        return info;
+    },
+
+    /**
+     * 检测图片是否包含透明像素
+     * 先根据文件头判断格式是否可能带透明通道，可能带时再采样像素确认
+     * 检测失败时返回 null（未知），处理时按可能透明对待
+     * @param {File} file - 图片文件
+     * @param {HTMLImageElement} img - 已加载的图片
+     * @returns {Promise<boolean|null>} - 是否透明
+     */
+    async detectAlpha(file, img) {
+        try {
+            const header = new Uint8Array(await MetadataHandler.readBuffer(file.slice(0, CONFIG.alphaHeaderBytes)));
+            if (this.declaresAlpha(header, file.type) === false) {
+                return false;
+            }
+            return this.hasTransparentPixels(img);
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * 检测是否为多帧动图，GIF 分段读取到第二帧为止，WebP 只看文件头
+     * @param {File} file - 图片文件
+     * @returns {Promise<boolean>} - 是否为动图
+     */
+    async detectAnimation(file) {
+        if (!CONFIG.animationFormats.includes(file.type)) {
+            return false;
+        }
+        try {
+            if (file.type === 'image/gif') {
+                return await AnimationCodec.isAnimatedGif(file);
+            }
+            return AnimationCodec.isAnimated(new Uint8Array(await MetadataHandler.readBuffer(file.slice(0, 32))));
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * 根据文件头判断是否声明了透明通道
+     * - PNG: 颜色类型 4/6，或存在 tRNS 块
+     * - WebP: VP8X 的 alpha 标志、VP8L 的 alpha 提示位；简单有损 VP8 不支持透明
+     * - JPEG: 不支持透明
+     * @param {Uint8Array} bytes - 文件头
+     * @param {string} type - MIME 类型
+     * @returns {boolean|null} - 无法从文件头判断时返回 null
+     */
+    declaresAlpha(bytes, type) {
+        const ascii = (offset, length) => MetadataHandler.readAscii(bytes, offset, length);
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            return false;
+        }
+        if (ascii(1, 3) === 'PNG') {
+            const colorType = bytes[25];
+            if (colorType === 4 || colorType === 6) {
+                return true;
+            }
+            // tRNS 必须出现在 IDAT 之前
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            for (let offset = 8; offset + 8 <= bytes.length;) {
+                const chunkType = ascii(offset + 4, 4);
+                if (chunkType === 'tRNS') return true;
+                if (chunkType === 'IDAT') return false;
+                offset += view.getUint32(offset) + 12;
+            }
+            return null;
+        }
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+            const chunk = ascii(12, 4);
+            if (chunk === 'VP8X') return (bytes[20] & 0x10) !== 0;
+            if (chunk === 'VP8L') return (bytes[24] & 0x10) !== 0;
+            if (chunk === 'VP8 ') return false;
+            return null;
+        }
+        return type === 'image/jpeg' ? false : null;
+    },
+
+    /**
+     * 缩小采样后检查是否有不完全不透明的像素
+     * @param {HTMLImageElement|ImageBitmap} img - 图片
+     * @returns {boolean} - 是否有透明像素
+     */
+    hasTransparentPixels(img) {
+        const width = img.naturalWidth || img.width;
+        const height = img.naturalHeight || img.height;
+        const scale = Math.min(1, CONFIG.alphaSampleSize / Math.max(width, height));
+        const canvas = ImageProcessor.createCanvas(
+            Math.max(1, Math.round(width * scale)),
+            Math.max(1, Math.round(height * scale))
+        );
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 255) {
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * 为无法解码的文件创建图片信息，处理时原样导出
+     * @param {File} file - 文件
+     * @returns {Object} - 图片信息对象，passthrough 为 true
+     */
+    createPassthrough(file) {
+        return {
+            file,
+            width: 0,
+            height: 0,
+            size: file.size,
+            previewUrl: URL.createObjectURL(file),
+            orientation: 1,
+            metadata: null,
+            hasAlpha: null,
+            passthrough: true,
+            needsProcessing: false
+        };
+    },
+
+    /**
+     * 判断图片是否需要处理
+     * @param {Object} info - 图片信息对象
+     * @param {Object} userConfig - 用户配置 { width, height, maxSizeKB, resizeMode, noUpscale, scalePercent, metadataPolicy }
+     * @returns {boolean} - 是否需要处理
+     */
+    needsProcessing(info, userConfig = {}) {
+        // 强制导入的文件无法解码，只能原样导出
+        if (info.passthrough) {
+            return false;
+        }
+        
+        // 浏览器无法原生显示的格式（如 HEIC、TIFF）总是转换为输出格式，只导出动图第一帧时也需要重新编码
+        if (info.decodedBlob || (info.animated && ImageProcessor.getAnimationMode(userConfig) === 'first-frame')) {
+            return true;
+        }
+        
+        // 裁剪、旋转、翻转过的图片总是需要重新绘制
+        if (ImageProcessor.hasEdits(info.edits)) {
+            return true;
+        }
+        
+        // 需要加水印、方向需要手动校正，或原图带有按策略应去除的元数据（如 GPS）
+        if (ImageProcessor.getWatermarkOptions(userConfig) ||
+            MetadataHandler.needsManualOrientation(info.orientation) ||
+            MetadataHandler.needsStripping(info.metadata, userConfig.metadataPolicy)) {
+            return true;
+        }
+        
+        const maxSizeBytes = userConfig.maxSizeKB ? userConfig.maxSizeKB * 1024 : CONFIG.maxSizeBytes;
+        const layout = ImageProcessor.computeLayout(
+            info.width,
+            info.height,
+            userConfig.width || CONFIG.maxWidth,
+            userConfig.height || CONFIG.maxHeight,
+            ImageProcessor.getResizeOptions(userConfig)
+        );
+        
+        // 缩放后尺寸与原图不同（或需要裁剪），或文件大小超过限制，都需要处理
+        return layout.width !== info.width ||
+               layout.height !== info.height ||
+               layout.sw !== info.width ||
+               layout.sh !== info.height ||
+               info.size > maxSizeBytes;
+    }
+};
+
+// ============ 元数据处理器 ============
+export const MetadataHandler = {
+    // EXIF 标签
+    tags: {
+        orientation: 0x0112,
+        artist: 0x013B,
+        copyright: 0x8298
+    },
+
+    /**
+     * 读取文件中的 EXIF 和 ICC 元数据，支持 JPEG、WebP 和 AVIF
+     * 解析失败时返回空元数据，不影响后续处理
+     * @param {File|Blob} file - 图片文件
+     * @returns {Promise<Object>} - { orientation, exif, icc, artist, copyright }，exif 为 TIFF 数据
+     */
+    async read(file) {
+        const empty = { orientation: 1, exif: null, icc: null, artist: '', copyright: '' };
+        try {
+            // JPEG 的 APP1/APP2 位于图像数据之前，只需读取文件头；WebP、AVIF 的元数据可能位于末尾，需要读取整个文件
+            const head = new Uint8Array(await this.readBuffer(file.slice(0, CONFIG.metadataHeaderBytes)));
+            const isJpeg = head[0] === 0xFF && head[1] === 0xD8;
+            const bytes = isJpeg || head.length >= file.size ? head : new Uint8Array(await this.readBuffer(file));
+            const segments = this.extract(bytes);
+            const metadata = { ...empty, icc: segments.icc };
+            if (segments.exif) {
+                Object.assign(metadata, this.parseTiff(segments.exif), { exif: segments.exif });
+            }
+            return metadata;
+        } catch (error) {
+            return empty;
+        }
+    },
+
+    /**
+     * 读取 Blob 内容，兼容不支持 Blob.arrayBuffer 的环境
+     * @param {Blob} blob - 文件或 Blob
+     * @returns {Promise<ArrayBuffer>} - 文件内容
+     */
+    readBuffer(blob) {
+        if (typeof blob.arrayBuffer === 'function') {
+            return blob.arrayBuffer();
+        }
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(blob);
+        });
+    },
+
+    /**
+     * 创建顺序读取器：按需分段读取文件，只保留当前窗口，用于扫描大文件的结构
+     * 偏移量只能向后移动
+     * @param {File|Blob} file - 文件
+     * @param {number} chunkBytes - 每次读取的字节数
+     * @returns {Object} - { load(offset, length), at(offset), indexOf(value, offset) }
+     */
+    createReader(file, chunkBytes) {
+        let base = 0;
+        let bytes = new Uint8Array(0);
+        const reader = {
+            // 确保 [offset, offset + length) 已读入，返回文件中是否有这么多数据
+            async load(offset, length) {
+                if (offset + length > base + bytes.length) {
+                    base = offset;
+                    bytes = new Uint8Array(await MetadataHandler.readBuffer(
+                        file.slice(offset, offset + Math.max(length, chunkBytes))
+                    ));
+                }
+                return offset + length <= base + bytes.length;
+            },
+            at: (offset) => bytes[offset - base],
+            // 从 offset 开始查找字节值，找不到时返回 -1
+            async indexOf(value, offset) {
+                while (await reader.load(offset, 1)) {
+                    const index = bytes.indexOf(value, offset - base);
+                    if (index >= 0) {
+                        return base + index;
+                    }
+                    offset = base + bytes.length;
+                }
+                return -1;
+            }
+        };
+        return reader;
+    },
+
+    /**
+     * 根据文件头从不同容器中取出 EXIF（TIFF 数据）和 ICC 配置文件
+     * @param {Uint8Array} bytes - 文件内容
+     * @returns {Object} - { exif, icc }
+     */
+    extract(bytes) {
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            return this.extractFromJpeg(bytes);
+        }
+        if (this.readAscii(bytes, 0, 4) === 'RIFF' && this.readAscii(bytes, 8, 4) === 'WEBP') {
+            return this.extractFromWebp(bytes);
+        }
+        if (this.readAscii(bytes, 4, 4) === 'ftyp') {
+            return this.extractFromIsobmff(bytes);
+        }
+        return { exif: null, icc: null };
+    },
+
+    // JPEG: APP1 为 Exif，APP2 为 ICC（可能拆分成多段）
+    extractFromJpeg(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const iccChunks = [];
+        let exif = null;
+        let offset = 2;
+        
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            // SOS 之后是图像数据，元数据只会出现在之前
+            if (marker === 0xDA || marker === 0xD9) break;
+            const length = view.getUint16(offset + 2);
+            const start = offset + 4;
+            // 只读取了文件头时，被截断的标记段不再解析
+            if (offset + 2 + length > bytes.length) break;
+            
+            if (marker === 0xE1 && !exif && this.readAscii(bytes, start, 6) === 'Exif\0\0') {
+                exif = bytes.slice(start + 6, offset + 2 + length);
+            } else if (marker === 0xE2 && this.readAscii(bytes, start, 12) === 'ICC_PROFILE\0') {
+                iccChunks[bytes[start + 12] - 1] = bytes.slice(start + 14, offset + 2 + length);
+            }
+            offset += 2 + length;
+        }
+        
+        return { exif, icc: iccChunks.length ? this.concat(iccChunks.filter(Boolean)) : null };
+    },
+
+    // WebP: RIFF 容器中的 EXIF 和 ICCP 块
+    extractFromWebp(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const result = { exif: null, icc: null };
+        let offset = 12;
+        
+        while (offset + 8 <= bytes.length) {
+            const type = this.readAscii(bytes, offset, 4);
+            const size = view.getUint32(offset + 4, true);
+            const data = bytes.slice(offset + 8, offset + 8 + size);
+            if (type === 'EXIF') {
+                // 部分编码器会在 TIFF 数据前保留 Exif\0\0 头
+                result.exif = this.readAscii(data, 0, 6) === 'Exif\0\0' ? data.slice(6) : data;
+            } else if (type === 'ICCP') {
+                result.icc = data;
+            }
+            // 块按偶数字节对齐
+            offset += 8 + size + (size % 2);
+        }
+        return result;
+    },
+
+    // AVIF: 从 meta 盒子的 iinf/iloc 中找到 Exif 项目，ICC 位于 colr 属性中
+    extractFromIsobmff(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const result = { exif: null, icc: null };
+        const meta = this.findBoxes(bytes, 0, bytes.length).find(box => box.type === 'meta');
+        if (!meta) return result;
+        
+        // meta 是 FullBox，子盒子从版本和标志位之后开始
+        const children = this.findBoxes(bytes, meta.start + 4, meta.end);
+        const iinf = children.find(box => box.type === 'iinf');
+        const iloc = children.find(box => box.type === 'iloc');
+        const iprp = children.find(box => box.type === 'iprp');
+        
+        if (iinf && iloc) {
+            const exifId = this.findExifItemId(bytes, view, iinf);
+            const extent = exifId !== null ? this.findItemExtent(view, iloc, exifId) : null;
+            if (extent) {
+                const data = bytes.slice(extent.offset, extent.offset + extent.length);
+                // Exif 项目前 4 字节为 TIFF 头的偏移量
+                result.exif = data.slice(4 + view.getUint32(extent.offset));
+            }
+        }
+        
+        if (iprp) {
+            const ipco = this.findBoxes(bytes, iprp.start, iprp.end).find(box => box.type === 'ipco');
+            const colr = ipco && this.findBoxes(bytes, ipco.start, ipco.end)
+                .find(box => box.type === 'colr' && this.readAscii(bytes, box.start, 4) === 'prof');
+            if (colr) {
+                result.icc = bytes.slice(colr.start + 4, colr.end);
+            }
+        }
+        return result;
+    },
+
+    // 列出 [start, end) 范围内的盒子，start/end 为盒子内容范围
+    findBoxes(bytes, start, end) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const boxes = [];
+        let offset = start;
+        while (offset + 8 <= end) {
+            let size = view.getUint32(offset);
+            let header = 8;
+            if (size === 1) {
+                size = Number(view.getBigUint64(offset + 8));
+                header = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+            if (size < header) break;
+            boxes.push({ type: this.readAscii(bytes, offset + 4, 4), start: offset + header, end: offset + size });
+            offset += size;
+        }
+        return boxes;
+    },
+
+    findExifItemId(bytes, view, iinf) {
+        const version = bytes[iinf.start];
+        const entriesStart = iinf.start + 4 + (version === 0 ? 2 : 4);
+        for (const infe of this.findBoxes(bytes, entriesStart, iinf.end)) {
+            if (infe.type !== 'infe' || bytes[infe.start] < 2) continue;
+            const wideId = bytes[infe.start] === 3;
+            const id = wideId ? view.getUint32(infe.start + 4) : view.getUint16(infe.start + 4);
+            const type = this.readAscii(bytes, infe.start + (wideId ? 10 : 8), 4);
+            if (type === 'Exif') return id;
+        }
+        return null;
+    },
+
+    findItemExtent(view, iloc, itemId) {
+        const version = view.getUint8(iloc.start);
+        const sizes = view.getUint16(iloc.start + 4);
+        const offsetSize = sizes >> 12;
+        const lengthSize = (sizes >> 8) & 0xF;
+        const baseOffsetSize = (sizes >> 4) & 0xF;
+        const indexSize = version > 0 ? sizes & 0xF : 0;
+        const readUint = (at, size) => (size === 8 ? Number(view.getBigUint64(at)) : size === 4 ? view.getUint32(at) : size === 2 ? view.getUint16(at) : 0);
+        
+        let offset = iloc.start + 6;
+        const count = version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+        offset += version < 2 ? 2 : 4;
+        
+        for (let i = 0; i < count; i++) {
+            const id = version < 2 ? view.getUint16(offset) : view.getUint32(offset);
+            offset += version < 2 ? 2 : 4;
+            if (version > 0) offset += 2; // construction_method
+            offset += 2; // data_reference_index
+            const baseOffset = readUint(offset, baseOffsetSize);
+            offset += baseOffsetSize;
+            const extentCount = view.getUint16(offset);
+            offset += 2;
+            let first = null;
+            for (let j = 0; j < extentCount; j++) {
+                offset += indexSize;
+                const extentOffset = readUint(offset, offsetSize);
+                offset += offsetSize;
+                const extentLength = readUint(offset, lengthSize);
+                offset += lengthSize;
+                if (!first) first = { offset: baseOffset + extentOffset, length: extentLength };
+            }
+            if (id === itemId) return first;
+        }
+        return null;
+    },
+
+    /**
+     * 解析 TIFF 数据中 IFD0 的方向和版权信息
+     * @param {Uint8Array} tiff - TIFF 数据
+     * @returns {Object} - { orientation, artist, copyright }
+     */
+    parseTiff(tiff) {
+        const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+        const little = this.readAscii(tiff, 0, 2) === 'II';
+        const result = { orientation: 1, artist: '', copyright: '' };
+        const ifdOffset = view.getUint32(4, little);
+        const count = view.getUint16(ifdOffset, little);
+        
+        for (let i = 0; i < count; i++) {
+            const entry = ifdOffset + 2 + i * 12;
+            const tag = view.getUint16(entry, little);
+            const valueCount = view.getUint32(entry + 4, little);
+            if (tag === this.tags.orientation) {
+                const value = view.getUint16(entry + 8, little);
+                result.orientation = value >= 1 && value <= 8 ? value : 1;
+            } else if (tag === this.tags.artist || tag === this.tags.copyright) {
+                // 值不超过 4 字节时直接存放在条目中；不少相机按 UTF-8 写入
+                const start = valueCount > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+                const text = new TextDecoder().decode(tiff.subarray(start, start + valueCount)).replace(/\0+$/, '');
+                result[tag === this.tags.artist ? 'artist' : 'copyright'] = text;
+            }
+        }
+        return result;
+    },
+
+    /**
+     * EXIF 方向转换为编辑参数（先翻转后顺时针旋转，与 ImageProcessor.computeEditGeometry 一致）
+     * @param {number} orientation - EXIF 方向值 1~8
+     * @returns {Object} - { rotation, flipH, flipV }
+     */
+    orientationToEdits(orientation) {
+        switch (orientation) {
+            case 2: return { rotation: 0, flipH: true, flipV: false };
+            case 3: return { rotation: 180, flipH: false, flipV: false };
+            case 4: return { rotation: 0, flipH: false, flipV: true };
+            case 5: return { rotation: 270, flipH: true, flipV: false };
+            case 6: return { rotation: 90, flipH: false, flipV: false };
+            case 7: return { rotation: 90, flipH: true, flipV: false };
+            case 8: return { rotation: 270, flipH: false, flipV: false };
+            default: return { rotation: 0, flipH: false, flipV: false };
+        }
+    },
+
+    /**
+     * 判断是否需要手动应用 EXIF 方向
+     * 现代浏览器解码 <img> 时已自动旋转（image-orientation: from-image），
+     * Worker 中使用 createImageBitmap 并显式指定 imageOrientation
+     * @param {number} orientation - EXIF 方向值
+     * @returns {boolean} - 是否需要手动旋转
+     */
+    needsManualOrientation(orientation) {
+        if (!orientation || orientation === 1 || typeof Image === 'undefined') {
+            return false;
+        }
+        return !(typeof CSS !== 'undefined' && typeof CSS.supports === 'function' &&
+            CSS.supports('image-orientation', 'from-image'));
+    },
+
+    /**
+     * 判断按当前策略是否需要重新编码以去除元数据
+     * @param {Object} metadata - read 的返回值
+     * @param {string} policy - 元数据策略
+     * @returns {boolean} - 原图中存在需要去除的元数据
+     */
+    needsStripping(metadata, policy) {
+        if (!metadata || (policy || CONFIG.metadataPolicy) === 'keep') {
+            return false;
+        }
+        // keep-copyright 与 strip 一样会丢弃 ICC，只含 ICC 的原图同样需要重新编码
+        return !!metadata.exif || !!metadata.icc;
+    },
+
+    /**
+     * 按元数据策略生成要写入输出 JPEG 的标记段
+     * - strip: 不写入任何元数据
+     * - keep-copyright: 只写入作者和版权字段（不保留 ICC 配置文件）
+     * - keep: 写入完整 EXIF（方向重置为 1，像素已按方向旋转）和 ICC 配置文件
+     * @param {Object} metadata - read 的返回值
+     * @param {string} policy - 元数据策略
+     * @returns {Uint8Array[]} - APP1/APP2 标记段列表
+     */
+    buildSegments(metadata, policy) {
+        policy = policy || CONFIG.metadataPolicy;
+        if (!metadata || policy === 'strip') {
+            return [];
+        }
+        
+        const segments = [];
+        if (policy === 'keep-copyright') {
+            if (metadata.artist || metadata.copyright) {
+                segments.push(this.buildExifSegment(this.buildCopyrightTiff(metadata)));
+            }
+            return segments;
+        }
+        
+        if (metadata.exif) {
+            segments.push(this.buildExifSegment(this.resetOrientation(metadata.exif)));
+        }
+        if (metadata.icc) {
+            segments.push(...this.buildIccSegments(metadata.icc));
+        }
+        return segments;
+    },
+
+    // 复制 TIFF 数据并把方向改为 1
+    resetOrientation(tiff) {
+        const copy = tiff.slice();
+        const view = new DataView(copy.buffer);
+        const little = this.readAscii(copy, 0, 2) === 'II';
+        const ifdOffset = view.getUint32(4, little);
+        const count = view.getUint16(ifdOffset, little);
+        for (let i = 0; i < count; i++) {
+            const entry = ifdOffset + 2 + i * 12;
+            if (view.getUint16(entry, little) === this.tags.orientation) {
+                view.setUint16(entry + 8, 1, little);
+            }
+        }
+        return copy;
+    },
+
+    // 生成只包含 Artist 和 Copyright 的小端 TIFF 数据
+    buildCopyrightTiff({ artist, copyright }) {
+        const entries = [[this.tags.artist, artist], [this.tags.copyright, copyright]]
+            .filter(([, text]) => text)
+            .map(([tag, text]) => [tag, new TextEncoder().encode(text + '\0')]);
+        const ifdSize = 2 + entries.length * 12 + 4;
+        const total = 8 + ifdSize + entries.reduce((sum, [, data]) => sum + data.length, 0);
+        const tiff = new Uint8Array(total);
+        const view = new DataView(tiff.buffer);
+        
+        tiff.set([0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00]);
+        view.setUint16(8, entries.length, true);
+        let dataOffset = 8 + ifdSize;
+        entries.forEach(([tag, data], i) => {
+            const entry = 10 + i * 12;
+            view.setUint16(entry, tag, true);
+            view.setUint16(entry + 2, 2, true); // ASCII
+            view.setUint32(entry + 4, data.length, true);
+            if (data.length <= 4) {
+                tiff.set(data, entry + 8);
+            } else {
+                view.setUint32(entry + 8, dataOffset, true);
+                tiff.set(data, dataOffset);
+                dataOffset += data.length;
+            }
+        });
+        return tiff;
+    },
+
+    // APP1 Exif 标记段
+    buildExifSegment(tiff) {
+        const header = new TextEncoder().encode('Exif\0\0');
+        return this.buildSegment(0xE1, this.concat([header, tiff]));
+    },
+
+    // APP2 ICC 标记段，单段最多 65519 字节，超出时拆分
+    buildIccSegments(icc) {
+        const header = new TextEncoder().encode('ICC_PROFILE\0');
+        const chunkSize = 65519;
+        const total = Math.ceil(icc.length / chunkSize);
+        const segments = [];
+        for (let i = 0; i < total; i++) {
+            const chunk = icc.subarray(i * chunkSize, (i + 1) * chunkSize);
+            segments.push(this.buildSegment(0xE2, this.concat([header, new Uint8Array([i + 1, total]), chunk])));
+        }
+        return segments;
+    },
+
+    buildSegment(marker, payload) {
+        const segment = new Uint8Array(payload.length + 4);
+        segment[0] = 0xFF;
+        segment[1] = marker;
+        new DataView(segment.buffer).setUint16(2, payload.length + 2);
+        segment.set(payload, 4);
+        return segment;
+    },
+
+    /**
+     * 把标记段写入 JPEG（放在 SOI 和 JFIF APP0 之后）
+     * 非 JPEG 数据原样返回
+     * @param {Blob} blob - 编码后的 JPEG
+     * @param {Uint8Array[]} segments - buildSegments 的返回值
+     * @returns {Promise<Blob>} - 带元数据的 JPEG
+     */
+    async injectIntoJpeg(blob, segments) {
+        if (!segments || segments.length === 0) {
+            return blob;
+        }
+        const bytes = new Uint8Array(await this.readBuffer(blob));
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            return blob;
+        }
+        
+        let insertAt = 2;
+        if (bytes[2] === 0xFF && bytes[3] === 0xE0) {
+            insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+        }
+        return new Blob(
+            [bytes.subarray(0, insertAt), ...segments, bytes.subarray(insertAt)],
+            { type: 'image/jpeg' }
+        );
+    },
+
+    readAscii(bytes, start, length) {
+        let text = '';
+        for (let i = start; i < start + length && i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    },
+
+    concat(chunks) {
+        const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result;
+    }
+};
+
+// ============ 兜底解码器 ============
+export const FallbackDecoder = {
+    // 内置解码器：BMP 和 GIF（第一帧）直接解析，HEIC/TIFF 通过 CONFIG.decoderUrls 按需加载
+    decoders: {
+        'image/bmp': (buffer) => FallbackDecoder.decodeBmp(buffer),
+        'image/gif': (buffer) => FallbackDecoder.decodeGif(buffer)
+    },
+    // 外部解码模块的加载结果，按 MIME 类型缓存
+    modules: {},
+
+    /**
+     * 注册解码器，覆盖内置或按地址加载的解码器
+     * @param {string} type - MIME 类型
+     * @param {Function|null} decode - (ArrayBuffer) => Promise<{ width, height, data }>，传 null 取消注册
+     */
+    register(type, decode) {
+        if (decode) {
+            this.decoders[type] = decode;
+        } else {
+            delete this.decoders[type];
+        }
+        delete this.modules[type];
+    },
+
+    /**
+     * 是否有可用的解码器（已注册或配置了模块地址）
+     * @param {string} type - MIME 类型
+     * @returns {boolean}
+     */
+    canDecode(type) {
+        return !!this.decoders[type] || !!(CONFIG.decoderUrls && CONFIG.decoderUrls[type]);
+    },
+
+    /**
+     * 获取解码器，外部模块首次使用时才加载
+     * @param {string} type - MIME 类型
+     * @returns {Promise<Function|null>} - 解码函数，不可用时为 null
+     */
+    async getDecoder(type) {
+        if (this.decoders[type]) {
+            return this.decoders[type];
+        }
+        const url = CONFIG.decoderUrls && CONFIG.decoderUrls[type];
+        if (!url) {
+            return null;
+        }
+        if (!this.modules[type]) {
+            this.modules[type] = import(url)
+                .then(module => module.default || module.decode || null)
+                .catch(error => {
+                    console.error(`${type} 解码器加载失败:`, error);
+                    return null;
+                });
+        }
+        return this.modules[type];
+    },
+
+    /**
+     * 创建浏览器无法解码时的错误，code 对应 FileValidator.reasons
+     * @param {string} type - MIME 类型
+     * @returns {Error}
+     */
+    createError(type) {
+        const error = new Error('图片加载失败');
+        error.code = CONFIG.decodedTypes.includes(type) && !this.canDecode(type) ? 'no-decoder' : 'decode-failed';
+        return error;
+    },
+
+    /**
+     * 用注册的解码器把文件解码到画布
+     * 解码结果视为已按显示方向排列（HEIC 的 irot/imir 由解码器处理）
+     * @param {File|Blob} file - 图片文件
+     * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>} - 解码后的画布
+     */
+    async decode(file) {
+        const decoder = await this.getDecoder(file.type);
+        if (!decoder) {
+            throw this.createError(file.type);
+        }
+        
+        const { width, height, data } = await decoder(await MetadataHandler.readBuffer(file));
+        const canvas = ImageProcessor.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+        imageData.data.set(data);
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    },
+
+    /**
+     * 解析 BMP：支持 1/4/8 位调色板、16/24/32 位，BI_RGB 和 BI_BITFIELDS，不支持 RLE 压缩
+     * @param {ArrayBuffer} buffer - 文件内容
+     * @returns {{width: number, height: number, data: Uint8ClampedArray}} - RGBA 像素
+     */
+    decodeBmp(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        const dataOffset = view.getUint32(10, true);
+        const headerSize = view.getUint32(14, true);
+        // OS/2 的 BITMAPCOREHEADER 只有 12 字节，宽高为 16 位
+        const core = headerSize === 12;
+        const width = core ? view.getUint16(18, true) : view.getInt32(18, true);
+        const rawHeight = core ? view.getInt16(20, true) : view.getInt32(22, true);
+        const bpp = view.getUint16(core ? 24 : 28, true);
+        const compression = core ? 0 : view.getUint32(30, true);
+        // 高度为负数时行从上到下存储
+        const topDown = rawHeight < 0;
+        const height = Math.abs(rawHeight);
+        
+        if (![0, 3, 6].includes(compression) || ![1, 4, 8, 16, 24, 32].includes(bpp)) {
+            throw new Error('不支持的 BMP 编码');
+        }
+        
+        const palette = [];
+        if (bpp <= 8) {
+            const entrySize = core ? 3 : 4;
+            const count = (!core && view.getUint32(46, true)) || (1 << bpp);
+            for (let i = 0, offset = 14 + headerSize; i < count; i++, offset += entrySize) {
+                palette.push([bytes[offset + 2], bytes[offset + 1], bytes[offset]]);
+            }
+        }
+        
+        // BI_BITFIELDS 的掩码在 40 字节的信息头之后，V4/V5 信息头中已包含
+        let masks = null;
+        if (compression !== 0) {
+            const maskCount = compression === 6 || headerSize >= 56 ? 4 : 3;
+            masks = [0, 1, 2, 3].map(i => (i < maskCount ? view.getUint32(54 + i * 4, true) : 0));
+        } else if (bpp === 16) {
+            masks = [0x7C00, 0x03E0, 0x001F, 0];
+        } else if (bpp === 32) {
+            masks = [0x00FF0000, 0x0000FF00, 0x000000FF, 0];
+        }
+        
+        const stride = Math.floor((bpp * width + 31) / 32) * 4;
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            const row = dataOffset + (topDown ? y : height - 1 - y) * stride;
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (bpp <= 8) {
+                    const bit = x * bpp;
+                    const index = (bytes[row + (bit >> 3)] >> (8 - bpp - (bit & 7))) & ((1 << bpp) - 1);
+                    data.set(palette[index] || [0, 0, 0], i);
+                    data[i + 3] = 255;
+                } else if (bpp === 24) {
+                    const p = row + x * 3;
+                    data.set([bytes[p + 2], bytes[p + 1], bytes[p], 255], i);
+                } else {
+                    const p = row + x * (bpp / 8);
+                    const value = bpp === 16 ? view.getUint16(p, true) : view.getUint32(p, true);
+                    data.set([
+                        this.applyMask(value, masks[0]),
+                        this.applyMask(value, masks[1]),
+                        this.applyMask(value, masks[2]),
+                        masks[3] ? this.applyMask(value, masks[3]) : 255
+                    ], i);
+                }
+            }
+        }
+        return { width, height, data };
+    },
+
+    /**
+     * 按位掩码取出通道值并扩展到 0~255
+     * @param {number} value - 像素值
+     * @param {number} mask - 通道掩码
+     * @returns {number} - 通道值
+     */
+    applyMask(value, mask) {
+        if (!mask) {
+            return 0;
+        }
+        let shift = 0;
+        while (((mask >>> shift) & 1) === 0) {
+            shift++;
+        }
+        const max = mask >>> shift;
+        return Math.round((((value & mask) >>> shift) * 255) / max);
+    },
+
+    /**
+     * 解析 GIF 的第一帧
+     * @param {ArrayBuffer} buffer - 文件内容
+     * @returns {{width: number, height: number, data: Uint8ClampedArray}} - RGBA 像素（画布外区域透明）
+     */
+    decodeGif(buffer) {
+        const { width, height, frames } = this.decodeGifFrames(buffer, 1);
+        return { width, height, data: frames[0].data };
+    },
+
+    /**
+     * 解析 GIF 的块结构（不解压图像数据）
+     * @param {Uint8Array} bytes - 文件内容
+     * @returns {Object} - { width, height, loopCount, frames: [{ left, top, width, height, table, transparentIndex, disposal, delay, interlaced, minCodeSize, data }] }
+     */
+    parseGif(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const tableSize = (flags) => 3 * (1 << ((flags & 0x07) + 1));
+        const gif = { width: view.getUint16(6, true), height: view.getUint16(8, true), loopCount: 1, frames: [] };
+        
+        let offset = 13;
+        let globalTable = null;
+        if (bytes[10] & 0x80) {
+            globalTable = bytes.subarray(offset, offset + tableSize(bytes[10]));
+            offset += globalTable.length;
+        }
+        
+        // 图形控制扩展作用于紧随其后的一帧
+        let control = { transparentIndex: -1, disposal: 0, delay: 0 };
+        while (offset < bytes.length) {
+            const block = bytes[offset++];
+            if (block === 0x21) {
+                const label = bytes[offset++];
+                if (label === 0xF9) {
+                    const flags = bytes[offset + 1];
+                    control = {
+                        transparentIndex: (flags & 0x01) ? bytes[offset + 4] : -1,
+                        disposal: (flags >> 2) & 0x07,
+                        delay: view.getUint16(offset + 2, true) * 10
+                    };
+                } else if (label === 0xFF && MetadataHandler.readAscii(bytes, offset + 1, 11) === 'NETSCAPE2.0') {
+                    // 循环次数，0 为无限循环；没有该扩展时只播放一次
+                    gif.loopCount = view.getUint16(offset + 14, true);
+                }
+                offset = this.skipSubBlocks(bytes, offset);
+            } else if (block === 0x2C) {
+                const flags = bytes[offset + 8];
+                const frame = {
+                    left: view.getUint16(offset, true),
+                    top: view.getUint16(offset + 2, true),
+                    width: view.getUint16(offset + 4, true),
+                    height: view.getUint16(offset + 6, true),
+                    interlaced: (flags & 0x40) !== 0,
+                    table: globalTable,
+                    ...control
+                };
+                offset += 9;
+                if (flags & 0x80) {
+                    frame.table = bytes.subarray(offset, offset + tableSize(flags));
+                    offset += frame.table.length;
+                }
+                
+                frame.minCodeSize = bytes[offset++];
+                const chunks = [];
+                while (offset < bytes.length && bytes[offset]) {
+                    chunks.push(bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+                    offset += bytes[offset] + 1;
+                }
+                offset++;
+                frame.data = MetadataHandler.concat(chunks);
+                gif.frames.push(frame);
+                control = { transparentIndex: -1, disposal: 0, delay: 0 };
+            } else {
+                // 0x3B 结束符或无法识别的块
+                break;
+            }
+        }
+        return gif;
+    },
+
+    /**
+     * 解码 GIF 的各帧，按处置方式合成为完整画面
+     * @param {ArrayBuffer} buffer - 文件内容
+     * @param {number} [maxFrames] - 最多解码的帧数
+     * @returns {Object} - { width, height, loopCount, frames: [{ data, delay }] }，data 为 RGBA 像素
+     */
+    decodeGifFrames(buffer, maxFrames = Infinity) {
+        const gif = this.parseGif(new Uint8Array(buffer));
+        return {
+            width: gif.width,
+            height: gif.height,
+            loopCount: gif.loopCount,
+            frames: [...this.composeGifFrames(gif, maxFrames)]
+        };
+    },
+
+    /**
+     * 逐帧合成 GIF 画面，每次只生成一帧，调用方处理完即可释放
+     * 支持局部调色板、透明色、隔行扫描和处置方式 0~3
+     * @param {Object} gif - parseGif 的返回值
+     * @param {number} [maxFrames] - 最多解码的帧数
+     * @yields {Object} - { data, delay }，data 为 RGBA 像素
+     */
+    *composeGifFrames(gif, maxFrames = Infinity) {
+        const { width, height, frames } = gif;
+        if (!frames.length) {
+            throw new Error('GIF 中没有图像帧');
+        }
+        
+        const screen = new Uint8ClampedArray(width * height * 4);
+        for (const frame of frames.slice(0, maxFrames)) {
+            if (!frame.table) {
+                throw new Error('GIF 缺少调色板');
+            }
+            const previous = frame.disposal === 3 ? screen.slice() : null;
+            const indices = this.lzwDecode(frame.data, frame.minCodeSize, frame.width * frame.height);
+            const rows = frame.interlaced ? this.interlacedRows(frame.height) : null;
+            
+            for (let row = 0; row < frame.height; row++) {
+                const y = frame.top + (rows ? rows[row] : row);
+                if (y >= height) continue;
+                for (let col = 0; col < frame.width; col++) {
+                    const x = frame.left + col;
+                    const index = indices[row * frame.width + col];
+                    if (x >= width || index === frame.transparentIndex) continue;
+                    const i = (y * width + x) * 4;
+                    screen.set([frame.table[index * 3], frame.table[index * 3 + 1], frame.table[index * 3 + 2], 255], i);
+                }
+            }
+            yield { data: screen.slice(), delay: frame.delay };
+            
+            // 处置方式 2 清除该帧区域，3 恢复到绘制前
+            if (frame.disposal === 2) {
+                for (let y = frame.top; y < Math.min(height, frame.top + frame.height); y++) {
+                    const rowStart = (y * width + frame.left) * 4;
+                    screen.fill(0, rowStart, rowStart + Math.max(0, Math.min(frame.width, width - frame.left)) * 4);
+                }
+            } else if (previous) {
+                screen.set(previous);
+            }
+        }
+    },
+
+    /**
+     * 跳过 GIF 的数据子块序列，返回终止块之后的位置
+     * @param {Uint8Array} bytes - 文件内容
+     * @param {number} offset - 第一个子块的位置
+     * @returns {number}
+     */
+    skipSubBlocks(bytes, offset) {
+        while (offset < bytes.length && bytes[offset]) {
+            offset += bytes[offset] + 1;
+        }
+        return offset + 1;
+    },
+
+    /**
+     * 隔行扫描时第 n 个存储行对应的实际行号（4 遍：步长 8/8/4/2）
+     * @param {number} height - 帧高度
+     * @returns {number[]}
+     */
+    interlacedRows(height) {
+        const rows = [];
+        [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+            for (let y = start; y < height; y += step) {
+                rows.push(y);
+            }
+        });
+        return rows;
+    },
+
+    /**
+     * GIF 变长 LZW 解码
+     * @param {Uint8Array} data - 拼接后的图像数据
+     * @param {number} minCodeSize - 最小编码长度
+     * @param {number} pixelCount - 像素数
+     * @returns {Uint8Array} - 调色板索引，数据不足时其余为 0
+     */
+    lzwDecode(data, minCodeSize, pixelCount) {
+        const output = new Uint8Array(pixelCount);
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const prefix = new Int16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const stack = new Uint8Array(4097);
+        for (let i = 0; i < clearCode; i++) {
+            suffix[i] = i;
+        }
+        
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let prevCode = -1;
+        let firstByte = 0;
+        let bits = 0;
+        let buffer = 0;
+        let position = 0;
+        let out = 0;
+        
+        while (out < pixelCount) {
+            while (bits < codeSize) {
+                if (position >= data.length) return output;
+                buffer |= data[position++] << bits;
+                bits += 8;
+            }
+            const code = buffer & ((1 << codeSize) - 1);
+            buffer >>>= codeSize;
+            bits -= codeSize;
+            
+            if (code === clearCode) {
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+                prevCode = -1;
+                continue;
+            }
+            if (code === endCode) {
+                break;
+            }
+            if (prevCode === -1) {
+                output[out++] = suffix[code];
+                prevCode = code;
+                firstByte = suffix[code];
+                continue;
+            }
+            
+            // 编码尚未在字典中时（KwKwK），内容为上一串加上它的首字节
+            let top = 0;
+            let current = code;
+            if (code >= nextCode) {
+                stack[top++] = firstByte;
+                current = prevCode;
+            }
+            while (current > endCode) {
+                stack[top++] = suffix[current];
+                current = prefix[current];
+            }
+            stack[top++] = suffix[current];
+            firstByte = suffix[current];
+            while (top > 0 && out < pixelCount) {
+                output[out++] = stack[--top];
+            }
+            
+            if (nextCode < 4096) {
+                prefix[nextCode] = prevCode;
+                suffix[nextCode] = firstByte;
+                nextCode++;
+                if (nextCode === (1 << codeSize) && codeSize < 12) {
+                    codeSize++;
+                }
+            }
+            prevCode = code;
+        }
+        return output;
+    }
+};
+
+// ============ 编码能力检测 ============
+export const EncoderSupport = {
+    // 各格式能否编码，未检测的格式视为可用；GIF 由 AnimationCodec 编码，不依赖画布
+    // 只在主线程检测，检测结果随用户配置（encoderSupport）传给 Worker
+    support: { 'image/gif': true },
+
+    /**
+     * 检测浏览器能否把画布编码为各输出格式
+     * 不支持的格式 toBlob 会静默改为输出 PNG 或返回 null，因此以实际生成的类型为准
+     * @param {string[]} [formats] - 要检测的格式
+     * @returns {Promise<Object>} - { [format]: boolean }
+     */
+    async probe(formats = CONFIG.outputFormats) {
+        const canvas = ImageProcessor.createCanvas(2, 2);
+        for (const format of formats) {
+            try {
+                const blob = await ImageProcessor.canvasToBlob(canvas, format, 0.8);
+                this.support[format] = blob.type === format;
+            } catch (error) {
+                this.support[format] = false;
+            }
+        }
+        return { ...this.support };
+    },
+
+    /**
+     * 格式是否可以编码
+     * @param {string} format - MIME 类型
+     * @param {Object} [support] - 检测结果，默认为当前线程的 support
+     * @returns {boolean}
+     */
+    isSupported(format, support = this.support) {
+        return support[format] !== false;
+    },
+
+    /**
+     * 无法编码时按候选顺序换用第一个可编码的格式，都不可用时使用 PNG
+     * @param {string} format - 请求的格式
+     * @param {string[]} [candidates] - 候选格式，默认为 CONFIG.formatFallbackOrder
+     * @param {Object} [support] - 检测结果，默认为当前线程的 support
+     * @returns {string} - 实际使用的格式
+     */
+    resolve(format, candidates = CONFIG.formatFallbackOrder, support = this.support) {
+        if (this.isSupported(format, support)) {
+            return format;
+        }
+        return candidates.find(candidate => candidate !== format && this.isSupported(candidate, support)) || 'image/png';
+    },
+
+    /**
+     * 编码结果的实际格式，Blob 类型未知时沿用请求的格式
+     * @param {Blob} blob - 编码结果
+     * @param {string} format - 请求的格式
+     * @returns {string}
+     */
+    actualFormat(blob, format) {
+        return blob && CONFIG.formatExtensions[blob.type] ? blob.type : format;
+    }
+};
+
+// ============ 图片处理器 ============
+export const ImageProcessor = {
+    /**
+     * 处理单张图片
+     * @param {Object} imageInfo - 图片信息
+     * @param {Object} userConfig - 用户配置 { format, maxSizeKB, extension, width, height, resizeMode, noUpscale, padColor, scalePercent, metadataPolicy, backgroundColor, keepAlphaFormat, animationMode, watermark* }
+     * @returns {Promise<Object>} - 处理结果
+     */
+    async process(imageInfo, userConfig = {}) {
+        const { format: outputFormat, extension: outputExtension } = this.resolveOutputFormat(imageInfo, userConfig);
+        const maxSizeKB = userConfig.maxSizeKB || CONFIG.maxSizeKB;
+        
+        // 检查是否需要格式转换
+        const needsFormatConversion = imageInfo.file.type !== outputFormat;
+        
+        // 检查是否需要大小压缩
+        const needsSizeCompression = imageInfo.size > maxSizeKB * 1024;
+        
+        const watermark = this.getWatermarkOptions(userConfig);
+        
+        if (imageInfo.passthrough || (!imageInfo.needsProcessing && !needsFormatConversion &&
+            !needsSizeCompression && !this.hasEdits(imageInfo.edits) && !watermark)) {
+            return {
+                originalFile: imageInfo.file,
+                processedBlob: imageInfo.file,
+                finalWidth: imageInfo.width,
+                finalHeight: imageInfo.height,
+                finalSize: imageInfo.size,
+                wasProcessed: false,
+                outputFileName: imageInfo.file.name,
+                ...this.getSourceStats(imageInfo),
+                quality: null,
+                targetSizeKB: maxSizeKB
+            };
+        }
+
+        // 动图逐帧处理；无法逐帧解码时（如不支持 WebCodecs 的浏览器中的 WebP 动图）按静态图处理第一帧
+        if (imageInfo.animated && this.getAnimationMode(userConfig) === 'preserve') {
+            const animation = await this.processAnimation(imageInfo, userConfig, outputFormat, maxSizeKB, watermark);
+            if (animation) {
+                return animation;
+            }
+        }
+
+        const canvas = await this.renderCanvas(imageInfo, userConfig);
+        
+        // 水印在缩放之后绘制，尺寸相对输出宽度，和缩放共用一次编码
+        if (watermark) {
+            await this.applyWatermark(canvas, watermark);
+        }
+        
+        // 按元数据策略准备要写回的 EXIF/ICC，目前只支持写入 JPEG（兜底时可能换用 JPEG）
+        const segments = outputFormat === 'image/jpeg' || this.getSizeFallbackStrategy(userConfig) !== 'none'
+            ? MetadataHandler.buildSegments(await this.getMetadata(imageInfo, userConfig), userConfig.metadataPolicy)
+            : [];
+        const metadataKB = segments.reduce((sum, segment) => sum + segment.length, 0) / 1024;
+        
+        // 使用用户配置的格式和大小限制进行压缩，JPEG 为元数据预留空间
+        // 输出格式不支持透明时先铺背景色，避免透明区域变黑；已知不透明的图片跳过
+        const encode = async (target, format) => {
+            const isJpeg = format === 'image/jpeg';
+            const flatten = imageInfo.hasAlpha !== false && !CONFIG.alphaFormats.includes(format);
+            const { blob, quality } = await this.compressWithQuality(
+                flatten ? this.flattenCanvas(target, userConfig.backgroundColor) : target,
+                Math.max(1, maxSizeKB - (isJpeg ? metadataKB : 0)), format, userConfig
+            );
+            return {
+                blob: isJpeg ? await MetadataHandler.injectIntoJpeg(blob, segments) : blob,
+                quality,
+                canvas: target,
+                format
+            };
+        };
+        
+        let encoded = await encode(canvas, outputFormat);
+        let sizeFallback = null;
+        if (encoded.blob.size > maxSizeKB * 1024 && this.getSizeFallbackStrategy(userConfig) !== 'none') {
+            ({ encoded, sizeFallback } = await this.reduceToLimit(encoded, encode, maxSizeKB, userConfig));
+        }
+        const { blob, quality } = encoded;
+        
+        // 生成输出文件名，兜底切换格式或浏览器实际输出了其他格式（如不支持 AVIF 时输出 PNG）时扩展名随之改变
+        const format = EncoderSupport.actualFormat(blob, encoded.format);
+        const extension = format === outputFormat
+            ? outputExtension
+            : CONFIG.formatExtensions[format];
+        const outputFileName = this.getBaseName(imageInfo.file.name) + extension;
+
+        return {
+            originalFile: imageInfo.file,
+            processedBlob: blob,
+            finalWidth: encoded.canvas.width,
+            finalHeight: encoded.canvas.height,
+            finalSize: blob.size,
+            wasProcessed: true,
+            outputFileName: outputFileName,
+            ...this.getSourceStats(imageInfo),
+            quality,
+            targetSizeKB: maxSizeKB,
+            overLimit: blob.size > maxSizeKB * 1024,
+            sizeFallback
+        };
+    },
+
+    /**
+     * 逐帧缩放、编辑并加水印，重新编码为动图，保留每帧延迟和循环次数
+     * 帧数超过 CONFIG.maxAnimationFrames 时只保留前面的帧，结果的 sourceFrameCount 大于 frameCount
+     * @param {Object} imageInfo - 图片信息
+     * @param {Object} userConfig - 用户配置
+     * @param {string} format - 输出格式，'image/gif' 或 'image/webp'
+     * @param {number} maxSizeKB - 大小限制
+     * @param {Object|null} watermark - 水印选项
+     * @returns {Promise<Object|null>} - 处理结果，无法逐帧解码时为 null
+     */
+    async processAnimation(imageInfo, userConfig, format, maxSizeKB, watermark) {
+        // 解码一帧就缩放一帧，内存中只保留输出尺寸的帧
+        const animation = await AnimationCodec.decodeFrames(imageInfo.file, async (source) => {
+            const canvas = await this.renderCanvas(imageInfo, userConfig, source);
+            if (watermark) {
+                await this.applyWatermark(canvas, watermark);
+            }
+            return canvas;
+        });
+        if (!animation) {
+            return null;
+        }
+        
+        const frames = animation.frames;
+        const { blob, quality } = await AnimationCodec.encode(frames, format, animation.loopCount, maxSizeKB, userConfig);
+        
+        return {
+            originalFile: imageInfo.file,
+            processedBlob: blob,
+            finalWidth: frames[0].canvas.width,
+            finalHeight: frames[0].canvas.height,
+            finalSize: blob.size,
+            wasProcessed: true,
+            outputFileName: this.getBaseName(imageInfo.file.name) + CONFIG.formatExtensions[format],
+            ...this.getSourceStats(imageInfo),
+            quality,
+            targetSizeKB: maxSizeKB,
+            overLimit: blob.size > maxSizeKB * 1024,
+            sizeFallback: null,
+            frameCount: frames.length,
+            // 超过 CONFIG.maxAnimationFrames 时只保留了前面的帧，卡片上会提示
+            sourceFrameCount: animation.frameCount || frames.length
+        };
+    },
+
+    /**
+     * 绘制编码前的画布：校正方向、应用裁剪/旋转/翻转并按配置缩放（不含水印）
+     * @param {Object} imageInfo - 图片信息
+     * @param {Object} userConfig - 用户配置
+     * @param {HTMLCanvasElement|OffscreenCanvas} [image] - 已解码的画面（如动图的一帧），不传时加载原图
+     * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>} - 缩放后的画布
+     */
+    async renderCanvas(imageInfo, userConfig = {}, image = null) {
+        const img = image || await this.loadImage(imageInfo);
+
+        // 浏览器未自动应用 EXIF 方向时先手动校正
+        const oriented = MetadataHandler.needsManualOrientation(imageInfo.orientation)
+            ? this.applyEdits(img, this.computeEditGeometry(
+                img.naturalWidth || img.width,
+                img.naturalHeight || img.height,
+                MetadataHandler.orientationToEdits(imageInfo.orientation)
+            ))
+            : img;
+
+        // 再应用裁剪、旋转和翻转
+        const geometry = this.computeEditGeometry(
+            oriented.naturalWidth || oriented.width,
+            oriented.naturalHeight || oriented.height,
+            imageInfo.edits
+        );
+        const source = this.hasEdits(imageInfo.edits) ? this.applyEdits(oriented, geometry) : oriented;
+
+        // 按用户选择的缩放模式调整尺寸，cover 模式按焦点裁剪
+        const canvas = this.resize(
+            source,
+            userConfig.width || CONFIG.maxWidth,
+            userConfig.height || CONFIG.maxHeight,
+            { ...this.getResizeOptions(userConfig), focalPoint: geometry.focalPoint }
+        );
+        
+        // ImageBitmap 需要手动释放
+        if (typeof img.close === 'function') {
+            img.close();
+        }
+        
+        return canvas;
+    },
+
+    /**
+     * 绘制对比用的原图：与输出相同的几何变换和水印，输出格式不支持透明时铺背景色，
+     * 使差异只反映编码损失
+     * @param {Object} imageInfo - 图片信息
+     * @param {Object} userConfig - 处理时使用的配置
+     * @param {string} format - 输出文件的实际格式
+     * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>} - 未编码的画布
+     */
+    async renderReference(imageInfo, userConfig = {}, format) {
+        const canvas = await this.renderCanvas(imageInfo, userConfig);
+        const watermark = this.getWatermarkOptions(userConfig);
+        if (watermark) {
+            await this.applyWatermark(canvas, watermark);
+        }
+        return imageInfo.hasAlpha !== false && !CONFIG.alphaFormats.includes(format)
+            ? this.flattenCanvas(canvas, userConfig.backgroundColor)
+            : canvas;
+    },
+
+    /**
+     * 获取动图处理方式
+     * @param {Object} userConfig - 用户配置
+     * @returns {string} - 'preserve' | 'first-frame'
+     */
+    getAnimationMode(userConfig = {}) {
+        const mode = userConfig.animationMode;
+        return CONFIG.animationModes.includes(mode) ? mode : CONFIG.animationMode;
+    },
+
+    /**
+     * 获取超出大小时的兜底策略
+     * @param {Object} userConfig - 用户配置
+     * @returns {string} - 'none' | 'downscale' | 'format' | 'format-downscale'
+     */
+    getSizeFallbackStrategy(userConfig = {}) {
+        const strategy = userConfig.oversizeFallback;
+        return CONFIG.oversizeFallbacks.includes(strategy) ? strategy : CONFIG.oversizeFallback;
+    },
+
+    /**
+     * 最低质量仍超过大小限制时按兜底策略继续尝试
+     * - format: 依次换用 CONFIG.fallbackFormats 中的其他格式
+     * - downscale: 以 CONFIG.downscaleStep 为步长逐步缩小尺寸，最小到 CONFIG.minDownscale
+     * - format-downscale: 先换格式，仍然超出时用最小的格式继续缩小尺寸
+     * 所有尝试都超出时返回其中最小的结果
+     * @param {Object} encoded - 初次编码结果 { blob, quality, canvas, format }
+     * @param {Function} encode - (canvas, format) => Promise<{ blob, quality, canvas, format }>
+     * @param {number} maxSizeKB - 大小限制
+     * @param {Object} userConfig - 用户配置
+     * @returns {Promise<Object>} - { encoded, sizeFallback: { strategy, action, format, scale, attempts } }
+     */
+    async reduceToLimit(encoded, encode, maxSizeKB, userConfig) {
+        const strategy = this.getSizeFallbackStrategy(userConfig);
+        const limit = maxSizeKB * 1024;
+        const original = encoded;
+        const attempts = [];
+        let best = encoded;
+        let scale = 1;
+        
+        const decide = (action) => ({
+            encoded: best,
+            sizeFallback: {
+                strategy,
+                action,
+                originalFormat: original.format,
+                format: best.format,
+                scale: Math.round(scale * 100) / 100,
+                attempts
+            }
+        });
+        const tryEncode = async (canvas, format, attemptScale) => {
+            const result = await encode(canvas, format);
+            attempts.push({ format, scale: Math.round(attemptScale * 100) / 100, size: result.blob.size });
+            if (result.blob.size < best.blob.size) {
+                best = result;
+                scale = attemptScale;
+            }
+            return result.blob.size <= limit;
+        };
+        
+        if (strategy === 'format' || strategy === 'format-downscale') {
+            for (const format of CONFIG.fallbackFormats) {
+                if (format === original.format || !EncoderSupport.isSupported(format, userConfig.encoderSupport)) continue;
+                if (await tryEncode(original.canvas, format, 1)) {
+                    return decide('format');
+                }
+            }
+        }
+        
+        if (strategy === 'downscale' || strategy === 'format-downscale') {
+            const format = best.format;
+            for (let next = CONFIG.downscaleStep; next >= CONFIG.minDownscale; next *= CONFIG.downscaleStep) {
+                const smaller = this.scaleCanvas(original.canvas, next);
+                if (await tryEncode(smaller, format, next)) {
+                    return decide(format === original.format ? 'downscale' : 'format-downscale');
+                }
+            }
+        }
+        
+        return decide('failed');
+    },
+
+    /**
+     * 将画布按比例缩小到新画布
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - 原画布
+     * @param {number} scale - 缩放比例
+     * @returns {HTMLCanvasElement|OffscreenCanvas} - 缩小后的画布
+     */
+    scaleCanvas(canvas, scale) {
+        const width = Math.max(1, Math.round(canvas.width * scale));
+        const height = Math.max(1, Math.round(canvas.height * scale));
+        const scaled = this.createCanvas(width, height);
+        const ctx = scaled.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(canvas, 0, 0, width, height);
+        return scaled;
+    },
+
+    /**
+     * 原图的尺寸和大小，写入处理结果供统计报告使用
+     * @param {Object} imageInfo - 图片信息
+     * @returns {Object} - { originalWidth, originalHeight, originalSize }
+     */
+    getSourceStats(imageInfo) {
+        return {
+            originalWidth: imageInfo.width,
+            originalHeight: imageInfo.height,
+            originalSize: imageInfo.size
+        };
+    },
+
+    /**
+     * 生成某个变体使用的配置
+     * 目标框按变体宽度等比例缩放，保证 cover/pad 等模式的宽高比一致
+     * @param {Object} userConfig - 用户配置
+     * @param {Object} variant - { width, format, extension }
+     * @returns {Object} - 变体的配置
+     */
+    getVariantConfig(userConfig, variant) {
+        const baseWidth = userConfig.width || CONFIG.maxWidth;
+        const baseHeight = userConfig.height || CONFIG.maxHeight;
+        return {
+            ...userConfig,
+            format: variant.format,
+            extension: variant.extension,
+            width: variant.width,
+            height: Math.max(1, Math.round(baseHeight * variant.width / baseWidth))
+        };
+    },
+
+    /**
+     * 为单张图片生成多个输出变体（响应式 srcset）
+     * @param {Object} imageInfo - 图片信息
+     * @param {Object} userConfig - 用户配置，variants 为变体列表 [{ width, format, extension }]
+     * @returns {Promise<Object>} - 汇总结果，variants 字段包含每个变体的处理结果，每个结果的 variant 为生成它的变体
+     */
+    async processVariants(imageInfo, userConfig = {}) {
+        const baseName = this.getBaseName(imageInfo.file.name);
+        const variants = [];
+        const seenNames = new Set();
+
+        for (const variant of userConfig.variants) {
+            const variantConfig = this.getVariantConfig(userConfig, variant);
+            const variantInfo = {
+                ...imageInfo,
+                needsProcessing: ImageAnalyzer.needsProcessing(imageInfo, variantConfig)
+            };
+            const result = await this.process(variantInfo, variantConfig);
+            
+            // 文件名带上实际宽度描述符，如 photo-750w.webp
+            const extension = result.outputFileName.substring(result.outputFileName.lastIndexOf('.'));
+            const outputFileName = `${baseName}-${result.finalWidth}w${extension}`;
+            
+            // 不放大时多个变体可能得到相同尺寸，只保留一份
+            if (seenNames.has(outputFileName)) continue;
+            seenNames.add(outputFileName);
+            
+            variants.push({
+                ...result,
+                outputFileName,
+                format: result.processedBlob.type || variant.format,
+                descriptor: `${result.finalWidth}w`,
+                variant
+            });
+        }
+
+        const primary = variants[0];
+        return {
+            ...primary,
+            finalSize: variants.reduce((sum, v) => sum + v.finalSize, 0),
+            wasProcessed: variants.some(v => v.wasProcessed),
+            overLimit: variants.some(v => v.overLimit),
+            variants
+        };
+    },
+
+    /**
+     * 根据用户配置生成输出变体列表
+     * @param {Object} userConfig - { variantWidths, variantFallback, format, width }
+     * @returns {Array} - 变体列表 [{ width, format, extension }]，未配置时为空数组
+     */
+    buildVariants(userConfig = {}) {
+        const widths = [...new Set(userConfig.variantWidths || [])]
+            .filter(width => Number.isFinite(width) && width > 0)
+            .sort((a, b) => a - b);
+        if (widths.length === 0) {
+            return [];
+        }
+        
+        const format = userConfig.format || CONFIG.outputFormat;
+        const variants = widths.map(width => ({
+            width,
+            format,
+            extension: CONFIG.formatExtensions[format] || CONFIG.outputExtension
+        }));
+        
+        // 额外输出一张兜底格式的图片（用于 <img> 的 src）
+        const fallbackFormat = CONFIG.variantFallbackFormat;
+        if (userConfig.variantFallback && format !== fallbackFormat) {
+            variants.push({
+                width: userConfig.width || CONFIG.maxWidth,
+                format: fallbackFormat,
+                extension: CONFIG.formatExtensions[fallbackFormat]
+            });
+        }
+        return variants;
+    },
+
+    /**
+     * 获取不含扩展名的文件名
+     * @param {string} fileName - 文件名
+     * @returns {string} - 基础文件名
+     */
+    getBaseName(fileName) {
+        return fileName.substring(0, fileName.lastIndexOf('.')) || fileName;
+    },
+
+    /**
+     * 确定输出格式：按配置、透明和动画选出格式后，浏览器无法编码时按 CONFIG.formatFallbackOrder 换用其他格式
+     * 保留动画时只能换用 GIF；Worker 中使用配置里主线程的检测结果
+     * @param {Object} imageInfo - 图片信息
+     * @param {Object} userConfig - 用户配置 { encoderSupport, ... }
+     * @returns {Object} - { format, extension }
+     */
+    resolveOutputFormat(imageInfo, userConfig = {}) {
+        const { format, extension } = this.selectOutputFormat(imageInfo, userConfig);
+        const animated = imageInfo.animated && this.getAnimationMode(userConfig) === 'preserve';
+        const supported = EncoderSupport.resolve(format, animated ? ['image/gif'] : undefined, userConfig.encoderSupport);
+        return supported === format ? { format, extension } : { format: supported, extension: CONFIG.formatExtensions[supported] };
+    },
+
+    /**
+     * 按配置选择输出格式，不考虑浏览器能否编码
+     * 开启 keepAlphaFormat 时透明图片不转为不支持透明的格式：原图为 PNG/WebP 时保持原格式，其他情况改用 PNG
+     * 保留动画时只能输出 GIF/WebP：配置的格式支持动画时使用配置的格式，否则保持原格式
+     * @param {Object} imageInfo - 图片信息
+     * @param {Object} userConfig - 用户配置
+     * @returns {Object} - { format, extension }
+     */
+    selectOutputFormat(imageInfo, userConfig = {}) {
+        const format = userConfig.format || CONFIG.outputFormat;
+        const extension = userConfig.extension || CONFIG.outputExtension;
+        if (imageInfo.animated && this.getAnimationMode(userConfig) === 'preserve') {
+            const animated = CONFIG.animationFormats.includes(format) ? format : imageInfo.file.type;
+            return { format: animated, extension: CONFIG.formatExtensions[animated] };
+        }
+        if (!userConfig.keepAlphaFormat || !imageInfo.hasAlpha || CONFIG.alphaFormats.includes(format)) {
+            return { format, extension };
+        }
+        
+        const keep = ['image/png', 'image/webp'].includes(imageInfo.file.type) ? imageInfo.file.type : 'image/png';
+        return { format: keep, extension: CONFIG.formatExtensions[keep] };
+    },
+
+    /**
+     * 将画布铺在背景色上，得到不透明的新画布
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - 原画布
+     * @param {string} [color] - 背景色
+     * @returns {HTMLCanvasElement|OffscreenCanvas} - 不透明画布
+     */
+    flattenCanvas(canvas, color) {
+        const flat = this.createCanvas(canvas.width, canvas.height);
+        const ctx = flat.getContext('2d');
+        ctx.fillStyle = color || CONFIG.backgroundColor;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(canvas, 0, 0);
+        return flat;
+    },
+
+    /**
+     * 从用户配置中提取缩放选项
+     * @param {Object} userConfig - 用户配置
+     * @returns {Object} - { mode, noUpscale, padColor, scalePercent }
+     */
+    getResizeOptions(userConfig = {}) {
+        return {
+            mode: userConfig.resizeMode,
+            noUpscale: userConfig.noUpscale,
+            padColor: userConfig.padColor,
+            scalePercent: userConfig.scalePercent
+        };
+    },
+
+    /**
+     * 计算缩放布局（源图裁剪区域、画布尺寸和绘制区域）
+     *
+     * 缩放模式:
+     * - width: 宽度固定为目标宽度，高度等比例缩放
+     * - height: 高度固定为目标高度，宽度等比例缩放
+     * - fit: 等比例缩放到目标框以内
+     * - cover: 等比例填满目标框，以焦点（默认中心）为准裁掉多余部分
+     * - pad: 等比例缩放到目标框以内，空白处用背景色填充
+     * - exact: 拉伸到目标尺寸，不保持宽高比
+     * - percent: 按 scalePercent 百分比等比例缩放，忽略目标尺寸
+     *
+     * @param {number} srcWidth - 原图宽度
+     * @param {number} srcHeight - 原图高度
+     * @param {number} targetWidth - 目标宽度
+     * @param {number} targetHeight - 目标高度
+     * @param {Object} options - { mode, noUpscale, scalePercent, focalPoint }，focalPoint 为 0~1 的相对坐标
+     * @returns {Object} - { width, height, sx, sy, sw, sh, dx, dy, dw, dh }
+     */
+    computeLayout(srcWidth, srcHeight, targetWidth, targetHeight, options = {}) {
+        const mode = options.mode || CONFIG.resizeMode;
+        const noUpscale = !!options.noUpscale;
+        const layout = {
+            width: srcWidth,
+            height: srcHeight,
+            sx: 0,
+            sy: 0,
+            sw: srcWidth,
+            sh: srcHeight,
+            dx: 0,
+            dy: 0,
+            dw: srcWidth,
+            dh: srcHeight
+        };
+
+        // 等比例缩放的通用处理：画布与绘制区域一致
+        const scaleTo = (scale, fixedWidth, fixedHeight) => {
+            if (noUpscale && scale > 1) {
+                return layout;
+            }
+            layout.width = layout.dw = fixedWidth || Math.max(1, Math.round(srcWidth * scale));
+            layout.height = layout.dh = fixedHeight || Math.max(1, Math.round(srcHeight * scale));
+            return layout;
+        };
+
+        switch (mode) {
+            case 'height':
+                return scaleTo(targetHeight / srcHeight, 0, targetHeight);
+            case 'fit':
+                return scaleTo(Math.min(targetWidth / srcWidth, targetHeight / srcHeight));
+            case 'cover': {
+                let scale = Math.max(targetWidth / srcWidth, targetHeight / srcHeight);
+                layout.width = targetWidth;
+                layout.height = targetHeight;
+                // 不放大时，按目标宽高比从原图中裁出最大区域
+                if (noUpscale && scale > 1) {
+                    layout.width = Math.round(targetWidth / scale);
+                    layout.height = Math.round(targetHeight / scale);
+                    scale = 1;
+                }
+                layout.sw = Math.min(srcWidth, layout.width / scale);
+                layout.sh = Math.min(srcHeight, layout.height / scale);
+                // 裁剪区域以焦点为中心，并限制在原图范围内
+                const focal = options.focalPoint || { x: 0.5, y: 0.5 };
+                layout.sx = Math.min(Math.max(focal.x * srcWidth - layout.sw / 2, 0), srcWidth - layout.sw);
+                layout.sy = Math.min(Math.max(focal.y * srcHeight - layout.sh / 2, 0), srcHeight - layout.sh);
+                layout.dw = layout.width;
+                layout.dh = layout.height;
+                return layout;
+            }
+            case 'pad': {
+                let scale = Math.min(targetWidth / srcWidth, targetHeight / srcHeight);
+                if (noUpscale && scale > 1) {
+                    scale = 1;
+                }
+                layout.width = targetWidth;
+                layout.height = targetHeight;
+                layout.dw = Math.round(srcWidth * scale);
+                layout.dh = Math.round(srcHeight * scale);
+                layout.dx = Math.round((targetWidth - layout.dw) / 2);
+                layout.dy = Math.round((targetHeight - layout.dh) / 2);
+                return layout;
+            }
+            case 'percent':
+                return scaleTo((options.scalePercent || CONFIG.scalePercent) / 100);
+            case 'exact':
+                layout.width = layout.dw = noUpscale ? Math.min(targetWidth, srcWidth) : targetWidth;
+                layout.height = layout.dh = noUpscale ? Math.min(targetHeight, srcHeight) : targetHeight;
+                return layout;
+            case 'width':
+            default:
+                return scaleTo(targetWidth / srcWidth, targetWidth, 0);
+        }
+    },
+
+    /**
+     * 判断图片是否有需要重新绘制的编辑（裁剪、旋转、翻转）
+     * @param {Object} edits - { crop, rotation, flipH, flipV, focalPoint }
+     * @returns {boolean} - 是否有编辑
+     */
+    hasEdits(edits) {
+        return !!edits && (
+            !!edits.crop ||
+            ((edits.rotation || 0) % 360 + 360) % 360 !== 0 ||
+            !!edits.flipH ||
+            !!edits.flipV
+        );
+    },
+
+    /**
+     * 计算编辑后的几何信息
+     * 翻转先于旋转应用；crop 为旋转、翻转后图片上的像素区域；
+     * focalPoint 为旋转、翻转后整张图片上的相对坐标，返回时换算到裁剪区域内
+     * @param {number} srcWidth - 原图宽度
+     * @param {number} srcHeight - 原图高度
+     * @param {Object} edits - { crop, rotation, flipH, flipV, focalPoint }
+     * @returns {Object} - { rotation, flipH, flipV, width, height, crop, focalPoint }
+     */
+    computeEditGeometry(srcWidth, srcHeight, edits = {}) {
+        edits = edits || {};
+        const rotation = ((edits.rotation || 0) % 360 + 360) % 360;
+        const swap = rotation === 90 || rotation === 270;
+        const width = swap ? srcHeight : srcWidth;
+        const height = swap ? srcWidth : srcHeight;
+        
+        let crop = { x: 0, y: 0, width, height };
+        if (edits.crop) {
+            const x = Math.min(Math.max(Math.round(edits.crop.x), 0), width - 1);
+            const y = Math.min(Math.max(Math.round(edits.crop.y), 0), height - 1);
+            crop = {
+                x,
+                y,
+                width: Math.min(Math.max(Math.round(edits.crop.width), 1), width - x),
+                height: Math.min(Math.max(Math.round(edits.crop.height), 1), height - y)
+            };
+        }
+        
+        let focalPoint = null;
+        if (edits.focalPoint) {
+            const clamp = value => Math.min(Math.max(value, 0), 1);
+            focalPoint = {
+                x: clamp((edits.focalPoint.x * width - crop.x) / crop.width),
+                y: clamp((edits.focalPoint.y * height - crop.y) / crop.height)
+            };
+        }
+        
+        return {
+            rotation,
+            flipH: !!edits.flipH,
+            flipV: !!edits.flipV,
+            width,
+            height,
+            crop,
+            focalPoint
+        };
+    },
+
+    /**
+     * 将翻转、旋转和裁剪绘制到新画布上
+     * @param {HTMLImageElement|ImageBitmap|HTMLCanvasElement} image - 原图
+     * @param {Object} geometry - computeEditGeometry 的返回值
+     * @returns {HTMLCanvasElement|OffscreenCanvas} - 编辑后的画布
+     */
+    applyEdits(image, geometry) {
+        const srcWidth = image.naturalWidth || image.width;
+        const srcHeight = image.naturalHeight || image.height;
+        const { crop } = geometry;
+        
+        const canvas = this.createCanvas(crop.width, crop.height);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        
+        // 裁剪区域左上角移到原点，再以旋转后图片的中心为原点旋转、翻转
+        ctx.translate(-crop.x + geometry.width / 2, -crop.y + geometry.height / 2);
+        ctx.rotate(geometry.rotation * Math.PI / 180);
+        ctx.scale(geometry.flipH ? -1 : 1, geometry.flipV ? -1 : 1);
+        ctx.drawImage(image, -srcWidth / 2, -srcHeight / 2);
+        
+        return canvas;
+    },
+
+    /**
+     * 获取原图元数据，分析阶段未读取时（如直接调用 process）按需读取
+     * @param {Object} imageInfo - 图片信息
+     * @param {Object} userConfig - 用户配置
+     * @returns {Promise<Object|null>} - MetadataHandler.read 的返回值，strip 策略下为 null
+     */
+    async getMetadata(imageInfo, userConfig = {}) {
+        if ((userConfig.metadataPolicy || CONFIG.metadataPolicy) === 'strip') {
+            return null;
+        }
+        return imageInfo.metadata || MetadataHandler.read(imageInfo.file);
+    },
+
+    /**
+     * 加载图片用于绘制
+     * Worker 中没有 Image，改用 createImageBitmap 直接解码文件并按 EXIF 方向旋转
+     * 分析时已解码过的格式使用 decodedBlob；浏览器无法解码时改用 FallbackDecoder
+     * @param {Object} imageInfo - 图片信息
+     * @returns {Promise<HTMLImageElement|ImageBitmap|HTMLCanvasElement|OffscreenCanvas>} - 可绘制的图片
+     */
+    async loadImage(imageInfo) {
+        try {
+            if (typeof Image === 'undefined') {
+                return await createImageBitmap(imageInfo.decodedBlob || imageInfo.file, { imageOrientation: 'from-image' });
+            }
+            
+            const img = new Image();
+            await new Promise((resolve, reject) => {
+                img.onload = resolve;
+                img.onerror = reject;
+                img.src = imageInfo.previewUrl;
+            });
+            return img;
+        } catch (error) {
+            if (imageInfo.decodedBlob || !FallbackDecoder.canDecode(imageInfo.file.type)) {
+                throw error;
+            }
+            return FallbackDecoder.decode(imageInfo.file);
+        }
+    },
+
+    /**
+     * 创建画布，Worker 中使用 OffscreenCanvas
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @returns {HTMLCanvasElement|OffscreenCanvas} - 画布
+     */
+    createCanvas(width, height) {
+        if (typeof document === 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    },
+
+    /**
+     * 将画布编码为 Blob，兼容 HTMLCanvasElement 和 OffscreenCanvas
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - 画布
+     * @param {string} format - 输出格式
+     * @param {number} [quality] - 编码质量
+     * @returns {Promise<Blob>} - 编码后的 Blob
+     */
+    canvasToBlob(canvas, format, quality) {
+        if (typeof canvas.toBlob !== 'function') {
+            return canvas.convertToBlob({ type: format, quality });
+        }
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`无法编码为 ${format}`))), format, quality);
+        });
+    },
+
+    /**
+     * 调整图片尺寸，默认宽度固定为目标宽度，高度等比例缩放
+     * @param {HTMLImageElement|ImageBitmap} image - 图片
+     * @param {number} targetWidth - 目标宽度
+     * @param {number} maxHeight - 目标高度（width 模式下不使用）
+     * @param {Object} options - { mode, noUpscale, padColor }
+     * @returns {HTMLCanvasElement|OffscreenCanvas} - 调整后的 canvas
+     */
+    resize(image, targetWidth, maxHeight, options = {}) {
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        const layout = this.computeLayout(width, height, targetWidth, maxHeight, options);
+        
+        const canvas = this.createCanvas(layout.width, layout.height);
+        
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+
+        // pad 模式先填充背景色
+        if ((options.mode || CONFIG.resizeMode) === 'pad') {
+            ctx.fillStyle = options.padColor || CONFIG.padColor;
+            ctx.fillRect(0, 0, layout.width, layout.height);
+        }
+
+        ctx.drawImage(
+            image,
+            layout.sx, layout.sy, layout.sw, layout.sh,
+            layout.dx, layout.dy, layout.dw, layout.dh
+        );
+        
+        return canvas;
+    },
+
+    /**
+     * 从用户配置中提取水印选项
+     * @param {Object} userConfig - 用户配置
+     * @returns {Object|null} - { type, text, image, position, opacity, scale, margin, rotation, color }，未启用时为 null
+     */
+    getWatermarkOptions(userConfig = {}) {
+        const type = userConfig.watermarkType;
+        if ((type === 'text' && !userConfig.watermarkText) ||
+            (type === 'image' && !userConfig.watermarkImage) ||
+            (type !== 'text' && type !== 'image')) {
+            return null;
+        }
+        const defaults = CONFIG.watermark;
+        const number = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+        return {
+            type,
+            text: userConfig.watermarkText,
+            image: userConfig.watermarkImage,
+            position: userConfig.watermarkPosition || defaults.position,
+            opacity: Math.min(Math.max(number(userConfig.watermarkOpacity, defaults.opacity), 0), 1),
+            scale: Math.min(Math.max(number(userConfig.watermarkScale, defaults.scale), 0.01), 1),
+            margin: Math.max(number(userConfig.watermarkMargin, defaults.margin), 0),
+            rotation: number(userConfig.watermarkRotation, defaults.rotation),
+            color: userConfig.watermarkColor || defaults.color
+        };
+    },
+
+    /**
+     * 计算水印的绘制尺寸和中心点位置
+     * 水印宽度为输出宽度乘以 scale，高度按水印宽高比计算；
+     * 九宫格位置距边缘 margin，tile 平铺时水印之间间隔 margin
+     * @param {number} canvasWidth - 输出宽度
+     * @param {number} canvasHeight - 输出高度
+     * @param {number} markWidth - 水印原始宽度
+     * @param {number} markHeight - 水印原始高度
+     * @param {Object} options - getWatermarkOptions 的返回值
+     * @returns {Object} - { width, height, positions: [{ x, y }] }
+     */
+    computeWatermarkLayout(canvasWidth, canvasHeight, markWidth, markHeight, options) {
+        const width = Math.max(1, canvasWidth * options.scale);
+        const height = Math.max(1, width * markHeight / markWidth);
+        const margin = options.margin;
+        const positions = [];
+
+        if (options.position === 'tile') {
+            const stepX = width + margin;
+            const stepY = height + margin;
+            // 多铺一圈，保证旋转后边缘也被覆盖
+            for (let y = -height / 2; y < canvasHeight + stepY; y += stepY) {
+                for (let x = -width / 2; x < canvasWidth + stepX; x += stepX) {
+                    positions.push({ x: x + width / 2, y: y + height / 2 });
+                }
+            }
+            return { width, height, positions };
+        }
+
+        const [vertical, horizontal] = options.position === 'center'
+            ? ['center', 'center']
+            : options.position.split('-');
+        const x = {
+            left: margin + width / 2,
+            center: canvasWidth / 2,
+            right: canvasWidth - margin - width / 2
+        }[horizontal];
+        const y = {
+            top: margin + height / 2,
+            center: canvasHeight / 2,
+            bottom: canvasHeight - margin - height / 2
+        }[vertical];
+        positions.push({ x, y });
+        return { width, height, positions };
+    },
+
+    // 最近一次加载的水印图片 { src, image }
+    watermarkCache: null,
+
+    /**
+     * 加载水印图片，同一张 Logo 只解码一次
+     * @param {string} src - 水印图片的 data URL
+     * @returns {Promise<HTMLImageElement|ImageBitmap>} - 可绘制的图片
+     */
+    async loadWatermarkImage(src) {
+        if (this.watermarkCache && this.watermarkCache.src === src) {
+            return this.watermarkCache.image;
+        }
+        let image;
+        if (typeof Image === 'undefined') {
+            image = await createImageBitmap(await (await fetch(src)).blob());
+        } else {
+            image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(new Error('水印图片加载失败'));
+                image.src = src;
+            });
+        }
+        this.watermarkCache = { src, image };
+        return image;
+    },
+
+    /**
+     * 把用户选择的 Logo 栅格化为限制尺寸的 PNG data URL
+     * Worker 中的 createImageBitmap 无法解码 SVG；Logo 还会随配置复制到每个任务和预设中，需要控制体积
+     * @param {string} src - Logo 的 data URL（PNG/WebP/SVG）
+     * @param {number} maxSide - 最长边上限
+     * @returns {Promise<string>} - PNG data URL
+     */
+    async rasterizeWatermark(src, maxSide = CONFIG.watermark.maxLogoSize) {
+        const image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('水印图片加载失败'));
+            image.src = src;
+        });
+        
+        // 没有固有尺寸的 SVG 按上限的正方形绘制
+        const width = image.naturalWidth || image.width || maxSide;
+        const height = image.naturalHeight || image.height || maxSide;
+        const ratio = Math.min(1, maxSide / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * ratio));
+        canvas.height = Math.max(1, Math.round(height * ratio));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        
+        const blob = await this.canvasToBlob(canvas, 'image/png');
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('水印图片读取失败'));
+            reader.readAsDataURL(blob);
+        });
+    },
+
+    /**
+     * 在画布上绘制图片或文字水印
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - 缩放后的画布
+     * @param {Object} options - getWatermarkOptions 的返回值
+     * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>} - 同一个画布
+     */
+    async applyWatermark(canvas, options) {
+        const ctx = canvas.getContext('2d');
+        let mark = null;
+        let markWidth;
+        let markHeight;
+        
+        if (options.type === 'image') {
+            mark = await this.loadWatermarkImage(options.image);
+            markWidth = mark.naturalWidth || mark.width;
+            markHeight = mark.naturalHeight || mark.height;
+        } else {
+            // 以 100px 字号测量文字宽度，再按比例换算
+            ctx.font = `bold 100px ${CONFIG.watermark.fontFamily}`;
+            markWidth = Math.max(1, ctx.measureText(options.text).width);
+            markHeight = 100;
+        }
+        
+        const layout = this.computeWatermarkLayout(canvas.width, canvas.height, markWidth, markHeight, options);
+        
+        ctx.save();
+        ctx.globalAlpha = options.opacity;
+        if (!mark) {
+            ctx.font = `bold ${layout.height}px ${CONFIG.watermark.fontFamily}`;
+            ctx.fillStyle = options.color;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+        }
+        for (const { x, y } of layout.positions) {
+            ctx.save();
+            ctx.translate(x, y);
+            ctx.rotate(options.rotation * Math.PI / 180);
+            if (mark) {
+                ctx.drawImage(mark, -layout.width / 2, -layout.height / 2, layout.width, layout.height);
+            } else {
+                ctx.fillText(options.text, 0, 0);
+            }
+            ctx.restore();
+        }
+        ctx.restore();
+        
+        return canvas;
+    },
+
+    /**
+     * 压缩图片到指定大小以内
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - canvas 元素
+     * @param {number} maxSizeKB - 最大文件大小 (KB)
+     * @param {string} format - 输出格式
+     * @returns {Promise<Blob>} - 压缩后的 Blob
+     */
+    async compress(canvas, maxSizeKB, format) {
+        const { blob } = await this.compressWithQuality(canvas, maxSizeKB, format);
+        return blob;
+    },
+
+    /**
+     * 压缩图片到指定大小以内，同时返回最终使用的质量
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - canvas 元素
+     * @param {number} maxSizeKB - 最大文件大小 (KB)
+     * @param {string} format - 输出格式
+     * @param {Object} [options] - PNG 量化选项 { pngMaxColors, pngDither, pngOptimize }
+     * @returns {Promise<Object>} - { blob, quality }，PNG 的 quality 为 null
+     */
+    async compressWithQuality(canvas, maxSizeKB, format, options = {}) {
+        const maxSizeBytes = maxSizeKB * 1024;
+        
+        // PNG 格式不支持质量参数，改为减少颜色数
+        if (format === 'image/png') {
+            return this.compressPng(canvas, maxSizeKB, options);
+        }
+        
+        // JPEG/WebP/AVIF 使用二分法查找最佳质量
+        let minQuality = 0.1;
+        let maxQuality = 1.0;
+        let bestBlob = null;
+        let bestQuality = maxQuality;
+        
+        // 先尝试最高质量
+        bestBlob = await this.canvasToBlob(canvas, format, maxQuality);
+        
+        if (bestBlob.size <= maxSizeBytes) {
+            return { blob: bestBlob, quality: maxQuality };
+        }
+        
+        // 二分法查找
+        for (let i = 0; i < 10; i++) {
+            const midQuality = (minQuality + maxQuality) / 2;
+            const blob = await this.canvasToBlob(canvas, format, midQuality);
+            
+            if (blob.size <= maxSizeBytes) {
+                bestBlob = blob;
+                bestQuality = midQuality;
+                minQuality = midQuality;
+            } else {
+                maxQuality = midQuality;
+            }
+        }
+        
+        // 如果仍然超过大小，返回最低质量的结果
+        if (!bestBlob || bestBlob.size > maxSizeBytes) {
+            bestBlob = await this.canvasToBlob(canvas, format, minQuality);
+            bestQuality = minQuality;
+        }
+        
+        return { blob: bestBlob, quality: bestQuality };
+    },
+
+    /**
+     * 压缩 PNG：无损结果超出大小时，按 256、128 ... 2 色逐级量化，保留透明度
+     * 所有颜色数都超出时返回其中最小的结果
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - canvas 元素
+     * @param {number} maxSizeKB - 最大文件大小 (KB)
+     * @param {Object} options - { pngMaxColors, pngDither, pngOptimize }
+     * @returns {Promise<Object>} - { blob, quality: null, colors }，colors 为 null 表示未量化
+     */
+    async compressPng(canvas, maxSizeKB, options = {}) {
+        const maxSizeBytes = maxSizeKB * 1024;
+        const lossless = await PngQuantizer.optimize(await this.canvasToBlob(canvas, 'image/png'), options);
+        if (lossless.size <= maxSizeBytes) {
+            return { blob: lossless, quality: null, colors: null };
+        }
+        
+        const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const maxColors = Math.min(256, Math.max(2, parseInt(options.pngMaxColors, 10) || CONFIG.pngMaxColors));
+        const dither = options.pngDither !== undefined ? !!options.pngDither : CONFIG.pngDither;
+        let best = { blob: lossless, quality: null, colors: null };
+        
+        for (let colors = maxColors; colors >= 2; colors = Math.floor(colors / 2)) {
+            const blob = await PngQuantizer.optimize(
+                await PngQuantizer.quantize(imageData, { colors, dither }), options
+            );
+            if (blob.size < best.blob.size) {
+                best = { blob, quality: null, colors };
+            }
+            if (blob.size <= maxSizeBytes) {
+                break;
+            }
+        }
+        
+        return best;
+    }
+};
+
+// ============ PNG 调色板量化 ============
+export const PngQuantizer = {
+    optimizer: null,
+    optimizerUrl: '',
+    optimizerPromise: null,
+    crcTable: null,
+
+    /**
+     * 将像素量化为调色板 PNG
+     * 支持 CompressionStream 时直接编码为索引色 PNG，否则把量化后的像素画回画布再导出
+     * @param {ImageData} imageData - 原始像素
+     * @param {Object} options - { colors, dither }
+     * @returns {Promise<Blob>} - PNG 文件
+     */
+    async quantize(imageData, options = {}) {
+        const { width, height, data } = imageData;
+        const palette = this.buildPalette(data, options.colors || CONFIG.pngMaxColors);
+        const indices = this.mapPixels(imageData, palette, options.dither);
+        
+        if (typeof CompressionStream !== 'undefined') {
+            return this.encode(width, height, palette, indices);
+        }
+        
+        const canvas = ImageProcessor.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        const output = ctx.createImageData(width, height);
+        indices.forEach((index, i) => output.data.set(palette[index], i * 4));
+        ctx.putImageData(output, 0, 0);
+        return ImageProcessor.canvasToBlob(canvas, 'image/png');
+    },
+
+    /**
+     * 中位切分生成调色板，颜色数不超过上限时保留原色
+     * 完全透明的像素统一映射到调色板第 0 项 [0, 0, 0, 0]
+     * @param {Uint8ClampedArray} data - RGBA 像素
+     * @param {number} maxColors - 最大颜色数
+     * @returns {Array<number[]>} - [[r, g, b, a], ...]
+     */
+    buildPalette(data, maxColors) {
+        const pixelCount = data.length / 4;
+        const step = Math.max(1, Math.floor(pixelCount / CONFIG.pngSampleSize));
+        let hasTransparent = false;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] === 0) {
+                hasTransparent = true;
+                break;
+            }
+        }
+        
+        const pixels = [];
+        for (let i = 0; i < pixelCount; i += step) {
+            const offset = i * 4;
+            if (data[offset + 3] !== 0) {
+                pixels.push([data[offset], data[offset + 1], data[offset + 2], data[offset + 3]]);
+            }
+        }
+        
+        const limit = Math.max(1, hasTransparent ? maxColors - 1 : maxColors);
+        const boxes = pixels.length ? [this.createBox(pixels)] : [];
+        while (boxes.length < limit) {
+            // 每次切分范围最大的颜色盒
+            let target = -1;
+            boxes.forEach((box, i) => {
+                if (box.range > 0 && (target === -1 || box.range > boxes[target].range)) {
+                    target = i;
+                }
+            });
+            if (target === -1) break;
+            
+            const { pixels: boxPixels, channel } = boxes[target];
+            boxPixels.sort((a, b) => a[channel] - b[channel]);
+            // 在中位附近的取值边界处切分，避免相同颜色落到两个盒子里
+            const value = boxPixels[boxPixels.length >> 1][channel];
+            let split = boxPixels.findIndex(pixel => pixel[channel] >= value);
+            if (split === 0) {
+                split = boxPixels.findIndex(pixel => pixel[channel] > value);
+            }
+            boxes.splice(target, 1, this.createBox(boxPixels.slice(0, split)), this.createBox(boxPixels.slice(split)));
+        }
+        
+        const palette = boxes.map(box => {
+            const sum = [0, 0, 0, 0];
+            box.pixels.forEach(pixel => pixel.forEach((value, c) => { sum[c] += value; }));
+            return sum.map(value => Math.round(value / box.pixels.length));
+        });
+        if (hasTransparent || palette.length === 0) {
+            palette.unshift([0, 0, 0, 0]);
+        }
+        return palette;
+    },
+
+    /**
+     * 创建颜色盒，记录范围最大的通道
+     * @param {Array<number[]>} pixels - 像素列表
+     * @returns {Object} - { pixels, channel, range }
+     */
+    createBox(pixels) {
+        const min = [255, 255, 255, 255];
+        const max = [0, 0, 0, 0];
+        pixels.forEach(pixel => {
+            for (let c = 0; c < 4; c++) {
+                if (pixel[c] < min[c]) min[c] = pixel[c];
+                if (pixel[c] > max[c]) max[c] = pixel[c];
+            }
+        });
+        
+        let channel = 0;
+        for (let c = 1; c < 4; c++) {
+            if (max[c] - min[c] > max[channel] - min[channel]) channel = c;
+        }
+        // 只有一个像素时无法再切分
+        const range = pixels.length > 1 ? max[channel] - min[channel] : 0;
+        return { pixels, channel, range };
+    },
+
+    /**
+     * 将每个像素映射到最近的调色板颜色，可选 Floyd-Steinberg 抖动
+     * @param {ImageData} imageData - 原始像素
+     * @param {Array<number[]>} palette - 调色板
+     * @param {boolean} dither - 是否抖动
+     * @returns {Uint8Array} - 每个像素的调色板索引
+     */
+    mapPixels(imageData, palette, dither) {
+        const { width, height, data } = imageData;
+        const indices = new Uint8Array(width * height);
+        const transparentIndex = palette[0][3] === 0 ? 0 : -1;
+        const cache = new Map();
+        // 当前行和下一行的 RGBA 误差，两侧各留一个像素避免越界判断
+        let current = new Float32Array((width + 2) * 4);
+        let next = new Float32Array((width + 2) * 4);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const offset = (y * width + x) * 4;
+                if (data[offset + 3] === 0 && transparentIndex !== -1) {
+                    indices[y * width + x] = transparentIndex;
+                    continue;
+                }
+                
+                const errorOffset = (x + 1) * 4;
+                const color = [0, 1, 2, 3].map(c => {
+                    const value = data[offset + c] + (dither ? current[errorOffset + c] : 0);
+                    return Math.min(255, Math.max(0, Math.round(value)));
+                });
+                const key = ((color[0] << 24) | (color[1] << 16) | (color[2] << 8) | color[3]) >>> 0;
+                let index = cache.get(key);
+                if (index === undefined) {
+                    index = this.findNearest(palette, color);
+                    cache.set(key, index);
+                }
+                indices[y * width + x] = index;
+                
+                if (dither) {
+                    for (let c = 0; c < 4; c++) {
+                        const error = color[c] - palette[index][c];
+                        current[errorOffset + 4 + c] += error * 7 / 16;
+                        next[errorOffset - 4 + c] += error * 3 / 16;
+                        next[errorOffset + c] += error * 5 / 16;
+                        next[errorOffset + 4 + c] += error / 16;
+                    }
+                }
+            }
+            [current, next] = [next, current];
+            next.fill(0);
+        }
+        
+        return indices;
+    },
+
+    /**
+     * 查找欧氏距离最近的调色板颜色
+     * @param {Array<number[]>} palette - 调色板
+     * @param {number[]} color - [r, g, b, a]
+     * @returns {number} - 调色板索引
+     */
+    findNearest(palette, color) {
+        let best = 0;
+        let bestDistance = Infinity;
+        palette.forEach((entry, i) => {
+            let distance = 0;
+            for (let c = 0; c < 4; c++) {
+                const diff = entry[c] - color[c];
+                distance += diff * diff;
+            }
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    },
+
+    /**
+     * 编码索引色 PNG（颜色类型 3），颜色不多时使用 1/2/4 位深度
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {Array<number[]>} palette - 调色板
+     * @param {Uint8Array} indices - 像素索引
+     * @returns {Promise<Blob>} - PNG 文件
+     */
+    async encode(width, height, palette, indices) {
+        const bitDepth = palette.length <= 2 ? 1 : palette.length <= 4 ? 2 : palette.length <= 16 ? 4 : 8;
+        const perByte = 8 / bitDepth;
+        const rowLength = Math.ceil(width / perByte) + 1;
+        
+        // 每行开头为过滤类型 0（None）
+        const raw = new Uint8Array(rowLength * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const byte = y * rowLength + 1 + Math.floor(x / perByte);
+                const shift = 8 - bitDepth * (x % perByte + 1);
+                raw[byte] |= indices[y * width + x] << shift;
+            }
+        }
+        
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header.set([bitDepth, 3, 0, 0, 0], 8);
+        
+        const chunks = [
+            this.chunk('IHDR', header),
+            this.chunk('PLTE', Uint8Array.from(palette.flatMap(color => color.slice(0, 3))))
+        ];
+        // tRNS 只需写到最后一个非不透明的颜色
+        const lastAlpha = palette.map(color => color[3]).findLastIndex(alpha => alpha < 255);
+        if (lastAlpha !== -1) {
+            chunks.push(this.chunk('tRNS', Uint8Array.from(palette.slice(0, lastAlpha + 1).map(color => color[3]))));
+        }
+        chunks.push(this.chunk('IDAT', await this.deflate(raw)));
+        chunks.push(this.chunk('IEND', new Uint8Array(0)));
+        
+        const signature = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+        return new Blob([signature, ...chunks], { type: 'image/png' });
+    },
+
+    /**
+     * 构造 PNG 数据块：长度 + 类型 + 数据 + CRC
+     * @param {string} type - 块类型
+     * @param {Uint8Array} data - 块数据
+     * @returns {Uint8Array} - 完整数据块
+     */
+    chunk(type, data) {
+        const bytes = new Uint8Array(data.length + 12);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            bytes[4 + i] = type.charCodeAt(i);
+        }
+        bytes.set(data, 8);
+        view.setUint32(data.length + 8, this.crc32(bytes.subarray(4, data.length + 8)));
+        return bytes;
+    },
+
+    /**
+     * 计算 CRC32
+     * @param {Uint8Array} bytes - 数据
+     * @returns {number} - 无符号 CRC32
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    /**
+     * 使用 CompressionStream 进行 zlib 压缩
+     * @param {Uint8Array} data - 原始数据
+     * @returns {Promise<Uint8Array>} - 压缩后的数据
+     */
+    async deflate(data) {
+        const stream = new CompressionStream('deflate');
+        const writer = stream.writable.getWriter();
+        writer.write(data);
+        writer.close();
+        
+        const parts = [];
+        const reader = stream.readable.getReader();
+        for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+            parts.push(chunk.value);
+        }
+        return MetadataHandler.concat(parts);
+    },
+
+    /**
+     * 注册 PNG 优化函数，优先于 CONFIG.pngOptimizerUrl
+     * 函数无法传给 Worker，开启优化时这样的批次改在主线程处理，见 needsMainThread
+     * @param {Function|null} optimise - (ArrayBuffer, { level }) => Promise<ArrayBuffer>
+     */
+    setOptimizer(optimise) {
+        this.optimizer = optimise;
+    },
+
+    /**
+     * 是否可以使用 PNG 优化器
+     * @returns {boolean}
+     */
+    isOptimizerAvailable() {
+        return !!(this.optimizer || CONFIG.pngOptimizerUrl);
+    },
+
+    /**
+     * 开启了优化但只有当前线程注册的优化函数时，不能交给 Worker 处理
+     * @param {Object} userConfig - 用户配置 { pngOptimize, pngOptimizerUrl }
+     * @returns {boolean}
+     */
+    needsMainThread(userConfig = {}) {
+        return !!(userConfig.pngOptimize && this.optimizer && !userConfig.pngOptimizerUrl);
+    },
+
+    /**
+     * 按需加载 WASM 优化器模块，加载失败时返回 null 且同一地址不再重试
+     * @param {string} url - 模块地址，Worker 中由用户配置传入
+     * @returns {Promise<Function|null>} - 优化函数
+     */
+    async loadOptimizer(url = CONFIG.pngOptimizerUrl) {
+        if (this.optimizer) {
+            return this.optimizer;
+        }
+        if (!url) {
+            return null;
+        }
+        if (!this.optimizerPromise || this.optimizerUrl !== url) {
+            this.optimizerUrl = url;
+            this.optimizerPromise = import(url)
+                .then(module => module.default || module.optimise || null)
+                .catch(error => {
+                    console.error('加载 PNG 优化器失败:', error);
+                    return null;
+                });
+        }
+        return this.optimizerPromise;
+    },
+
+    /**
+     * 使用优化器无损重新压缩 PNG，未开启、不可用或结果更大时返回原文件
+     * @param {Blob} blob - PNG 文件
+     * @param {Object} options - { pngOptimize, pngOptimizerUrl }
+     * @returns {Promise<Blob>} - 优化后的 PNG
+     */
+    async optimize(blob, options = {}) {
+        if (!options.pngOptimize) {
+            return blob;
+        }
+        const optimise = await this.loadOptimizer(options.pngOptimizerUrl || CONFIG.pngOptimizerUrl);
+        if (!optimise) {
+            return blob;
+        }
+        
+        try {
+            const output = await optimise(await MetadataHandler.readBuffer(blob), { level: CONFIG.pngOptimizeLevel });
+            const optimized = new Blob([output], { type: 'image/png' });
+            return optimized.size < blob.size ? optimized : blob;
+        } catch (error) {
+            return blob;
+        }
+    }
+};
+
+// ============ 动图编解码 ============
+export const AnimationCodec = {
+    // 动图超出大小时依次尝试的 WebP 质量和 GIF 颜色数
+    webpQualities: [0.9, 0.75, 0.6, 0.45, 0.3],
+    gifColors: [256, 128, 64, 32, 16],
+
+    /**
+     * 判断是否为多帧动图：GIF 有两帧以上，WebP 的 VP8X 设置了动画标志
+     * @param {Uint8Array} bytes - 文件内容（WebP 只需要文件头）
+     * @returns {boolean}
+     */
+    isAnimated(bytes) {
+        const ascii = (offset, length) => MetadataHandler.readAscii(bytes, offset, length);
+        try {
+            if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+                return FallbackDecoder.parseGif(bytes).frames.length > 1;
+            }
+            if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP' && ascii(12, 4) === 'VP8X') {
+                return (bytes[20] & 0x02) !== 0;
+            }
+        } catch (error) {
+            // 文件结构异常时按静态图处理
+        }
+        return false;
+    },
+
+    /**
+     * 判断 GIF 是否有两帧以上，读到第二帧即停止，不必把整个文件读入内存
+     * @param {File|Blob} file - GIF 文件
+     * @returns {Promise<boolean>} - 是否为动图
+     */
+    async isAnimatedGif(file) {
+        return (await this.scanGif(file, 2)).frames > 1;
+    },
+
+    /**
+     * 分段读取 GIF 的块结构（不解压图像数据），统计帧数并检查是否读到结束符
+     * 遇到结束符或无法识别的块时停止，之后的数据不再读取
+     * @param {File|Blob} file - GIF 文件
+     * @param {number} [maxFrames] - 统计到这么多帧即停止
+     * @param {number} [chunkBytes] - 每次读取的字节数
+     * @returns {Promise<Object>} - { frames, truncated }，truncated 表示结束符之前数据就已用完（提前停止时为 false）
+     */
+    async scanGif(file, maxFrames = Infinity, chunkBytes = CONFIG.gifScanChunkBytes) {
+        const tableSize = (flags) => 3 * (1 << ((flags & 0x07) + 1));
+        const reader = MetadataHandler.createReader(file, chunkBytes);
+        const result = { frames: 0, truncated: true };
+        
+        if (!await reader.load(0, 13)) return result;
+        let offset = 13 + ((reader.at(10) & 0x80) ? tableSize(reader.at(10)) : 0);
+        while (await reader.load(offset, 1)) {
+            const block = reader.at(offset++);
+            if (block === 0x2C) {
+                if (++result.frames >= maxFrames) {
+                    return { ...result, truncated: false };
+                }
+                // 图像描述符 9 字节，之后是可选的局部颜色表和 LZW 最小码长
+                if (!await reader.load(offset, 9)) break;
+                const flags = reader.at(offset + 8);
+                offset += 9 + ((flags & 0x80) ? tableSize(flags) : 0) + 1;
+            } else if (block === 0x21) {
+                offset++;
+            } else {
+                // 0x3B 结束符或无法识别的块
+                return { ...result, truncated: false };
+            }
+            while (await reader.load(offset, 1) && reader.at(offset)) {
+                offset += reader.at(offset) + 1;
+            }
+            // 数据块以 0 长度的子块结束
+            if (!await reader.load(offset, 1)) break;
+            offset++;
+        }
+        return result;
+    },
+
+    /**
+     * 逐帧解码动图，每解码一帧立即交给 mapFrame 处理（如缩放），不保留原始大小的帧
+     * 优先使用 WebCodecs 的 ImageDecoder，不支持时 GIF 使用内置解析；其他情况返回 null，按静态图处理第一帧
+     * 最多解码 CONFIG.maxAnimationFrames 帧，frameCount 为文件中的总帧数
+     * @param {File|Blob} file - 动图文件
+     * @param {Function} [mapFrame] - async (canvas) => canvas，返回值作为该帧保存
+     * @returns {Promise<Object|null>} - { width, height, loopCount, frameCount, frames: [{ canvas, delay }] }，delay 单位为毫秒
+     */
+    async decodeFrames(file, mapFrame = async (canvas) => canvas) {
+        const frames = await this.decodeWithWebCodecs(file, mapFrame);
+        if (frames || file.type !== 'image/gif') {
+            return frames;
+        }
+        
+        const gif = FallbackDecoder.parseGif(new Uint8Array(await MetadataHandler.readBuffer(file)));
+        const result = [];
+        for (const { data, delay } of FallbackDecoder.composeGifFrames(gif, CONFIG.maxAnimationFrames)) {
+            const canvas = ImageProcessor.createCanvas(gif.width, gif.height);
+            const ctx = canvas.getContext('2d');
+            const imageData = ctx.createImageData(gif.width, gif.height);
+            imageData.data.set(data);
+            ctx.putImageData(imageData, 0, 0);
+            result.push({ canvas: await mapFrame(canvas), delay });
+        }
+        return {
+            width: gif.width,
+            height: gif.height,
+            loopCount: gif.loopCount,
+            frameCount: gif.frames.length,
+            frames: result
+        };
+    },
+
+    /**
+     * 使用 WebCodecs 解码，得到的每一帧已经是合成后的完整画面
+     * 通过 globalThis 读取 WebCodecs 的 ImageDecoder，不支持的环境中为 undefined
+     * @param {File|Blob} file - 动图文件
+     * @param {Function} mapFrame - 同 decodeFrames
+     * @returns {Promise<Object|null>} - 同 decodeFrames，不支持或解码失败时为 null
+     */
+    async decodeWithWebCodecs(file, mapFrame) {
+        const WebCodecsDecoder = globalThis.ImageDecoder;
+        if (typeof WebCodecsDecoder !== 'function') {
+            return null;
+        }
+        
+        let decoder = null;
+        try {
+            if (!(await WebCodecsDecoder.isTypeSupported(file.type))) {
+                return null;
+            }
+            decoder = new WebCodecsDecoder({ data: await MetadataHandler.readBuffer(file), type: file.type });
+            await decoder.tracks.ready;
+            const track = decoder.tracks.selectedTrack;
+            
+            const frames = [];
+            let width = 0;
+            let height = 0;
+            for (let i = 0; i < Math.min(track.frameCount, CONFIG.maxAnimationFrames); i++) {
+                const { image } = await decoder.decode({ frameIndex: i });
+                width = width || image.displayWidth;
+                height = height || image.displayHeight;
+                const canvas = ImageProcessor.createCanvas(image.displayWidth, image.displayHeight);
+                canvas.getContext('2d').drawImage(image, 0, 0);
+                // VideoFrame 的 duration 单位为微秒
+                const delay = Math.round((image.duration || 0) / 1000);
+                image.close();
+                frames.push({ canvas: await mapFrame(canvas), delay });
+            }
+            return {
+                width,
+                height,
+                loopCount: track.repetitionCount === Infinity ? 0 : track.repetitionCount,
+                frameCount: track.frameCount,
+                frames
+            };
+        } catch (error) {
+            console.error('WebCodecs 解码动图失败:', error);
+            return null;
+        } finally {
+            if (decoder) {
+                decoder.close();
+            }
+        }
+    },
+
+    /**
+     * 编码动图，超出大小限制时逐步降低 WebP 质量或 GIF 颜色数，都超出时返回最小的结果
+     * @param {Array<Object>} frames - [{ canvas, delay }]
+     * @param {string} format - 'image/gif' 或 'image/webp'
+     * @param {number} loopCount - 循环次数，0 为无限循环
+     * @param {number} maxSizeKB - 大小限制
+     * @param {Object} [options] - { pngDither }，GIF 与 PNG 量化共用抖动设置
+     * @returns {Promise<Object>} - { blob, quality, colors }
+     */
+    async encode(frames, format, loopCount, maxSizeKB, options = {}) {
+        const attempts = format === 'image/webp'
+            ? this.webpQualities.map(quality => ({ quality, colors: null }))
+            : this.gifColors.map(colors => ({ quality: null, colors }));
+        const dither = options.pngDither !== undefined ? !!options.pngDither : CONFIG.pngDither;
+        
+        let best = null;
+        for (const { quality, colors } of attempts) {
+            const blob = format === 'image/webp'
+                ? await this.encodeWebp(frames, loopCount, quality)
+                : this.encodeGif(frames, loopCount, { colors, dither });
+            if (!best || blob.size < best.blob.size) {
+                best = { blob, quality, colors };
+            }
+            if (blob.size <= maxSizeKB * 1024) {
+                break;
+            }
+        }
+        return best;
+    },
+
+    /**
+     * 编码为 GIF 动图：每帧使用局部调色板，半透明像素按 alpha 128 二值化
+     * 每帧都是完整画面，处置方式为 2（显示下一帧前清除），避免透明区域透出上一帧
+     * @param {Array<Object>} frames - [{ canvas, delay }]
+     * @param {number} loopCount - 循环次数，0 为无限循环
+     * @param {Object} options - { colors, dither }
+     * @returns {Blob} - GIF 文件
+     */
+    encodeGif(frames, loopCount, { colors = 256, dither = false } = {}) {
+        const { width, height } = frames[0].canvas;
+        const le16 = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+        const parts = [
+            new TextEncoder().encode('GIF89a'),
+            Uint8Array.from([...le16(width), ...le16(height), 0, 0, 0]),
+            Uint8Array.from([0x21, 0xFF, 11, ...new TextEncoder().encode('NETSCAPE2.0'), 3, 1, ...le16(loopCount), 0])
+        ];
+        
+        frames.forEach(({ canvas, delay }) => {
+            const imageData = canvas.getContext('2d').getImageData(0, 0, width, height);
+            const data = Uint8ClampedArray.from(imageData.data);
+            for (let i = 3; i < data.length; i += 4) {
+                if (data[i] < 128) {
+                    data.fill(0, i - 3, i + 1);
+                } else {
+                    data[i] = 255;
+                }
+            }
+            
+            const palette = PngQuantizer.buildPalette(data, Math.min(256, colors));
+            const indices = PngQuantizer.mapPixels({ width, height, data }, palette, dither);
+            // 调色板长度需为 2 的幂，至少 2 项
+            let bits = 1;
+            while ((1 << bits) < palette.length) bits++;
+            const table = new Uint8Array(3 * (1 << bits));
+            palette.forEach((color, i) => table.set(color.slice(0, 3), i * 3));
+            const transparent = palette[0][3] === 0;
+            const minCodeSize = Math.max(2, bits);
+            
+            parts.push(
+                Uint8Array.from([0x21, 0xF9, 4, (2 << 2) | (transparent ? 1 : 0), ...le16(Math.round(delay / 10)), 0, 0]),
+                Uint8Array.from([0x2C, 0, 0, 0, 0, ...le16(width), ...le16(height), 0x80 | (bits - 1)]),
+                table,
+                Uint8Array.from([minCodeSize]),
+                this.toSubBlocks(this.lzwEncode(indices, minCodeSize))
+            );
+        });
+        parts.push(Uint8Array.from([0x3B]));
+        return new Blob([MetadataHandler.concat(parts)], { type: 'image/gif' });
+    },
+
+    /**
+     * GIF 变长 LZW 编码，字典满 4096 项时输出清除码重新开始
+     * @param {Uint8Array} indices - 调色板索引
+     * @param {number} minCodeSize - 最小编码长度
+     * @returns {Uint8Array} - 编码后的数据
+     */
+    lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let buffer = 0;
+        let bits = 0;
+        let codeSize = minCodeSize + 1;
+        const write = (code) => {
+            buffer |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                output.push(buffer & 0xFF);
+                buffer >>>= 8;
+                bits -= 8;
+            }
+        };
+        
+        let dictionary = new Map();
+        let nextCode = endCode + 1;
+        write(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const key = (prefix << 8) | indices[i];
+            const code = dictionary.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            
+            write(prefix);
+            if (nextCode < 4096) {
+                dictionary.set(key, nextCode++);
+                // 解码端晚一个编码加入字典，因此超过当前位宽能表示的范围后才加 1
+                if (nextCode > (1 << codeSize) && codeSize < 12) {
+                    codeSize++;
+                }
+            } else {
+                write(clearCode);
+                dictionary = new Map();
+                nextCode = endCode + 1;
+                codeSize = minCodeSize + 1;
+            }
+            prefix = indices[i];
+        }
+        write(prefix);
+        write(endCode);
+        if (bits > 0) {
+            output.push(buffer & 0xFF);
+        }
+        return Uint8Array.from(output);
+    },
+
+    /**
+     * 拆分为 GIF 数据子块（每块最多 255 字节），以 0 结尾
+     * @param {Uint8Array} data - 数据
+     * @returns {Uint8Array}
+     */
+    toSubBlocks(data) {
+        const blocks = [];
+        for (let offset = 0; offset < data.length; offset += 255) {
+            const block = data.subarray(offset, offset + 255);
+            blocks.push(Uint8Array.from([block.length]), block);
+        }
+        blocks.push(Uint8Array.from([0]));
+        return MetadataHandler.concat(blocks);
+    },
+
+    /**
+     * 编码为 WebP 动图：每帧用画布编码为静态 WebP，再取出图像数据块封装为 ANMF 帧
+     * @param {Array<Object>} frames - [{ canvas, delay }]
+     * @param {number} loopCount - 循环次数，0 为无限循环
+     * @param {number} quality - 编码质量
+     * @returns {Promise<Blob>} - WebP 文件
+     */
+    async encodeWebp(frames, loopCount, quality) {
+        const encoded = [];
+        for (const { canvas, delay } of frames) {
+            const blob = await ImageProcessor.canvasToBlob(canvas, 'image/webp', quality);
+            if (blob.type !== 'image/webp') {
+                throw new Error('浏览器不支持编码 WebP');
+            }
+            const { chunks, hasAlpha } = this.webpImageChunks(new Uint8Array(await MetadataHandler.readBuffer(blob)));
+            encoded.push({ chunks, hasAlpha, delay, width: canvas.width, height: canvas.height });
+        }
+        return new Blob([this.muxWebp(encoded, loopCount)], { type: 'image/webp' });
+    },
+
+    /**
+     * 从静态 WebP 中取出图像数据块（ALPH、VP8、VP8L），忽略 ICC/EXIF 等元数据
+     * @param {Uint8Array} bytes - 静态 WebP 文件
+     * @returns {Object} - { chunks: Uint8Array[]（含块头）, hasAlpha }
+     */
+    webpImageChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let hasAlpha = false;
+        for (let offset = 12; offset + 8 <= bytes.length;) {
+            const type = MetadataHandler.readAscii(bytes, offset, 4);
+            const size = view.getUint32(offset + 4, true);
+            const end = offset + 8 + size + (size & 1);
+            if (type === 'ALPH' || type === 'VP8 ' || type === 'VP8L') {
+                chunks.push(bytes.subarray(offset, end));
+            }
+            if (type === 'ALPH' || (type === 'VP8L' && (bytes[offset + 12] & 0x10))) {
+                hasAlpha = true;
+            }
+            offset = end;
+        }
+        return { chunks, hasAlpha };
+    },
+
+    /**
+     * 封装 WebP 动图：VP8X + ANIM + 每帧一个 ANMF
+     * 每帧都是完整画面，设置为不混合、不处置；10ms 及以下的延迟按浏览器的做法视为 100ms
+     * @param {Array<Object>} frames - [{ chunks, hasAlpha, delay, width, height }]
+     * @param {number} loopCount - 循环次数，0 为无限循环
+     * @returns {Uint8Array} - WebP 文件内容
+     */
+    muxWebp(frames, loopCount) {
+        const le24 = (value) => [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF];
+        const chunk = (type, payload) => {
+            const bytes = new Uint8Array(8 + payload.length + (payload.length & 1));
+            bytes.set(new TextEncoder().encode(type), 0);
+            new DataView(bytes.buffer).setUint32(4, payload.length, true);
+            bytes.set(payload, 8);
+            return bytes;
+        };
+        
+        const width = Math.max(...frames.map(frame => frame.width));
+        const height = Math.max(...frames.map(frame => frame.height));
+        const hasAlpha = frames.some(frame => frame.hasAlpha);
+        const body = [
+            chunk('VP8X', Uint8Array.from([(hasAlpha ? 0x10 : 0) | 0x02, 0, 0, 0, ...le24(width - 1), ...le24(height - 1)])),
+            chunk('ANIM', Uint8Array.from([0, 0, 0, 0, loopCount & 0xFF, (loopCount >> 8) & 0xFF])),
+            ...frames.map(frame => chunk('ANMF', MetadataHandler.concat([
+                Uint8Array.from([
+                    0, 0, 0, 0, 0, 0,
+                    ...le24(frame.width - 1), ...le24(frame.height - 1),
+                    ...le24(frame.delay <= 10 ? 100 : frame.delay),
+                    0x02
+                ]),
+                ...frame.chunks
+            ])))
+        ];
+        
+        const header = new Uint8Array(12);
+        header.set(new TextEncoder().encode('RIFF'), 0);
+        new DataView(header.buffer).setUint32(4, 4 + body.reduce((sum, part) => sum + part.length, 0), true);
+        header.set(new TextEncoder().encode('WEBP'), 8);
+        return MetadataHandler.concat([header, ...body]);
+    }
+};
+
+// ============ 文件命名 ============
+export const FileNamer = {
+    /**
+     * 按模板生成不含扩展名的文件名
+     * 支持的变量: {name} {index} {index:03} {width} {height} {folder} {date} {format}，未知变量原样保留
+     * @param {string} template - 命名模板
+     * @param {Object} context - { name, index, width, height, folder, date, format }
+     * @returns {string} - 文件名
+     */
+    format(template, context) {
+        return (template || CONFIG.namingTemplate).replace(/\{(\w+)(?::(\d+))?\}/g, (token, key, pad) => {
+            let value = key === 'date' ? this.formatDate(context.date || new Date()) : context[key];
+            if (value === undefined || value === null) {
+                return token;
+            }
+            value = String(value);
+            return pad ? value.padStart(parseInt(pad, 10), '0') : value;
+        });
+    },
+
+    // YYYYMMDD
+    formatDate(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    },
+
+    /**
+     * 对文件名做转写、slug 化、小写和非法字符处理
+     * @param {string} name - 文件名（不含扩展名）
+     * @param {Object} options - { pinyin, slugify, lowercase }
+     * @returns {string} - 处理后的文件名，为空时返回 image
+     */
+    transform(name, options = {}) {
+        let result = name;
+        if (options.pinyin) {
+            result = this.transliterate(result);
+        }
+        if (options.slugify) {
+            result = result
+                .normalize('NFKD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .replace(/[^\p{L}\p{N}._-]+/gu, '-')
+                .replace(/-{2,}/g, '-')
+                .replace(/^[-.]+|[-.]+$/g, '');
+        }
+        if (options.lowercase) {
+            result = result.toLowerCase();
+        }
+        // Windows 和 ZIP 中不允许的字符
+        result = result.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').trim();
+        return result || 'image';
+    },
+
+    /**
+     * 中文转为不带声调的拼音，音节之间用 - 连接
+     * 依赖页面引入的 pinyin-pro，未加载时（如 Worker 中）原样返回
+     * @param {string} text - 原文
+     * @returns {string} - 转写后的文本
+     */
+    transliterate(text) {
+        if (typeof pinyinPro === 'undefined') {
+            return text;
+        }
+        return text.replace(/[\u3400-\u9fff]+/g, (run, offset) => {
+            const syllables = pinyinPro.pinyin(run, { toneType: 'none', type: 'array' });
+            const before = offset > 0 ? '-' : '';
+            const after = offset + run.length < text.length ? '-' : '';
+            return before + syllables.join('-') + after;
+        }).replace(/-{2,}/g, '-');
+    },
+
+    /**
+     * 判断命名配置是否会改变默认的文件名
+     * @param {Object} userConfig - 用户配置
+     * @returns {boolean} - 是否需要重新命名
+     */
+    isCustom(userConfig = {}) {
+        return (userConfig.namingTemplate || CONFIG.namingTemplate) !== CONFIG.namingTemplate ||
+            !!userConfig.namingLowercase || !!userConfig.namingSlugify || !!userConfig.namingPinyin;
+    },
+
+    /**
+     * 按命名配置重命名处理结果（包括所有变体），扩展名保持不变
+     * @param {Object} result - 处理结果
+     * @param {Object} imageInfo - 图片信息 { file, index, folderPath }
+     * @param {Object} userConfig - { namingTemplate, namingLowercase, namingSlugify, namingPinyin }
+     * @returns {Object} - 同一个结果对象
+     */
+    applyToResult(result, imageInfo, userConfig = {}) {
+        if (!this.isCustom(userConfig) || !result.outputFileName) {
+            return result;
+        }
+        
+        const folderPath = imageInfo.folderPath && imageInfo.folderPath !== '未分类' ? imageInfo.folderPath : '';
+        const date = new Date();
+        const rename = (output, suffix) => {
+            const extension = output.outputFileName.substring(ImageProcessor.getBaseName(output.outputFileName).length);
+            const baseName = this.format(userConfig.namingTemplate, {
+                name: ImageProcessor.getBaseName(imageInfo.file.name),
+                index: imageInfo.index || 1,
+                width: output.finalWidth,
+                height: output.finalHeight,
+                folder: folderPath.split('/').pop(),
+                date,
+                format: extension.replace('.', '')
+            });
+            const name = this.transform(baseName, {
+                pinyin: userConfig.namingPinyin,
+                slugify: userConfig.namingSlugify,
+                lowercase: userConfig.namingLowercase
+            });
+            output.outputFileName = name + suffix + extension;
+        };
+        
+        if (result.variants && result.variants.length > 0) {
+            result.variants.forEach(variant => rename(variant, `-${variant.finalWidth}w`));
+            result.outputFileName = result.variants[0].outputFileName;
+        } else {
+            rename(result, '');
+        }
+        return result;
+    },
+
+    /**
+     * 生成不与已用名称重复的文件名，重复时追加 -1、-2 … 后缀（不区分大小写）
+     * @param {string} fileName - 期望的文件名
+     * @param {Set<string>} used - 已使用的文件名（小写），会加入新名称
+     * @returns {string} - 唯一的文件名
+     */
+    uniqueName(fileName, used) {
+        const baseName = ImageProcessor.getBaseName(fileName);
+        const extension = fileName.substring(baseName.length);
+        let candidate = fileName;
+        for (let i = 1; used.has(candidate.toLowerCase()); i++) {
+            candidate = `${baseName}-${i}${extension}`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    },
+
+    /**
+     * 按顺序为同一文件夹中的结果去重，可重复调用（总是从期望的名称重新计算）
+     * 重命名的输出会标记 renamedFrom
+     * @param {Array} results - 同一文件夹中的处理结果
+     * @returns {number} - 被重命名的文件数
+     */
+    resolveCollisions(results) {
+        const used = new Set();
+        let renamed = 0;
+        for (const result of results) {
+            const outputs = result.variants && result.variants.length > 0 ? result.variants : [result];
+            for (const output of outputs) {
+                if (!output.processedBlob) continue;
+                output.preferredFileName = output.preferredFileName || output.outputFileName;
+                output.outputFileName = this.uniqueName(output.preferredFileName, used);
+                if (output.outputFileName !== output.preferredFileName) {
+                    output.renamedFrom = output.preferredFileName;
+                    renamed++;
+                } else {
+                    delete output.renamedFrom;
+                }
+            }
+            if (outputs === result.variants) {
+                result.outputFileName = outputs[0].outputFileName;
+            }
+        }
+        return renamed;
+    }
+};
+
+// ============ 批量处理器 ============
+export const BatchProcessor = {
+    /**
+     * 批量处理所有图片
+     * 完成顺序可能与输入顺序不同，进度回调中的 index 指向当前图片在 images 中的位置
+     * 取消后不再开始新的图片，正在处理的图片会继续完成，未处理的位置在结果数组中为空
+     * 图片信息上的 overrides 会覆盖对应的全局配置
+     * @param {Array} images - 图片信息数组
+     * @param {Object} userConfig - 用户配置 { format, maxSizeKB, extension, variants }
+     * @param {Function} onProgress - 进度回调
+     * @param {Object} options - { pool, concurrency, signal, controller }
+     *   pool 为 WorkerPool.create 创建的线程池，controller 为 createController 创建的暂停/取消控制器
+     * @returns {Promise<Array>} - 处理结果数组（与 images 顺序一致）
+     */
+    async processAll(images, userConfig, onProgress, options = {}) {
+        const results = [];
+        const total = images.length;
+        const pool = options.pool || null;
+        const controller = options.controller || null;
+        const signal = options.signal || (controller && controller.signal);
+        const concurrency = Math.max(1, options.concurrency || (pool ? pool.size : 1));
+        let nextIndex = 0;
+        let completed = 0;
+        
+        const runNext = async () => {
+            while (nextIndex < total) {
+                if (controller) {
+                    await controller.waitIfPaused();
+                }
+                if (signal && signal.aborted) {
+                    return;
+                }
+                
+                const index = nextIndex++;
+                const imageInfo = images[index];
+                
+                onProgress({
+                    total,
+                    completed,
+                    current: imageInfo.file.name,
+                    index,
+                    results
+                });
+                
+                let result;
+                try {
+                    const config = this.applyOverrides(imageInfo, userConfig);
+                    const info = config === userConfig ? imageInfo : {
+                        ...imageInfo,
+                        needsProcessing: ImageAnalyzer.needsProcessing(imageInfo, config)
+                    };
+                    result = pool
+                        ? await pool.run(info, config)
+                        : await this.processOne(info, config);
+                    // 命名模板在主线程应用，拼音转写依赖页面中的全局库
+                    FileNamer.applyToResult(result, imageInfo, config);
+                } catch (error) {
+                    result = {
+                        originalFile: imageInfo.file,
+                        processedBlob: null,
+                        error: error.message,
+                        wasProcessed: false,
+                        ...ImageProcessor.getSourceStats(imageInfo)
+                    };
+                }
+                results[index] = result;
+                completed++;
+                
+                onProgress({
+                    total,
+                    completed,
+                    current: imageInfo.file.name,
+                    index,
+                    result,
+                    results
+                });
+            }
+        };
+        
+        await Promise.all(Array.from({ length: Math.min(concurrency, total) }, runNext));
+        return results;
+    },
+
+    /**
+     * 合并单张图片的覆盖设置与全局配置
+     * @param {Object} imageInfo - 图片信息，overrides 为 { format, maxSizeKB, width, height, resizeMode } 的子集
+     * @param {Object} userConfig - 全局用户配置
+     * @returns {Object} - 合并后的配置，没有覆盖设置时返回 userConfig 本身
+     */
+    applyOverrides(imageInfo, userConfig) {
+        const overrides = imageInfo.overrides;
+        if (!overrides || Object.keys(overrides).length === 0) {
+            return userConfig;
+        }
+        
+        const config = { ...userConfig, ...overrides };
+        if (overrides.format) {
+            config.extension = CONFIG.formatExtensions[overrides.format] || CONFIG.outputExtension;
+        }
+        // 变体按覆盖后的格式和尺寸重新生成
+        if (userConfig.variants && userConfig.variants.length > 0) {
+            config.variants = ImageProcessor.buildVariants(config);
+        }
+        return config;
+    },
+
+    /**
+     * 创建批量处理控制器，用于暂停、继续和取消
+     * @returns {Object} - { signal, paused, pause(), resume(), cancel(), waitIfPaused() }
+     */
+    createController() {
+        const abortController = new AbortController();
+        const waiters = [];
+        let paused = false;
+        
+        return {
+            signal: abortController.signal,
+            get paused() {
+                return paused;
+            },
+            pause() {
+                paused = true;
+            },
+            resume() {
+                paused = false;
+                waiters.splice(0).forEach(resolve => resolve());
+            },
+            cancel() {
+                abortController.abort();
+                this.resume();
+            },
+            waitIfPaused() {
+                return paused ? new Promise(resolve => waiters.push(resolve)) : Promise.resolve();
+            }
+        };
+    },
+
+    /**
+     * 保存单张图片的处理结果：按文件夹分组，同一图片已有结果时原位替换（重试、重新处理）
+     * @param {Map} resultsByFolder - 文件夹路径 -> 处理结果数组的映射
+     * @param {Object} imageInfo - 图片信息
+     * @param {Object} result - 处理结果，会补充 folderPath 和 imageId
+     * @returns {Array} - 该文件夹的处理结果数组
+     */
+    storeResult(resultsByFolder, imageInfo, result) {
+        const folderPath = imageInfo.folderPath || '未分类';
+        if (!resultsByFolder.has(folderPath)) {
+            resultsByFolder.set(folderPath, []);
+        }
+        result.folderPath = folderPath;
+        result.imageId = imageInfo.id;
+        
+        const folderResults = resultsByFolder.get(folderPath);
+        const existingIndex = folderResults.findIndex(r => r.imageId === imageInfo.id);
+        if (existingIndex >= 0) {
+            folderResults[existingIndex] = result;
+        } else {
+            folderResults.push(result);
+        }
+        return folderResults;
+    },
+
+    /**
+     * 按图片顺序排列每个文件夹的结果，再为重名的输出文件加后缀
+     * 整批处理结束后调用一次，保证并发完成顺序不影响哪张图片被加后缀
+     * @param {Map} resultsByFolder - 文件夹路径 -> 处理结果数组的映射
+     * @param {Array} images - 图片信息数组，决定结果的顺序
+     * @returns {number} - 被重命名的文件数
+     */
+    resolveCollisions(resultsByFolder, images) {
+        const order = new Map(images.map((info, index) => [info.id, index]));
+        const position = (result) => order.get(result.imageId) ?? -1;
+        let renamed = 0;
+        for (const folderResults of resultsByFolder.values()) {
+            folderResults.sort((a, b) => position(a) - position(b));
+            renamed += FileNamer.resolveCollisions(folderResults);
+        }
+        return renamed;
+    },
+
+    /**
+     * 需要重试的图片：只包含处理失败的
+     * @param {Array} images - 图片信息数组
+     * @returns {Array} - 状态为 error 的图片
+     */
+    getFailedImages(images) {
+        return images.filter(info => info.status === 'error');
+    },
+
+    /**
+     * 处理单张图片，配置了变体时输出多个文件
+     * @param {Object} imageInfo - 图片信息
+     * @param {Object} userConfig - 用户配置
+     * @returns {Promise<Object>} - 处理结果
+     */
+    async processOne(imageInfo, userConfig) {
+        return userConfig.variants && userConfig.variants.length > 0
+            ? ImageProcessor.processVariants(imageInfo, userConfig)
+            : ImageProcessor.process(imageInfo, userConfig);
+    }
+};
+
+// ============ Worker 线程池 ============
+export const WorkerPool = {
+    workerUrl: './worker.js',
+
+    /**
+     * 判断当前环境是否支持 Worker + OffscreenCanvas 处理
+     * @returns {boolean} - 是否支持
+     */
+    isSupported() {
+        return typeof Worker !== 'undefined' &&
+               typeof OffscreenCanvas !== 'undefined' &&
+               typeof createImageBitmap === 'function';
+    },
+
+    /**
+     * 默认线程数，与 CPU 核心数一致
+     * @returns {number} - 线程数
+     */
+    getDefaultSize() {
+        return (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+    },
+
+    /**
+     * 创建线程池
+     * @param {number} size - 线程数
+     * @returns {Object|null} - { size, run(imageInfo, userConfig), terminate() }，不支持时返回 null
+     */
+    create(size = this.getDefaultSize()) {
+        if (!this.isSupported()) {
+            return null;
+        }
+        
+        const workers = [];
+        const idle = [];
+        const queue = [];
+        const running = new Map(); // worker -> 当前任务
+        
+        const dispatch = () => {
+            while (idle.length > 0 && queue.length > 0) {
+                const worker = idle.pop();
+                const task = queue.shift();
+                running.set(worker, task);
+                try {
+                    worker.postMessage({ imageInfo: task.imageInfo, userConfig: task.userConfig });
+                } catch (error) {
+                    // 无法克隆的数据（DataCloneError）等：归还线程，只让当前任务失败
+                    running.delete(worker);
+                    idle.push(worker);
+                    task.reject(error);
+                }
+            }
+        };
+        
+        // 没有可用的 Worker 时在主线程处理
+        const runOnMainThread = (task) => {
+            BatchProcessor.processOne(task.imageInfo, task.userConfig).then(task.resolve, task.reject);
+        };
+        
+        const finish = (worker, error, result) => {
+            if (!running.has(worker)) {
+                return;
+            }
+            const task = running.get(worker);
+            running.delete(worker);
+            idle.push(worker);
+            error ? task.reject(error) : task.resolve(result);
+            dispatch();
+        };
+        
+        // 空闲时出错（如模块加载失败）的 Worker 不再使用，全部失效后剩余任务改在主线程处理
+        const discard = (worker) => {
+            console.error('Worker 出错，已停止使用');
+            worker.terminate();
+            workers.splice(workers.indexOf(worker), 1);
+            if (idle.includes(worker)) {
+                idle.splice(idle.indexOf(worker), 1);
+            }
+            if (workers.length === 0) {
+                queue.splice(0).forEach(runOnMainThread);
+            }
+        };
+        
+        try {
+            for (let i = 0; i < size; i++) {
+                const worker = new Worker(new URL(this.workerUrl, import.meta.url), { type: 'module' });
+                worker.onmessage = (e) => {
+                    const { error, result } = e.data;
+                    finish(worker, error ? new Error(error) : null, result);
+                };
+                worker.onerror = (e) => {
+                    if (e.preventDefault) e.preventDefault();
+                    if (running.has(worker)) {
+                        finish(worker, new Error(e.message || 'Worker 处理失败'));
+                    } else if (workers.includes(worker)) {
+                        discard(worker);
+                    }
+                };
+                workers.push(worker);
+                idle.push(worker);
+            }
+        } catch (error) {
+            console.error('创建 Worker 失败，使用主线程处理:', error);
+            workers.forEach(worker => worker.terminate());
+            return null;
+        }
+        
+        return {
+            size: workers.length,
+            run(imageInfo, userConfig) {
+                return new Promise((resolve, reject) => {
+                    const task = { imageInfo, userConfig, resolve, reject };
+                    if (workers.length === 0) {
+                        runOnMainThread(task);
+                        return;
+                    }
+                    queue.push(task);
+                    dispatch();
+                });
+            },
+            terminate() {
+                workers.forEach(worker => worker.terminate());
+                queue.splice(0).forEach(task => task.reject(new Error('Worker 线程池已关闭')));
+                running.forEach(task => task.reject(new Error('Worker 线程池已关闭')));
+                running.clear();
+            }
+        };
+    }
+};
+
+// ============ ZIP 导出器 ============
+export const ZipExporter = {
+    /**
+     * 创建包含所有处理后图片的 ZIP 文件
+     * @param {Array} results - 处理结果数组
+     * @param {string} folderName - 文件夹名称
+     * @returns {Promise<Blob>} - ZIP 文件 Blob
+     */
+    async createZip(results, folderName) {
+        const zip = new JSZip();
+        const folder = zip.folder(folderName);
+        const used = new Set();
+        
+        for (const result of results) {
+            for (const entry of this.getEntries(result)) {
+                // 同名文件不覆盖，自动追加后缀
+                folder.file(FileNamer.uniqueName(entry.fileName, used), entry.blob);
+            }
+        }
+        
+        return await zip.generateAsync({ type: 'blob' });
+    },
+
+    /**
+     * 创建按文件夹结构组织的 ZIP 文件
+     * @param {Map} resultsByFolder - 文件夹名 -> 处理结果数组的映射
+     * @param {Object} options - { manifest, layout, rootFolder }，见 planEntries
+     * @returns {Promise<Blob>} - ZIP 文件 Blob
+     */
+    async createZipWithFolders(resultsByFolder, options = {}) {
+        const zip = this.buildZip(this.planEntries(resultsByFolder, options));
+        return await zip.generateAsync({ type: 'blob' });
+    },
+
+    /**
+     * 把 planEntries 的结果写入新的 JSZip 实例
+     * @param {Array} entries - [{ dir, fileName, content }]
+     * @returns {JSZip} - ZIP 实例
+     */
+    buildZip(entries) {
+        const zip = new JSZip();
+        for (const entry of entries) {
+            if (entry.dir) {
+                zip.folder(entry.dir).file(entry.fileName, entry.content);
+            } else {
+                zip.file(entry.fileName, entry.content);
+            }
+        }
+        return zip;
+    },
+
+    /**
+     * 判断是否支持直接流式写入本地文件（File System Access API）
+     * @returns {boolean} - 是否支持
+     */
+    isStreamingSupported() {
+        return typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function';
+    },
+
+    /**
+     * 流式导出：边生成 ZIP 边写入用户选择的文件，内存中不保留完整的 ZIP
+     * @param {Map} resultsByFolder - 文件夹名 -> 处理结果数组的映射
+     * @param {Object} options - planEntries 的选项
+     * @param {string} fileName - 建议的文件名
+     * @param {Function} onProgress - 进度回调 (percent)
+     * @returns {Promise<boolean>} - 是否已导出，用户取消保存对话框时为 false
+     */
+    async exportStreaming(resultsByFolder, options, fileName, onProgress) {
+        let handle;
+        try {
+            handle = await window.showSaveFilePicker({
+                suggestedName: fileName,
+                types: [{ description: 'ZIP 文件', accept: { 'application/zip': ['.zip'] } }]
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return false;
+            throw error;
+        }
+        
+        const writable = await handle.createWritable();
+        try {
+            await this.streamToWritable(this.buildZip(this.planEntries(resultsByFolder, options)), writable, onProgress);
+        } catch (error) {
+            await writable.abort();
+            throw error;
+        }
+        return true;
+    },
+
+    /**
+     * 把 ZIP 内部流写入可写流，写入完成前暂停生成，避免数据在内存中堆积
+     * @param {JSZip} zip - ZIP 实例
+     * @param {FileSystemWritableFileStream} writable - 可写流
+     * @param {Function} onProgress - 进度回调 (percent)
+     * @returns {Promise<void>}
+     */
+    streamToWritable(zip, writable, onProgress) {
+        return new Promise((resolve, reject) => {
+            const stream = zip.generateInternalStream({ type: 'uint8array', streamFiles: true });
+            let pending = Promise.resolve();
+            
+            stream
+                .on('data', (chunk, metadata) => {
+                    stream.pause();
+                    pending = pending
+                        .then(() => writable.write(chunk))
+                        .then(() => {
+                            if (onProgress) onProgress(metadata.percent);
+                            stream.resume();
+                        });
+                    pending.catch(reject);
+                })
+                .on('error', reject)
+                .on('end', () => {
+                    pending.then(() => writable.close()).then(resolve, reject);
+                });
+            stream.resume();
+        });
+    },
+
+    /**
+     * 将文件按总大小分成多个分卷，每个分卷都是可单独解压的 ZIP
+     * 单个文件超过上限时独占一个分卷
+     * @param {Array} entries - [{ dir, fileName, content }]
+     * @param {number} maxBytes - 每个分卷的大小上限
+     * @returns {Array<Array>} - 分卷列表
+     */
+    splitIntoVolumes(entries, maxBytes) {
+        const volumes = [];
+        let current = [];
+        let currentSize = 0;
+        for (const entry of entries) {
+            const size = typeof entry.content === 'string' ? entry.content.length : entry.content.size;
+            if (current.length > 0 && currentSize + size > maxBytes) {
+                volumes.push(current);
+                current = [];
+                currentSize = 0;
+            }
+            current.push(entry);
+            currentSize += size;
+        }
+        if (current.length > 0) {
+            volumes.push(current);
+        }
+        return volumes;
+    },
+
+    /**
+     * 规划分卷导出，只有一个分卷时文件名不带分卷序号
+     * @param {Map} resultsByFolder - 文件夹名 -> 处理结果数组的映射
+     * @param {Object} options - planEntries 的选项，另含 volumeSizeMB
+     * @param {string} baseName - 不含扩展名的 ZIP 文件名
+     * @returns {Array} - [{ fileName, entries }]
+     */
+    planVolumes(resultsByFolder, options, baseName) {
+        const maxBytes = (options.volumeSizeMB || CONFIG.zipVolumeSizeMB) * 1024 * 1024;
+        const volumes = this.splitIntoVolumes(this.planEntries(resultsByFolder, options), maxBytes);
+        return volumes.map((entries, i) => ({
+            fileName: volumes.length > 1 ? `${baseName}.part${i + 1}.zip` : `${baseName}.zip`,
+            entries
+        }));
+    },
+
+    /**
+     * 生成并下载一个分卷，下载后即释放，内存中最多只有一个分卷
+     * 浏览器会拦截 await 之后连续触发的多个下载，因此每个分卷由用户单独点击下载
+     * @param {Object} volume - planVolumes 返回的分卷
+     * @param {Function} onProgress - 进度回调 (percent)
+     * @returns {Promise<void>}
+     */
+    async exportVolume(volume, onProgress) {
+        const blob = await this.buildZip(volume.entries).generateAsync({ type: 'blob' }, (metadata) => {
+            if (onProgress) onProgress(metadata.percent);
+        });
+        this.download(blob, volume.fileName);
+    },
+
+    /**
+     * 按目录布局计算 ZIP 中每个文件的位置
+     *
+     * 布局:
+     * - preserve: 保持源文件夹结构，未分类的文件放在根目录
+     * - flatten: 全部放在同一目录，文件名前加上源文件夹路径（如 shop_banners_a.jpg）
+     * - format: 按输出格式分文件夹（jpg/、webp/ …）
+     * - size: 按输出宽度分文件夹（见 CONFIG.sizeBuckets）
+     *
+     * 同一目录中的同名文件自动追加后缀；清单与主输出放在同一目录，其中的路径为相对路径；
+     * report 为 true 时在根目录附带 report.csv 和 report.json
+     * @param {Map} resultsByFolder - 文件夹名 -> 处理结果数组的映射
+     * @param {Object} options - { manifest: 'none' | 'html' | 'json' | 'both', layout, rootFolder, report }
+     * @returns {Array} - [{ dir, fileName, content }]，dir 为空字符串表示 ZIP 根目录
+     */
+    planEntries(resultsByFolder, options = {}) {
+        const manifest = options.manifest || 'none';
+        const layout = options.layout || CONFIG.zipLayout;
+        const root = this.sanitizePath(options.rootFolder || '');
+        const usedByDir = new Map();
+        const entries = [];
+        
+        const add = (dir, fileName, content) => {
+            dir = [root, dir].filter(Boolean).join('/');
+            if (!usedByDir.has(dir)) {
+                usedByDir.set(dir, new Set());
+            }
+            const entry = { dir, fileName: FileNamer.uniqueName(fileName, usedByDir.get(dir)), content };
+            entries.push(entry);
+            return entry;
+        };
+        
+        for (const [folderName, results] of resultsByFolder) {
+            const sourceDir = folderName === '未分类' ? '' : this.sanitizePath(folderName);
+            
+            for (const result of results) {
+                const placed = this.getEntries(result).map(entry => {
+                    let dir = sourceDir;
+                    let fileName = entry.fileName;
+                    if (layout === 'flatten') {
+                        dir = '';
+                        fileName = sourceDir ? `${sourceDir.replace(/\//g, '_')}_${fileName}` : fileName;
+                    } else if (layout === 'format') {
+                        dir = fileName.substring(ImageProcessor.getBaseName(fileName).length + 1).toLowerCase() || 'other';
+                    } else if (layout === 'size') {
+                        dir = this.getSizeBucket(entry.width);
+                    }
+                    return { output: entry.output, entry: add(dir, fileName, entry.blob) };
+                });
+                
+                // 多变体结果附带 <picture> 片段和/或 JSON 清单
+                if (result.variants && result.variants.length > 0 && placed.length > 0 && manifest !== 'none') {
+                    const manifestDir = placed[0].entry.dir;
+                    const pathOf = new Map(placed.map(({ output, entry }) => [
+                        output,
+                        this.relativePath(manifestDir, [entry.dir, entry.fileName].filter(Boolean).join('/'))
+                    ]));
+                    const relocated = {
+                        ...result,
+                        variants: result.variants
+                            .filter(variant => pathOf.has(variant))
+                            .map(variant => ({ ...variant, outputFileName: pathOf.get(variant) }))
+                    };
+                    const baseName = ImageProcessor.getBaseName(placed[0].entry.fileName).replace(/-\d+w$/, '');
+                    const relativeDir = manifestDir.substring(root.length).replace(/^\//, '');
+                    if (manifest === 'html' || manifest === 'both') {
+                        add(relativeDir, `${baseName}.html`, this.buildPictureHTML(relocated));
+                    }
+                    if (manifest === 'json' || manifest === 'both') {
+                        add(relativeDir, `${baseName}.json`, JSON.stringify(this.buildManifest(relocated), null, 2));
+                    }
+                }
+            }
+        }
+        
+        if (options.report) {
+            const results = [...resultsByFolder.values()].flat();
+            add('', 'report.csv', BatchReport.toCSV(results));
+            add('', 'report.json', BatchReport.toJSON(results));
+        }
+        return entries;
+    },
+
+    /**
+     * 根据输出宽度获取尺寸分组名称
+     * @param {number} width - 输出宽度
+     * @returns {string} - 分组文件夹名
+     */
+    getSizeBucket(width) {
+        const bucket = CONFIG.sizeBuckets.find(b => (width || 0) <= b.maxWidth);
+        return bucket ? bucket.name : CONFIG.sizeBuckets[CONFIG.sizeBuckets.length - 1].name;
+    },
+
+    /**
+     * 计算从目录 fromDir 指向文件 toPath 的相对路径
+     * @param {string} fromDir - 起始目录（相对 ZIP 根目录）
+     * @param {string} toPath - 目标文件路径（相对 ZIP 根目录）
+     * @returns {string} - 相对路径
+     */
+    relativePath(fromDir, toPath) {
+        const from = fromDir ? fromDir.split('/') : [];
+        const to = toPath.split('/');
+        let common = 0;
+        while (common < from.length && common < to.length - 1 && from[common] === to[common]) {
+            common++;
+        }
+        return [...from.slice(common).map(() => '..'), ...to.slice(common)].join('/');
+    },
+
+    // 去掉路径中的空段、. 和 ..，避免解压到 ZIP 目录之外
+    sanitizePath(path) {
+        return path
+            .split(/[\\/]+/)
+            .map(part => part.trim())
+            .filter(part => part && part !== '.' && part !== '..')
+            .join('/');
+    },
+
+    /**
+     * 获取处理结果中需要写入 ZIP 的文件列表
+     * @param {Object} result - 处理结果（可能包含多个变体）
+     * @returns {Array} - [{ fileName, blob, width, output }]
+     */
+    getEntries(result) {
+        const outputs = result.variants && result.variants.length > 0 ? result.variants : [result];
+        return outputs
+            .filter(output => output.processedBlob)
+            .map(output => ({
+                fileName: output.outputFileName || output.originalFile.name,
+                blob: output.processedBlob,
+                width: output.finalWidth,
+                output
+            }));
+    },
+
+    /**
+     * 生成变体清单对象
+     * @param {Object} result - 多变体处理结果
+     * @returns {Object} - { source, variants: [{ file, format, width, height, size }] }
+     */
+    buildManifest(result) {
+        return {
+            source: result.originalFile.name,
+            variants: result.variants.map(variant => ({
+                file: variant.outputFileName,
+                format: variant.format,
+                width: variant.finalWidth,
+                height: variant.finalHeight,
+                size: variant.finalSize
+            }))
+        };
+    },
+
+    /**
+     * 生成 <picture> HTML 片段，兜底格式的变体用于 <img>
+     * @param {Object} result - 多变体处理结果
+     * @returns {string} - HTML 片段
+     */
+    buildPictureHTML(result) {
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+        const srcset = (variants) => variants
+            .map(v => `${escape(v.outputFileName)} ${v.descriptor}`)
+            .join(', ');
+        
+        // 按格式分组，兜底格式（或最后一个分组）作为 <img>
+        const groups = new Map();
+        for (const variant of result.variants) {
+            if (!groups.has(variant.format)) {
+                groups.set(variant.format, []);
+            }
+            groups.get(variant.format).push(variant);
+        }
+        const fallbackFormat = groups.has(CONFIG.variantFallbackFormat)
+            ? CONFIG.variantFallbackFormat
+            : [...groups.keys()].pop();
+        const fallback = groups.get(fallbackFormat);
+        const img = fallback[fallback.length - 1];
+        const alt = escape(ImageProcessor.getBaseName(result.originalFile.name));
+        
+        const lines = ['<picture>'];
+        for (const [format, variants] of groups) {
+            if (format === fallbackFormat) continue;
+            lines.push(`    <source type="${format}" srcset="${srcset(variants)}" sizes="100vw">`);
+        }
+        lines.push(`    <img src="${escape(img.outputFileName)}" srcset="${srcset(fallback)}" sizes="100vw" ` +
+            `width="${img.finalWidth}" height="${img.finalHeight}" alt="${alt}">`);
+        lines.push('</picture>');
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * 触发下载
+     * @param {Blob} zipBlob - ZIP 文件 Blob
+     * @param {string} fileName - 文件名
+     */
+    download(zipBlob, fileName) {
+        const url = URL.createObjectURL(zipBlob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+};
+
+// ============ 文件夹导出器 ============
+export const FolderExporter = {
+    /**
+     * 判断浏览器是否支持选择本地文件夹并写入（File System Access API）
+     * @returns {boolean} - 是否支持
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+    },
+
+    /**
+     * 让用户选择目标文件夹
+     * @returns {Promise<FileSystemDirectoryHandle|null>} - 文件夹句柄，用户取消时为 null
+     */
+    async pickDirectory() {
+        try {
+            return await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            throw error;
+        }
+    },
+
+    /**
+     * 将处理结果写入本地文件夹，目录结构与 ZIP 导出一致（见 ZipExporter.planEntries）
+     *
+     * 目标文件已存在时:
+     * - skip: 跳过，保留已有文件
+     * - overwrite: 覆盖
+     * - rename: 追加 -1、-2 … 后缀另存
+     *
+     * @param {FileSystemDirectoryHandle} rootHandle - 目标文件夹
+     * @param {Map} resultsByFolder - 文件夹名 -> 处理结果数组的映射
+     * @param {Object} options - planEntries 的选项，另含 conflict
+     * @param {Function} onProgress - 进度回调 (completed, total)
+     * @returns {Promise<Object>} - { written, skipped, overwritten, renamed, failed: [{ path, error }] }
+     */
+    async exportToDirectory(rootHandle, resultsByFolder, options = {}, onProgress) {
+        const conflict = options.conflict || CONFIG.folderConflict;
+        const entries = ZipExporter.planEntries(resultsByFolder, options);
+        const summary = { written: 0, skipped: 0, overwritten: 0, renamed: 0, failed: [] };
+        const dirCache = new Map();
+        
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            const path = [entry.dir, entry.fileName].filter(Boolean).join('/');
+            try {
+                if (!dirCache.has(entry.dir)) {
+                    dirCache.set(entry.dir, await this.getDirectory(rootHandle, entry.dir));
+                }
+                const dirHandle = dirCache.get(entry.dir);
+                
+                let fileName = entry.fileName;
+                if (await this.fileExists(dirHandle, fileName)) {
+                    if (conflict === 'skip') {
+                        summary.skipped++;
+                        continue;
+                    }
+                    if (conflict === 'rename') {
+                        fileName = await this.findFreeName(dirHandle, fileName);
+                        summary.renamed++;
+                    } else {
+                        summary.overwritten++;
+                    }
+                }
+                
+                await this.writeFile(dirHandle, fileName, entry.content);
+                summary.written++;
+            } catch (error) {
+                summary.failed.push({ path, error: error.message });
+            } finally {
+                if (onProgress) onProgress(i + 1, entries.length);
+            }
+        }
+        return summary;
+    },
+
+    /**
+     * 逐级获取（不存在时创建）子文件夹
+     * @param {FileSystemDirectoryHandle} rootHandle - 根文件夹
+     * @param {string} path - 相对路径，如 shop/banners
+     * @returns {Promise<FileSystemDirectoryHandle>} - 子文件夹句柄
+     */
+    async getDirectory(rootHandle, path) {
+        let handle = rootHandle;
+        for (const name of path.split('/').filter(Boolean)) {
+            handle = await handle.getDirectoryHandle(name, { create: true });
+        }
+        return handle;
+    },
+
+    async fileExists(dirHandle, fileName) {
+        try {
+            await dirHandle.getFileHandle(fileName);
+            return true;
+        } catch (error) {
+            // 同名的是文件夹时也视为已占用
+            if (error.name === 'TypeMismatchError') return true;
+            if (error.name === 'NotFoundError') return false;
+            throw error;
+        }
+    },
+
+    // 找到文件夹中未被占用的文件名
+    async findFreeName(dirHandle, fileName) {
+        const baseName = ImageProcessor.getBaseName(fileName);
+        const extension = fileName.substring(baseName.length);
+        for (let i = 1; ; i++) {
+            const candidate = `${baseName}-${i}${extension}`;
+            if (!(await this.fileExists(dirHandle, candidate))) {
+                return candidate;
+            }
+        }
+    },
+
+    async writeFile(dirHandle, fileName, content) {
+        const fileHandle = await dirHandle.getFileHandle(fileName, { create: true });
+        const writable = await fileHandle.createWritable();
+        try {
+            await writable.write(content);
+            await writable.close();
+        } catch (error) {
+            await writable.abort();
+            throw error;
+        }
+    }
+};
+
+// ============ 处理报告 ============
+export const BatchReport = {
+    // report.csv 的列: [字段, 表头]
+    columns: [
+        ['file', '原文件名'],
+        ['folder', '文件夹'],
+        ['status', '状态'],
+        ['originalWidth', '原宽度'],
+        ['originalHeight', '原高度'],
+        ['finalWidth', '处理后宽度'],
+        ['finalHeight', '处理后高度'],
+        ['originalSize', '原大小(字节)'],
+        ['finalSize', '处理后大小(字节)'],
+        ['savedPercent', '节省(%)'],
+        ['quality', '压缩质量'],
+        ['targetSizeKB', '目标大小(KB)'],
+        ['targetMet', '达到目标'],
+        ['sizeFallback', '超限处理'],
+        ['outputs', '输出文件'],
+        ['error', '错误']
+    ],
+
+    /**
+     * 为每个处理结果生成一行报告
+     * @param {Array} results - 处理结果数组
+     * @returns {Array} - 报告行，字段见 columns
+     */
+    buildRows(results) {
+        return results.map(result => {
+            const outputs = result.variants && result.variants.length > 0 ? result.variants : [result];
+            const status = result.error ? 'failed' : (result.wasProcessed ? 'processed' : 'skipped');
+            const finalSize = result.error ? null : result.finalSize;
+            return {
+                file: result.originalFile.name,
+                folder: result.folderPath || '',
+                status,
+                originalWidth: result.originalWidth ?? null,
+                originalHeight: result.originalHeight ?? null,
+                finalWidth: result.error ? null : result.finalWidth,
+                finalHeight: result.error ? null : result.finalHeight,
+                originalSize: result.originalSize ?? result.originalFile.size,
+                finalSize,
+                savedPercent: this.savedPercent(result.originalSize ?? result.originalFile.size, finalSize),
+                quality: typeof result.quality === 'number' ? Math.round(result.quality * 100) / 100 : null,
+                targetSizeKB: result.targetSizeKB ?? null,
+                targetMet: result.error ? null : outputs.every(output => this.meetsTarget(output)),
+                sizeFallback: outputs.map(output => this.describeFallback(output.sizeFallback)).filter(Boolean).join('; '),
+                outputs: result.error ? [] : outputs.map(output => output.outputFileName),
+                error: result.error || ''
+            };
+        });
+    },
+
+    /**
+     * 汇总整批处理的统计数据
+     * @param {Array} results - 处理结果数组
+     * @returns {Object} - { total, processed, skipped, failed, inputSize, outputSize, savedBytes, savedPercent, overTarget }
+     */
+    summarize(results) {
+        const rows = this.buildRows(results);
+        const succeeded = rows.filter(row => row.status !== 'failed');
+        const inputSize = succeeded.reduce((sum, row) => sum + row.originalSize, 0);
+        const outputSize = succeeded.reduce((sum, row) => sum + row.finalSize, 0);
+        return {
+            total: rows.length,
+            processed: rows.filter(row => row.status === 'processed').length,
+            skipped: rows.filter(row => row.status === 'skipped').length,
+            failed: rows.length - succeeded.length,
+            inputSize,
+            outputSize,
+            savedBytes: inputSize - outputSize,
+            savedPercent: this.savedPercent(inputSize, outputSize),
+            overTarget: rows.filter(row => row.targetMet === false).map(row => row.file)
+        };
+    },
+
+    // 超限兜底决策的简短描述，如 downscale ×0.72、format image/webp
+    describeFallback(fallback) {
+        if (!fallback) return '';
+        if (fallback.action === 'failed') return `failed (${fallback.strategy})`;
+        const parts = [fallback.action];
+        if (fallback.format !== fallback.originalFormat) parts.push(fallback.format);
+        if (fallback.scale !== 1) parts.push(`×${fallback.scale}`);
+        return parts.join(' ');
+    },
+
+    meetsTarget(output) {
+        return !output.targetSizeKB || output.finalSize <= output.targetSizeKB * 1024;
+    },
+
+    savedPercent(before, after) {
+        if (!before || after === null || after === undefined) return null;
+        return Math.round((1 - after / before) * 1000) / 10;
+    },
+
+    /**
+     * 生成 CSV，带 BOM 以便 Excel 正确识别中文
+     * @param {Array} results - 处理结果数组
+     * @returns {string} - CSV 文本
+     */
+    toCSV(results) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = Array.isArray(value) ? value.join(' ') : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [this.columns.map(([, title]) => escape(title)).join(',')];
+        for (const row of this.buildRows(results)) {
+            lines.push(this.columns.map(([key]) => escape(row[key])).join(','));
+        }
+        return '\ufeff' + lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * 生成 JSON 报告
+     * @param {Array} results - 处理结果数组
+     * @param {Date} [generatedAt] - 生成时间
+     * @returns {string} - JSON 文本
+     */
+    toJSON(results, generatedAt = new Date()) {
+        return JSON.stringify({
+            generatedAt: generatedAt.toISOString(),
+            summary: this.summarize(results),
+            items: this.buildRows(results)
+        }, null, 2);
+    }
+};
+
+// ============ 导入报告 ============
+export const ImportReport = {
+    /**
+     * 记录一个未导入的文件
+     * @param {File} file - 文件
+     * @param {string} folderPath - 所在文件夹
+     * @param {string} code - FileValidator.reasons 中的原因码
+     * @returns {Object} - { name, folderPath, code, message, file }
+     */
+    createEntry(file, folderPath, code) {
+        return {
+            name: file.name,
+            folderPath: folderPath || '未分类',
+            code,
+            message: FileValidator.reasons[code] || code,
+            file
+        };
+    },
+
+    /**
+     * 文件在导入列表中显示的路径，未分类的文件只显示文件名
+     * @param {Object} entry - 导入报告条目
+     * @returns {string} - 路径
+     */
+    getPath(entry) {
+        return entry.folderPath === '未分类' ? entry.name : `${entry.folderPath}/${entry.name}`;
+    },
+
+    /**
+     * 生成可复制的纯文本列表，每行为「路径<Tab>原因」
+     * @param {Array} entries - 导入报告条目
+     * @returns {string} - 文本
+     */
+    toText(entries) {
+        return entries.map(entry => `${this.getPath(entry)}\t${entry.message}`).join('\n');
+    },
+
+    /**
+     * 是否可以强制导入（空文件没有内容可导出）
+     * @param {Object} entry - 导入报告条目
+     * @returns {boolean}
+     */
+    canInclude(entry) {
+        return entry.file.size > 0;
+    }
+};
+
+// ============ 预设管理器 ============
+export const PresetManager = {
+    storageKey: 'image-batch-processor.presets',
+
+    // 预设中保存的配置字段
+    fields: [
+        'format', 'maxSizeKB', 'width', 'height', 'scalePercent', 'resizeMode', 'noUpscale', 'padColor',
+        'variantWidths', 'variantFallback', 'manifest', 'metadataPolicy',
+        'watermarkType', 'watermarkText', 'watermarkImage', 'watermarkPosition', 'watermarkOpacity',
+        'watermarkScale', 'watermarkMargin', 'watermarkRotation', 'watermarkColor',
+        'namingTemplate', 'namingLowercase', 'namingSlugify', 'namingPinyin',
+        'zipLayout', 'zipRootFolder', 'oversizeFallback', 'pngMaxColors', 'pngDither', 'pngOptimize',
+        'backgroundColor', 'keepAlphaFormat', 'animationMode'
+    ],
+
+    /**
+     * 获取所有已保存的预设
+     * @returns {Array} - 预设数组 [{ name, config }]
+     */
+    list() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            const presets = raw ? JSON.parse(raw) : [];
+            return Array.isArray(presets) ? presets : [];
+        } catch (error) {
+            console.error('读取预设失败:', error);
+            return [];
+        }
+    },
+
+    /**
+     * 按名称获取预设
+     * @param {string} name - 预设名称
+     * @returns {Object|null} - 预设 { name, config }
+     */
+    get(name) {
+        return this.list().find(preset => preset.name === name) || null;
+    },
+
+    /**
+     * 保存预设，同名预设会被覆盖
+     * @param {string} name - 预设名称
+     * @param {Object} config - 用户配置
+     * @returns {Object} - 保存后的预设
+     */
+    save(name, config) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('预设名称不能为空');
+        }
+        
+        const preset = { name: trimmedName, config: this.pickFields(config) };
+        const presets = this.list().filter(p => p.name !== trimmedName);
+        presets.push(preset);
+        this.persist(presets);
+        return preset;
+    },
+
+    /**
+     * 删除预设
+     * @param {string} name - 预设名称
+     */
+    remove(name) {
+        this.persist(this.list().filter(preset => preset.name !== name));
+    },
+
+    /**
+     * 导出预设为 JSON 字符串
+     * @returns {string} - JSON 字符串
+     */
+    exportToJSON() {
+        return JSON.stringify({ version: 1, presets: this.list() }, null, 2);
+    },
+
+    /**
+     * 从 JSON 字符串导入预设，与已有预设合并（同名覆盖）
+     * @param {string} json - JSON 字符串
+     * @returns {number} - 导入的预设数量
+     */
+    importFromJSON(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('预设文件格式错误');
+        }
+        
+        const imported = Array.isArray(data) ? data : data && data.presets;
+        if (!Array.isArray(imported)) {
+            throw new Error('预设文件格式错误');
+        }
+        
+        const valid = imported.filter(preset =>
+            preset && typeof preset.name === 'string' && preset.name.trim() &&
+            preset.config && typeof preset.config === 'object'
+        );
+        
+        for (const preset of valid) {
+            this.save(preset.name, preset.config);
+        }
+        return valid.length;
+    },
+
+    /**
+     * 只保留预设支持的配置字段
+     * @param {Object} config - 用户配置
+     * @returns {Object} - 过滤后的配置
      */
-    isValidImageFile(file) {
-        if (!file || !file.type) {
-            return false;
+    pickFields(config = {}) {
+        const picked = {};
+        for (const field of this.fields) {
+            if (config[field] !== undefined) {
+                picked[field] = config[field];
+            }
+        }
+        if (picked.variantWidths !== undefined) {
+            const widths = this.normalizeWidths(picked.variantWidths);
+            if (widths) picked.variantWidths = widths;
+            else delete picked.variantWidths;
         }
-        return CONFIG.supportedTypes.includes(file.type);
+        return picked;
     },
 
     /**
-     * 获取支持的文件类型列表
-     * @returns {string[]} - 支持的 MIME 类型列表
+     * 规范化多尺寸宽度：导入的预设可能是数组、"750,1080" 字符串或其他值
+     * @param {*} value - 原始值
+     * @returns {number[]|null} - 正整数宽度数组，无法识别时为 null
      */
-    getSupportedTypes() {
-        return [...CONFIG.supportedTypes];
+    normalizeWidths(value) {
+        let items;
+        if (Array.isArray(value)) items = value;
+        else if (typeof value === 'string') items = value.split(/[,，\s]+/);
+        else if (typeof value === 'number') items = [value];
+        else return null;
+        return items
+            .map(item => parseInt(item, 10))
+            .filter(item => Number.isFinite(item) && item > 0);
+    },
+
+    persist(presets) {
+        localStorage.setItem(this.storageKey, JSON.stringify(presets));
     }
 };
 
-// ============ 图片分析器 ============
-export const ImageAnalyzer = {
+// ============ 裁剪编辑器 ============
+export const CropEditor = {
+    aspectRatios: {
+        free: null,
+        '1:1': 1,
+        '4:3': 4 / 3,
+        '3:4': 3 / 4,
+        '16:9': 16 / 9,
+        '9:16': 9 / 16
+    },
+    maxStageWidth: 800,
+    maxStageHeight: 480,
+
     /**
-     * 分析图片并返回图片信息
-     * @param {File} file - 图片文件
-     * @returns {Promise<Object>} - 图片信息对象
+     * 根据拖拽起点和终点计算裁剪框，可按宽高比锁定
+     * @param {Object} start - 起点 { x, y }
+     * @param {Object} end - 终点 { x, y }
+     * @param {number|null} aspectRatio - 宽高比，null 表示自由裁剪
+     * @param {number} boundsWidth - 图片宽度
+     * @param {number} boundsHeight - 图片高度
+     * @returns {Object} - { x, y, width, height }
      */
-    async analyze(file) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            const previewUrl = URL.createObjectURL(file);
-            
-            img.onload = () => {
-                const info = {
-                    file,
-                    width: img.naturalWidth,
-                    height: img.naturalHeight,
-                    size: file.size,
-                    previewUrl,
-                    needsProcessing: false
-                };
-                info.needsProcessing = this.needsProcessing(info);
-                resolve(info);
-            };
-            
-            img.onerror = () => {
-                URL.revokeObjectURL(previewUrl);
-                reject(new Error('图片加载失败'));
-            };
-            
-            img.src = previewUrl;
-        });
+    constrainRect(start, end, aspectRatio, boundsWidth, boundsHeight) {
+        const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+        const x0 = clamp(start.x, boundsWidth);
+        const y0 = clamp(start.y, boundsHeight);
+        const x1 = clamp(end.x, boundsWidth);
+        const y1 = clamp(end.y, boundsHeight);
+        const dirX = x1 >= x0 ? 1 : -1;
+        const dirY = y1 >= y0 ? 1 : -1;
+        let width = Math.abs(x1 - x0);
+        let height = Math.abs(y1 - y0);
+        
+        if (aspectRatio) {
+            // 以起点为锚点，取拖拽范围内且不超出图片的最大比例矩形
+            const maxWidth = dirX > 0 ? boundsWidth - x0 : x0;
+            const maxHeight = dirY > 0 ? boundsHeight - y0 : y0;
+            if (width / aspectRatio > height) {
+                height = width / aspectRatio;
+            } else {
+                width = height * aspectRatio;
+            }
+            if (width > maxWidth) {
+                width = maxWidth;
+                height = width / aspectRatio;
+            }
+            if (height > maxHeight) {
+                height = maxHeight;
+                width = height * aspectRatio;
+            }
+        }
+        
+        // 分别取整左上角和右下角，避免取整后超出图片
+        const left = dirX > 0 ? x0 : x0 - width;
+        const top = dirY > 0 ? y0 : y0 - height;
+        const x = Math.round(left);
+        const y = Math.round(top);
+        return {
+            x,
+            y,
+            width: Math.round(left + width) - x,
+            height: Math.round(top + height) - y
+        };
     },
 
     /**
-     * 判断图片是否需要处理
-     * @param {Object} info - 图片信息对象
-     * @returns {boolean} - 是否需要处理
+     * 计算图片中居中的最大比例裁剪框
+     * @param {number} aspectRatio - 宽高比
+     * @param {number} boundsWidth - 图片宽度
+     * @param {number} boundsHeight - 图片高度
+     * @returns {Object} - { x, y, width, height }
      */
-    needsProcessing(info) {
-        // 宽度不等于目标宽度，或文件大小超过限制，都需要处理
-        return info.width !== CONFIG.maxWidth || 
-               info.size > CONFIG.maxSizeBytes;
-    }
-};
+    centeredRect(aspectRatio, boundsWidth, boundsHeight) {
+        let width = boundsWidth;
+        let height = width / aspectRatio;
+        if (height > boundsHeight) {
+            height = boundsHeight;
+            width = height * aspectRatio;
+        }
+        return {
+            x: Math.round((boundsWidth - width) / 2),
+            y: Math.round((boundsHeight - height) / 2),
+            width: Math.round(width),
+            height: Math.round(height)
+        };
+    },
 
-// ============ 图片处理器 ============
-export const ImageProcessor = {
     /**
-     * 处理单张图片
-     * @param {Object} imageInfo - 图片信息
-     * @param {Object} userConfig - 用户配置 { format, maxSizeKB, extension }
-     * @returns {Promise<Object>} - 处理结果
+     * 将编辑状态顺时针（90）或逆时针（-90）旋转，裁剪框和焦点随之旋转
+     * @param {Object} edits - 编辑状态
+     * @param {number} delta - 90 或 -90
+     * @param {number} width - 旋转前（已应用当前编辑）的图片宽度
+     * @param {number} height - 旋转前（已应用当前编辑）的图片高度
+     * @returns {Object} - 新的编辑状态
      */
-    async process(imageInfo, userConfig = {}) {
-        const outputFormat = userConfig.format || CONFIG.outputFormat;
-        const maxSizeKB = userConfig.maxSizeKB || CONFIG.maxSizeKB;
-        const outputExtension = userConfig.extension || CONFIG.outputExtension;
+    rotateEdits(edits, delta, width, height) {
+        const next = { ...edits, rotation: ((edits.rotation || 0) + delta + 360) % 360 };
+        const { crop, focalPoint } = edits;
         
-        // 检查是否需要格式转换
-        const needsFormatConversion = imageInfo.file.type !== outputFormat;
+        if (delta > 0) {
+            if (crop) next.crop = { x: height - crop.y - crop.height, y: crop.x, width: crop.height, height: crop.width };
+            if (focalPoint) next.focalPoint = { x: 1 - focalPoint.y, y: focalPoint.x };
+        } else {
+            if (crop) next.crop = { x: crop.y, y: width - crop.x - crop.width, width: crop.height, height: crop.width };
+            if (focalPoint) next.focalPoint = { x: focalPoint.y, y: 1 - focalPoint.x };
+        }
+        return next;
+    },
+
+    /**
+     * 按屏幕方向水平或垂直翻转，裁剪框和焦点随之翻转
+     * @param {Object} edits - 编辑状态
+     * @param {string} axis - 'horizontal' 或 'vertical'
+     * @param {number} width - 当前显示的图片宽度
+     * @param {number} height - 当前显示的图片高度
+     * @returns {Object} - 新的编辑状态
+     */
+    flipEdits(edits, axis, width, height) {
+        const next = { ...edits };
+        const { crop, focalPoint } = edits;
+        const rotated = edits.rotation === 90 || edits.rotation === 270;
         
-        // 检查是否需要大小压缩
-        const needsSizeCompression = imageInfo.size > maxSizeKB * 1024;
+        // 翻转在旋转之前应用，旋转 90° 后屏幕上的水平方向对应原图的垂直方向
+        if ((axis === 'horizontal') !== rotated) {
+            next.flipH = !edits.flipH;
+        } else {
+            next.flipV = !edits.flipV;
+        }
         
-        if (!imageInfo.needsProcessing && !needsFormatConversion && !needsSizeCompression) {
-            return {
-                originalFile: imageInfo.file,
-                processedBlob: imageInfo.file,
-                finalWidth: imageInfo.width,
-                finalHeight: imageInfo.height,
-                finalSize: imageInfo.size,
-                wasProcessed: false,
-                outputFileName: imageInfo.file.name
-            };
+        if (axis === 'horizontal') {
+            if (crop) next.crop = { ...crop, x: width - crop.x - crop.width };
+            if (focalPoint) next.focalPoint = { ...focalPoint, x: 1 - focalPoint.x };
+        } else {
+            if (crop) next.crop = { ...crop, y: height - crop.y - crop.height };
+            if (focalPoint) next.focalPoint = { ...focalPoint, y: 1 - focalPoint.y };
         }
+        return next;
+    },
 
-        const img = new Image();
-        await new Promise((resolve, reject) => {
-            img.onload = resolve;
-            img.onerror = reject;
-            img.src = imageInfo.previewUrl;
-        });
-
-        // 调整尺寸
-        const canvas = this.resize(img, CONFIG.maxWidth, CONFIG.maxHeight);
+    init() {
+        this.modal = document.getElementById('editorModal');
+        this.canvas = document.getElementById('editorCanvas');
+        this.aspectSelect = document.getElementById('editorAspect');
+        this.modeHint = document.getElementById('editorHint');
+        this.focalBtn = document.getElementById('editorFocalBtn');
         
-        // 使用用户配置的格式和大小限制进行压缩
-        const blob = await this.compress(canvas, maxSizeKB, outputFormat);
+        document.getElementById('editorRotateLeftBtn').addEventListener('click', () => this.rotate(-90));
+        document.getElementById('editorRotateRightBtn').addEventListener('click', () => this.rotate(90));
+        document.getElementById('editorFlipHBtn').addEventListener('click', () => this.flip('horizontal'));
+        document.getElementById('editorFlipVBtn').addEventListener('click', () => this.flip('vertical'));
+        document.getElementById('editorResetBtn').addEventListener('click', () => this.reset());
+        document.getElementById('editorCancelBtn').addEventListener('click', () => this.close());
+        document.getElementById('editorSaveBtn').addEventListener('click', () => this.save());
+        this.focalBtn.addEventListener('click', () => this.setMode(this.mode === 'focal' ? 'crop' : 'focal'));
+        this.aspectSelect.addEventListener('change', () => this.applyAspect());
         
-        // 生成输出文件名
-        const originalName = imageInfo.file.name;
-        const baseName = originalName.substring(0, originalName.lastIndexOf('.')) || originalName;
-        const outputFileName = baseName + outputExtension;
-
-        return {
-            originalFile: imageInfo.file,
-            processedBlob: blob,
-            finalWidth: canvas.width,
-            finalHeight: canvas.height,
-            finalSize: blob.size,
-            wasProcessed: true,
-            outputFileName: outputFileName
-        };
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', () => this.onPointerUp());
     },
 
     /**
-     * 调整图片尺寸，宽度固定为目标宽度，高度等比例缩放
-     * @param {HTMLImageElement} image - 图片元素
-     * @param {number} targetWidth - 目标宽度
-     * @param {number} maxHeight - 最大高度（未使用，保留参数兼容性）
-     * @returns {HTMLCanvasElement} - 调整后的 canvas
+     * 打开编辑器
+     * @param {Object} info - 图片信息
+     * @param {Function} onSave - 保存回调，参数为编辑结果（无编辑时为 null）
      */
-    resize(image, targetWidth, maxHeight) {
-        let { naturalWidth: width, naturalHeight: height } = image;
-        
-        // 宽度固定为目标宽度，高度等比例缩放
-        const ratio = targetWidth / width;
+    async open(info, onSave) {
+        this.info = info;
+        this.onSave = onSave;
+        this.image = await ImageProcessor.loadImage(info);
+        this.edits = {
+            rotation: 0,
+            flipH: false,
+            flipV: false,
+            crop: null,
+            focalPoint: null,
+            ...info.edits
+        };
+        this.aspectSelect.value = 'free';
+        this.setMode('crop');
+        this.modal.classList.remove('hidden');
+        this.render();
+    },
+
+    close() {
+        this.modal.classList.add('hidden');
+        this.image = null;
+        this.dragStart = null;
+    },
+
+    save() {
+        const { crop, rotation, flipH, flipV, focalPoint } = this.edits;
+        const edits = {};
+        if (crop && crop.width > 1 && crop.height > 1) edits.crop = crop;
+        if (rotation) edits.rotation = rotation;
+        if (flipH) edits.flipH = true;
+        if (flipV) edits.flipV = true;
+        if (focalPoint) edits.focalPoint = focalPoint;
         
-        const newWidth = targetWidth;
-        const newHeight = Math.round(height * ratio);
+        this.onSave(Object.keys(edits).length > 0 ? edits : null);
+        this.close();
+    },
+
+    reset() {
+        this.edits = { rotation: 0, flipH: false, flipV: false, crop: null, focalPoint: null };
+        this.aspectSelect.value = 'free';
+        this.render();
+    },
+
+    setMode(mode) {
+        this.mode = mode;
+        this.focalBtn.classList.toggle('active', mode === 'focal');
+        this.modeHint.textContent = mode === 'focal'
+            ? '点击图片设置焦点，「填满并裁剪」模式会尽量保留焦点附近的内容'
+            : '在图片上拖拽框选裁剪区域';
+    },
+
+    // 当前旋转、翻转后的图片尺寸
+    getDisplaySize() {
+        const geometry = ImageProcessor.computeEditGeometry(
+            this.image.naturalWidth || this.image.width,
+            this.image.naturalHeight || this.image.height,
+            { ...this.edits, crop: null }
+        );
+        return { width: geometry.width, height: geometry.height, geometry };
+    },
+
+    rotate(delta) {
+        const { width, height } = this.getDisplaySize();
+        this.edits = this.rotateEdits(this.edits, delta, width, height);
+        this.render();
+    },
+
+    flip(axis) {
+        const { width, height } = this.getDisplaySize();
+        this.edits = this.flipEdits(this.edits, axis, width, height);
+        this.render();
+    },
+
+    applyAspect() {
+        const aspectRatio = this.aspectRatios[this.aspectSelect.value];
+        if (!aspectRatio) return;
         
-        const canvas = document.createElement('canvas');
-        canvas.width = newWidth;
-        canvas.height = newHeight;
+        const { width, height } = this.getDisplaySize();
+        this.edits.crop = this.centeredRect(aspectRatio, width, height);
+        this.render();
+    },
+
+    // 屏幕坐标转换为图片像素坐标
+    toImagePoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) / this.stageScale,
+            y: (e.clientY - rect.top) / this.stageScale
+        };
+    },
+
+    onPointerDown(e) {
+        const point = this.toImagePoint(e);
+        const { width, height } = this.getDisplaySize();
         
-        const ctx = canvas.getContext('2d');
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
-        ctx.drawImage(image, 0, 0, newWidth, newHeight);
+        if (this.mode === 'focal') {
+            this.edits.focalPoint = {
+                x: Math.min(Math.max(point.x / width, 0), 1),
+                y: Math.min(Math.max(point.y / height, 0), 1)
+            };
+            this.render();
+            return;
+        }
         
-        return canvas;
+        this.dragStart = point;
+        this.canvas.setPointerCapture(e.pointerId);
     },
 
-    /**
-     * 压缩图片到指定大小以内
-     * @param {HTMLCanvasElement} canvas - canvas 元素
-     * @param {number} maxSizeKB - 最大文件大小 (KB)
-     * @param {string} format - 输出格式
-     * @returns {Promise<Blob>} - 压缩后的 Blob
-     */
-    async compress(canvas, maxSizeKB, format) {
-        const maxSizeBytes = maxSizeKB * 1024;
+    onPointerMove(e) {
+        if (!this.dragStart) return;
         
-        // PNG 格式不支持质量参数，直接返回
-        if (format === 'image/png') {
-            return new Promise(resolve => {
-                canvas.toBlob(blob => resolve(blob), format);
-            });
+        const { width, height } = this.getDisplaySize();
+        const aspectRatio = this.aspectRatios[this.aspectSelect.value];
+        this.edits.crop = this.constrainRect(this.dragStart, this.toImagePoint(e), aspectRatio, width, height);
+        this.render();
+    },
+
+    onPointerUp() {
+        this.dragStart = null;
+        // 过小的框视为取消裁剪
+        const crop = this.edits.crop;
+        if (crop && (crop.width < 2 || crop.height < 2)) {
+            this.edits.crop = null;
+            this.render();
         }
+    },
+
+    render() {
+        const { width, height, geometry } = this.getDisplaySize();
+        const transformed = ImageProcessor.applyEdits(this.image, geometry);
         
-        // JPEG/WebP/AVIF 使用二分法查找最佳质量
-        let minQuality = 0.1;
-        let maxQuality = 1.0;
-        let bestBlob = null;
-        
-        // 先尝试最高质量
-        bestBlob = await new Promise(resolve => {
-            canvas.toBlob(blob => resolve(blob), format, maxQuality);
-        });
+        this.stageScale = Math.min(this.maxStageWidth / width, this.maxStageHeight / height, 1);
+        this.canvas.width = Math.round(width * this.stageScale);
+        this.canvas.height = Math.round(height * this.stageScale);
         
-        if (bestBlob.size <= maxSizeBytes) {
-            return bestBlob;
-        }
+        const ctx = this.canvas.getContext('2d');
+        const scale = this.stageScale;
+        ctx.drawImage(transformed, 0, 0, this.canvas.width, this.canvas.height);
         
-        // 二分法查找
-        for (let i = 0; i < 10; i++) {
-            const midQuality = (minQuality + maxQuality) / 2;
-            const blob = await new Promise(resolve => {
-                canvas.toBlob(blob => resolve(blob), format, midQuality);
-            });
-            
-            if (blob.size <= maxSizeBytes) {
-                bestBlob = blob;
-                minQuality = midQuality;
-            } else {
-                maxQuality = midQuality;
-            }
+        // 裁剪框外区域变暗
+        const crop = this.edits.crop;
+        if (crop) {
+            const x = crop.x * scale;
+            const y = crop.y * scale;
+            const w = crop.width * scale;
+            const h = crop.height * scale;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(0, 0, this.canvas.width, y);
+            ctx.fillRect(0, y + h, this.canvas.width, this.canvas.height - y - h);
+            ctx.fillRect(0, y, x, h);
+            ctx.fillRect(x + w, y, this.canvas.width - x - w, h);
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
         }
         
-        // 如果仍然超过大小，返回最低质量的结果
-        if (!bestBlob || bestBlob.size > maxSizeBytes) {
-            bestBlob = await new Promise(resolve => {
-                canvas.toBlob(blob => resolve(blob), format, minQuality);
-            });
+        // 焦点标记
+        const focalPoint = this.edits.focalPoint;
+        if (focalPoint) {
+            ctx.beginPath();
+            ctx.arc(focalPoint.x * this.canvas.width, focalPoint.y * this.canvas.height, 8, 0, Math.PI * 2);
+            ctx.strokeStyle = '#ff5252';
+            ctx.lineWidth = 2;
+            ctx.stroke();
         }
-        
-        return bestBlob;
     }
 };
 
-// ============ 批量处理器 ============
-export const BatchProcessor = {
+// ============ 处理前后对比 ============
+export const CompareViewer = {
+    maxStageWidth: 800,
+    maxStageHeight: 520,
+    maxZoom: 16,
+    zoomStep: 1.25,
+    // 差异放大倍数，JPEG 压缩噪点通常只有几个色阶
+    diffGain: 8,
+
     /**
-     * 批量处理所有图片
-     * @param {Array} images - 图片信息数组
-     * @param {Object} userConfig - 用户配置 { format, maxSizeKB, extension }
-     * @param {Function} onProgress - 进度回调
-     * @returns {Promise<Array>} - 处理结果数组
+     * 将 0~1 的差异值映射为热力图颜色：黑 → 红 → 黄 → 白
+     * @param {number} value - 差异值
+     * @returns {number[]} - [r, g, b]
      */
-    async processAll(images, userConfig, onProgress) {
-        const results = [];
-        const total = images.length;
+    heatColor(value) {
+        const v = Math.min(Math.max(value, 0), 1) * 3;
+        return [
+            Math.round(Math.min(v, 1) * 255),
+            Math.round(Math.min(Math.max(v - 1, 0), 1) * 255),
+            Math.round(Math.min(Math.max(v - 2, 0), 1) * 255)
+        ];
+    },
+
+    /**
+     * 逐像素比较两张同尺寸图片，生成差异热力图
+     * 每个像素取 RGBA 四个通道中最大的差值
+     * @param {ImageData} before - 处理前像素
+     * @param {ImageData} after - 处理后像素
+     * @param {number} [gain] - 差异放大倍数
+     * @returns {Object} - { data: 热力图 RGBA, mean: 平均差异 (0~255), max: 最大差异 (0~255) }
+     */
+    computeDiff(before, after, gain = this.diffGain) {
+        const length = Math.min(before.data.length, after.data.length);
+        const data = new Uint8ClampedArray(length);
+        let sum = 0;
+        let max = 0;
         
-        for (let i = 0; i < images.length; i++) {
-            const imageInfo = images[i];
-            
-            onProgress({
-                total,
-                completed: i,
-                current: imageInfo.file.name,
-                results
-            });
-            
-            try {
-                const result = await ImageProcessor.process(imageInfo, userConfig);
-                results.push(result);
-            } catch (error) {
-                results.push({
-                    originalFile: imageInfo.file,
-                    processedBlob: null,
-                    error: error.message,
-                    wasProcessed: false
-                });
+        for (let i = 0; i < length; i += 4) {
+            let diff = 0;
+            for (let c = 0; c < 4; c++) {
+                diff = Math.max(diff, Math.abs(before.data[i + c] - after.data[i + c]));
             }
-            
-            onProgress({
-                total,
-                completed: i + 1,
-                current: imageInfo.file.name,
-                results
-            });
+            sum += diff;
+            if (diff > max) max = diff;
+            data.set(this.heatColor(diff * gain / 255), i);
+            data[i + 3] = 255;
         }
         
-        return results;
-    }
-};
+        const pixels = length / 4;
+        return { data, mean: pixels ? sum / pixels : 0, max };
+    },
 
-// ============ ZIP 导出器 ============
-export const ZipExporter = {
     /**
-     * 创建包含所有处理后图片的 ZIP 文件
-     * @param {Array} results - 处理结果数组
-     * @param {string} folderName - 文件夹名称
-     * @returns {Promise<Blob>} - ZIP 文件 Blob
+     * 以舞台上的某点为中心缩放，该点下的图片内容保持不动
+     * @param {Object} view - { scale, x, y }，x/y 为图片左上角在舞台上的偏移
+     * @param {number} factor - 缩放倍数
+     * @param {Object} point - 舞台坐标 { x, y }
+     * @param {number} width - 舞台宽度
+     * @param {number} height - 舞台高度
+     * @returns {Object} - 新的 { scale, x, y }
      */
-    async createZip(results, folderName) {
-        const zip = new JSZip();
-        const folder = zip.folder(folderName);
+    zoomAt(view, factor, point, width, height) {
+        const scale = Math.min(Math.max(view.scale * factor, 1), this.maxZoom);
+        const ratio = scale / view.scale;
+        return this.clampView({
+            scale,
+            x: point.x - (point.x - view.x) * ratio,
+            y: point.y - (point.y - view.y) * ratio
+        }, width, height);
+    },
+
+    /**
+     * 限制平移范围，图片始终铺满舞台
+     * @param {Object} view - { scale, x, y }
+     * @param {number} width - 舞台宽度
+     * @param {number} height - 舞台高度
+     * @returns {Object} - 新的 { scale, x, y }
+     */
+    clampView(view, width, height) {
+        const clamp = (value, min) => Math.min(Math.max(value, min), 0);
+        return {
+            scale: view.scale,
+            x: clamp(view.x, width - width * view.scale),
+            y: clamp(view.y, height - height * view.scale)
+        };
+    },
+
+    init() {
+        this.modal = document.getElementById('compareModal');
+        this.canvas = document.getElementById('compareCanvas');
+        this.caption = document.getElementById('compareCaption');
+        this.heatmapInput = document.getElementById('compareHeatmap');
         
-        for (const result of results) {
-            if (result.processedBlob) {
-                // 使用输出文件名（已转换为 .png 扩展名）
-                const fileName = result.outputFileName || result.originalFile.name;
-                folder.file(fileName, result.processedBlob);
-            }
-        }
+        document.getElementById('compareZoomInBtn').addEventListener('click', () => this.zoomBy(this.zoomStep));
+        document.getElementById('compareZoomOutBtn').addEventListener('click', () => this.zoomBy(1 / this.zoomStep));
+        document.getElementById('compareResetBtn').addEventListener('click', () => this.resetView());
+        document.getElementById('compareCloseBtn').addEventListener('click', () => this.close());
+        this.heatmapInput.addEventListener('change', () => this.render());
         
-        return await zip.generateAsync({ type: 'blob' });
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', () => { this.drag = null; });
+        this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
     },
 
     /**
-     * 创建按文件夹结构组织的 ZIP 文件
-     * @param {Map} resultsByFolder - 文件夹名 -> 处理结果数组的映射
-     * @returns {Promise<Blob>} - ZIP 文件 Blob
+     * 打开对比窗口
+     * 原图按与输出相同的方向、裁剪、缩放、背景色和水印重新绘制，保证与输出逐像素对齐
+     * 结果为响应式变体时按生成该变体的配置绘制，水印大小和边距与该变体一致
+     * @param {Object} info - 图片信息
+     * @param {Object} result - 处理结果
+     * @param {Object} userConfig - 处理时使用的配置（已合并单张图片的覆盖设置）
+     * @param {string} caption - 显示在工具栏下方的说明
      */
-    async createZipWithFolders(resultsByFolder) {
-        const zip = new JSZip();
+    async open(info, result, userConfig, caption) {
+        const after = await this.loadBlob(result.processedBlob);
+        const width = after.naturalWidth || after.width;
+        const height = after.naturalHeight || after.height;
         
-        for (const [folderName, results] of resultsByFolder) {
-            const folder = zip.folder(folderName);
+        const config = result.variant ? ImageProcessor.getVariantConfig(userConfig, result.variant) : userConfig;
+        // 兜底缩小或跳过处理时输出尺寸可能与配置不同，统一画到输出尺寸上
+        const reference = result.wasProcessed
+            ? await ImageProcessor.renderReference(info, config,
+                EncoderSupport.actualFormat(result.processedBlob, config.format))
+            : await ImageProcessor.loadImage(info);
+        this.before = this.toCanvas(reference, width, height);
+        this.after = this.toCanvas(after, width, height);
+        this.heatmap = null;
+        this.caption.textContent = caption;
+        this.heatmapInput.checked = false;
+        
+        this.stageScale = Math.min(this.maxStageWidth / width, this.maxStageHeight / height, 1);
+        this.canvas.width = Math.round(width * this.stageScale);
+        this.canvas.height = Math.round(height * this.stageScale);
+        this.split = 0.5;
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.modal.classList.remove('hidden');
+        this.render();
+    },
+
+    close() {
+        this.modal.classList.add('hidden');
+        this.before = null;
+        this.after = null;
+        this.heatmap = null;
+        this.drag = null;
+    },
+
+    // 通过临时的对象 URL 加载处理结果
+    async loadBlob(blob) {
+        const previewUrl = URL.createObjectURL(blob);
+        try {
+            return await ImageProcessor.loadImage({ file: blob, previewUrl });
+        } finally {
+            URL.revokeObjectURL(previewUrl);
+        }
+    },
+
+    // 将图片画到指定尺寸的画布上
+    toCanvas(image, width, height) {
+        const canvas = ImageProcessor.createCanvas(width, height);
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        return canvas;
+    },
+
+    // 首次打开热力图时计算差异，并在说明中追加平均/最大差异
+    getHeatmap() {
+        if (!this.heatmap) {
+            const { width, height } = this.after;
+            const read = canvas => canvas.getContext('2d').getImageData(0, 0, width, height);
+            const diff = this.computeDiff(read(this.before), read(this.after));
             
-            for (const result of results) {
-                if (result.processedBlob) {
-                    const fileName = result.outputFileName || result.originalFile.name;
-                    folder.file(fileName, result.processedBlob);
-                }
-            }
+            this.heatmap = ImageProcessor.createCanvas(width, height);
+            const ctx = this.heatmap.getContext('2d');
+            const imageData = ctx.createImageData(width, height);
+            imageData.data.set(diff.data);
+            ctx.putImageData(imageData, 0, 0);
+            this.caption.textContent += `，平均差异 ${diff.mean.toFixed(2)}，最大差异 ${diff.max}`;
         }
+        return this.heatmap;
+    },
+
+    zoomBy(factor, point) {
+        const center = point || { x: this.canvas.width / 2, y: this.canvas.height / 2 };
+        this.view = this.zoomAt(this.view, factor, center, this.canvas.width, this.canvas.height);
+        this.render();
+    },
+
+    resetView() {
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.split = 0.5;
+        this.render();
+    },
+
+    toStagePoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (e.clientY - rect.top) * this.canvas.height / rect.height
+        };
+    },
+
+    // 靠近分割线时拖动分割线，否则拖动平移画面
+    onPointerDown(e) {
+        const point = this.toStagePoint(e);
+        const nearSplit = Math.abs(point.x - this.split * this.canvas.width) <= 8;
+        this.drag = nearSplit ? { type: 'split' } : { type: 'pan', point, view: this.view };
+        this.canvas.setPointerCapture(e.pointerId);
+    },
+
+    onPointerMove(e) {
+        if (!this.drag) return;
         
-        return await zip.generateAsync({ type: 'blob' });
+        const point = this.toStagePoint(e);
+        if (this.drag.type === 'split') {
+            this.split = Math.min(Math.max(point.x / this.canvas.width, 0), 1);
+        } else {
+            const { view } = this.drag;
+            this.view = this.clampView({
+                scale: view.scale,
+                x: view.x + point.x - this.drag.point.x,
+                y: view.y + point.y - this.drag.point.y
+            }, this.canvas.width, this.canvas.height);
+        }
+        this.render();
     },
 
-    /**
-     * 触发下载
-     * @param {Blob} zipBlob - ZIP 文件 Blob
-     * @param {string} fileName - 文件名
-     */
-    download(zipBlob, fileName) {
-        const url = URL.createObjectURL(zipBlob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = fileName;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    onWheel(e) {
+        e.preventDefault();
+        this.zoomBy(e.deltaY < 0 ? this.zoomStep : 1 / this.zoomStep, this.toStagePoint(e));
+    },
+
+    // 左侧画原图，右侧画输出或热力图，两侧共用同一变换，缩放和平移始终同步
+    render() {
+        const { width, height } = this.canvas;
+        const splitX = Math.round(this.split * width);
+        const right = this.heatmapInput.checked ? this.getHeatmap() : this.after;
+        const ctx = this.canvas.getContext('2d');
+        
+        ctx.clearRect(0, 0, width, height);
+        // 放大时关闭平滑，便于看清压缩块和振铃
+        ctx.imageSmoothingEnabled = this.view.scale * this.stageScale < 1;
+        
+        [[this.before, 0, splitX], [right, splitX, width - splitX]].forEach(([image, x, w]) => {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(x, 0, w, height);
+            ctx.clip();
+            ctx.drawImage(image, this.view.x, this.view.y, width * this.view.scale, height * this.view.scale);
+            ctx.restore();
+        });
+        
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(splitX - 1, 0, 2, height);
     }
 };
 
@@ -351,7 +5287,13 @@ const AppState = {
     progress: { total: 0, completed: 0 },
     canDownload: false,
     results: [],
-    resultsByFolder: new Map() // 文件夹名 -> 处理结果数组的映射
+    resultsByFolder: new Map(), // 文件夹名 -> 处理结果数组的映射
+    completedIds: new Set(),    // 已有处理结果的图片 id
+    selectedIds: new Set(),     // 列表中选中的图片 id（用于批量设置覆盖）
+    controller: null,           // 当前批量处理的暂停/取消控制器
+    wasCancelled: false,        // 上一次处理是否被取消（再次开始时跳过已完成的图片）
+    processedConfigs: new Map(), // 图片 id -> 处理时使用的配置，已合并覆盖设置（对比时按此重绘原图）
+    rejected: []                // 未能导入的文件（ImportReport 条目）
 };
 
 // ============ UI 控制器 ============
@@ -360,15 +5302,128 @@ const UIController = {
         this.dropZone = document.getElementById('dropZone');
         this.imageList = document.getElementById('imageList');
         this.zipNameInput = document.getElementById('zipName');
+        this.zipLayoutSelect = document.getElementById('zipLayout');
+        this.zipRootFolderInput = document.getElementById('zipRootFolder');
+        this.zipVolumeSizeInput = document.getElementById('zipVolumeSize');
         this.outputFormatSelect = document.getElementById('outputFormat');
         this.maxSizeKBInput = document.getElementById('maxSizeKB');
+        this.targetWidthInput = document.getElementById('targetWidth');
+        this.targetHeightInput = document.getElementById('targetHeight');
+        this.scalePercentInput = document.getElementById('scalePercent');
+        this.resizeModeSelect = document.getElementById('resizeMode');
+        this.noUpscaleInput = document.getElementById('noUpscale');
+        this.padColorInput = document.getElementById('padColor');
+        this.variantWidthsInput = document.getElementById('variantWidths');
+        this.variantFallbackInput = document.getElementById('variantFallback');
+        this.manifestSelect = document.getElementById('manifestMode');
+        this.metadataPolicySelect = document.getElementById('metadataPolicy');
+        this.oversizeFallbackSelect = document.getElementById('oversizeFallback');
+        this.pngMaxColorsInput = document.getElementById('pngMaxColors');
+        this.pngDitherInput = document.getElementById('pngDither');
+        this.pngOptimizeInput = document.getElementById('pngOptimize');
+        this.backgroundColorInput = document.getElementById('backgroundColor');
+        this.keepAlphaFormatInput = document.getElementById('keepAlphaFormat');
+        this.animationModeSelect = document.getElementById('animationMode');
+        this.watermarkTypeSelect = document.getElementById('watermarkType');
+        this.watermarkTextInput = document.getElementById('watermarkText');
+        this.watermarkColorInput = document.getElementById('watermarkColor');
+        this.watermarkImageBtn = document.getElementById('watermarkImageBtn');
+        this.watermarkImageName = document.getElementById('watermarkImageName');
+        this.watermarkPositionSelect = document.getElementById('watermarkPosition');
+        this.watermarkOpacityInput = document.getElementById('watermarkOpacity');
+        this.watermarkScaleInput = document.getElementById('watermarkScale');
+        this.watermarkMarginInput = document.getElementById('watermarkMargin');
+        this.watermarkRotationInput = document.getElementById('watermarkRotation');
+        // 水印 Logo 以 data URL 保存，便于存入预设和传给 Worker
+        this.watermarkImage = '';
+        this.namingTemplateInput = document.getElementById('namingTemplate');
+        this.namingLowercaseInput = document.getElementById('namingLowercase');
+        this.namingSlugifyInput = document.getElementById('namingSlugify');
+        this.namingPinyinInput = document.getElementById('namingPinyin');
+        this.workerCountInput = document.getElementById('workerCount');
+        this.presetSelect = document.getElementById('presetSelect');
+        this.savePresetBtn = document.getElementById('savePresetBtn');
+        this.deletePresetBtn = document.getElementById('deletePresetBtn');
+        this.exportPresetBtn = document.getElementById('exportPresetBtn');
+        this.importPresetBtn = document.getElementById('importPresetBtn');
         this.processBtn = document.getElementById('processBtn');
         this.downloadBtn = document.getElementById('downloadBtn');
+        this.saveFolderBtn = document.getElementById('saveFolderBtn');
+        this.folderConflictSelect = document.getElementById('folderConflict');
+        this.pauseBtn = document.getElementById('pauseBtn');
+        this.cancelBtn = document.getElementById('cancelBtn');
+        this.retryBtn = document.getElementById('retryBtn');
+        this.overridePanel = document.getElementById('overridePanel');
+        this.selectionCount = document.getElementById('selectionCount');
+        this.overrideFormatSelect = document.getElementById('overrideFormat');
+        this.overrideMaxSizeKBInput = document.getElementById('overrideMaxSizeKB');
+        this.overrideWidthInput = document.getElementById('overrideWidth');
+        this.overrideHeightInput = document.getElementById('overrideHeight');
+        this.overrideResizeModeSelect = document.getElementById('overrideResizeMode');
+        this.applyOverrideBtn = document.getElementById('applyOverrideBtn');
+        this.clearOverrideBtn = document.getElementById('clearOverrideBtn');
+        this.selectAllBtn = document.getElementById('selectAllBtn');
+        this.clearSelectionBtn = document.getElementById('clearSelectionBtn');
         this.progressSection = document.getElementById('progressSection');
         this.progressText = document.getElementById('progressText');
         this.progressFill = document.getElementById('progressFill');
+        this.summaryPanel = document.getElementById('summaryPanel');
+        this.importPanel = document.getElementById('importPanel');
+        this.zipVolumeList = document.getElementById('zipVolumeList');
+        this.saveFailedPanel = document.getElementById('saveFailedPanel');
+        this.includeReportInput = document.getElementById('includeReport');
         
         this.bindEvents();
+        this.initFolderExport();
+        this.initPngOptimizer();
+        this.initEncoderSupport();
+        this.renderPresetOptions();
+        CropEditor.init();
+        CompareViewer.init();
+        this.initWorkerCount();
+    },
+
+    // 不支持选择本地文件夹时隐藏相关控件
+    initFolderExport() {
+        if (!FolderExporter.isSupported()) {
+            this.saveFolderBtn.classList.add('hidden');
+            this.folderConflictSelect.closest('.config-item').classList.add('hidden');
+        }
+    },
+
+    // 未配置 PNG 优化器时隐藏并禁用对应选项，getUserConfig 也不会开启优化
+    initPngOptimizer() {
+        const available = PngQuantizer.isOptimizerAvailable();
+        this.pngOptimizeInput.disabled = !available;
+        this.pngOptimizeInput.closest('.config-item').classList.toggle('hidden', !available);
+    },
+
+    // 检测各输出格式的编码支持，无法编码的选项禁用并注明，当前选中时换用兜底格式
+    async initEncoderSupport() {
+        await EncoderSupport.probe();
+        [this.outputFormatSelect, this.overrideFormatSelect].forEach(select => {
+            Array.from(select.options).forEach(option => {
+                if (option.value && !EncoderSupport.isSupported(option.value)) {
+                    option.disabled = true;
+                    option.textContent += '（当前浏览器无法编码）';
+                }
+            });
+        });
+        this.outputFormatSelect.value = EncoderSupport.resolve(this.outputFormatSelect.value);
+        if (this.overrideFormatSelect.value) {
+            this.overrideFormatSelect.value = EncoderSupport.resolve(this.overrideFormatSelect.value);
+        }
+    },
+
+    // 初始化线程数输入框，不支持 Worker 时禁用
+    initWorkerCount() {
+        if (WorkerPool.isSupported()) {
+            this.workerCountInput.value = WorkerPool.getDefaultSize();
+        } else {
+            this.workerCountInput.value = 1;
+            this.workerCountInput.disabled = true;
+            this.workerCountInput.title = '当前浏览器不支持后台线程处理，将在主线程中处理';
+        }
     },
 
     bindEvents() {
@@ -401,23 +5456,262 @@ const UIController = {
         // 按钮事件
         this.processBtn.addEventListener('click', () => this.startProcessing());
         this.downloadBtn.addEventListener('click', () => this.downloadZip());
+        this.saveFolderBtn.addEventListener('click', () => this.saveToFolder());
+        this.pauseBtn.addEventListener('click', () => this.togglePause());
+        this.cancelBtn.addEventListener('click', () => this.cancelProcessing());
+        this.retryBtn.addEventListener('click', () => this.retryFailed());
+
+        // 单张图片覆盖设置
+        this.applyOverrideBtn.addEventListener('click', () => this.applyOverridesToSelection());
+        this.clearOverrideBtn.addEventListener('click', () => this.clearOverridesOfSelection());
+        this.selectAllBtn.addEventListener('click', () => this.setSelection(AppState.images, true));
+        this.clearSelectionBtn.addEventListener('click', () => this.setSelection(AppState.images, false));
+
+        // 尺寸相关配置变化时重新判断是否需要处理
+        const sizeInputs = [
+            this.maxSizeKBInput,
+            this.targetWidthInput,
+            this.targetHeightInput,
+            this.scalePercentInput,
+            this.resizeModeSelect,
+            this.noUpscaleInput,
+            this.metadataPolicySelect,
+            this.animationModeSelect,
+            this.watermarkTypeSelect,
+            this.watermarkTextInput
+        ];
+        sizeInputs.forEach(input => {
+            input.addEventListener('change', () => this.refreshProcessingFlags());
+            input.addEventListener('input', () => this.refreshProcessingFlags());
+        });
+
+        // 水印 Logo 选择
+        this.watermarkImageBtn.addEventListener('click', () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'image/png,image/webp,image/svg+xml';
+            input.onchange = (e) => this.loadWatermarkImage(e.target.files[0]);
+            input.click();
+        });
+
+        // 预设事件
+        this.presetSelect.addEventListener('change', () => this.applyPreset(this.presetSelect.value));
+        this.savePresetBtn.addEventListener('click', () => this.savePreset());
+        this.deletePresetBtn.addEventListener('click', () => this.deletePreset());
+        this.exportPresetBtn.addEventListener('click', () => this.exportPresets());
+        this.importPresetBtn.addEventListener('click', () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.onchange = (e) => this.importPresets(e.target.files[0]);
+            input.click();
+        });
     },
     
     // 获取用户配置
     getUserConfig() {
-        const format = this.outputFormatSelect.value;
+        const format = EncoderSupport.resolve(this.outputFormatSelect.value);
         const maxSizeKB = parseInt(this.maxSizeKBInput.value, 10) || 800;
+        const extension = CONFIG.formatExtensions[format] || CONFIG.outputExtension;
+        
+        const width = parseInt(this.targetWidthInput.value, 10) || CONFIG.maxWidth;
+        const height = parseInt(this.targetHeightInput.value, 10) || CONFIG.maxHeight;
+        const scalePercent = parseFloat(this.scalePercentInput.value) || CONFIG.scalePercent;
+        const resizeMode = this.resizeModeSelect.value || CONFIG.resizeMode;
+        const noUpscale = this.noUpscaleInput.checked;
+        const padColor = this.padColorInput.value || CONFIG.padColor;
+        const variantWidths = this.variantWidthsInput.value
+            .split(/[,，\s]+/)
+            .map(value => parseInt(value, 10))
+            .filter(value => value > 0);
+        const variantFallback = this.variantFallbackInput.checked;
+        const manifest = this.manifestSelect.value || 'none';
+        const metadataPolicy = this.metadataPolicySelect.value || CONFIG.metadataPolicy;
+        const oversizeFallback = this.oversizeFallbackSelect.value || CONFIG.oversizeFallback;
+        
+        const userConfig = {
+            format, maxSizeKB, extension, width, height, scalePercent, resizeMode, noUpscale, padColor,
+            variantWidths, variantFallback, manifest, metadataPolicy, oversizeFallback,
+            pngMaxColors: parseInt(this.pngMaxColorsInput.value, 10) || CONFIG.pngMaxColors,
+            pngDither: this.pngDitherInput.checked,
+            // 预设中保存的开启状态在没有优化器时不生效
+            pngOptimize: this.pngOptimizeInput.checked && PngQuantizer.isOptimizerAvailable(),
+            pngOptimizerUrl: CONFIG.pngOptimizerUrl,
+            backgroundColor: this.backgroundColorInput.value || CONFIG.backgroundColor,
+            keepAlphaFormat: this.keepAlphaFormatInput.checked,
+            animationMode: this.animationModeSelect.value || CONFIG.animationMode,
+            // Worker 中无法检测编码能力，使用主线程的检测结果
+            encoderSupport: { ...EncoderSupport.support },
+            watermarkType: this.watermarkTypeSelect.value,
+            watermarkText: this.watermarkTextInput.value.trim(),
+            watermarkImage: this.watermarkImage,
+            watermarkPosition: this.watermarkPositionSelect.value,
+            watermarkOpacity: parseFloat(this.watermarkOpacityInput.value) / 100,
+            watermarkScale: parseFloat(this.watermarkScaleInput.value) / 100,
+            watermarkMargin: parseInt(this.watermarkMarginInput.value, 10),
+            watermarkRotation: parseFloat(this.watermarkRotationInput.value) || 0,
+            watermarkColor: this.watermarkColorInput.value,
+            namingTemplate: this.namingTemplateInput.value.trim() || CONFIG.namingTemplate,
+            namingLowercase: this.namingLowercaseInput.checked,
+            namingSlugify: this.namingSlugifyInput.checked,
+            namingPinyin: this.namingPinyinInput.checked,
+            zipLayout: this.zipLayoutSelect.value || CONFIG.zipLayout,
+            zipRootFolder: this.zipRootFolderInput.checked
+        };
+        userConfig.variants = ImageProcessor.buildVariants(userConfig);
+        return userConfig;
+    },
+
+    // 将配置写回控制面板
+    applyConfig(config) {
+        if (config.format !== undefined) this.outputFormatSelect.value = EncoderSupport.resolve(config.format);
+        if (config.maxSizeKB !== undefined) this.maxSizeKBInput.value = config.maxSizeKB;
+        if (config.width !== undefined) this.targetWidthInput.value = config.width;
+        if (config.height !== undefined) this.targetHeightInput.value = config.height;
+        if (config.scalePercent !== undefined) this.scalePercentInput.value = config.scalePercent;
+        if (config.resizeMode !== undefined) this.resizeModeSelect.value = config.resizeMode;
+        if (config.noUpscale !== undefined) this.noUpscaleInput.checked = !!config.noUpscale;
+        if (config.padColor !== undefined) this.padColorInput.value = config.padColor;
+        if (Array.isArray(config.variantWidths)) this.variantWidthsInput.value = config.variantWidths.join(',');
+        if (config.variantFallback !== undefined) this.variantFallbackInput.checked = !!config.variantFallback;
+        if (config.manifest !== undefined) this.manifestSelect.value = config.manifest;
+        if (config.metadataPolicy !== undefined) this.metadataPolicySelect.value = config.metadataPolicy;
+        if (config.oversizeFallback !== undefined) this.oversizeFallbackSelect.value = config.oversizeFallback;
+        if (config.pngMaxColors !== undefined) this.pngMaxColorsInput.value = config.pngMaxColors;
+        if (config.pngDither !== undefined) this.pngDitherInput.checked = !!config.pngDither;
+        if (config.pngOptimize !== undefined) this.pngOptimizeInput.checked = !!config.pngOptimize;
+        if (config.backgroundColor !== undefined) this.backgroundColorInput.value = config.backgroundColor;
+        if (config.keepAlphaFormat !== undefined) this.keepAlphaFormatInput.checked = !!config.keepAlphaFormat;
+        if (config.animationMode !== undefined) this.animationModeSelect.value = config.animationMode;
+        if (config.watermarkType !== undefined) this.watermarkTypeSelect.value = config.watermarkType;
+        if (config.watermarkText !== undefined) this.watermarkTextInput.value = config.watermarkText;
+        if (config.watermarkImage !== undefined) this.useWatermarkImage(config.watermarkImage, '预设 Logo');
+        if (config.watermarkPosition !== undefined) this.watermarkPositionSelect.value = config.watermarkPosition;
+        if (config.watermarkOpacity !== undefined) this.watermarkOpacityInput.value = Math.round(config.watermarkOpacity * 100);
+        if (config.watermarkScale !== undefined) this.watermarkScaleInput.value = Math.round(config.watermarkScale * 100);
+        if (config.watermarkMargin !== undefined) this.watermarkMarginInput.value = config.watermarkMargin;
+        if (config.watermarkRotation !== undefined) this.watermarkRotationInput.value = config.watermarkRotation;
+        if (config.watermarkColor !== undefined) this.watermarkColorInput.value = config.watermarkColor;
+        if (config.namingTemplate !== undefined) this.namingTemplateInput.value = config.namingTemplate;
+        if (config.namingLowercase !== undefined) this.namingLowercaseInput.checked = !!config.namingLowercase;
+        if (config.namingSlugify !== undefined) this.namingSlugifyInput.checked = !!config.namingSlugify;
+        if (config.namingPinyin !== undefined) this.namingPinyinInput.checked = !!config.namingPinyin;
+        if (config.zipLayout !== undefined) this.zipLayoutSelect.value = config.zipLayout;
+        if (config.zipRootFolder !== undefined) this.zipRootFolderInput.checked = !!config.zipRootFolder;
+        
+        this.refreshProcessingFlags();
+    },
+
+    // 读取水印 Logo 文件
+    loadWatermarkImage(file) {
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = async () => {
+            if (await this.useWatermarkImage(reader.result, file.name)) {
+                this.watermarkTypeSelect.value = 'image';
+                this.refreshProcessingFlags();
+            }
+        };
+        reader.onerror = () => alert('水印图片读取失败');
+        reader.readAsDataURL(file);
+    },
+
+    // 栅格化 Logo（SVG 转为 PNG 并限制尺寸）后再使用，旧预设中保存的原图也会被转换
+    async useWatermarkImage(dataUrl, name) {
+        if (!dataUrl) {
+            this.setWatermarkImage('', name);
+            return false;
+        }
+        try {
+            this.setWatermarkImage(await ImageProcessor.rasterizeWatermark(dataUrl), name);
+            return true;
+        } catch (error) {
+            console.error('水印图片处理失败:', error);
+            alert('水印图片无法使用，请选择 PNG、WebP 或 SVG 格式的 Logo');
+            return false;
+        }
+    },
+
+    setWatermarkImage(dataUrl, name) {
+        this.watermarkImage = dataUrl || '';
+        this.watermarkImageName.textContent = this.watermarkImage ? name : '未选择';
+    },
+
+    // 渲染预设下拉框
+    renderPresetOptions(selectedName = '') {
+        this.presetSelect.innerHTML = '<option value="">-- 选择预设 --</option>';
+        for (const preset of PresetManager.list()) {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.name;
+            this.presetSelect.appendChild(option);
+        }
+        this.presetSelect.value = selectedName;
+        this.deletePresetBtn.disabled = !selectedName;
+    },
+
+    applyPreset(name) {
+        this.deletePresetBtn.disabled = !name;
+        const preset = PresetManager.get(name);
+        if (preset) {
+            this.applyConfig(preset.config);
+        }
+    },
+
+    savePreset() {
+        const name = prompt('请输入预设名称：', this.presetSelect.value);
+        if (name === null) return;
+        
+        try {
+            const preset = PresetManager.save(name, this.getUserConfig());
+            this.renderPresetOptions(preset.name);
+        } catch (error) {
+            alert(error.message);
+        }
+    },
+
+    deletePreset() {
+        const name = this.presetSelect.value;
+        if (!name || !confirm(`确定删除预设「${name}」吗？`)) return;
+        
+        PresetManager.remove(name);
+        this.renderPresetOptions();
+    },
+
+    exportPresets() {
+        const blob = new Blob([PresetManager.exportToJSON()], { type: 'application/json' });
+        ZipExporter.download(blob, 'presets.json');
+    },
+
+    async importPresets(file) {
+        if (!file) return;
         
-        let extension;
-        switch (format) {
-            case 'image/jpeg': extension = '.jpg'; break;
-            case 'image/png': extension = '.png'; break;
-            case 'image/webp': extension = '.webp'; break;
-            case 'image/avif': extension = '.avif'; break;
-            default: extension = '.jpg';
+        try {
+            const count = PresetManager.importFromJSON(await file.text());
+            this.renderPresetOptions();
+            alert(`已导入 ${count} 个预设`);
+        } catch (error) {
+            alert(error.message);
+            console.error('导入预设失败:', error);
         }
+    },
+
+    // 根据当前配置重新判断每张图片是否需要处理
+    refreshProcessingFlags() {
+        if (AppState.isProcessing) return;
         
-        return { format, maxSizeKB, extension };
+        const userConfig = this.getUserConfig();
+        for (const info of AppState.images) {
+            const config = BatchProcessor.applyOverrides(info, userConfig);
+            info.needsProcessing = ImageAnalyzer.needsProcessing(info, config);
+            // 已处理过的图片保留原状态
+            if (AppState.completedIds.has(info.id)) continue;
+            if (info.status === 'pending' || info.status === 'skipped') {
+                info.status = info.needsProcessing ? 'pending' : 'skipped';
+                this.updateImageStatus(info, info.status);
+            }
+        }
     },
 
     // 处理拖拽
@@ -483,39 +5777,109 @@ const UIController = {
         const validFiles = [];
         const invalidFiles = [];
 
+        // 按文件内容校验，不依赖 MIME 类型和扩展名；隐藏文件直接忽略
         for (const { file, folderPath } of fileList) {
-            if (FileValidator.isValidImageFile(file)) {
-                validFiles.push({ file, folderPath });
-            } else if (file.name && !file.name.startsWith('.')) {
-                invalidFiles.push(file.name);
+            if (!file.name || file.name.startsWith('.')) continue;
+            
+            const validation = await FileValidator.validate(file);
+            if (validation.valid) {
+                validFiles.push({ file: validation.file, folderPath });
+            } else {
+                invalidFiles.push(ImportReport.createEntry(file, folderPath, validation.code));
             }
         }
 
-        if (invalidFiles.length > 0) {
-            console.log(`跳过不支持的文件: ${invalidFiles.join(', ')}`);
-        }
-
+        const userConfig = this.getUserConfig();
         for (const { file, folderPath } of validFiles) {
             try {
-                const info = await ImageAnalyzer.analyze(file);
-                info.id = Date.now() + Math.random().toString(36).substr(2, 9);
-                info.status = info.needsProcessing ? 'pending' : 'skipped';
-                info.folderPath = folderPath; // 保存文件夹路径
-                
-                AppState.images.push(info);
-                
-                // 按文件夹分组
-                if (!AppState.folderMap.has(folderPath)) {
-                    AppState.folderMap.set(folderPath, []);
-                }
-                AppState.folderMap.get(folderPath).push(info);
-                
-                this.renderImageItem(info);
+                this.addImage(await ImageAnalyzer.analyze(file, userConfig), folderPath);
             } catch (error) {
+                invalidFiles.push(ImportReport.createEntry(file, folderPath, (error && error.code) || 'decode-failed'));
                 console.error('分析图片失败:', file.name, error);
             }
         }
 
+        AppState.rejected.push(...invalidFiles);
+        this.renderImportPanel();
+        this.updateButtons();
+        this.updateFolderSummary();
+    },
+
+    // 将分析好的图片加入列表并渲染卡片
+    addImage(info, folderPath) {
+        info.id = Date.now() + Math.random().toString(36).substr(2, 9);
+        info.index = AppState.images.length + 1; // 命名模板中的 {index}
+        info.status = info.needsProcessing ? 'pending' : 'skipped';
+        info.folderPath = folderPath; // 保存文件夹路径
+        
+        AppState.images.push(info);
+        
+        // 按文件夹分组
+        if (!AppState.folderMap.has(folderPath)) {
+            AppState.folderMap.set(folderPath, []);
+        }
+        AppState.folderMap.get(folderPath).push(info);
+        
+        this.renderImageItem(info);
+    },
+
+    // 显示未导入的文件及原因，文件名来自用户文件，用 textContent 填充
+    renderImportPanel() {
+        const entries = AppState.rejected;
+        if (entries.length === 0) {
+            this.importPanel.classList.add('hidden');
+            return;
+        }
+        
+        this.importPanel.innerHTML = `
+            <div class="import-header">
+                <span>⚠ ${entries.length} 个文件未导入</span>
+                <button class="btn btn-small" data-action="copy">复制列表</button>
+                <button class="btn btn-small" data-action="include"
+                    title="无法解码的文件不做处理，按原样导出">仍然加入原文件</button>
+                <button class="btn btn-small" data-action="dismiss">关闭</button>
+            </div>
+            <ul class="import-list"></ul>
+        `;
+        const list = this.importPanel.querySelector('.import-list');
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            const path = document.createElement('span');
+            path.className = 'import-path';
+            path.textContent = ImportReport.getPath(entry);
+            const reason = document.createElement('span');
+            reason.className = 'import-reason';
+            reason.textContent = entry.message;
+            item.append(path, reason);
+            list.appendChild(item);
+        });
+        
+        this.importPanel.querySelector('[data-action="copy"]').addEventListener('click', (e) => this.copyImportList(e.target));
+        this.importPanel.querySelector('[data-action="include"]').disabled = !entries.some(entry => ImportReport.canInclude(entry));
+        this.importPanel.querySelector('[data-action="include"]').addEventListener('click', () => this.includeRejected());
+        this.importPanel.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+            AppState.rejected = [];
+            this.renderImportPanel();
+        });
+        this.importPanel.classList.remove('hidden');
+    },
+
+    async copyImportList(button) {
+        try {
+            await navigator.clipboard.writeText(ImportReport.toText(AppState.rejected));
+            button.textContent = '已复制';
+        } catch (error) {
+            alert('复制失败，请检查浏览器的剪贴板权限');
+        }
+    },
+
+    // 将未导入的文件按原样加入列表，空文件除外
+    includeRejected() {
+        const included = AppState.rejected.filter(entry => ImportReport.canInclude(entry));
+        included.forEach(entry => this.addImage(ImageAnalyzer.createPassthrough(entry.file), entry.folderPath));
+        AppState.rejected = AppState.rejected.filter(entry => !included.includes(entry));
+        
+        this.renderImportPanel();
         this.updateButtons();
         this.updateFolderSummary();
     },
@@ -537,32 +5901,226 @@ const UIController = {
         const folderDisplay = info.folderPath || '未分类';
         
         item.innerHTML = `
-            <img class="image-preview" src="${info.previewUrl}" alt="${info.file.name}">
+            <label class="image-select" title="选择以单独设置">
+                <input type="checkbox" data-action="select" ${AppState.selectedIds.has(info.id) ? 'checked' : ''}>
+            </label>
+            <img class="image-preview">
             <div class="image-info">
-                <div class="image-folder" title="${folderDisplay}">📁 ${folderDisplay}</div>
-                <div class="image-name" title="${info.file.name}">${info.file.name}</div>
+                <div class="image-folder"></div>
+                <div class="image-name"></div>
                 <div class="image-details">
-                    尺寸: ${info.width} × ${info.height}<br>
+                    尺寸: ${info.passthrough ? '未知（原样导出）' : `${info.width} × ${info.height}`}<br>
                     大小: ${this.formatSize(info.size)}
+                    ${info.hasAlpha ? '<span class="image-alpha-badge" title="包含透明像素">透明</span>' : ''}
+                    ${info.animated ? '<span class="image-alpha-badge" title="多帧动图">动图</span>' : ''}
                 </div>
                 <span class="image-status ${statusClass}">${statusText}</span>
+                <span class="image-override-badge hidden"></span>
+                <span class="image-edit-badge hidden"></span>
+                <span class="image-rename-warning hidden"></span>
+                <span class="image-frame-warning hidden"></span>
+                <div class="image-actions">
+                    <button class="image-action" data-action="edit" ${info.passthrough ? 'disabled' : ''}>裁剪/旋转</button>
+                    <button class="image-action" data-action="reprocess" ${AppState.isProcessing ? 'disabled' : ''}>重新处理</button>
+                    <button class="image-action" data-action="compare" ${!info.passthrough && this.findResult(info) ? '' : 'disabled'}>对比</button>
+                </div>
             </div>
         `;
+        // 文件名和文件夹名来自用户文件，只作为文本写入，避免被当作 HTML 解析
+        const preview = item.querySelector('.image-preview');
+        preview.src = info.previewUrl;
+        preview.alt = info.file.name;
+        const folder = item.querySelector('.image-folder');
+        folder.title = folderDisplay;
+        folder.textContent = `📁 ${folderDisplay}`;
+        const name = item.querySelector('.image-name');
+        name.title = info.file.name;
+        name.textContent = info.file.name;
+        
+        item.querySelector('[data-action="reprocess"]').addEventListener('click', () => this.reprocessImage(info));
+        item.querySelector('[data-action="edit"]').addEventListener('click', () => this.openEditor(info));
+        item.querySelector('[data-action="compare"]').addEventListener('click', () => this.openCompare(info));
+        item.querySelector('[data-action="select"]').addEventListener('change', (e) => {
+            this.setSelection([info], e.target.checked);
+        });
         
         this.imageList.appendChild(item);
+        this.updateOverrideBadge(info);
+        this.updateEditBadge(info);
+    },
+
+    // 打开裁剪编辑器，保存后更新卡片并重新判断是否需要处理
+    openEditor(info) {
+        CropEditor.open(info, (edits) => {
+            if (edits) {
+                info.edits = edits;
+            } else {
+                delete info.edits;
+            }
+            this.updateEditBadge(info);
+            this.refreshProcessingFlags();
+        }).catch(error => {
+            alert('图片加载失败，无法编辑');
+            console.error('打开编辑器失败:', error);
+        });
+    },
+
+    // 查找图片当前的处理结果
+    findResult(info) {
+        const results = AppState.resultsByFolder.get(info.folderPath || '未分类') || [];
+        return results.find(result => result.imageId === info.id && !result.error) || null;
+    },
+
+    // 有处理结果时才能打开对比，原样导出的文件无法解码
+    updateCompareButton(info) {
+        const button = document.querySelector(`#image-${info.id} [data-action="compare"]`);
+        if (button) {
+            button.disabled = info.passthrough || !this.findResult(info);
+        }
+    },
+
+    // 打开处理前后对比，原图按处理时的配置重新绘制
+    openCompare(info) {
+        const result = this.findResult(info);
+        const config = AppState.processedConfigs.get(info.id);
+        if (!result || !config) return;
+        
+        const parts = [
+            `原图 ${this.formatSize(result.originalSize ?? info.size)}`,
+            `输出 ${this.formatSize(result.finalSize)}（${result.finalWidth} × ${result.finalHeight}）`
+        ];
+        if (result.quality !== null && result.quality !== undefined) {
+            parts.push(`质量 ${Math.round(result.quality * 100)}`);
+        }
+        CompareViewer.open(info, result, config, parts.join('，')).catch(error => {
+            alert('图片加载失败，无法对比');
+            console.error('打开对比失败:', error);
+        });
+    },
+
+    // 在卡片上显示编辑摘要
+    updateEditBadge(info) {
+        const item = document.getElementById(`image-${info.id}`);
+        if (!item) return;
+        
+        const badge = item.querySelector('.image-edit-badge');
+        const edits = info.edits || {};
+        const parts = [];
+        if (edits.crop) parts.push(`裁剪 ${edits.crop.width}×${edits.crop.height}`);
+        if (edits.rotation) parts.push(`旋转 ${edits.rotation}°`);
+        if (edits.flipH || edits.flipV) parts.push('翻转');
+        if (edits.focalPoint) parts.push('焦点');
+        
+        badge.textContent = `已编辑: ${parts.join(' · ')}`;
+        badge.title = badge.textContent;
+        badge.classList.toggle('hidden', parts.length === 0);
+    },
+
+    // 选中或取消选中图片
+    setSelection(images, selected) {
+        for (const info of images) {
+            selected ? AppState.selectedIds.add(info.id) : AppState.selectedIds.delete(info.id);
+            
+            const item = document.getElementById(`image-${info.id}`);
+            if (item) {
+                item.classList.toggle('selected', selected);
+                item.querySelector('[data-action="select"]').checked = selected;
+            }
+        }
+        this.updateOverridePanel();
+    },
+
+    updateOverridePanel() {
+        const count = AppState.selectedIds.size;
+        this.overridePanel.classList.toggle('hidden', count === 0);
+        this.selectionCount.textContent = `已选择 ${count} 张图片`;
+    },
+
+    // 读取覆盖设置面板中填写的字段，留空的字段沿用全局设置
+    getOverrideInputs() {
+        const overrides = {};
+        const maxSizeKB = parseInt(this.overrideMaxSizeKBInput.value, 10);
+        const width = parseInt(this.overrideWidthInput.value, 10);
+        const height = parseInt(this.overrideHeightInput.value, 10);
+        
+        if (this.overrideFormatSelect.value) overrides.format = this.overrideFormatSelect.value;
+        if (maxSizeKB > 0) overrides.maxSizeKB = maxSizeKB;
+        if (width > 0) overrides.width = width;
+        if (height > 0) overrides.height = height;
+        if (this.overrideResizeModeSelect.value) overrides.resizeMode = this.overrideResizeModeSelect.value;
+        return overrides;
+    },
+
+    applyOverridesToSelection() {
+        const overrides = this.getOverrideInputs();
+        if (Object.keys(overrides).length === 0) {
+            alert('请至少填写一项要覆盖的设置');
+            return;
+        }
+        
+        for (const info of this.getSelectedImages()) {
+            info.overrides = { ...info.overrides, ...overrides };
+            this.updateOverrideBadge(info);
+        }
+        this.refreshProcessingFlags();
     },
 
-    updateImageStatus(info, status, finalSize) {
+    clearOverridesOfSelection() {
+        for (const info of this.getSelectedImages()) {
+            delete info.overrides;
+            this.updateOverrideBadge(info);
+        }
+        this.refreshProcessingFlags();
+    },
+
+    getSelectedImages() {
+        return AppState.images.filter(info => AppState.selectedIds.has(info.id));
+    },
+
+    // 在卡片上显示单独设置的摘要
+    updateOverrideBadge(info) {
+        const item = document.getElementById(`image-${info.id}`);
+        if (!item) return;
+        
+        const badge = item.querySelector('.image-override-badge');
+        const overrides = info.overrides || {};
+        const parts = [];
+        if (overrides.format) parts.push(overrides.format.replace('image/', '').toUpperCase());
+        if (overrides.maxSizeKB) parts.push(`≤${overrides.maxSizeKB}KB`);
+        if (overrides.width || overrides.height) {
+            parts.push(`${overrides.width || '*'}×${overrides.height || '*'}`);
+        }
+        if (overrides.resizeMode) {
+            const option = [...this.resizeModeSelect.options].find(o => o.value === overrides.resizeMode);
+            parts.push(option ? option.textContent : overrides.resizeMode);
+        }
+        
+        badge.textContent = `单独设置: ${parts.join(' · ')}`;
+        badge.title = badge.textContent;
+        badge.classList.toggle('hidden', parts.length === 0);
+    },
+
+    updateImageStatus(info, status, finalSize, message = '') {
+        info.status = status;
+        
         const item = document.getElementById(`image-${info.id}`);
         if (!item) return;
         
         const statusEl = item.querySelector('.image-status');
         statusEl.className = `image-status status-${status}`;
         statusEl.textContent = this.getStatusText(status);
+        statusEl.title = message;
         
         if (finalSize !== undefined) {
+            // 重新处理时替换上一次的结果
             const details = item.querySelector('.image-details');
-            details.innerHTML += `<br>处理后: ${this.formatSize(finalSize)}`;
+            let finalEl = details.querySelector('.image-final-size');
+            if (!finalEl) {
+                finalEl = document.createElement('span');
+                finalEl.className = 'image-final-size';
+                details.appendChild(finalEl);
+            }
+            finalEl.innerHTML = `<br>处理后: ${this.formatSize(finalSize)}`;
         }
     },
 
@@ -573,6 +6131,7 @@ const UIController = {
             processing: '处理中',
             completed: '已完成',
             skipped: '无需处理',
+            'over-limit': '超出大小',
             error: '处理失败'
         };
         return texts[status] || status;
@@ -585,77 +6144,378 @@ const UIController = {
     },
 
     updateButtons() {
+        const controller = AppState.controller;
         this.processBtn.disabled = AppState.images.length === 0 || AppState.isProcessing;
+        this.processBtn.textContent = AppState.wasCancelled ? '继续处理' : '开始处理';
         this.downloadBtn.disabled = !AppState.canDownload;
+        this.saveFolderBtn.disabled = !AppState.canDownload;
+        this.pauseBtn.disabled = !AppState.isProcessing || (controller && controller.signal.aborted);
+        this.pauseBtn.textContent = controller && controller.paused ? '继续' : '暂停';
+        this.cancelBtn.disabled = !AppState.isProcessing || (controller && controller.signal.aborted);
+        this.retryBtn.disabled = AppState.isProcessing || BatchProcessor.getFailedImages(AppState.images).length === 0;
+        this.imageList.querySelectorAll('[data-action="reprocess"]').forEach(btn => {
+            btn.disabled = AppState.isProcessing;
+        });
     },
 
     updateProgress(progress) {
         this.progressSection.classList.remove('hidden');
-        this.progressText.textContent = `处理中: ${progress.completed}/${progress.total}`;
-        const percent = (progress.completed / progress.total) * 100;
+        const controller = AppState.controller;
+        let label = '处理中';
+        if (controller && controller.signal.aborted) {
+            label = '正在取消';
+        } else if (controller && controller.paused) {
+            label = '已暂停';
+        }
+        this.progressText.textContent = `${label}: ${progress.completed}/${progress.total}`;
+        const percent = progress.total > 0 ? (progress.completed / progress.total) * 100 : 100;
         this.progressFill.style.width = `${percent}%`;
+        AppState.progress = { total: progress.total, completed: progress.completed };
+    },
+
+    togglePause() {
+        const controller = AppState.controller;
+        if (!controller) return;
+        
+        controller.paused ? controller.resume() : controller.pause();
+        this.updateProgress(AppState.progress);
+        this.updateButtons();
+    },
+
+    cancelProcessing() {
+        const controller = AppState.controller;
+        if (!controller) return;
+        
+        controller.cancel();
+        this.updateProgress(AppState.progress);
+        this.updateButtons();
     },
 
     async startProcessing() {
+        // 上一次被取消时只处理尚未完成的图片，保留已有结果
+        if (!AppState.wasCancelled) {
+            AppState.resultsByFolder = new Map();
+            AppState.completedIds = new Set();
+            AppState.images.forEach(info => this.updateCompareButton(info));
+        }
+        AppState.wasCancelled = false;
+        
+        const imagesToProcess = AppState.images.filter(info => !AppState.completedIds.has(info.id));
+        await this.runBatch(imagesToProcess);
+    },
+
+    // 只重新处理失败的图片
+    async retryFailed() {
+        const failedImages = BatchProcessor.getFailedImages(AppState.images);
+        if (failedImages.length === 0 || AppState.isProcessing) return;
+        
+        await this.runBatch(failedImages);
+    },
+
+    // 使用当前设置重新处理单张图片
+    async reprocessImage(info) {
+        if (AppState.isProcessing) return;
+        
+        await this.runBatch([info]);
+    },
+
+    // 处理指定图片，结果按图片替换到 resultsByFolder 中
+    async runBatch(imagesToProcess) {
+        const controller = BatchProcessor.createController();
+        
         AppState.isProcessing = true;
         AppState.canDownload = false;
-        AppState.resultsByFolder = new Map();
+        AppState.controller = controller;
+        this.renderVolumeList([]);
         this.updateButtons();
 
         // 获取用户配置
         const userConfig = this.getUserConfig();
-        
-        const imagesToProcess = AppState.images;
-        
-        // 更新所有待处理图片状态
-        imagesToProcess.forEach(info => {
-            if (info.needsProcessing) {
-                this.updateImageStatus(info, 'processing');
-            }
-        });
+        // 保存合并了覆盖设置的配置，对比时原样使用，不受之后修改覆盖设置的影响
+        imagesToProcess.forEach(info => AppState.processedConfigs.set(info.id, BatchProcessor.applyOverrides(info, userConfig)));
 
-        AppState.results = await BatchProcessor.processAll(imagesToProcess, userConfig, (progress) => {
-            this.updateProgress(progress);
-            
-            // 更新当前处理完成的图片状态
-            if (progress.completed > 0) {
-                const lastResult = progress.results[progress.completed - 1];
-                const imageInfo = imagesToProcess[progress.completed - 1];
-                
-                // 按文件夹分组保存结果
-                const folderPath = imageInfo.folderPath || '未分类';
-                if (!AppState.resultsByFolder.has(folderPath)) {
-                    AppState.resultsByFolder.set(folderPath, []);
-                }
-                // 将文件夹路径信息添加到结果中
-                lastResult.folderPath = folderPath;
-                AppState.resultsByFolder.get(folderPath).push(lastResult);
+        // 支持时使用 Worker 线程池，否则在主线程逐张处理
+        const workerCount = parseInt(this.workerCountInput.value, 10) || WorkerPool.getDefaultSize();
+        const pool = PngQuantizer.needsMainThread(userConfig)
+            ? null
+            : WorkerPool.create(Math.min(workerCount, imagesToProcess.length));
+
+        try {
+            await BatchProcessor.processAll(imagesToProcess, userConfig, (progress) => {
+                this.updateProgress(progress);
                 
-                if (lastResult.error) {
-                    this.updateImageStatus(imageInfo, 'error');
-                } else if (lastResult.wasProcessed) {
-                    this.updateImageStatus(imageInfo, 'completed', lastResult.finalSize);
+                const imageInfo = imagesToProcess[progress.index];
+                if (progress.result) {
+                    // 更新刚处理完成的图片状态
+                    this.storeResult(imageInfo, progress.result);
+                } else if (imageInfo.needsProcessing) {
+                    // 图片开始处理
+                    this.updateImageStatus(imageInfo, 'processing');
                 }
+            }, { pool, controller });
+        } finally {
+            if (pool) {
+                pool.terminate();
             }
-        });
+        }
 
+        // 取消时已完成的结果仍可下载，再次开始时跳过这些图片
+        if (controller.signal.aborted) {
+            AppState.wasCancelled = true;
+        }
+        const renamedCount = BatchProcessor.resolveCollisions(AppState.resultsByFolder, AppState.images);
+        AppState.results = [...AppState.resultsByFolder.values()].flat();
+        AppState.results.forEach(result => this.updateRenameWarning(result));
         AppState.isProcessing = false;
-        AppState.canDownload = true;
+        AppState.controller = null;
+        AppState.canDownload = AppState.results.length > 0;
+        
+        if (controller.signal.aborted) {
+            this.progressText.textContent = `已取消: ${AppState.completedIds.size}/${AppState.images.length}`;
+        }
+        if (renamedCount > 0) {
+            this.progressText.textContent += `（${renamedCount} 个文件重名，已自动添加后缀）`;
+        }
+        this.renderSummary();
         this.updateButtons();
     },
 
+    // 显示输出文件因重名被自动改名的提示
+    updateRenameWarning(result) {
+        const item = document.getElementById(`image-${result.imageId}`);
+        if (!item) return;
+        
+        const outputs = result.variants && result.variants.length > 0 ? result.variants : [result];
+        const renamed = outputs.filter(output => output.renamedFrom);
+        const warning = item.querySelector('.image-rename-warning');
+        warning.textContent = renamed.map(o => `⚠ 重名：${o.renamedFrom} 已保存为 ${o.outputFileName}`).join('\n');
+        warning.title = warning.textContent;
+        warning.classList.toggle('hidden', renamed.length === 0);
+    },
+
+    // 动图帧数超过 CONFIG.maxAnimationFrames 时提示只保留了前面的帧
+    updateFrameWarning(info, result) {
+        const item = document.getElementById(`image-${info.id}`);
+        if (!item) return;
+        
+        const warning = item.querySelector('.image-frame-warning');
+        const truncated = result.sourceFrameCount > result.frameCount;
+        warning.textContent = truncated
+            ? `⚠ 动图共 ${result.sourceFrameCount} 帧，超过上限 ${CONFIG.maxAnimationFrames} 帧，只保留了前 ${result.frameCount} 帧`
+            : '';
+        warning.title = warning.textContent;
+        warning.classList.toggle('hidden', !truncated);
+    },
+
+    // 显示整批处理的汇总
+    renderSummary() {
+        if (AppState.results.length === 0) {
+            this.summaryPanel.classList.add('hidden');
+            return;
+        }
+        
+        const summary = BatchReport.summarize(AppState.results);
+        const saved = summary.savedPercent === null ? '-' : `${summary.savedPercent}%`;
+        this.summaryPanel.innerHTML = `
+            <div class="summary-stats">
+                <span>处理前: <strong>${this.formatSize(summary.inputSize)}</strong></span>
+                <span>处理后: <strong>${this.formatSize(summary.outputSize)}</strong></span>
+                <span>节省: <strong>${saved}</strong></span>
+                <span>已处理: <strong>${summary.processed}</strong></span>
+                <span>无需处理: <strong>${summary.skipped}</strong></span>
+                <span>失败: <strong>${summary.failed}</strong></span>
+            </div>
+        `;
+        if (summary.overTarget.length > 0) {
+            const warning = document.createElement('div');
+            warning.className = 'summary-warning';
+            warning.textContent = `⚠ ${summary.overTarget.length} 张图片未能压缩到目标大小: ${summary.overTarget.join('、')}`;
+            this.summaryPanel.appendChild(warning);
+        }
+        this.summaryPanel.classList.remove('hidden');
+    },
+
+    // 保存单张图片的处理结果，已有结果时替换
+    storeResult(imageInfo, result) {
+        // 重名文件在整批结束后统一处理，见 runBatch
+        BatchProcessor.storeResult(AppState.resultsByFolder, imageInfo, result);
+        AppState.completedIds.add(imageInfo.id);
+        this.updateCompareButton(imageInfo);
+        this.updateFrameWarning(imageInfo, result);
+        
+        if (result.error) {
+            this.updateImageStatus(imageInfo, 'error', undefined, result.error);
+        } else if (result.overLimit) {
+            // 兜底后仍超出大小，输出最小的结果并提示
+            const targetKB = result.targetSizeKB || this.getUserConfig().maxSizeKB;
+            this.updateImageStatus(imageInfo, 'over-limit', result.finalSize,
+                `图片压缩后仍超过 ${targetKB}KB，已输出最小的文件`);
+        } else if (result.wasProcessed) {
+            this.updateImageStatus(imageInfo, 'completed', result.finalSize);
+        } else {
+            this.updateImageStatus(imageInfo, 'skipped');
+        }
+    },
+
     async downloadZip() {
         const zipName = this.zipNameInput.value.trim() || 
             `images_${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`;
         
+        // 按选择的目录结构打包
+        const userConfig = this.getUserConfig();
+        const options = {
+            manifest: userConfig.manifest,
+            layout: userConfig.zipLayout,
+            rootFolder: userConfig.zipRootFolder ? zipName : '',
+            report: this.includeReportInput.checked,
+            volumeSizeMB: parseInt(this.zipVolumeSizeInput.value, 10) || CONFIG.zipVolumeSizeMB
+        };
+        
+        this.downloadBtn.disabled = true;
+        this.progressSection.classList.remove('hidden');
+        this.renderVolumeList([]);
         try {
-            // 使用按文件夹结构打包
-            const zipBlob = await ZipExporter.createZipWithFolders(AppState.resultsByFolder);
-            ZipExporter.download(zipBlob, `${zipName}.zip`);
+            // 支持时直接流式写入本地文件，否则按大小分卷下载
+            if (ZipExporter.isStreamingSupported()) {
+                const saved = await ZipExporter.exportStreaming(AppState.resultsByFolder, options, `${zipName}.zip`,
+                    (percent) => this.updateZipProgress(percent));
+                this.progressText.textContent = saved ? '打包完成' : '已取消保存';
+            } else {
+                const volumes = ZipExporter.planVolumes(AppState.resultsByFolder, options, zipName);
+                if (volumes.length > 1) {
+                    this.renderVolumeList(volumes);
+                    this.progressText.textContent = `共 ${volumes.length} 个分卷，请逐个点击下载`;
+                } else {
+                    await ZipExporter.exportVolume(volumes[0], (percent) => this.updateZipProgress(percent));
+                    this.progressText.textContent = '打包完成';
+                }
+            }
         } catch (error) {
             alert('打包失败，请重试');
             console.error('ZIP 打包失败:', error);
+        } finally {
+            this.updateButtons();
+        }
+    },
+
+    // 直接写入用户选择的本地文件夹
+    async saveToFolder() {
+        let rootHandle;
+        try {
+            rootHandle = await FolderExporter.pickDirectory();
+        } catch (error) {
+            alert('无法访问所选文件夹');
+            console.error('选择文件夹失败:', error);
+            return;
+        }
+        if (!rootHandle) return;
+        
+        const userConfig = this.getUserConfig();
+        this.saveFolderBtn.disabled = true;
+        this.progressSection.classList.remove('hidden');
+        this.renderSaveFailures([]);
+        try {
+            const summary = await FolderExporter.exportToDirectory(rootHandle, AppState.resultsByFolder, {
+                manifest: userConfig.manifest,
+                layout: userConfig.zipLayout,
+                report: this.includeReportInput.checked,
+                conflict: this.folderConflictSelect.value || CONFIG.folderConflict
+            }, (completed, total) => {
+                this.progressText.textContent = `正在写入: ${completed}/${total}`;
+                this.progressFill.style.width = `${(completed / total) * 100}%`;
+            });
+            
+            const parts = [`已写入 ${summary.written} 个文件`];
+            if (summary.renamed) parts.push(`${summary.renamed} 个重名已另存`);
+            if (summary.overwritten) parts.push(`${summary.overwritten} 个已覆盖`);
+            if (summary.skipped) parts.push(`${summary.skipped} 个已存在被跳过`);
+            if (summary.failed.length) parts.push(`${summary.failed.length} 个写入失败`);
+            this.progressText.textContent = parts.join('，');
+            this.renderSaveFailures(summary.failed);
+        } catch (error) {
+            alert('保存到文件夹失败，请重试');
+            console.error('保存到文件夹失败:', error);
+        } finally {
+            this.updateButtons();
+        }
+    },
+
+    // 列出保存到文件夹时写入失败的文件和原因，样式与未导入的文件面板一致
+    renderSaveFailures(failed) {
+        if (failed.length === 0) {
+            this.saveFailedPanel.classList.add('hidden');
+            return;
         }
+        
+        this.saveFailedPanel.innerHTML = `
+            <div class="import-header">
+                <span>⚠ ${failed.length} 个文件写入失败</span>
+                <button class="btn btn-small" data-action="copy">复制列表</button>
+                <button class="btn btn-small" data-action="dismiss">关闭</button>
+            </div>
+            <ul class="import-list"></ul>
+        `;
+        const list = this.saveFailedPanel.querySelector('.import-list');
+        failed.forEach(entry => {
+            const item = document.createElement('li');
+            const path = document.createElement('span');
+            path.className = 'import-path';
+            path.textContent = entry.path;
+            const reason = document.createElement('span');
+            reason.className = 'import-reason';
+            reason.textContent = entry.error;
+            item.append(path, reason);
+            list.appendChild(item);
+        });
+        
+        this.saveFailedPanel.querySelector('[data-action="copy"]').addEventListener('click', async (e) => {
+            try {
+                await navigator.clipboard.writeText(failed.map(entry => `${entry.path}\t${entry.error}`).join('\n'));
+                e.target.textContent = '已复制';
+            } catch (error) {
+                alert('复制失败，请检查浏览器的剪贴板权限');
+            }
+        });
+        this.saveFailedPanel.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+            this.renderSaveFailures([]);
+        });
+        this.saveFailedPanel.classList.remove('hidden');
+    },
+
+    // 每个分卷一个下载按钮，点击时才生成该分卷
+    renderVolumeList(volumes) {
+        this.zipVolumeList.innerHTML = '';
+        this.zipVolumeList.classList.toggle('hidden', volumes.length === 0);
+        
+        volumes.forEach((volume, index) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small';
+            button.textContent = `下载分卷 ${index + 1}/${volumes.length}`;
+            button.title = volume.fileName;
+            button.addEventListener('click', async () => {
+                const buttons = [...this.zipVolumeList.querySelectorAll('button')];
+                buttons.forEach(btn => { btn.disabled = true; });
+                try {
+                    await ZipExporter.exportVolume(volume,
+                        (percent) => this.updateZipProgress(percent, index, volumes.length));
+                    this.progressText.textContent = `分卷 ${index + 1}/${volumes.length} 已下载`;
+                    button.textContent = `✓ 分卷 ${index + 1}/${volumes.length}`;
+                } catch (error) {
+                    alert('打包失败，请重试');
+                    console.error('ZIP 分卷打包失败:', error);
+                } finally {
+                    buttons.forEach(btn => { btn.disabled = false; });
+                }
+            });
+            this.zipVolumeList.appendChild(button);
+        });
+    },
+
+    // 显示打包进度，分卷时显示当前分卷序号
+    updateZipProgress(percent, index = 0, total = 1) {
+        const volume = total > 1 ? `（分卷 ${index + 1}/${total}）` : '';
+        this.progressText.textContent = `正在打包${volume}: ${Math.round(percent)}%`;
+        this.progressFill.style.width = `${percent}%`;
     }
 };
 
@@ -0,0 +1,40 @@
+/**
+ * HEIC 解码器
+ *
+ * 由 FallbackDecoder 按 CONFIG.decoderUrls 在首次遇到 HEIC 文件时加载，
+ * 默认导出 decode(buffer) => Promise<{ width, height, data }>
+ *
+ * vendor/libheif-bundle.js 为 npm 包 libheif-js@1.23.2 的 libheif-wasm/libheif-bundle.mjs（内嵌 WASM），
+ * 按 LGPL-3.0 分发，许可证见 vendor/LICENSE.libheif
+ */
+
+import createLibheif from './vendor/libheif-bundle.js';
+
+let libheif = null;
+
+/**
+ * 解码主图像，旋转、镜像（irot/imir）由 libheif 处理
+ * @param {ArrayBuffer} buffer - 文件内容
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>} - RGBA 像素
+ */
+export default async function decode(buffer) {
+    // WASM 模块较大，第一次解码时才初始化
+    libheif = libheif || createLibheif();
+    const images = new libheif.HeifDecoder().decode(new Uint8Array(buffer));
+    try {
+        const image = images.find(item => item.is_primary()) || images[0];
+        if (!image) {
+            throw new Error('HEIC 文件中没有图像');
+        }
+
+        const width = image.get_width();
+        const height = image.get_height();
+        return await new Promise((resolve, reject) => {
+            image.display({ data: new Uint8ClampedArray(width * height * 4), width, height }, (result) => {
+                result ? resolve(result) : reject(new Error('HEIC 解码失败'));
+            });
+        });
+    } finally {
+        images.forEach(item => item.free());
+    }
+}
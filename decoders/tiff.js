@@ -0,0 +1,29 @@
+/**
+ * TIFF 解码器
+ *
+ * 由 FallbackDecoder 按 CONFIG.decoderUrls 在首次遇到 TIFF 文件时加载，
+ * 默认导出 decode(buffer) => Promise<{ width, height, data }>
+ *
+ * vendor/UTIF.js 为 npm 包 utif2@4.1.0，vendor/pako_inflate.min.js 为 pako@1.0.11（解压 Deflate 压缩的 TIFF），
+ * 均为 MIT 许可证，见 vendor/LICENSE.UTIF、vendor/LICENSE.pako
+ * 两者都是 UMD 脚本，按顺序执行后分别挂到全局的 self.pako 和 self.UTIF 上
+ */
+
+import './vendor/pako_inflate.min.js';
+import './vendor/UTIF.js';
+
+/**
+ * 解码第一页
+ * @param {ArrayBuffer} buffer - 文件内容
+ * @returns {Promise<{width: number, height: number, data: Uint8Array}>} - RGBA 像素
+ */
+export default async function decode(buffer) {
+    const UTIF = self.UTIF;
+    const [page] = UTIF.decode(buffer);
+    if (!page) {
+        throw new Error('TIFF 文件中没有图像');
+    }
+
+    UTIF.decodeImage(buffer, page);
+    return { width: page.width, height: page.height, data: UTIF.toRGBA8(page) };
+}
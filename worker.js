@@ -0,0 +1,19 @@
+/**
+ * 图片处理 Worker
+ *
+ * 在后台线程中使用 OffscreenCanvas 执行 ImageProcessor 的处理流程，
+ * 接收 { imageInfo, userConfig }，返回 { result } 或 { error }
+ */
+
+import { BatchProcessor } from './app.js';
+
+self.onmessage = async (e) => {
+    const { imageInfo, userConfig } = e.data;
+    
+    try {
+        const result = await BatchProcessor.processOne(imageInfo, userConfig);
+        self.postMessage({ result });
+    } catch (error) {
+        self.postMessage({ error: error.message || 'Worker 处理失败' });
+    }
+};